@@ -0,0 +1,48 @@
+// Rol izinlerine göre yönetim paneli menüsü.
+// Yetkiyi asıl sunucu denetler (backend/utils/permissions.js); burada yalnızca
+// rolün açamayacağı sayfalar menüden gizlenir ve doğrudan açılırsa panoya dönülür.
+(function () {
+    const PAGE_PERMISSIONS = {
+        'appointments.html': 'appointments:manage',
+        'customers.html': 'clients:read',
+        'blog-management.html': 'content:manage',
+        'site-settings.html': 'content:manage',
+        'messages.html': 'messages:manage',
+        'campaigns.html': 'marketing:manage',
+        'email-templates.html': 'settings:manage',
+        'jobs.html': 'settings:manage',
+        'audit-log.html': 'audit:read'
+    };
+
+    const ROLE_LABELS = {
+        admin: 'Yönetici',
+        therapist: 'Terapist',
+        assistant: 'Asistan'
+    };
+
+    let adminUser = {};
+    try {
+        adminUser = JSON.parse(localStorage.getItem('adminUser') || '{}');
+    } catch (e) {
+        adminUser = {};
+    }
+
+    // İzin listesi olmayan eski oturumlarda menü olduğu gibi kalır
+    const permissions = Array.isArray(adminUser.permissions) ? adminUser.permissions : null;
+    const allowed = (page) => !permissions || !PAGE_PERMISSIONS[page] || permissions.includes(PAGE_PERMISSIONS[page]);
+
+    window.adminRoleLabel = (role) => ROLE_LABELS[role] || 'Kullanıcı';
+    window.adminCan = (permission) => !permissions || permissions.includes(permission);
+
+    const currentPage = window.location.pathname.split('/').pop();
+    if (!allowed(currentPage)) {
+        window.location.replace('dashboard.html');
+        return;
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.querySelectorAll('nav a[href]').forEach(link => {
+            if (!allowed(link.getAttribute('href'))) link.classList.add('hidden');
+        });
+    });
+})();
@@ -1,6 +1,43 @@
 const cron = require('node-cron');
 const Appointment = require('../models/Appointment');
 const { sendEmail } = require('../utils/emailService');
+const { isSmsEnabled, sendSms, checkDeliveryStatus } = require('../utils/smsService');
+const { getReminderPolicy, isQuietTime, quietHoursEnd, buildReminders } = require('../utils/reminderPolicy');
+const { registerHandler, enqueue, enqueueEmail, processOutbox, pruneSentJobs, deferUntil } = require('../utils/outbox');
+const { expireOffers } = require('../utils/waitlist');
+const { expireGuestBookings } = require('../utils/guestBookings');
+const { getAttendanceSettings, autoResolveOutcomes } = require('../utils/attendance');
+const { INSTANCE_ID, runExclusive } = require('../utils/jobRunner');
+const { dispatchDueCampaigns } = require('../utils/campaigns');
+const { dispatchDigests } = require('../utils/newsletter');
+
+// Reminder entries that still have to be handed to the outbox; queued,
+// skipped and failed ones stay put
+const HANDLED = ['queued', 'skipped', 'failed'];
+const DUE_REMINDER = (now) => ({
+  sent: false,
+  deliveryStatus: { $nin: HANDLED },
+  scheduledFor: { $lte: now }
+});
+
+const isDue = (reminder, now) =>
+  !reminder.sent && !HANDLED.includes(reminder.deliveryStatus) && reminder.scheduledFor <= now;
+
+// SMS reports are only polled for a few days; operators drop them afterwards
+const SMS_REPORT_DAYS = 3;
+
+const CLIENT_FIELDS = 'name email phone notificationPreferences';
+
+// The nightly jobs may take a while on a large history
+const NIGHTLY_LEASE_MS = 60 * 60 * 1000;
+
+const OUTCOME_LABELS = { completed: 'Tamamlandı', 'no-show': 'Gelmedi' };
+
+// Guests and users who never changed their preferences get every channel
+const acceptsChannel = (client, channel) => {
+  const prefs = client.notificationPreferences && client.notificationPreferences.reminders;
+  return !prefs || prefs[channel] !== false;
+};
 
 class ReminderJob {
   constructor() {
@@ -9,7 +46,8 @@ class ReminderJob {
   }
 
   /**
-   * Start all reminder jobs
+   * Start all reminder jobs. Every instance schedules them; each run takes a
+   * lock first, so a job runs on one instance at a time.
    */
   start() {
     if (this.isRunning) {
@@ -19,31 +57,50 @@ class ReminderJob {
 
     console.log('Starting reminder jobs...');
 
+    // Send queued emails and reminders
+    this.schedule('outbox', '* * * * *', () => this.processOutbox());
+
     // Check for reminders every 5 minutes
-    this.jobs.push(
-      cron.schedule('*/5 * * * *', () => {
-        this.checkAndSendReminders();
-      }, {
-        scheduled: false,
-        timezone: 'Europe/Istanbul'
-      })
-    );
+    this.schedule('reminders', '*/5 * * * *', () => this.checkAndSendReminders());
+
+    // Pass unanswered waitlist offers on to the next client
+    this.schedule('waitlist-offers', '*/5 * * * *', () => this.expireWaitlistOffers());
+
+    // Pick up delivery reports of SMS reminders
+    this.schedule('sms-delivery', '*/15 * * * *', () => this.refreshSmsDeliveryStatus());
+
+    // Release guest bookings that were not confirmed in time
+    this.schedule('guest-bookings', '*/5 * * * *', () => this.expireGuestBookings());
+
+    // Queue the emails of campaigns whose send time has come
+    this.schedule('campaigns', '* * * * *', () => dispatchDueCampaigns());
+
+    // Queue blog newsletter digests for subscribers who are due one
+    this.schedule('newsletter', '*/15 * * * *', () => dispatchDigests());
+
+    // Settle sessions left without an outcome, when auto-resolution is on
+    this.schedule('attendance', '30 1 * * *', () => this.settlePastSessions(), { leaseMs: NIGHTLY_LEASE_MS });
 
     // Daily cleanup job at 2 AM
-    this.jobs.push(
-      cron.schedule('0 2 * * *', () => {
-        this.cleanupOldReminders();
-      }, {
-        scheduled: false,
-        timezone: 'Europe/Istanbul'
-      })
-    );
+    this.schedule('cleanup', '0 2 * * *', () => this.cleanupOldReminders(), { leaseMs: NIGHTLY_LEASE_MS });
 
     // Start all jobs
     this.jobs.forEach(job => job.start());
     this.isRunning = true;
 
-    console.log('Reminder jobs started successfully');
+    console.log(`Reminder jobs started successfully (instance ${INSTANCE_ID})`);
+  }
+
+  /**
+   * Add a cron job whose runs are locked and recorded (see utils/jobRunner)
+   */
+  schedule(name, expression, task, options) {
+    this.jobs.push(
+      cron.schedule(expression, () => runExclusive(name, task, options), {
+        scheduled: false,
+        timezone: 'Europe/Istanbul'
+      })
+    );
   }
 
   /**
@@ -64,121 +121,354 @@ class ReminderJob {
   }
 
   /**
-   * Check and send pending reminders
+   * Queue the reminders that are due; the outbox sends them
+   * @returns {Promise<{processed: number, errors: string[]}>} reminder jobs queued
    */
   async checkAndSendReminders() {
-    try {
-      const now = new Date();
-      
-      // Find appointments with pending reminders
-      const appointments = await Appointment.find({
-        status: { $in: ['scheduled', 'confirmed'] },
-        'reminders.sent': false,
-        'reminders.scheduledFor': { $lte: now }
-      }).populate('user', 'name email phone');
+    const now = new Date();
+    const result = { processed: 0, errors: [] };
 
-      console.log(`Found ${appointments.length} appointments with pending reminders`);
+    // Nothing goes out in quiet hours; due reminders wait for the morning
+    const policy = await getReminderPolicy();
+    if (isQuietTime(policy, now)) {
+      return result;
+    }
 
-      for (const appointment of appointments) {
-        await this.sendReminderForAppointment(appointment);
+    // Find appointments with pending reminders. Appointments flagged by a
+    // blackout period are held back until they get a new time.
+    const appointments = await Appointment.find({
+      status: { $in: ['scheduled', 'confirmed'] },
+      rescheduleRequired: { $ne: true },
+      reminders: { $elemMatch: DUE_REMINDER(now) }
+    });
+
+    console.log(`Found ${appointments.length} appointments with pending reminders`);
+
+    for (const appointment of appointments) {
+      try {
+        result.processed += await this.queueDueReminders(appointment, now);
+      } catch (error) {
+        console.error(`Error queuing reminders for appointment ${appointment._id}:`, error);
+        result.errors.push(`Appointment ${appointment._id}: ${error.message}`);
       }
-    } catch (error) {
-      console.error('Error checking reminders:', error);
     }
+    return result;
+  }
+
+  /**
+   * Hand the due reminders of an appointment to the outbox, one job per
+   * channel. The entries stay queued until the job reports back.
+   */
+  async queueDueReminders(appointment, now = new Date()) {
+    const due = appointment.reminders.filter(r => isDue(r, now));
+    const channels = [...new Set(due.map(r => r.type))];
+
+    for (const channel of channels) {
+      const entries = due.filter(r => r.type === channel);
+      const latest = Math.max(...entries.map(r => r.scheduledFor.getTime()));
+      const job = await enqueue('reminder', { appointmentId: appointment._id.toString(), channel }, {
+        idempotencyKey: `reminder:${appointment._id}:${channel}:${latest}`
+      });
+      // The same reminder was planned again after its job had finished
+      const finished = job.duplicate && ['sent', 'dead'].includes(job.status);
+      entries.forEach(r => Object.assign(r, finished
+        ? { deliveryStatus: 'skipped', deliveryError: 'Already handled by an earlier job' }
+        : { deliveryStatus: 'queued' }));
+    }
+
+    if (channels.length > 0) {
+      await appointment.save();
+    }
+    return channels.length;
+  }
+
+  /**
+   * Outbox handler: send a queued reminder and record the outcome on its
+   * entries. Send errors propagate so the outbox retries the job.
+   */
+  async runReminderJob({ appointmentId, channel }) {
+    const appointment = await Appointment.findById(appointmentId).populate('user', CLIENT_FIELDS);
+    const entries = appointment
+      ? appointment.reminders.filter(r => r.type === channel && r.deliveryStatus === 'queued')
+      : [];
+    // Re-planned or deleted in the meantime
+    if (entries.length === 0) {
+      return 'Nothing to send';
+    }
+
+    const record = async (fields) => {
+      entries.forEach(r => Object.assign(r, fields));
+      await appointment.save();
+      return `${channel} ${fields.deliveryStatus}`;
+    };
+
+    const hoursUntilAppointment = (new Date(appointment.datetime) - Date.now()) / (1000 * 60 * 60);
+    if (!['scheduled', 'confirmed'].includes(appointment.status) ||
+        appointment.rescheduleRequired || hoursUntilAppointment <= 0) {
+      return record({ deliveryStatus: 'skipped', deliveryError: 'Appointment is no longer upcoming' });
+    }
+
+    // A retry that comes due at night waits for the morning
+    const quietUntil = quietHoursEnd(await getReminderPolicy());
+    if (quietUntil) {
+      throw deferUntil(quietUntil, 'Quiet hours');
+    }
+
+    const client = Appointment.clientOf(appointment);
+    if (!client) {
+      return record({ deliveryStatus: 'skipped', deliveryError: 'No contact details' });
+    }
+    return record(await this.deliverReminder(channel, appointment, client, hoursUntilAppointment));
+  }
+
+  /**
+   * Outbox dead-letter hook: the reminder will not go out
+   */
+  async markReminderFailed({ appointmentId, channel }, error) {
+    const appointment = await Appointment.findById(appointmentId);
+    if (!appointment) return;
+    appointment.reminders
+      .filter(r => r.type === channel && r.deliveryStatus === 'queued')
+      .forEach(r => Object.assign(r, { deliveryStatus: 'failed', deliveryError: String(error.message).slice(0, 500) }));
+    if (appointment.isModified('reminders')) {
+      await appointment.save();
+    }
+  }
+
+  /**
+   * Send due outbox jobs (emails and reminders)
+   * @returns {Promise<number>} jobs picked up
+   */
+  async processOutbox() {
+    const summary = await processOutbox();
+    if (summary.processed > 0) {
+      console.log(`Outbox: ${summary.sent} sent, ${summary.failed} to retry, ${summary.dead} given up`);
+    }
+    return summary.processed;
   }
 
   /**
-   * Send reminder for a specific appointment
+   * Send a reminder right away over every channel the client accepts
+   * (manual reminder, outside the outbox)
+   * @returns {Promise<Array>} outcome per channel
    */
   async sendReminderForAppointment(appointment) {
-    try {
-      const now = new Date();
-      const appointmentTime = new Date(appointment.datetime);
-      const timeUntilAppointment = appointmentTime - now;
-      const hoursUntilAppointment = timeUntilAppointment / (1000 * 60 * 60);
-
-      // Determine reminder type based on time until appointment
-      let reminderType = 'general';
-      if (hoursUntilAppointment <= 2 && hoursUntilAppointment > 0) {
-        reminderType = '2hour';
-      } else if (hoursUntilAppointment <= 24 && hoursUntilAppointment > 0) {
-        reminderType = '24hour';
+    const hoursUntilAppointment = (new Date(appointment.datetime) - Date.now()) / (1000 * 60 * 60);
+    const client = Appointment.clientOf(appointment);
+    if (!client) {
+      throw new Error('No contact details for this appointment');
+    }
+
+    const outcomes = [];
+    for (const channel of ['email', 'sms']) {
+      let result;
+      try {
+        result = await this.deliverReminder(channel, appointment, client, hoursUntilAppointment);
+      } catch (error) {
+        console.error(`Error sending ${channel} reminder for appointment ${appointment._id}:`, error);
+        result = { deliveryStatus: 'failed', deliveryError: String(error.message).slice(0, 500) };
       }
+      outcomes.push({ channel, ...result });
+    }
+    return outcomes;
+  }
 
-      // Send email reminder
-      await sendEmail({
-        to: appointment.user.email,
-        subject: 'Randevu Hatırlatması - Psikolog Onur Uslu',
-        template: 'appointmentReminder',
-        data: {
-          name: appointment.user.name,
-          date: appointment.formattedDate,
-          time: appointment.time,
-          type: appointment.typeTurkish,
-          duration: appointment.duration,
-          hoursUntil: Math.round(hoursUntilAppointment)
-        }
+  /**
+   * Send one reminder over a channel and describe the outcome as reminder
+   * fields. Throws when the provider rejects the message.
+   */
+  async deliverReminder(channel, appointment, client, hoursUntilAppointment) {
+    if (!acceptsChannel(client, channel)) {
+      return { deliveryStatus: 'skipped', deliveryError: 'Client turned this channel off' };
+    }
+
+    if (channel === 'sms') {
+      if (!isSmsEnabled()) {
+        return { deliveryStatus: 'skipped', deliveryError: 'SMS provider not configured' };
+      }
+      if (!client.phone) {
+        return { deliveryStatus: 'skipped', deliveryError: 'No mobile number' };
+      }
+      const sms = await sendSms({
+        to: client.phone,
+        message: this.buildSmsText(appointment, client)
       });
+      return {
+        sent: true,
+        sentAt: new Date(),
+        provider: sms.provider,
+        messageId: sms.messageId,
+        deliveryStatus: sms.status === 'delivered' ? 'delivered' : 'sent'
+      };
+    }
 
-      // Mark reminder as sent
-      const reminderIndex = appointment.reminders.findIndex(
-        r => !r.sent && r.scheduledFor <= now
-      );
+    await sendEmail({
+      to: client.email,
+      subject: 'Randevu Hatırlatması - Psikolog Onur Uslu',
+      template: 'appointmentReminder',
+      data: {
+        name: client.name,
+        date: appointment.formattedDate,
+        time: appointment.time,
+        type: appointment.typeTurkish,
+        duration: appointment.duration,
+        hoursUntil: Math.round(hoursUntilAppointment)
+      }
+    });
+    return { sent: true, sentAt: new Date(), deliveryStatus: 'sent' };
+  }
+
+  /**
+   * Short reminder text, kept to a single SMS where the name allows
+   */
+  buildSmsText(appointment, client) {
+    return `Sayın ${client.name}, ${appointment.formattedDate} saat ${appointment.time} ` +
+      `${appointment.typeTurkish} randevunuzu hatırlatırız. Değişiklik için: 0553 026 37 74 ` +
+      '- Psikolog Onur Uslu';
+  }
+
+  /**
+   * Record delivery reports of SMS reminders that are still on their way
+   * @returns {Promise<{processed: number, errors: string[]}>} reminders updated
+   */
+  async refreshSmsDeliveryStatus() {
+    const errors = [];
+    const since = new Date();
+    since.setDate(since.getDate() - SMS_REPORT_DAYS);
+
+    const appointments = await Appointment.find({
+      reminders: {
+        $elemMatch: { type: 'sms', deliveryStatus: 'sent', sentAt: { $gte: since } }
+      }
+    });
 
-      if (reminderIndex !== -1) {
-        appointment.reminders[reminderIndex].sent = true;
-        appointment.reminders[reminderIndex].sentAt = new Date();
+    let updated = 0;
+    for (const appointment of appointments) {
+      const pending = appointment.reminders.filter(r =>
+        r.type === 'sms' && r.deliveryStatus === 'sent' && r.messageId && r.sentAt >= since
+      );
+      for (const reminder of pending) {
+        try {
+          const report = await checkDeliveryStatus(reminder);
+          if (report.status === 'delivered') {
+            reminder.deliveryStatus = 'delivered';
+            reminder.deliveredAt = new Date();
+            updated++;
+          } else if (report.status === 'failed') {
+            reminder.deliveryStatus = 'failed';
+            reminder.deliveryError = String(report.error || 'Not delivered').slice(0, 500);
+            updated++;
+          }
+        } catch (error) {
+          console.error(`Error checking SMS ${reminder.messageId}:`, error);
+          errors.push(`SMS ${reminder.messageId}: ${error.message}`);
+        }
+      }
+      if (appointment.isModified('reminders')) {
         await appointment.save();
       }
+    }
 
-      console.log(`Reminder sent for appointment ${appointment._id} (${reminderType})`);
-    } catch (error) {
-      console.error(`Error sending reminder for appointment ${appointment._id}:`, error);
+    if (updated > 0) {
+      console.log(`Updated delivery status of ${updated} SMS reminders`);
+    }
+    return { processed: updated, errors };
+  }
+
+  /**
+   * Expire waitlist offers past their deadline
+   */
+  async expireWaitlistOffers() {
+    const expired = await expireOffers();
+    if (expired > 0) {
+      console.log(`Expired ${expired} waitlist offers`);
     }
+    return expired;
   }
 
   /**
-   * Clean up old reminders and expired appointments
+   * Release unconfirmed guest bookings past their deadline
+   */
+  async expireGuestBookings() {
+    const released = await expireGuestBookings();
+    if (released > 0) {
+      console.log(`Released ${released} unconfirmed guest bookings`);
+    }
+    return released;
+  }
+
+  /**
+   * Auto-resolve sessions nobody recorded an outcome for and report them to
+   * the practice, so a wrong outcome can be corrected from the dashboard
+   * @returns {Promise<number>} sessions resolved
+   */
+  async settlePastSessions() {
+    const resolved = await autoResolveOutcomes();
+    if (resolved.length === 0) {
+      return 0;
+    }
+    console.log(`Auto-resolved ${resolved.length} past sessions`);
+
+    const { autoResolve } = await getAttendanceSettings();
+    const sessions = resolved.map(appointment => {
+      const client = Appointment.clientOf(appointment) || {};
+      return {
+        date: new Date(appointment.date).toLocaleDateString('tr-TR'),
+        time: appointment.time,
+        name: client.name || 'Bilinmeyen danışan'
+      };
+    });
+
+    const to = process.env.CONTACT_NOTIFY_EMAIL || process.env.SMTP_USER;
+    if (!to) {
+      console.warn('No CONTACT_NOTIFY_EMAIL set; auto-resolved sessions are only listed on the dashboard');
+      return resolved.length;
+    }
+    await enqueueEmail({
+      to,
+      subject: `Seans Sonuçları Otomatik Kaydedildi (${resolved.length})`,
+      template: 'attendanceAutoResolved',
+      data: {
+        count: resolved.length,
+        outcome: OUTCOME_LABELS[autoResolve.outcome] || autoResolve.outcome,
+        afterDays: autoResolve.afterDays,
+        sessions
+      }
+    });
+    return resolved.length;
+  }
+
+  /**
+   * Clean up old sent reminders and outbox jobs. Past sessions are left to
+   * the attendance workflow (settlePastSessions)
    */
   async cleanupOldReminders() {
-    try {
-      const oneWeekAgo = new Date();
-      oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
-
-      // Clean up old sent reminders
-      await Appointment.updateMany(
-        {
-          'reminders.sent': true,
-          'reminders.sentAt': { $lt: oneWeekAgo }
-        },
-        {
-          $pull: {
-            reminders: {
-              sent: true,
-              sentAt: { $lt: oneWeekAgo }
-            }
-          }
-        }
-      );
+    const oneWeekAgo = new Date();
+    oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
 
-      // Clean up expired appointment reminders
-      const expiredDate = new Date();
-      expiredDate.setHours(expiredDate.getHours() - 1);
-
-      await Appointment.updateMany(
-        {
-          date: { $lt: expiredDate },
-          status: { $in: ['scheduled', 'confirmed'] }
-        },
-        {
-          $set: { status: 'no-show' }
+    // Clean up old sent reminders
+    const { modifiedCount } = await Appointment.updateMany(
+      {
+        'reminders.sent': true,
+        'reminders.sentAt': { $lt: oneWeekAgo }
+      },
+      {
+        $pull: {
+          reminders: {
+            sent: true,
+            sentAt: { $lt: oneWeekAgo }
+          }
         }
-      );
+      }
+    );
 
-      console.log('Cleanup job completed');
-    } catch (error) {
-      console.error('Error during cleanup:', error);
+    const pruned = await pruneSentJobs();
+    if (pruned > 0) {
+      console.log(`Removed ${pruned} old sent outbox jobs`);
     }
+
+    console.log('Cleanup job completed');
+    return modifiedCount + pruned;
   }
 
   /**
@@ -187,7 +477,7 @@ class ReminderJob {
   async sendManualReminder(appointmentId) {
     try {
       const appointment = await Appointment.findById(appointmentId)
-        .populate('user', 'name email phone');
+        .populate('user', CLIENT_FIELDS);
 
       if (!appointment) {
         throw new Error('Appointment not found');
@@ -197,8 +487,13 @@ class ReminderJob {
         throw new Error('Cannot send reminder for non-scheduled appointment');
       }
 
-      await this.sendReminderForAppointment(appointment);
-      return { success: true, message: 'Reminder sent successfully' };
+      const outcomes = await this.sendReminderForAppointment(appointment);
+      const sent = outcomes.filter(o => o.sent).map(o => o.channel);
+      if (sent.length === 0) {
+        const reasons = outcomes.map(o => `${o.channel}: ${o.deliveryError}`).join('; ');
+        return { success: false, message: `Reminder not sent (${reasons})` };
+      }
+      return { success: true, message: `Reminder sent by ${sent.join(' and ')}` };
     } catch (error) {
       console.error('Error sending manual reminder:', error);
       return { success: false, message: error.message };
@@ -225,8 +520,13 @@ class ReminderJob {
       // Pending reminders
       const pendingReminders = await Appointment.countDocuments({
         status: { $in: ['scheduled', 'confirmed'] },
-        'reminders.sent': false,
-        'reminders.scheduledFor': { $lte: now }
+        rescheduleRequired: { $ne: true },
+        reminders: { $elemMatch: DUE_REMINDER(now) }
+      });
+
+      // Reminders waiting in the outbox
+      const queuedReminders = await Appointment.countDocuments({
+        'reminders.deliveryStatus': 'queued'
       });
 
       // Sent reminders today
@@ -235,10 +535,26 @@ class ReminderJob {
         'reminders.sentAt': { $gte: today, $lt: tomorrow }
       });
 
+      // Reminders that could not be delivered today, by either channel
+      const failedToday = await Appointment.countDocuments({
+        reminders: {
+          $elemMatch: { deliveryStatus: 'failed', scheduledFor: { $gte: today, $lt: tomorrow } }
+        }
+      });
+
+      // Reminders on hold because of a blackout period
+      const heldForReschedule = await Appointment.countDocuments({
+        status: { $in: ['scheduled', 'confirmed'] },
+        rescheduleRequired: true
+      });
+
       return {
         todayAppointments,
         pendingReminders,
+        queuedReminders,
         sentToday,
+        failedToday,
+        heldForReschedule,
         isRunning: this.isRunning
       };
     } catch (error) {
@@ -260,26 +576,14 @@ class ReminderJob {
       // Clear existing reminders
       appointment.reminders = [];
 
-      // Set up new reminders
-      const appointmentDate = new Date(appointment.datetime);
-
-      // 24-hour reminder
-      const reminder24h = new Date(appointmentDate.getTime() - 24 * 60 * 60 * 1000);
-      if (reminder24h > new Date()) {
-        appointment.reminders.push({
-          type: 'email',
-          scheduledFor: reminder24h
-        });
+      // No reminders for a time that falls inside a blackout period
+      if (appointment.rescheduleRequired) {
+        await appointment.save();
+        return { success: true, message: 'Reminders cleared until the appointment is rescheduled' };
       }
 
-      // 2-hour reminder
-      const reminder2h = new Date(appointmentDate.getTime() - 2 * 60 * 60 * 1000);
-      if (reminder2h > new Date()) {
-        appointment.reminders.push({
-          type: 'email',
-          scheduledFor: reminder2h
-        });
-      }
+      // Set up new reminders
+      appointment.reminders = await buildReminders(appointment);
 
       await appointment.save();
       return { success: true, message: 'Reminders rescheduled successfully' };
@@ -293,4 +597,9 @@ class ReminderJob {
 // Create singleton instance
 const reminderJob = new ReminderJob();
 
+registerHandler('reminder', {
+  run: (payload) => reminderJob.runReminderJob(payload),
+  onDead: (payload, job, error) => reminderJob.markReminderFailed(payload, error)
+});
+
 module.exports = reminderJob;
@@ -1,5 +1,14 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isStaff, hasPermission, redactClinical } = require('../utils/permissions');
+
+// Staff without clinical:read get the answer to this request without
+// session notes or medical information, whichever route sends it
+const guardClinicalData = (req, res) => {
+  if (!isStaff(req.user) || hasPermission(req.user, 'clinical:read')) return;
+  const json = res.json.bind(res);
+  res.json = (body) => json(redactClinical(body));
+};
 
 /**
  * Middleware to authenticate JWT token
@@ -19,17 +28,28 @@ const authenticateToken = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
 
+    // Loaded here because authSessions signs its tokens with this module
+    const { isTokenRevoked } = require('../utils/authSessions');
+    const revoked = () => res.status(401).json({
+      success: false,
+      message: 'Session has been revoked'
+    });
+
     // Check if MongoDB is connected
     const mongoose = require('mongoose');
     if (mongoose.connection.readyState !== 1) {
       // Mock mode: if token is valid (which verify checks), and it looks like our mock admin
       if (decoded.role === 'admin' || decoded.id === 'mock-admin-id') {
+        if (await isTokenRevoked(decoded)) return revoked();
+        req.sessionId = decoded.sid;
+        req.twoFactorVerified = decoded.tfa === true;
         req.user = {
           _id: 'mock-admin-id',
           name: 'Admin User',
           email: 'admin@psikologonuruslu.com',
           role: 'admin',
-          isActive: true
+          isActive: true,
+          twoFactor: { enabled: Boolean(process.env.ADMIN_TOTP_SECRET) }
         };
         return next();
       }
@@ -52,8 +72,13 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Add user to request object
+    if (await isTokenRevoked(decoded, user)) return revoked();
+
+    // Add user and login session to request object
     req.user = user;
+    req.sessionId = decoded.sid;
+    req.twoFactorVerified = decoded.tfa === true;
+    guardClinicalData(req, res);
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -78,26 +103,67 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-/**
- * Middleware to check if user has admin role
- */
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
+const permissionCheck = (permissions, { twoFactor = false } = {}) => (req, res, next) => {
+  if (!isStaff(req.user)) {
     return res.status(403).json({
       success: false,
       message: 'Admin access required'
     });
   }
+
+  const missing = permissions.find(permission => !hasPermission(req.user, permission));
+  if (missing) {
+    return res.status(403).json({
+      success: false,
+      message: 'Your role does not allow this',
+      code: 'PERMISSION_DENIED',
+      permission: missing
+    });
+  }
+
+  if (twoFactor && !req.twoFactorVerified) {
+    const enrolled = Boolean(req.user.twoFactor && req.user.twoFactor.enabled);
+    if (enrolled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Log in again with your two-factor code to do this',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+    if (process.env.ADMIN_REQUIRE_2FA === 'true') {
+      return res.status(403).json({
+        success: false,
+        message: 'Turn on two-factor authentication to do this',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+  }
   next();
 };
 
+/**
+ * Middleware factory for admin panel routes: the user needs a staff role
+ * that holds every permission named (utils/permissions.js); with none named
+ * any staff role will do. Options as the last argument:
+ * { twoFactor: true } also wants a session that passed two-factor
+ * authentication. Staff without two-factor get through unless
+ * ADMIN_REQUIRE_2FA is 'true'.
+ *
+ *   router.use(requirePermission());
+ *   router.patch('/users/:id/change-role', requirePermission('users:manage', { twoFactor: true }), ...);
+ */
+const requirePermission = (...args) => {
+  const options = typeof args[args.length - 1] === 'object' ? args.pop() : {};
+  return permissionCheck(args, options);
+};
+
 /**
  * Middleware to check if user can access resource
  */
 const requireOwnershipOrAdmin = (req, res, next) => {
   const resourceUserId = req.params.userId || req.body.userId;
 
-  if (req.user.role === 'admin' || req.user._id.toString() === resourceUserId) {
+  if (hasPermission(req.user, 'clients:read') || req.user._id.toString() === resourceUserId) {
     return next();
   }
 
@@ -131,15 +197,16 @@ const requireAppointmentAccess = async (req, res, next) => {
       });
     }
 
-    // Admin can access all appointments
-    if (req.user.role === 'admin') {
+    // Staff who manage appointments can access all of them
+    if (hasPermission(req.user, 'appointments:manage')) {
       req.appointment = appointment;
       return next();
     }
 
     // User can only access their own appointments
-    const userId = appointment.user._id ? appointment.user._id.toString() : appointment.user.toString();
-    if (userId === req.user._id.toString()) {
+    // Guest bookings without an account are only reachable for admins
+    const userId = appointment.user && (appointment.user._id ? appointment.user._id.toString() : appointment.user.toString());
+    if (userId && userId === req.user._id.toString()) {
       req.appointment = appointment;
       return next();
     }
@@ -195,9 +262,12 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
       const user = await User.findById(decoded.id).select('-password');
+      const { isTokenRevoked } = require('../utils/authSessions');
 
-      if (user && user.isActive) {
+      // A revoked token counts as no token
+      if (user && user.isActive && !(await isTokenRevoked(decoded, user))) {
         req.user = user;
+        req.sessionId = decoded.sid;
       }
     }
 
@@ -218,12 +288,16 @@ const generateToken = (payload) => {
 };
 
 /**
- * Generate refresh token
+ * Generate refresh token. `expiresAt` caps its expiry (the end of its session).
  */
-const generateRefreshToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_REFRESH_SECRET || 'fallback_refresh_secret', {
+const generateRefreshToken = (payload, { expiresAt } = {}) => {
+  const secret = process.env.JWT_REFRESH_SECRET || 'fallback_refresh_secret';
+  const token = jwt.sign(payload, secret, {
     expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d'
   });
+  const cap = expiresAt && Math.floor(new Date(expiresAt).getTime() / 1000);
+  if (!cap || jwt.decode(token).exp <= cap) return token;
+  return jwt.sign({ ...payload, exp: cap }, secret);
 };
 
 /**
@@ -235,7 +309,7 @@ const verifyRefreshToken = (token) => {
 
 module.exports = {
   authenticateToken,
-  requireAdmin,
+  requirePermission,
   requireOwnershipOrAdmin,
   requireAppointmentAccess,
   requireEmailVerification,
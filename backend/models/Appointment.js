@@ -1,4 +1,14 @@
 const mongoose = require('mongoose');
+const {
+  ACTIVE_STATUSES,
+  checkSlotAvailability,
+  findConflictingAppointment,
+  getAvailabilitySettings,
+  bookingDays,
+  slotTakenError
+} = require('../utils/availability');
+const { lockBookingDays } = require('../utils/bookingLock');
+const { encryptedFields, plaintextMaxLength } = require('../utils/fieldEncryption');
 
 /**
  * @swagger
@@ -7,7 +17,6 @@ const mongoose = require('mongoose');
  *     Appointment:
  *       type: object
  *       required:
- *         - user
  *         - date
  *         - time
  *         - type
@@ -18,7 +27,37 @@ const mongoose = require('mongoose');
  *           description: The auto-generated id of the appointment
  *         user:
  *           type: string
- *           description: Reference to the user who made the appointment
+ *           description: Reference to the user who made the appointment (required unless it is a guest booking)
+ *         guest:
+ *           type: object
+ *           description: Contact details of a booking made without an account
+ *           properties:
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *               format: email
+ *             phone:
+ *               type: string
+ *         kvkkConsent:
+ *           type: object
+ *           description: KVKK consent given with a guest booking
+ *           properties:
+ *             acceptedAt:
+ *               type: string
+ *               format: date-time
+ *             version:
+ *               type: string
+ *             ipAddress:
+ *               type: string
+ *         confirmationExpires:
+ *           type: string
+ *           format: date-time
+ *           description: A pending guest booking is released when it is not confirmed by then
+ *         confirmedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the guest confirmed the booking from the emailed link
  *         date:
  *           type: string
  *           format: date
@@ -28,13 +67,13 @@ const mongoose = require('mongoose');
  *           description: Appointment time
  *         type:
  *           type: string
- *           enum: [individual, couple, online, in-person]
+ *           enum: [individual, couple, online, in-person, consultation]
  *           description: Type of therapy session
  *         status:
  *           type: string
- *           enum: [scheduled, confirmed, completed, cancelled, no-show]
+ *           enum: [pending, scheduled, confirmed, completed, cancelled, no-show, late-cancelled]
  *           default: scheduled
- *           description: Current status of the appointment
+ *           description: Current status of the appointment (pending = guest booking waiting for email confirmation; completed, no-show and late-cancelled are session outcomes)
  *         duration:
  *           type: number
  *           default: 50
@@ -64,7 +103,78 @@ const mongoose = require('mongoose');
  *               sentAt:
  *                 type: string
  *                 format: date-time
- *           description: Reminder tracking
+ *               scheduledFor:
+ *                 type: string
+ *                 format: date-time
+ *               deliveryStatus:
+ *                 type: string
+ *                 enum: [pending, queued, sent, delivered, failed, skipped]
+ *                 description: queued while the send waits in the outbox; skipped when the client turned the channel off or has no mobile number
+ *               provider:
+ *                 type: string
+ *                 description: SMS provider that sent the reminder
+ *               messageId:
+ *                 type: string
+ *                 description: Provider message id, used to poll the delivery report
+ *               deliveredAt:
+ *                 type: string
+ *                 format: date-time
+ *               deliveryError:
+ *                 type: string
+ *           description: Reminder tracking, one entry per channel and time
+ *         attendance:
+ *           type: object
+ *           description: Who recorded the session outcome and when
+ *           properties:
+ *             recordedAt:
+ *               type: string
+ *               format: date-time
+ *             recordedBy:
+ *               type: string
+ *             source:
+ *               type: string
+ *               enum: [therapist, auto]
+ *               description: auto when the outcome was set by auto-resolution
+ *             note:
+ *               type: string
+ *         rescheduleRequired:
+ *           type: boolean
+ *           default: false
+ *           description: Set when a blackout period was added over this appointment
+ *         rescheduleReason:
+ *           type: string
+ *         blackout:
+ *           type: string
+ *           description: Reference to the blackout that flagged the appointment
+ *         rescheduleHistory:
+ *           type: array
+ *           description: Previous times of the appointment, oldest first
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               time:
+ *                 type: string
+ *               duration:
+ *                 type: number
+ *               changedAt:
+ *                 type: string
+ *                 format: date-time
+ *               changedBy:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *         series:
+ *           type: string
+ *           description: Reference to the recurring series this occurrence belongs to
+ *         seriesIndex:
+ *           type: number
+ *           description: Position of the occurrence in its series (0-based)
+ *         calendarSequence:
+ *           type: number
+ *           description: iCalendar SEQUENCE; grows with every change of time or cancellation so calendar clients update the event
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -79,7 +189,44 @@ const appointmentSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'User is required']
+    required: [
+      function() { return !(this.guest && this.guest.email); },
+      'User is required'
+    ]
+  },
+  guest: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Name cannot be more than 100 characters']
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    phone: {
+      type: String,
+      match: [
+        /^(\+90|0)?[5][0-9]{9}$/,
+        'Please provide a valid Turkish phone number'
+      ]
+    }
+  },
+  kvkkConsent: {
+    acceptedAt: Date,
+    version: String,
+    ipAddress: String
+  },
+  confirmationTokenHash: {
+    type: String,
+    select: false
+  },
+  confirmationExpires: {
+    type: Date
+  },
+  confirmedAt: {
+    type: Date
   },
   date: {
     type: Date,
@@ -107,15 +254,15 @@ const appointmentSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Appointment type is required'],
     enum: {
-      values: ['individual', 'couple', 'online', 'in-person'],
-      message: 'Appointment type must be individual, couple, online, or in-person'
+      values: ['individual', 'couple', 'online', 'in-person', 'consultation'],
+      message: 'Appointment type must be individual, couple, online, in-person, or consultation'
     }
   },
   status: {
     type: String,
     enum: {
-      values: ['scheduled', 'confirmed', 'completed', 'cancelled', 'no-show'],
-      message: 'Status must be scheduled, confirmed, completed, cancelled, or no-show'
+      values: ['pending', 'scheduled', 'confirmed', 'completed', 'cancelled', 'no-show', 'late-cancelled'],
+      message: 'Status must be pending, scheduled, confirmed, completed, cancelled, no-show, or late-cancelled'
     },
     default: 'scheduled'
   },
@@ -125,9 +272,10 @@ const appointmentSchema = new mongoose.Schema({
     min: [30, 'Duration must be at least 30 minutes'],
     max: [120, 'Duration cannot exceed 120 minutes']
   },
+  // Şifreli saklanır (utils/fieldEncryption); uzunluk düz metin üzerinden ölçülür
   notes: {
     type: String,
-    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    validate: plaintextMaxLength(1000, 'Notes cannot exceed 1000 characters')
   },
   price: {
     type: Number,
@@ -159,8 +307,42 @@ const appointmentSchema = new mongoose.Schema({
     scheduledFor: {
       type: Date,
       required: true
+    },
+    deliveryStatus: {
+      type: String,
+      enum: ['pending', 'queued', 'sent', 'delivered', 'failed', 'skipped'],
+      default: 'pending'
+    },
+    provider: {
+      type: String
+    },
+    messageId: {
+      type: String
+    },
+    deliveredAt: {
+      type: Date
+    },
+    deliveryError: {
+      type: String,
+      maxlength: 500
     }
   }],
+  // Seans sonucunun kaydı (tamamlandı / gelmedi / geç iptal)
+  attendance: {
+    recordedAt: Date,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    source: {
+      type: String,
+      enum: ['therapist', 'auto']
+    },
+    note: {
+      type: String,
+      maxlength: [500, 'Attendance note cannot exceed 500 characters']
+    }
+  },
   cancellationReason: {
     type: String,
     maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
@@ -172,9 +354,10 @@ const appointmentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Şifreli saklanır
   sessionNotes: {
     type: String,
-    maxlength: [2000, 'Session notes cannot exceed 2000 characters']
+    validate: plaintextMaxLength(2000, 'Session notes cannot exceed 2000 characters')
   },
   followUpRequired: {
     type: Boolean,
@@ -182,6 +365,49 @@ const appointmentSchema = new mongoose.Schema({
   },
   followUpDate: {
     type: Date
+  },
+  rescheduleRequired: {
+    type: Boolean,
+    default: false
+  },
+  rescheduleReason: {
+    type: String,
+    maxlength: [300, 'Reschedule reason cannot exceed 300 characters']
+  },
+  blackout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blackout'
+  },
+  rescheduleHistory: [{
+    _id: false,
+    date: Date,
+    time: String,
+    duration: Number,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      maxlength: [300, 'Reschedule reason cannot exceed 300 characters']
+    }
+  }],
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentSeries'
+  },
+  seriesIndex: {
+    type: Number,
+    min: 0
+  },
+  calendarSequence: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 }, {
   timestamps: true,
@@ -189,6 +415,8 @@ const appointmentSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+appointmentSchema.plugin(encryptedFields, { paths: ['notes', 'sessionNotes'] });
+
 // Indexes for better query performance
 appointmentSchema.index({ user: 1, date: 1 });
 appointmentSchema.index({ date: 1, time: 1 });
@@ -196,6 +424,10 @@ appointmentSchema.index({ status: 1 });
 appointmentSchema.index({ type: 1 });
 appointmentSchema.index({ paymentStatus: 1 });
 appointmentSchema.index({ createdAt: -1 });
+appointmentSchema.index({ rescheduleRequired: 1 });
+appointmentSchema.index({ series: 1, date: 1 });
+appointmentSchema.index({ 'guest.email': 1 });
+appointmentSchema.index({ confirmationTokenHash: 1 }, { sparse: true });
 
 // Virtual for appointment datetime
 appointmentSchema.virtual('datetime').get(function() {
@@ -230,11 +462,13 @@ appointmentSchema.virtual('formattedTime').get(function() {
 // Virtual for appointment status in Turkish
 appointmentSchema.virtual('statusTurkish').get(function() {
   const statusMap = {
+    'pending': 'Onay Bekliyor',
     'scheduled': 'Planlandı',
     'confirmed': 'Onaylandı',
     'completed': 'Tamamlandı',
     'cancelled': 'İptal Edildi',
-    'no-show': 'Gelmedi'
+    'no-show': 'Gelmedi',
+    'late-cancelled': 'Geç İptal'
   };
   return statusMap[this.status] || this.status;
 });
@@ -245,17 +479,35 @@ appointmentSchema.virtual('typeTurkish').get(function() {
     'individual': 'Bireysel Terapi',
     'couple': 'Çift Terapisi',
     'online': 'Online Terapi',
-    'in-person': 'Yüz Yüze Terapi'
+    'in-person': 'Yüz Yüze Terapi',
+    'consultation': 'Ücretsiz Ön Görüşme'
   };
   return typeMap[this.type] || this.type;
 });
 
-// Pre-save middleware to validate appointment time
-appointmentSchema.pre('save', function(next) {
-  // Check if appointment is during business hours (9:00 - 22:00)
-  const hour = parseInt(this.time.split(':')[0]);
-  if (hour < 9 || hour > 21) {
-    return next(new Error('Appointments can only be scheduled between 9:00 and 22:00'));
+// Pre-save middleware to validate appointment time against the availability rules
+appointmentSchema.pre('save', async function() {
+  // Working hours / breaks / overrides / blackouts (same engine as the booking routes)
+  if (this.isNew || this.isModified('date') || this.isModified('time') || this.isModified('duration')) {
+    const check = await checkSlotAvailability({ date: this.date, time: this.time, duration: this.duration });
+    if (!check.valid) {
+      throw new Error(check.message);
+    }
+
+    // A valid new time resolves a blackout flag
+    if (!this.isNew && this.rescheduleRequired) {
+      this.rescheduleRequired = false;
+      this.rescheduleReason = undefined;
+      this.blackout = undefined;
+    }
+  }
+
+  // Calendar invites already sent out are superseded by the next one
+  if (!this.isNew && (
+    this.isModified('date') || this.isModified('time') || this.isModified('duration') ||
+    (this.isModified('status') && ['cancelled', 'late-cancelled'].includes(this.status))
+  )) {
+    this.calendarSequence = (this.calendarSequence || 0) + 1;
   }
 
   // Check if appointment is not in the past (only for new appointments)
@@ -265,11 +517,48 @@ appointmentSchema.pre('save', function(next) {
     appointmentDateTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
     
     if (appointmentDateTime <= new Date()) {
-      return next(new Error('Cannot schedule appointment in the past'));
+      throw new Error('Cannot schedule appointment in the past');
     }
   }
+});
+
+// Overlap check under the locks of the days the session touches, held until
+// the document is stored. Registered after the other save hooks, so the locks
+// are only held for the check and the write.
+appointmentSchema.pre('save', async function() {
+  const timeChanged = this.isNew || this.isModified('date') || this.isModified('time') ||
+    this.isModified('duration') || this.isModified('status');
+  if (!timeChanged || !ACTIVE_STATUSES.includes(this.status)) return;
+
+  const settings = await getAvailabilitySettings();
+  const release = await lockBookingDays(bookingDays(this, settings.bufferMinutes || 0));
+  try {
+    const conflict = await findConflictingAppointment({
+      date: this.date,
+      time: this.time,
+      duration: this.duration,
+      excludeId: this._id
+    }, settings);
+    if (conflict) throw slotTakenError(conflict);
+  } catch (error) {
+    await release();
+    throw error;
+  }
+  this.$locals.releaseBookingLock = release;
+});
 
-  next();
+const releaseBookingLock = async (doc) => {
+  const release = doc.$locals.releaseBookingLock;
+  delete doc.$locals.releaseBookingLock;
+  if (release) await release();
+};
+
+appointmentSchema.post('save', async function(doc) {
+  await releaseBookingLock(doc);
+});
+
+appointmentSchema.post('save', function(error, doc, next) {
+  releaseBookingLock(doc).then(() => next(error), next);
 });
 
 // Method to check if appointment can be cancelled
@@ -308,7 +597,8 @@ appointmentSchema.methods.confirm = function() {
 // Method to complete appointment
 appointmentSchema.methods.complete = function(sessionNotes) {
   this.status = 'completed';
-  this.sessionNotes = sessionNotes;
+  // Notes sent with the call replace the old ones; without them they are kept
+  if (sessionNotes !== undefined) this.sessionNotes = sessionNotes;
   return this.save();
 };
 
@@ -318,6 +608,15 @@ appointmentSchema.methods.markAsNoShow = function() {
   return this.save();
 };
 
+// Static method returning who to contact about an appointment: the populated
+// user, or the guest details of a booking made without an account.
+// Works for mock-mode plain objects too.
+appointmentSchema.statics.clientOf = function(appointment) {
+  if (appointment.user && appointment.user.email) return appointment.user;
+  if (appointment.guest && appointment.guest.email) return appointment.guest;
+  return null;
+};
+
 // Static method to find appointments by date range
 appointmentSchema.statics.findByDateRange = function(startDate, endDate) {
   return this.find({
@@ -343,19 +642,4 @@ appointmentSchema.statics.findUpcoming = function() {
   }).populate('user', 'name email phone');
 };
 
-// Static method to find appointments needing reminders
-appointmentSchema.statics.findNeedingReminders = function() {
-  const now = new Date();
-  const reminderTimes = [
-    new Date(now.getTime() + 24 * 60 * 60 * 1000), // 24 hours
-    new Date(now.getTime() + 2 * 60 * 60 * 1000)   // 2 hours
-  ];
-
-  return this.find({
-    date: { $in: reminderTimes },
-    status: { $in: ['scheduled', 'confirmed'] },
-    'reminders.sent': false
-  }).populate('user', 'name email phone');
-};
-
 module.exports = mongoose.model('Appointment', appointmentSchema);
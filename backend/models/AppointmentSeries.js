@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AppointmentSeries:
+ *       type: object
+ *       required:
+ *         - user
+ *         - startDate
+ *         - time
+ *         - type
+ *         - frequency
+ *       properties:
+ *         _id:
+ *           type: string
+ *         user:
+ *           type: string
+ *           description: Reference to the client
+ *         frequency:
+ *           type: string
+ *           enum: [weekly, biweekly]
+ *         dayOfWeek:
+ *           type: number
+ *           description: 0 = Sunday ... 6 = Saturday
+ *         startDate:
+ *           type: string
+ *           example: "2026-11-03"
+ *         endDate:
+ *           type: string
+ *           description: Date of the last planned occurrence
+ *         occurrences:
+ *           type: number
+ *           description: Number of planned occurrences
+ *         time:
+ *           type: string
+ *           example: "18:00"
+ *         duration:
+ *           type: number
+ *         type:
+ *           type: string
+ *           enum: [individual, couple, online, in-person]
+ *         price:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [active, cancelled]
+ *         skipped:
+ *           type: array
+ *           description: Planned dates that were not booked (closed day or conflict)
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ */
+
+// Tekrarlayan seans serisi. Her seans ayrı bir Appointment dokümanı olarak
+// oluşturulur ve `series` alanıyla bu dokümana bağlanır.
+const appointmentSeriesSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  frequency: {
+    type: String,
+    enum: {
+      values: ['weekly', 'biweekly'],
+      message: 'Frequency must be weekly or biweekly'
+    },
+    required: [true, 'Frequency is required']
+  },
+  dayOfWeek: {
+    type: Number,
+    min: 0,
+    max: 6
+  },
+  startDate: {
+    type: String,
+    required: [true, 'Start date is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Start date must be YYYY-MM-DD']
+  },
+  endDate: {
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'End date must be YYYY-MM-DD']
+  },
+  occurrences: {
+    type: Number,
+    min: [1, 'A series needs at least one occurrence'],
+    max: [52, 'A series cannot exceed 52 occurrences']
+  },
+  time: {
+    type: String,
+    required: [true, 'Time is required'],
+    match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide a valid time format (HH:MM)']
+  },
+  duration: {
+    type: Number,
+    default: 50,
+    min: [30, 'Duration must be at least 30 minutes'],
+    max: [120, 'Duration cannot exceed 120 minutes']
+  },
+  type: {
+    type: String,
+    required: [true, 'Appointment type is required'],
+    enum: {
+      values: ['individual', 'couple', 'online', 'in-person'],
+      message: 'Appointment type must be individual, couple, online, or in-person'
+    }
+  },
+  price: {
+    type: Number,
+    default: 0,
+    min: [0, 'Price cannot be negative']
+  },
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  skipped: [{
+    _id: false,
+    date: String,
+    reason: String
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+appointmentSeriesSchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
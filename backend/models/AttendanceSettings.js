@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AttendanceSettings:
+ *       type: object
+ *       properties:
+ *         autoResolve:
+ *           type: object
+ *           description: Settle sessions nobody recorded an outcome for. Off by default; every auto-resolution is reported to the practice by email.
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *               default: false
+ *             afterDays:
+ *               type: integer
+ *               default: 7
+ *               description: Days after the session before it is settled automatically
+ *             outcome:
+ *               type: string
+ *               enum: [completed, no-show]
+ *               default: completed
+ *         noShowPolicy:
+ *           type: object
+ *           properties:
+ *             threshold:
+ *               type: integer
+ *               default: 3
+ *               description: No-shows within the window that flag a client
+ *             windowDays:
+ *               type: integer
+ *               default: 180
+ *             countLateCancellations:
+ *               type: boolean
+ *               default: true
+ *             action:
+ *               type: string
+ *               enum: [flag, block]
+ *               default: flag
+ *               description: flag only marks the client for the practice; block also stops online booking
+ */
+
+// Seans sonucu bekleyen randevuların otomatik kapatılması ve gelmeme politikası
+// (tekil doküman).
+const attendanceSettingsSchema = new mongoose.Schema({
+  autoResolve: {
+    enabled: { type: Boolean, default: false },
+    afterDays: { type: Number, default: 7, min: 1, max: 60 },
+    outcome: { type: String, enum: ['completed', 'no-show'], default: 'completed' }
+  },
+  noShowPolicy: {
+    threshold: { type: Number, default: 3, min: 1, max: 20 },
+    windowDays: { type: Number, default: 180, min: 7, max: 730 },
+    countLateCancellations: { type: Boolean, default: true },
+    action: { type: String, enum: ['flag', 'block'], default: 'flag' }
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('AttendanceSettings', attendanceSettingsSchema);
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       description: One sensitive action. Entries are never changed; each carries the hash of the one before it.
+ *       properties:
+ *         seq:
+ *           type: integer
+ *           description: Position in the chain, starting at 1
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         actor:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *             role:
+ *               type: string
+ *         action:
+ *           type: string
+ *           enum: [client.view, appointment.status, user.status, user.role, user.unlock, site-settings.update, site-settings.reset, audit-log.export]
+ *         target:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [user, appointment, site-settings, audit-log]
+ *             id:
+ *               type: string
+ *             label:
+ *               type: string
+ *         changes:
+ *           type: array
+ *           description: Changed fields by dotted path
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: status
+ *               from: {}
+ *               to: {}
+ *         ipAddress:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         prevHash:
+ *           type: string
+ *           description: hash of the entry before (64 zeros for the first)
+ *         hash:
+ *           type: string
+ *           description: SHA-256 of this entry's fields and prevHash
+ */
+
+// Hassas işlemlerin değiştirilemez kaydı (KVKK). Kayıtlar yalnızca eklenir;
+// uygulama üzerinden güncellenemez ve silinemez. Her kayıt bir öncekinin
+// özetini taşır, veritabanında doğrudan yapılan değişiklikler zincirin
+// doğrulanmasında ortaya çıkar.
+const auditLogSchema = new mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  createdAt: {
+    type: Date,
+    required: true
+  },
+  actor: {
+    id: { type: String },
+    name: { type: String },
+    email: { type: String },
+    role: { type: String }
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: { type: String },
+    id: { type: String },
+    label: { type: String }
+  },
+  // [{ field: 'general.phone', from, to }]
+  changes: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1 });
+auditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+
+const appendOnly = function (next) {
+  next(new Error('Audit log entries cannot be changed or removed'));
+};
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  appendOnly
+);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuthSession:
+ *       type: object
+ *       description: A login on one device. Its refresh token is replaced on every refresh.
+ *       properties:
+ *         user:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         ipAddress:
+ *           type: string
+ *         twoFactor:
+ *           type: boolean
+ *           description: The login passed two-factor authentication
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Set at login; refreshing does not extend it
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedReason:
+ *           type: string
+ *           enum: [logout, logout-all, reuse, password-reset, password-change]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Bir cihazdaki oturum. Her yenilemede yeni bir refresh token verilir; yalnızca
+// son verilen geçerlidir. Eski bir token tekrar gelirse çalınmış sayılır ve
+// oturumun tamamı kapatılır. MongoDB süresi dolan oturumları kendiliğinden siler.
+const authSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Geçerli refresh token'ın kimliğinin (jti) SHA-256 özeti
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ipAddress: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Girişte iki adımlı doğrulama kodu da girildi
+  twoFactor: {
+    type: Boolean,
+    default: false
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'reuse', 'password-reset', 'password-change']
+  }
+}, {
+  timestamps: true
+});
+
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const breakSchema = new mongoose.Schema({
+  start: { type: String, required: true, match: [TIME_PATTERN, 'Break start must be HH:MM'] },
+  end: { type: String, required: true, match: [TIME_PATTERN, 'Break end must be HH:MM'] },
+  label: { type: String, trim: true, default: '' }
+}, { _id: false });
+
+const weeklyHoursSchema = new mongoose.Schema({
+  dayOfWeek: { type: Number, required: true, min: 0, max: 6 }, // 0 = Pazar
+  isOpen: { type: Boolean, default: true },
+  start: { type: String, default: '09:00', match: [TIME_PATTERN, 'Start must be HH:MM'] },
+  end: { type: String, default: '22:00', match: [TIME_PATTERN, 'End must be HH:MM'] },
+  breaks: [breakSchema]
+}, { _id: false });
+
+// Tek bir güne özel çalışma saati (ör. erken kapanış, normalde kapalı bir günde açılış).
+const overrideSchema = new mongoose.Schema({
+  date: { type: String, required: true, match: [/^\d{4}-\d{2}-\d{2}$/, 'Override date must be YYYY-MM-DD'] },
+  isOpen: { type: Boolean, default: true },
+  start: { type: String, match: [TIME_PATTERN, 'Start must be HH:MM'] },
+  end: { type: String, match: [TIME_PATTERN, 'End must be HH:MM'] },
+  breaks: [breakSchema],
+  note: { type: String, trim: true, default: '' }
+}, { _id: false });
+
+const availabilitySettingsSchema = new mongoose.Schema({
+  weeklyHours: [weeklyHoursSchema],
+  overrides: [overrideSchema],
+  bufferMinutes: { type: Number, default: 10, min: 0, max: 120 },
+  slotIntervalMinutes: { type: Number, min: 5, max: 240 },
+  defaultDuration: { type: Number, default: 50, min: 30, max: 120 }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('AvailabilitySettings', availabilitySettingsSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Blackout:
+ *       type: object
+ *       required:
+ *         - title
+ *         - startDate
+ *         - endDate
+ *       properties:
+ *         _id:
+ *           type: string
+ *         title:
+ *           type: string
+ *           example: "Kurban Bayramı"
+ *         type:
+ *           type: string
+ *           enum: [holiday, vacation, training, other]
+ *         startDate:
+ *           type: string
+ *           example: "2026-05-27"
+ *         endDate:
+ *           type: string
+ *           example: "2026-05-30"
+ *         startTime:
+ *           type: string
+ *           description: Half-day closure start on each day of the range (empty = opening time)
+ *         endTime:
+ *           type: string
+ *           description: Half-day closure end on each day of the range (empty = closing time)
+ *         note:
+ *           type: string
+ *         source:
+ *           type: string
+ *           enum: [manual, official]
+ *         holidayKey:
+ *           type: string
+ *           description: Set for imported official holidays, e.g. "2026-kurban-bayrami"
+ */
+
+// Kapalı dönem: tatil, izin, eğitim vb. Saat verilmezse gün(ler) tamamen kapalıdır.
+const blackoutSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [120, 'Title cannot exceed 120 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['holiday', 'vacation', 'training', 'other'],
+      message: 'Type must be holiday, vacation, training, or other'
+    },
+    default: 'other'
+  },
+  startDate: {
+    type: String,
+    required: [true, 'Start date is required'],
+    match: [DATE_PATTERN, 'Start date must be YYYY-MM-DD']
+  },
+  endDate: {
+    type: String,
+    required: [true, 'End date is required'],
+    match: [DATE_PATTERN, 'End date must be YYYY-MM-DD']
+  },
+  startTime: {
+    type: String,
+    match: [TIME_PATTERN, 'Start time must be HH:MM']
+  },
+  endTime: {
+    type: String,
+    match: [TIME_PATTERN, 'End time must be HH:MM']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Note cannot exceed 300 characters'],
+    default: ''
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'official'],
+    default: 'manual'
+  },
+  holidayKey: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+blackoutSchema.index({ startDate: 1, endDate: 1 });
+blackoutSchema.index({ holidayKey: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Blackout', blackoutSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Randevu kilidi: aynı güne düşen randevular sırayla kaydedilir, böylece
+// çakışma kontrolü ile kayıt arasında başka bir randevu araya giremez.
+// Süresi dolan kilit başka bir istek tarafından alınabilir; MongoDB de süresi
+// dolan kilitleri kendiliğinden siler (TTL index).
+const bookingLockSchema = new mongoose.Schema({
+  // Day, e.g. "2026-03-02"
+  _id: {
+    type: String
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+bookingLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('BookingLock', bookingLockSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CalendarFeed:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         user:
+ *           type: string
+ *           description: Owner of the feed URL
+ *         scope:
+ *           type: string
+ *           enum: [client, practice]
+ *           description: client = the owner's own appointments, practice = the full schedule (admins only)
+ *         lastAccessedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Takvim uygulamalarının abone olduğu salt okunur iCal adresi.
+// Adresteki token yalnızca hash olarak saklanır; yeni token eskisini geçersiz kılar.
+const calendarFeedSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['client', 'practice'],
+    default: 'client'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  lastAccessedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One feed URL per user and scope
+calendarFeedSchema.index({ user: 1, scope: 1 }, { unique: true });
+
+module.exports = mongoose.model('CalendarFeed', calendarFeedSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Campaign:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *           description: Internal name, not shown to recipients
+ *         subject:
+ *           type: string
+ *         message:
+ *           type: string
+ *           description: Plain text; line breaks are kept
+ *         segment:
+ *           type: object
+ *           properties:
+ *             key:
+ *               type: string
+ *               example: recentClients
+ *             days:
+ *               type: integer
+ *               description: Time window of the segment, where it has one
+ *             role:
+ *               type: string
+ *               enum: [all, user, admin]
+ *               description: Role filter of the allUsers segment
+ *         status:
+ *           type: string
+ *           enum: [draft, scheduled, sending, sent, cancelled]
+ *         scheduledAt:
+ *           type: string
+ *           format: date-time
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the emails were queued
+ *         recipientCount:
+ *           type: integer
+ *         createdBy:
+ *           type: string
+ */
+
+// Toplu e-posta kampanyası. Alıcılar gönderim anında segmentten belirlenir.
+const campaignSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 10000
+  },
+  segment: {
+    key: {
+      type: String,
+      required: true
+    },
+    days: {
+      type: Number,
+      min: 1,
+      max: 3650
+    },
+    role: {
+      type: String,
+      enum: ['all', 'user', 'admin']
+    }
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'sending', 'sent', 'cancelled'],
+    default: 'draft'
+  },
+  scheduledAt: {
+    type: Date
+  },
+  sentAt: {
+    type: Date
+  },
+  recipientCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Aynı duyurunun iki kez oluşturulmasını önler (Idempotency-Key)
+  idempotencyKey: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+campaignSchema.index({ status: 1, scheduledAt: 1 });
+campaignSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Campaign', campaignSchema);
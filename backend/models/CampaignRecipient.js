@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CampaignRecipient:
+ *       type: object
+ *       properties:
+ *         campaign:
+ *           type: string
+ *         email:
+ *           type: string
+ *         name:
+ *           type: string
+ *         list:
+ *           type: string
+ *           description: Mailing list whose consent the email needs, e.g. campaigns
+ *         status:
+ *           type: string
+ *           enum: [queued, sent, failed, skipped]
+ *           description: skipped when the recipient unsubscribed or the campaign was cancelled before the email went out
+ *         error:
+ *           type: string
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *         openedAt:
+ *           type: string
+ *           format: date-time
+ *           description: First time the email was opened (images loaded)
+ *         opens:
+ *           type: integer
+ *         unsubscribedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Kampanyanın tek bir alıcısı; teslim ve açılma bilgisi burada tutulur.
+const campaignRecipientSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String
+  },
+  list: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed', 'skipped'],
+    default: 'queued'
+  },
+  error: {
+    type: String,
+    maxlength: 500
+  },
+  // Açılma takibi görselinin adresindeki rastgele anahtar
+  trackingToken: {
+    type: String,
+    required: true
+  },
+  sentAt: {
+    type: Date
+  },
+  openedAt: {
+    type: Date
+  },
+  opens: {
+    type: Number,
+    default: 0
+  },
+  unsubscribedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+campaignRecipientSchema.index({ campaign: 1, email: 1 }, { unique: true });
+campaignRecipientSchema.index({ trackingToken: 1 }, { unique: true });
+
+module.exports = mongoose.model('CampaignRecipient', campaignRecipientSchema);
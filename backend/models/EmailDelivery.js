@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EmailDelivery:
+ *       type: object
+ *       properties:
+ *         to:
+ *           type: string
+ *         subject:
+ *           type: string
+ *         template:
+ *           type: string
+ *           description: Email template the message was rendered from
+ *         status:
+ *           type: string
+ *           enum: [sent, failed]
+ *           description: failed when every transport refused the message
+ *         transport:
+ *           type: string
+ *           enum: [smtp, resend, file]
+ *           description: Transport that accepted the message
+ *         messageId:
+ *           type: string
+ *           description: Message ID returned by the provider
+ *         attempts:
+ *           type: array
+ *           description: Transports that failed before, in the order they were tried
+ *           items:
+ *             type: object
+ *             properties:
+ *               transport:
+ *                 type: string
+ *               error:
+ *                 type: string
+ *               durationMs:
+ *                 type: integer
+ *         durationMs:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Başarısız olan her sağlayıcı denemesi
+const attemptSchema = new mongoose.Schema({
+  transport: {
+    type: String,
+    required: true
+  },
+  error: {
+    type: String,
+    maxlength: 500
+  },
+  durationMs: {
+    type: Number
+  }
+}, { _id: false });
+
+// Gönderilen (veya hiçbir sağlayıcının kabul etmediği) her e-postanın kaydı (90 gün saklanır).
+const emailDeliverySchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String
+  },
+  template: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  transport: {
+    type: String
+  },
+  messageId: {
+    type: String
+  },
+  attempts: [attemptSchema],
+  durationMs: {
+    type: Number
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+emailDeliverySchema.index({ status: 1, createdAt: -1 });
+emailDeliverySchema.index({ to: 1, createdAt: -1 });
+emailDeliverySchema.index({ messageId: 1 });
+emailDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('EmailDelivery', emailDeliverySchema);
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EmailTemplate:
+ *       type: object
+ *       description: Admin-edited wording of a built-in email template. Only templates that exist in backend/templates/email can be customized.
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: appointmentReminder
+ *         subject:
+ *           type: string
+ *         html:
+ *           type: string
+ *           description: HTML body, wrapped in the shared layout
+ *         text:
+ *           type: string
+ *           description: Plain-text body
+ *         version:
+ *           type: integer
+ *           description: Version currently in use
+ *         active:
+ *           type: boolean
+ *           description: false after a reset; the built-in template is used and the history is kept
+ *         versions:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               version:
+ *                 type: integer
+ *               subject:
+ *                 type: string
+ *               html:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *               savedBy:
+ *                 type: string
+ *               savedAt:
+ *                 type: string
+ *                 format: date-time
+ *               note:
+ *                 type: string
+ *         lastRenderError:
+ *           type: object
+ *           description: Last time this version failed to render and the built-in template was sent instead
+ *           properties:
+ *             version:
+ *               type: integer
+ *             message:
+ *               type: string
+ *             at:
+ *               type: string
+ *               format: date-time
+ */
+
+// Bir şablonun kayıtlı her sürümü; geri almak için saklanır.
+const versionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  savedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  savedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    maxlength: 200
+  }
+}, { _id: false });
+
+// Admin panelinden düzenlenen e-posta şablonu (şablon başına bir belge).
+const emailTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  versions: [versionSchema],
+  lastRenderError: {
+    version: Number,
+    message: String,
+    at: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('EmailTemplate', emailTemplateSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Zamanlanmış görev kilidi: aynı görev aynı anda yalnızca bir sunucuda çalışır.
+// Süresi dolan kilit başka bir sunucu tarafından alınabilir; MongoDB de süresi
+// dolan kilitleri kendiliğinden siler (TTL index).
+const jobLockSchema = new mongoose.Schema({
+  // Job name, e.g. "reminders"
+  _id: {
+    type: String
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+jobLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
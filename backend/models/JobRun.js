@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     JobRun:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Scheduled job, e.g. reminders, outbox, cleanup
+ *         instance:
+ *           type: string
+ *           description: Server process that ran the job (host:pid)
+ *         status:
+ *           type: string
+ *           enum: [running, completed, failed]
+ *           description: A completed run can still list items that failed
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *         durationMs:
+ *           type: integer
+ *         processed:
+ *           type: integer
+ *         errorMessages:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Why the run failed, or the items that failed in a completed run (at most 20)
+ */
+
+// Zamanlanmış görevlerin çalışma geçmişi (30 gün saklanır).
+const jobRunSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  instance: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  durationMs: {
+    type: Number
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  errorMessages: [{
+    type: String,
+    maxlength: 500
+  }]
+}, {
+  versionKey: false
+});
+
+jobRunSchema.index({ name: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NewsletterPost:
+ *       type: object
+ *       description: A blog post announced to newsletter subscribers
+ *       properties:
+ *         post:
+ *           type: string
+ *           description: Id of the blog post
+ *         title:
+ *           type: string
+ *         summary:
+ *           type: string
+ *         slug:
+ *           type: string
+ *         category:
+ *           type: string
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
+ *         withdrawnAt:
+ *           type: string
+ *           format: date-time
+ *           description: Set when the post was deleted or unpublished; it is left out of digests
+ */
+
+// Bültende duyurulacak blog yazısı. Yazının o anki başlığı ve özeti saklanır,
+// böylece özet e-postası blog kaydına ulaşmadan hazırlanabilir.
+const newsletterPostSchema = new mongoose.Schema({
+  post: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  summary: {
+    type: String
+  },
+  slug: {
+    type: String
+  },
+  category: {
+    type: String
+  },
+  publishedAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  withdrawnAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('NewsletterPost', newsletterPostSchema);
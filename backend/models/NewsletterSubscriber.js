@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NewsletterSubscriber:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: string
+ *         name:
+ *           type: string
+ *         frequency:
+ *           type: string
+ *           enum: [immediate, weekly, monthly]
+ *           description: How often the new-post digest is sent
+ *         status:
+ *           type: string
+ *           enum: [pending, active, unsubscribed]
+ *           description: pending until the address is confirmed from the emailed link (double opt-in)
+ *         source:
+ *           type: string
+ *           description: Page the subscription came from, e.g. blog-hub or a post slug
+ *         confirmedAt:
+ *           type: string
+ *           format: date-time
+ *         lastDigestAt:
+ *           type: string
+ *           format: date-time
+ *         unsubscribedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Blog bültenine abone olan okuyucu; hesap gerektirmez.
+const newsletterSubscriberSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  frequency: {
+    type: String,
+    enum: ['immediate', 'weekly', 'monthly'],
+    default: 'weekly'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'unsubscribed'],
+    default: 'pending'
+  },
+  // Onay bağlantısındaki anahtarın SHA-256 özeti; anahtarın kendisi saklanmaz
+  confirmationTokenHash: {
+    type: String,
+    index: true
+  },
+  confirmationExpires: {
+    type: Date
+  },
+  lastConfirmationSentAt: {
+    type: Date
+  },
+  confirmedAt: {
+    type: Date
+  },
+  kvkkConsent: {
+    acceptedAt: Date,
+    version: String,
+    ipAddress: String
+  },
+  source: {
+    type: String,
+    maxlength: 100
+  },
+  // Bu tarihe kadar yayınlanan yazılar aboneye gönderildi
+  digestCursor: {
+    type: Date
+  },
+  lastDigestAt: {
+    type: Date
+  },
+  unsubscribedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+newsletterSubscriberSchema.index({ status: 1, frequency: 1 });
+
+module.exports = mongoose.model('NewsletterSubscriber', newsletterSubscriberSchema);
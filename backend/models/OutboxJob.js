@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OutboxJob:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [email, reminder, campaign, newsletter]
+ *         payload:
+ *           type: object
+ *           description: What the job sends (email options, or the appointment and channel of a reminder)
+ *         status:
+ *           type: string
+ *           enum: [queued, processing, sent, failed, dead]
+ *           description: failed jobs are retried at nextAttemptAt; dead ones only by hand
+ *         attempts:
+ *           type: integer
+ *         maxAttempts:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         lastError:
+ *           type: string
+ *         idempotencyKey:
+ *           type: string
+ *           description: The same key is only ever queued once
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Gönderim kuyruğu: e-postalar ve hatırlatmalar burada bekler, hata alırsa
+// artan aralıklarla yeniden denenir.
+const outboxJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['email', 'reminder'],
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'sent', 'failed', 'dead'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String,
+    maxlength: 1000
+  },
+  idempotencyKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  sentAt: {
+    type: Date
+  },
+  // Short outcome shown in the admin view (message id, skipped reason)
+  result: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+outboxJobSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxJobSchema.index({ sentAt: 1 });
+
+module.exports = mongoose.model('OutboxJob', outboxJobSchema);
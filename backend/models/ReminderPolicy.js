@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReminderRule:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           example: "two-hours"
+ *           description: Stable identifier clients refer to in their preferences
+ *         label:
+ *           type: string
+ *           example: "2 saat önce"
+ *         minutesBefore:
+ *           type: integer
+ *           description: Offset from the session start (either this or dayBeforeAt)
+ *         dayBeforeAt:
+ *           type: string
+ *           example: "20:00"
+ *           description: Fixed time on the day before the session
+ *         channels:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [email, sms]
+ *         enabledByDefault:
+ *           type: boolean
+ *           description: Used for clients who have not picked their own reminder times
+ *     ReminderPolicy:
+ *       type: object
+ *       properties:
+ *         rules:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ReminderRule'
+ *         quietHours:
+ *           type: object
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *             start:
+ *               type: string
+ *               example: "22:00"
+ *             end:
+ *               type: string
+ *               example: "08:00"
+ */
+
+const reminderRuleSchema = new mongoose.Schema({
+  key: { type: String, required: true, trim: true, match: [/^[a-z0-9-]+$/, 'Rule key may only contain a-z, 0-9 and -'] },
+  label: { type: String, required: true, trim: true, maxlength: 60 },
+  minutesBefore: { type: Number, min: 15, max: 10080 },
+  dayBeforeAt: { type: String, match: [TIME_PATTERN, 'dayBeforeAt must be HH:MM'] },
+  channels: [{ type: String, enum: ['email', 'sms'] }],
+  enabledByDefault: { type: Boolean, default: true }
+}, { _id: false });
+
+// Hatırlatma zamanları ve sessiz saatler (tekil doküman, çalışma saatleri gibi).
+const reminderPolicySchema = new mongoose.Schema({
+  rules: [reminderRuleSchema],
+  quietHours: {
+    enabled: { type: Boolean, default: true },
+    start: { type: String, default: '22:00', match: [TIME_PATTERN, 'Quiet hours start must be HH:MM'] },
+    end: { type: String, default: '08:00', match: [TIME_PATTERN, 'Quiet hours end must be HH:MM'] }
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ReminderPolicy', reminderPolicySchema);
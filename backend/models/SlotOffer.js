@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SlotOffer:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         entry:
+ *           type: string
+ *           description: Waitlist entry the offer was made to
+ *         user:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date
+ *         time:
+ *           type: string
+ *           example: "18:00"
+ *         duration:
+ *           type: number
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [pending, claimed, declined, expired, withdrawn]
+ *         appointment:
+ *           type: string
+ *           description: Appointment booked when the offer was claimed
+ */
+
+// Boşalan bir saat için bekleme listesindeki bir danışana yapılan teklif.
+// Bağlantıdaki token yalnızca hash olarak saklanır.
+const slotOfferSchema = new mongoose.Schema({
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WaitlistEntry',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  time: {
+    type: String,
+    required: true
+  },
+  duration: {
+    type: Number,
+    required: true
+  },
+  // YYYY-MM-DD HH:MM; one slot can be offered to several people in turn
+  slotKey: {
+    type: String,
+    required: true
+  },
+  sourceAppointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'claimed', 'declined', 'expired', 'withdrawn'],
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  }
+}, {
+  timestamps: true
+});
+
+slotOfferSchema.index({ status: 1, expiresAt: 1 });
+slotOfferSchema.index({ slotKey: 1, entry: 1 });
+
+module.exports = mongoose.model('SlotOffer', slotOfferSchema);
@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { ROLES } = require('../utils/permissions');
+const { encryptedFields } = require('../utils/fieldEncryption');
 
 /**
  * @swagger
@@ -32,9 +34,12 @@ const jwt = require('jsonwebtoken');
  *           description: User's phone number
  *         role:
  *           type: string
- *           enum: [user, admin]
+ *           enum: [user, admin, therapist, assistant]
  *           default: user
- *           description: User's role in the system
+ *           description: |
+ *             user is a client. The others log in to the admin panel with the
+ *             permissions of their role (utils/permissions.js); admin is the
+ *             practice owner and has all of them.
  *         isActive:
  *           type: boolean
  *           default: true
@@ -47,6 +52,59 @@ const jwt = require('jsonwebtoken');
  *           type: string
  *           format: date-time
  *           description: Last login timestamp
+ *         loginAttempts:
+ *           type: object
+ *           description: Failed logins in a row; too many lock the account for a while
+ *           properties:
+ *             failedCount:
+ *               type: integer
+ *             lastFailedAt:
+ *               type: string
+ *               format: date-time
+ *             lockedUntil:
+ *               type: string
+ *               format: date-time
+ *         twoFactor:
+ *           type: object
+ *           description: Authenticator app codes as a second login step (admins)
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *               default: false
+ *             enabledAt:
+ *               type: string
+ *               format: date-time
+ *         notificationPreferences:
+ *           type: object
+ *           properties:
+ *             reminders:
+ *               type: object
+ *               description: Channels the client wants appointment reminders on
+ *               properties:
+ *                 email:
+ *                   type: boolean
+ *                   default: true
+ *                 sms:
+ *                   type: boolean
+ *                   default: true
+ *                 schedule:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Keys of the reminder policy rules the client picked; unset means the policy defaults
+ *             campaigns:
+ *               type: object
+ *               description: Consent to announcement and campaign emails (ETK); off until the client opts in
+ *               properties:
+ *                 email:
+ *                   type: boolean
+ *                   default: false
+ *                 consentedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 unsubscribedAt:
+ *                   type: string
+ *                   format: date-time
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -89,9 +147,10 @@ const userSchema = new mongoose.Schema({
       'Please provide a valid Turkish phone number'
     ]
   },
+  // Danışanlar 'user'; diğer roller yönetim paneline rollerinin izinleriyle girer (utils/permissions)
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   isActive: {
@@ -117,6 +176,63 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Bu andan önce verilen ve oturuma bağlı olmayan erişim token'ları geçersizdir
+  tokensValidAfter: {
+    type: Date
+  },
+  // Hesap bazında hatalı giriş sayacı; çok sayıda hata hesabı geçici olarak kilitler
+  loginAttempts: {
+    // Art arda hatalı şifre ya da doğrulama kodu sayısı
+    failedCount: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: {
+      type: Date
+    },
+    lastFailedIp: {
+      type: String
+    },
+    lockedUntil: {
+      type: Date
+    },
+    // Arka arkaya gelen kilitler; her yeni kilit bir öncekinin iki katı sürer
+    lockouts: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Yönetici girişinde ikinci adım: authenticator uygulamasının ürettiği kod (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date
+    },
+    // Uygulamayla paylaşılan anahtar (base32)
+    secret: {
+      type: String,
+      select: false
+    },
+    // Kurulumu kodla henüz onaylanmamış anahtar
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Tek kullanımlık kurtarma kodlarının SHA-256 özetleri; kullanılan kod silinir
+    recoveryCodes: {
+      type: [String],
+      select: false,
+      default: undefined
+    },
+    // Son kabul edilen kodun zaman adımı; aynı kod ikinci kez geçmez
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
+  },
   profile: {
     dateOfBirth: {
       type: Date
@@ -139,6 +255,7 @@ const userSchema = new mongoose.Schema({
       phone: String,
       relationship: String
     },
+    // Sigorta şirketi, ilaçlar, alerjiler ve rahatsızlıklar şifreli saklanır
     medicalInfo: {
       hasInsurance: {
         type: Boolean,
@@ -153,6 +270,35 @@ const userSchema = new mongoose.Schema({
       allergies: [String],
       medicalConditions: [String]
     }
+  },
+  notificationPreferences: {
+    reminders: {
+      email: {
+        type: Boolean,
+        default: true
+      },
+      sms: {
+        type: Boolean,
+        default: true
+      },
+      schedule: {
+        type: [String],
+        default: undefined
+      }
+    },
+    // Duyuru/kampanya e-postaları için açık rıza (ETK); varsayılan olarak kapalı
+    campaigns: {
+      email: {
+        type: Boolean,
+        default: false
+      },
+      consentedAt: {
+        type: Date
+      },
+      unsubscribedAt: {
+        type: Date
+      }
+    }
   }
 }, {
   timestamps: true,
@@ -160,6 +306,15 @@ const userSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+userSchema.plugin(encryptedFields, {
+  paths: [
+    'profile.medicalInfo.insuranceProvider',
+    'profile.medicalInfo.currentMedications',
+    'profile.medicalInfo.allergies',
+    'profile.medicalInfo.medicalConditions'
+  ]
+});
+
 // Index for better query performance
 // Note: email index is automatically created by unique: true
 userSchema.index({ phone: 1 });
@@ -178,6 +333,7 @@ userSchema.virtual('fullProfile').get(function() {
     emailVerified: this.emailVerified,
     lastLogin: this.lastLogin,
     profile: this.profile,
+    notificationPreferences: this.notificationPreferences,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
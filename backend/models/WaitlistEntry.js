@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WaitlistEntry:
+ *       type: object
+ *       required:
+ *         - user
+ *       properties:
+ *         _id:
+ *           type: string
+ *         user:
+ *           type: string
+ *           description: Reference to the client
+ *         preferredDays:
+ *           type: array
+ *           description: Acceptable weekdays (0 = Sunday ... 6 = Saturday); empty means any day
+ *           items:
+ *             type: number
+ *         timeRanges:
+ *           type: array
+ *           description: Acceptable start-time windows; empty means any time
+ *           items:
+ *             type: object
+ *             properties:
+ *               start:
+ *                 type: string
+ *                 example: "17:00"
+ *               end:
+ *                 type: string
+ *                 example: "20:00"
+ *         fromDate:
+ *           type: string
+ *           example: "2026-11-01"
+ *         untilDate:
+ *           type: string
+ *           example: "2026-12-31"
+ *         type:
+ *           type: string
+ *           enum: [individual, couple, online, in-person]
+ *         position:
+ *           type: number
+ *           description: Queue order, lower comes first
+ *         status:
+ *           type: string
+ *           enum: [waiting, booked, removed]
+ */
+
+// Bekleme listesi kaydı. Boşalan bir saat bu tercihlere uyuyorsa, sıradaki
+// danışana e-posta ile süreli bir teklif gönderilir (bkz. SlotOffer).
+const waitlistEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  preferredDays: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  timeRanges: [{
+    _id: false,
+    start: {
+      type: String,
+      required: true,
+      match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide a valid time format (HH:MM)']
+    },
+    end: {
+      type: String,
+      required: true,
+      match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide a valid time format (HH:MM)']
+    }
+  }],
+  fromDate: {
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'From date must be YYYY-MM-DD']
+  },
+  untilDate: {
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Until date must be YYYY-MM-DD']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['individual', 'couple', 'online', 'in-person'],
+      message: 'Appointment type must be individual, couple, online, or in-person'
+    },
+    default: 'individual'
+  },
+  duration: {
+    type: Number,
+    min: [30, 'Duration must be at least 30 minutes'],
+    max: [120, 'Duration cannot exceed 120 minutes']
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  position: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'booked', 'removed'],
+    default: 'waiting'
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  }
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.index({ status: 1, position: 1 });
+waitlistEntrySchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -1,15 +1,56 @@
 const mongoose = require("mongoose");
+const crypto = require('crypto');
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const User = require('../models/User');
 const Appointment = require('../models/Appointment');
-const { requireAdmin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 const { sendEmail } = require('../utils/emailService');
+const {
+  sampleData,
+  isKnownTemplate,
+  restoreSanitized,
+  previewEmail,
+  validateTemplateContent,
+  listTemplates,
+  getTemplateDetails,
+  saveTemplate,
+  rollbackTemplate,
+  resetTemplate
+} = require('../utils/emailTemplates');
+const { buildIcsAttachment } = require('../utils/calendar');
 const reminderJob = require('../jobs/reminderJob');
+const { getAvailabilitySettings, checkSlotAvailability, findConflictingAppointment } = require('../utils/availability');
+const { offerFreedSlot } = require('../utils/waitlist');
+const { STATUSES: JOB_STATUSES, listJobs, retryJob } = require('../utils/outbox');
+const { TRANSPORT_NAMES, DELIVERY_STATUSES, listDeliveries } = require('../utils/mailTransport');
+const { getNoShowStanding } = require('../utils/attendance');
+const { getRunHistory } = require('../utils/jobRunner');
+const { resolveAudience, createCampaign, scheduleCampaign, getCampaign, containsHtml } = require('../utils/campaigns');
+const { unlockAccount } = require('../utils/loginThrottle');
+const { ROLES } = require('../utils/permissions');
+const { ACTIONS: AUDIT_ACTIONS, TARGET_TYPES: AUDIT_TARGET_TYPES, recordAudit, listAuditLog, exportAuditLog, verifyChain } = require('../utils/auditLog');
 const router = express.Router();
 
-// All admin routes require admin authentication
-router.use(requireAdmin);
+// All admin routes need a staff role, and most a permission of it (utils/permissions.js)
+router.use(requirePermission());
+router.use(['/appointments', '/reminders'], requirePermission('appointments:manage'));
+router.use(['/jobs', '/email/deliveries', '/email/templates'], requirePermission('settings:manage'));
+
+// Client records, account changes and the audit log also want a login that passed two-factor
+router.use('/users', requirePermission('clients:read', { twoFactor: true }));
+const clientRecords = requirePermission('clients:read', { twoFactor: true });
+const manageUsers = requirePermission('users:manage', { twoFactor: true });
+router.use('/audit-log', requirePermission('audit:read', { twoFactor: true }));
+
+// Audit log targets carry a label, so entries stay readable once the record is gone
+const userTarget = (user) => ({ type: 'user', id: user._id, label: user.name });
+const appointmentTarget = (appointment) => {
+  const client = Appointment.clientOf(appointment);
+  const date = new Date(appointment.date);
+  const when = [isNaN(date) ? null : date.toISOString().split('T')[0], appointment.time].filter(Boolean).join(' ');
+  return { type: 'appointment', id: appointment._id, label: client ? `${client.name}, ${when}` : when };
+};
 
 /**
  * @swagger
@@ -195,7 +236,7 @@ router.get('/dashboard', async (req, res) => {
  *         name: role
  *         schema:
  *           type: string
- *           enum: [user, admin]
+ *           enum: [user, admin, therapist, assistant]
  *         description: Filter by role
  *       - in: query
  *         name: isActive
@@ -211,7 +252,7 @@ router.get('/dashboard', async (req, res) => {
 router.get('/users', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('role').optional().isIn(['user', 'admin']),
+  query('role').optional().isIn(ROLES),
   query('isActive').optional().isBoolean()
 ], async (req, res) => {
   try {
@@ -351,9 +392,11 @@ router.get('/users/:id', async (req, res) => {
       }
 
       const appointments = mockAppointments.filter(a => {
+        if (!a.user) return false;
         const userId = a.user._id ? a.user._id.toString() : a.user.toString();
         return userId === user._id.toString();
       });
+      await recordAudit(req, { action: 'client.view', target: userTarget(user) });
 
       return res.json({
         success: true,
@@ -378,6 +421,7 @@ router.get('/users/:id', async (req, res) => {
     const appointments = await Appointment.find({ user: user._id })
       .sort({ date: -1, time: -1 })
       .limit(10);
+    await recordAudit(req, { action: 'client.view', target: userTarget(user) });
 
     res.json({
       success: true,
@@ -416,9 +460,9 @@ router.get('/users/:id', async (req, res) => {
  *       404:
  *         description: User not found
  *       403:
- *         description: Admin access required
+ *         description: Staff access required, a role with the permission (code PERMISSION_DENIED), or a login with two-factor (code TWO_FACTOR_REQUIRED or TWO_FACTOR_SETUP_REQUIRED)
  */
-router.patch('/users/:id/toggle-status', async (req, res) => {
+router.patch('/users/:id/toggle-status', manageUsers, async (req, res) => {
   try {
     
     if (mongoose.connection.readyState !== 1) {
@@ -448,6 +492,12 @@ router.patch('/users/:id/toggle-status', async (req, res) => {
       if (mainIndex !== -1) {
         mockUsers[mainIndex].isActive = user.isActive;
       }
+      await recordAudit(req, {
+        action: 'user.status',
+        target: userTarget(user),
+        before: { isActive: !user.isActive },
+        after: { isActive: user.isActive }
+      });
 
       return res.json({
         success: true,
@@ -477,6 +527,12 @@ router.patch('/users/:id/toggle-status', async (req, res) => {
 
     user.isActive = !user.isActive;
     await user.save();
+    await recordAudit(req, {
+      action: 'user.status',
+      target: userTarget(user),
+      before: { isActive: !user.isActive },
+      after: { isActive: user.isActive }
+    });
 
     res.json({
       success: true,
@@ -520,7 +576,7 @@ router.patch('/users/:id/toggle-status', async (req, res) => {
  *             properties:
  *               role:
  *                 type: string
- *                 enum: [user, admin]
+ *                 enum: [user, admin, therapist, assistant]
  *                 example: "admin"
  *     responses:
  *       200:
@@ -530,12 +586,12 @@ router.patch('/users/:id/toggle-status', async (req, res) => {
  *       404:
  *         description: User not found
  *       403:
- *         description: Admin access required
+ *         description: Staff access required, a role with the permission (code PERMISSION_DENIED), or a login with two-factor (code TWO_FACTOR_REQUIRED or TWO_FACTOR_SETUP_REQUIRED)
  */
-router.patch('/users/:id/change-role', [
+router.patch('/users/:id/change-role', manageUsers, [
   body('role')
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be either user or admin')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of ${ROLES.join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -567,6 +623,12 @@ router.patch('/users/:id/change-role', [
     const oldRole = user.role;
     user.role = req.body.role;
     await user.save();
+    await recordAudit(req, {
+      action: 'user.role',
+      target: userTarget(user),
+      before: { role: oldRole },
+      after: { role: user.role }
+    });
 
     res.json({
       success: true,
@@ -584,6 +646,60 @@ router.patch('/users/:id/change-role', [
   }
 });
 
+/**
+ * @swagger
+ * /api/admin/users/{id}/unlock:
+ *   patch:
+ *     summary: Lift a login lockout (Admin only)
+ *     description: Clears the failed login count of the account and ends its lock, if any.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Account unlocked; `wasLocked` tells whether a lock was in force
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Staff access required, a role with the permission (code PERMISSION_DENIED), or a login with two-factor (code TWO_FACTOR_REQUIRED or TWO_FACTOR_SETUP_REQUIRED)
+ */
+router.patch('/users/:id/unlock', manageUsers, async (req, res) => {
+  try {
+    const result = await unlockAccount(req.params.id);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    await recordAudit(req, {
+      action: 'user.unlock',
+      target: { type: 'user', id: req.params.id },
+      before: { locked: result.wasLocked },
+      after: { locked: false }
+    });
+
+    res.json({
+      success: true,
+      message: result.wasLocked ? 'Account unlocked' : 'Account was not locked; failed logins cleared',
+      data: result
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock user'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/admin/appointments:
@@ -618,6 +734,11 @@ router.patch('/users/:id/change-role', [
  *           type: string
  *           format: date
  *         description: Filter by date
+ *       - in: query
+ *         name: rescheduleRequired
+ *         schema:
+ *           type: boolean
+ *         description: Only appointments flagged by a blackout period
  *     responses:
  *       200:
  *         description: Appointments retrieved successfully
@@ -627,8 +748,9 @@ router.patch('/users/:id/change-role', [
 router.get('/appointments', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('status').optional().isIn(['scheduled', 'confirmed', 'completed', 'cancelled', 'no-show']),
-  query('date').optional().isISO8601().withMessage('Date must be in ISO format')
+  query('status').optional().isIn(['scheduled', 'confirmed', 'completed', 'cancelled', 'no-show', 'late-cancelled']),
+  query('date').optional().isISO8601().withMessage('Date must be in ISO format'),
+  query('rescheduleRequired').optional().isBoolean().withMessage('rescheduleRequired must be boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -654,6 +776,10 @@ router.get('/appointments', [
         const dateStr = new Date(req.query.date).toDateString();
         filtered = filtered.filter(a => new Date(a.date).toDateString() === dateStr);
       }
+      if (req.query.rescheduleRequired !== undefined) {
+        const flagged = req.query.rescheduleRequired === 'true';
+        filtered = filtered.filter(a => Boolean(a.rescheduleRequired) === flagged);
+      }
       
       const paginated = filtered.slice(skip, skip + limit);
       return res.json({
@@ -679,6 +805,10 @@ router.get('/appointments', [
       nextDay.setDate(nextDay.getDate() + 1);
       filter.date = { $gte: date, $lt: nextDay };
     }
+    if (req.query.rescheduleRequired !== undefined) {
+      // Older documents have no flag at all, so "false" means "not true"
+      filter.rescheduleRequired = req.query.rescheduleRequired === 'true' ? true : { $ne: true };
+    }
 
     // Get appointments
     const appointments = await Appointment.find(filter)
@@ -742,6 +872,9 @@ router.get('/appointments', [
  *               type:
  *                 type: string
  *                 enum: [individual, couple, family, online, in-person]
+ *               duration:
+ *                 type: integer
+ *                 description: Defaults to the configured session length
  *               price:
  *                 type: number
  *               status:
@@ -756,12 +889,15 @@ router.get('/appointments', [
  *         description: Validation error
  *       403:
  *         description: Admin access required
+ *       409:
+ *         description: Overlaps an existing appointment
  */
 router.post('/appointments', [
   body('user').notEmpty().withMessage('User ID is required'),
   body('date').isISO8601().withMessage('Valid date is required'),
   body('time').notEmpty().withMessage('Time is required'),
-  body('type').isIn(['individual', 'couple', 'family', 'online', 'in-person']).withMessage('Valid type is required'),
+  body('type').isIn(['individual', 'couple', 'family', 'online', 'in-person', 'consultation']).withMessage('Valid type is required'),
+  body('duration').optional().isInt({ min: 30, max: 120 }).withMessage('Duration must be between 30 and 120 minutes'),
   body('price').optional().isNumeric().withMessage('Price must be a number')
 ], async (req, res) => {
   try {
@@ -774,6 +910,40 @@ router.post('/appointments', [
       });
     }
 
+    const settings = await getAvailabilitySettings();
+    const duration = req.body.duration || settings.defaultDuration;
+
+    // Same availability rules as client bookings
+    const availability = await checkSlotAvailability({
+      date: req.body.date,
+      time: req.body.time,
+      duration
+    }, settings);
+    if (!availability.valid) {
+      return res.status(400).json({
+        success: false,
+        message: availability.message
+      });
+    }
+
+    // Duration-aware overlap check; cancelled/completed entries never block a slot
+    if (['scheduled', 'confirmed'].includes(req.body.status || 'scheduled')) {
+      const conflict = await findConflictingAppointment({
+        date: req.body.date,
+        time: req.body.time,
+        duration
+      }, settings);
+      if (conflict) {
+        return res.status(409).json({
+          success: false,
+          message: 'Time slot is already taken',
+          data: {
+            conflict: { time: conflict.time, duration: conflict.duration }
+          }
+        });
+      }
+    }
+
     // Check if MongoDB is connected
     
     if (mongoose.connection.readyState !== 1) {
@@ -786,6 +956,7 @@ router.post('/appointments', [
         date: new Date(req.body.date),
         time: req.body.time,
         type: req.body.type,
+        duration,
         price: req.body.price,
         status: req.body.status || 'scheduled',
         notes: req.body.notes,
@@ -804,6 +975,7 @@ router.post('/appointments', [
       date: req.body.date,
       time: req.body.time,
       type: req.body.type,
+      duration,
       price: req.body.price,
       status: req.body.status || 'scheduled',
       notes: req.body.notes
@@ -820,6 +992,14 @@ router.post('/appointments', [
       data: appointment
     });
   } catch (error) {
+    // An overlapping booking was stored between the check above and the save
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.data && { data: error.data })
+      });
+    }
     console.error('Create appointment error:', error);
     res.status(500).json({
       success: false,
@@ -898,22 +1078,29 @@ router.post('/reminders/send', [
  * /api/admin/reminders/stats:
  *   get:
  *     summary: Get reminder statistics (Admin only)
+ *     description: |
+ *       Reminder counts and the run history of the scheduled jobs. `jobs.latest`
+ *       holds the last run of every job, `jobs.recent` the last 20 runs of all
+ *       jobs, and `jobs.instance` the server process that answered.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Reminder statistics retrieved successfully
+ *         description: Reminder statistics and job runs retrieved successfully
  *       403:
  *         description: Admin access required
  */
 router.get('/reminders/stats', async (req, res) => {
   try {
-    const stats = await reminderJob.getReminderStats();
+    const [stats, jobs] = await Promise.all([
+      reminderJob.getReminderStats(),
+      getRunHistory()
+    ]);
 
     res.json({
       success: true,
-      data: stats
+      data: { ...stats, jobs }
     });
   } catch (error) {
     console.error('Get reminder stats error:', error);
@@ -929,9 +1116,16 @@ router.get('/reminders/stats', async (req, res) => {
  * /api/admin/email/broadcast:
  *   post:
  *     summary: Send broadcast email to all users (Admin only)
+ *     description: Sends a campaign (see /api/campaigns) right away to the active users of the role who agreed to announcements. Every email carries an unsubscribe link; the outbox sends them at a limited rate and retries failures. Repeating a request with the same Idempotency-Key header creates and queues nothing new.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Client-chosen id of this broadcast, to make double submits harmless
  *     requestBody:
  *       required: true
  *       content:
@@ -953,14 +1147,14 @@ router.get('/reminders/stats', async (req, res) => {
  *                 enum: [all, user, admin]
  *                 default: "all"
  *     responses:
- *       200:
- *         description: Broadcast email sent successfully
+ *       202:
+ *         description: Broadcast emails queued
  *       400:
  *         description: Validation error
  *       403:
- *         description: Admin access required
+ *         description: Staff access required, a role with the permission (code PERMISSION_DENIED), or a login with two-factor (code TWO_FACTOR_REQUIRED or TWO_FACTOR_SETUP_REQUIRED)
  */
-router.post('/email/broadcast', [
+router.post('/email/broadcast', requirePermission('marketing:manage', { twoFactor: true }), [
   body('subject')
     .notEmpty()
     .withMessage('Subject is required')
@@ -973,8 +1167,8 @@ router.post('/email/broadcast', [
     .withMessage('Message cannot exceed 5000 characters'),
   body('targetRole')
     .optional()
-    .isIn(['all', 'user', 'admin'])
-    .withMessage('Target role must be all, user, or admin')
+    .isIn(['all', ...ROLES])
+    .withMessage(`Target role must be all or one of ${ROLES.join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -987,53 +1181,44 @@ router.post('/email/broadcast', [
     }
 
     const { subject, message, targetRole = 'all' } = req.body;
+    const segment = { key: 'allUsers', role: targetRole };
 
-    // Build user filter
-    const filter = { isActive: true, emailVerified: true };
-    if (targetRole !== 'all') {
-      filter.role = targetRole;
-    }
-
-    // Get target users
-    const users = await User.find(filter).select('name email');
-
-    if (users.length === 0) {
+    // Only users who agreed to announcements; an empty audience is a mistake
+    const audience = await resolveAudience(segment);
+    if (audience.length === 0) {
       return res.status(400).json({
         success: false,
         message: 'No users found matching the criteria'
       });
     }
 
-    // Send emails
-    const emailPromises = users.map(user =>
-      sendEmail({
-        to: user.email,
-        subject: `[Psikolog Onur Uslu] ${subject}`,
-        template: 'broadcast',
-        data: {
-          name: user.name,
-          message,
-          subject
-        }
-      }).catch(error => ({
-        success: false,
-        email: user.email,
-        error: error.message
-      }))
-    );
-
-    const results = await Promise.all(emailPromises);
-    const successful = results.filter(r => r.success !== false).length;
-    const failed = results.length - successful;
+    // A campaign sent right away; the outbox worker sends its emails
+    const broadcastId = req.get('Idempotency-Key') || crypto.randomUUID();
+    const campaign = await createCampaign({
+      title: subject,
+      subject,
+      message,
+      segment
+    }, { by: req.user._id, idempotencyKey: `broadcast:${broadcastId}` });
+
+    let queued = 0;
+    if (!campaign.duplicate) {
+      await scheduleCampaign(campaign._id.toString());
+      queued = (await getCampaign(campaign._id.toString())).stats.recipients;
+    }
+    const totalUsers = campaign.duplicate ? campaign.recipientCount : audience.length;
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: `Broadcast email sent to ${successful} users${failed > 0 ? `, ${failed} failed` : ''}`,
+      message: `Broadcast email queued for ${queued} users`,
       data: {
-        totalUsers: users.length,
-        successful,
-        failed,
-        results: failed > 0 ? results.filter(r => r.success === false) : undefined
+        broadcastId,
+        campaignId: campaign._id,
+        totalUsers,
+        queued,
+        alreadyQueued: totalUsers - queued,
+        // Tags in the message are sent as text
+        htmlAsText: containsHtml(message)
       }
     });
   } catch (error) {
@@ -1047,46 +1232,57 @@ router.post('/email/broadcast', [
 
 /**
  * @swagger
- * /api/admin/appointments/{id}/status:
- *   patch:
- *     summary: Update appointment status (Admin only)
+ * /api/admin/jobs:
+ *   get:
+ *     summary: List outbox jobs (Admin only)
+ *     description: Queued, failed, dead and sent emails, reminders and campaign emails, newest first, with a count per status.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: status
  *         schema:
  *           type: string
- *         description: Appointment ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - status
- *             properties:
- *               status:
- *                 type: string
- *                 enum: [pending, approved, rejected, completed, cancelled]
- *                 example: "approved"
+ *           enum: [queued, processing, sent, failed, dead]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [email, reminder, campaign, newsletter]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
  *     responses:
  *       200:
- *         description: Appointment status updated successfully
- *       400:
- *         description: Validation error
- *       404:
- *         description: Appointment not found
+ *         description: Jobs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     jobs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/OutboxJob'
  *       403:
  *         description: Admin access required
  */
-router.patch('/appointments/:id/status', [
-  body('status')
-    .isIn(['pending', 'approved', 'rejected', 'completed', 'cancelled', 'scheduled', 'confirmed', 'no-show'])
-    .withMessage('Invalid status value')
+router.get('/jobs', [
+  query('status').optional().isIn(JOB_STATUSES).withMessage('Invalid job status'),
+  query('type').optional().isIn(['email', 'reminder', 'campaign', 'newsletter']).withMessage('Invalid job type'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1098,134 +1294,786 @@ router.patch('/appointments/:id/status', [
       });
     }
 
-    
-    if (mongoose.connection.readyState !== 1) {
-      const { mockAppointments } = require('../utils/mockDb');
-      const appIndex = mockAppointments.findIndex(a => a._id === req.params.id);
-      if (appIndex === -1) {
-        return res.status(404).json({
-          success: false,
-          message: 'Appointment not found'
-        });
-      }
-      
-      const appointment = mockAppointments[appIndex];
-      const oldStatus = appointment.status;
-      appointment.status = req.body.status;
-      appointment.updatedBy = req.user._id;
-
-      if (appointment.user && appointment.user.email) {
-        try {
-          await sendEmail({
-            to: appointment.user.email,
-            subject: `Randevu Durumu Güncellendi - ${new Date(appointment.date).toLocaleDateString('tr-TR')}`,
-            template: 'appointment-status-update',
-            data: {
-              name: appointment.user.name,
-              date: new Date(appointment.date).toLocaleDateString('tr-TR'),
-              time: appointment.time,
-              oldStatus: oldStatus,
-              newStatus: appointment.status,
-              service: appointment.type || appointment.service
-            }
-          });
-        } catch (emailError) {
-          console.error('Failed to send status update email:', emailError);
-        }
-      }
-
-      return res.json({
-        success: true,
-        message: `Appointment status updated from ${oldStatus} to ${appointment.status}`,
-        data: appointment
-      });
-    }
-
-    const appointment = await Appointment.findById(req.params.id).populate('user', 'name email phone');
-
-    if (!appointment) {
-      return res.status(404).json({
-        success: false,
-        message: 'Appointment not found'
-      });
-    }
-
-    const oldStatus = appointment.status;
-    appointment.status = req.body.status;
-    appointment.updatedBy = req.user._id;
-    await appointment.save();
+    const data = await listJobs({
+      status: req.query.status,
+      type: req.query.type,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
 
-    // Send notification email to user
-    if (appointment.user && appointment.user.email) {
-      try {
-        await sendEmail({
-          to: appointment.user.email,
-          subject: `Randevu Durumu Güncellendi - ${appointment.date}`,
-          template: 'appointment-status-update',
-          data: {
-            name: appointment.user.name,
-            date: appointment.date,
-            time: appointment.time,
-            oldStatus: oldStatus,
-            newStatus: appointment.status,
-            service: appointment.service
-          }
-        });
-      } catch (emailError) {
-        console.error('Failed to send status update email:', emailError);
-      }
-    }
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get outbox jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve jobs'
+    });
+  }
+});
 
+/**
+ * @swagger
+ * /api/admin/jobs/{id}/retry:
+ *   post:
+ *     summary: Retry a failed or dead outbox job (Admin only)
+ *     description: The job is queued again with a fresh set of attempts and goes out with the next worker run.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job queued again
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is not failed or dead
+ */
+router.post('/jobs/:id/retry', async (req, res) => {
+  try {
+    const job = await retryJob(req.params.id);
     res.json({
       success: true,
-      message: `Appointment status updated from ${oldStatus} to ${appointment.status}`,
-      data: {
-        appointment
-      }
+      message: 'Job queued again',
+      data: { job }
     });
   } catch (error) {
-    console.error('Update appointment status error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Retry outbox job error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update appointment status'
+      message: 'Failed to retry job'
     });
   }
 });
 
 /**
  * @swagger
- * /api/admin/customers:
+ * /api/admin/email/deliveries:
  *   get:
- *     summary: Get all customers (Admin only)
+ *     summary: Email delivery log (Admin only)
+ *     description: Every email sent or refused by all transports, newest first, with the transport that took it and the provider's message ID. Also returns the transports in priority order.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [sent, failed]
+ *       - in: query
+ *         name: transport
+ *         schema:
+ *           type: string
+ *           enum: [smtp, resend, file, memory]
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         description: Part of the recipient address
+ *         schema:
+ *           type: string
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
- *           minimum: 1
- *         description: Page number
+ *           default: 1
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
- *           minimum: 1
- *           maximum: 100
- *         description: Customers per page
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search by name or email
+ *           default: 20
  *     responses:
  *       200:
- *         description: Customers retrieved successfully
+ *         description: Deliveries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     deliveries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/EmailDelivery'
+ *                     counts:
+ *                       type: object
+ *                     transports:
+ *                       type: object
  *       403:
  *         description: Admin access required
  */
-router.get('/customers', [
+router.get('/email/deliveries', [
+  query('status').optional().isIn(DELIVERY_STATUSES).withMessage('Invalid delivery status'),
+  query('transport').optional().isIn(TRANSPORT_NAMES).withMessage('Invalid transport'),
+  query('template').optional().isString().isLength({ max: 100 }),
+  query('to').optional().isString().trim().isLength({ max: 200 }),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const data = await listDeliveries({
+      status: req.query.status,
+      transport: req.query.transport,
+      template: req.query.template,
+      to: req.query.to || undefined,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get email deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve email deliveries'
+    });
+  }
+});
+
+// Template edits, tests and previews: errors from utils/emailTemplates carry
+// their HTTP status (400 with problems, 404, 409)
+const handleTemplateError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      errors: error.problems
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Unsaved wording sent along with a preview or test send, if any
+// The request sanitizer turns "<" into "&lt;", which would leave the markup of
+// edited wording as text
+const templateDraft = (body = {}) => {
+  if (body.subject === undefined && body.html === undefined && body.text === undefined) {
+    return undefined;
+  }
+  return {
+    subject: restoreSanitized(body.subject),
+    html: restoreSanitized(body.html),
+    text: restoreSanitized(body.text)
+  };
+};
+
+const assertValidDraft = (name, draft) => {
+  const problems = validateTemplateContent(name, draft);
+  if (problems.length > 0) {
+    const error = new Error('Invalid email template');
+    error.statusCode = 400;
+    error.problems = problems;
+    throw error;
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/email/templates:
+ *   get:
+ *     summary: List the email templates (Admin only)
+ *     description: |
+ *       Every built-in template in backend/templates/email, with whether the
+ *       admin edited it (`customized`), the version in use and the last render
+ *       error of that version.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/email/templates', async (req, res) => {
+  try {
+    const templates = await listTemplates();
+    res.json({
+      success: true,
+      data: { templates }
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to get email templates');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/email/templates/{name}:
+ *   get:
+ *     summary: Get an email template for editing (Admin only)
+ *     description: The template's variables, its built-in wording, the edited wording in use (null when the built-in one is used) and the saved versions, newest first.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: appointmentReminder
+ *     responses:
+ *       200:
+ *         description: Template details
+ *       404:
+ *         description: Template not found
+ */
+router.get('/email/templates/:name', async (req, res) => {
+  try {
+    const template = await getTemplateDetails(req.params.name);
+    res.json({
+      success: true,
+      data: { template }
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to get email template');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/email/templates/{name}:
+ *   put:
+ *     summary: Save new wording for an email template (Admin only)
+ *     description: |
+ *       Saved as the next version and used from the next email on. The subject,
+ *       HTML and text must render with the template's sample data. The shared
+ *       layout and partials such as {{> appointmentDetails}} are available.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - subject
+ *               - html
+ *               - text
+ *             properties:
+ *               subject:
+ *                 type: string
+ *               html:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *                 maxLength: 200
+ *     responses:
+ *       200:
+ *         description: Template saved
+ *       400:
+ *         description: Template does not render
+ *       404:
+ *         description: Template not found
+ *       409:
+ *         description: Someone else saved the template in the meantime
+ */
+router.put('/email/templates/:name', [
+  body('note').optional().trim().isLength({ max: 200 }).withMessage('Note must be at most 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await saveTemplate(req.params.name, templateDraft(req.body) || {}, { by: req.user._id, note: req.body.note });
+
+    res.json({
+      success: true,
+      message: 'Email template saved',
+      data: { template: await getTemplateDetails(req.params.name) }
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to save email template');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/email/templates/{name}/preview:
+ *   get:
+ *     summary: Preview an email template with sample data (Admin only)
+ *     description: Renders the version in use with the sample data in backend/templates/email/samples.json.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: appointmentConfirmation
+ *     responses:
+ *       200:
+ *         description: Rendered subject, html and text
+ *       404:
+ *         description: Template not found
+ *   post:
+ *     summary: Preview unsaved wording with sample data (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               subject:
+ *                 type: string
+ *               html:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rendered subject, html and text
+ *       400:
+ *         description: Wording does not render
+ */
+const previewTemplate = async (req, res) => {
+  try {
+    const draft = templateDraft(req.body);
+    if (draft) assertValidDraft(req.params.name, draft);
+    const preview = await previewEmail(req.params.name, draft);
+    res.json({
+      success: true,
+      data: { name: req.params.name, ...preview }
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to render email template');
+  }
+};
+router.get('/email/templates/:name/preview', previewTemplate);
+router.post('/email/templates/:name/preview', previewTemplate);
+
+/**
+ * @swagger
+ * /api/admin/email/templates/{name}/test:
+ *   post:
+ *     summary: Send a test email to the signed-in admin (Admin only)
+ *     description: Sends the template with its sample data right away, without the outbox. Sends the unsaved wording in the body when given, otherwise the version in use.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               subject:
+ *                 type: string
+ *               html:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Test email sent
+ *       400:
+ *         description: Wording does not render
+ *       404:
+ *         description: Template not found
+ *       502:
+ *         description: The email could not be sent
+ */
+router.post('/email/templates/:name/test', async (req, res) => {
+  const { name } = req.params;
+  try {
+    if (!isKnownTemplate(name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email template not found'
+      });
+    }
+    const draft = templateDraft(req.body);
+    if (draft) assertValidDraft(name, draft);
+
+    try {
+      await sendEmail({
+        to: req.user.email,
+        template: name,
+        data: sampleData[name] || {},
+        content: draft
+      });
+    } catch (sendError) {
+      return res.status(502).json({
+        success: false,
+        message: `Test email could not be sent: ${sendError.message}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Test email sent',
+      data: { to: req.user.email }
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to send test email');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/email/templates/{name}/rollback:
+ *   post:
+ *     summary: Put an earlier version of an email template back in use (Admin only)
+ *     description: The earlier version is saved again as the newest one, so the history is kept.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - version
+ *             properties:
+ *               version:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Version restored
+ *       404:
+ *         description: Template or version not found
+ */
+router.post('/email/templates/:name/rollback', [
+  body('version').isInt({ min: 1 }).withMessage('Version must be a positive integer').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await rollbackTemplate(req.params.name, req.body.version, { by: req.user._id });
+    res.json({
+      success: true,
+      message: `Version ${req.body.version} restored`,
+      data: { template: await getTemplateDetails(req.params.name) }
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to restore email template version');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/email/templates/{name}/reset:
+ *   post:
+ *     summary: Go back to the built-in email template (Admin only)
+ *     description: The saved versions are kept and can be restored later.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Built-in template in use
+ *       404:
+ *         description: Template not found
+ */
+router.post('/email/templates/:name/reset', async (req, res) => {
+  try {
+    await resetTemplate(req.params.name);
+    res.json({
+      success: true,
+      message: 'Built-in email template restored',
+      data: { template: await getTemplateDetails(req.params.name) }
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to reset email template');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/appointments/{id}/status:
+ *   patch:
+ *     summary: Update appointment status (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Appointment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, approved, rejected, completed, cancelled]
+ *                 example: "approved"
+ *     responses:
+ *       200:
+ *         description: Appointment status updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Appointment not found
+ *       403:
+ *         description: Admin access required
+ */
+// Cancelling an active booking hands its slot to the waitlist
+const freesSlot = (oldStatus, newStatus) =>
+  ['pending', 'scheduled', 'confirmed'].includes(oldStatus) && newStatus === 'cancelled';
+
+router.patch('/appointments/:id/status', [
+  body('status')
+    .isIn(['pending', 'approved', 'rejected', 'completed', 'cancelled', 'scheduled', 'confirmed', 'no-show'])
+    .withMessage('Invalid status value')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    
+    if (mongoose.connection.readyState !== 1) {
+      const { mockAppointments } = require('../utils/mockDb');
+      const appIndex = mockAppointments.findIndex(a => a._id === req.params.id);
+      if (appIndex === -1) {
+        return res.status(404).json({
+          success: false,
+          message: 'Appointment not found'
+        });
+      }
+      
+      const appointment = mockAppointments[appIndex];
+      const oldStatus = appointment.status;
+      appointment.status = req.body.status;
+      appointment.updatedBy = req.user._id;
+      if (appointment.status === 'cancelled' && oldStatus !== 'cancelled') {
+        appointment.calendarSequence = (appointment.calendarSequence || 0) + 1;
+      }
+      if (freesSlot(oldStatus, appointment.status)) await offerFreedSlot(appointment);
+      await recordAudit(req, {
+        action: 'appointment.status',
+        target: appointmentTarget(appointment),
+        before: { status: oldStatus },
+        after: { status: appointment.status }
+      });
+
+      const client = Appointment.clientOf(appointment);
+      if (client) {
+        try {
+          await sendEmail({
+            to: client.email,
+            subject: `Randevu Durumu Güncellendi - ${new Date(appointment.date).toLocaleDateString('tr-TR')}`,
+            template: 'appointment-status-update',
+            attachments: appointment.status === 'cancelled' ? [buildIcsAttachment(appointment, 'CANCEL')] : [],
+            data: {
+              name: client.name,
+              date: new Date(appointment.date).toLocaleDateString('tr-TR'),
+              time: appointment.time,
+              oldStatus: oldStatus,
+              newStatus: appointment.status,
+              service: appointment.type || appointment.service
+            }
+          });
+        } catch (emailError) {
+          console.error('Failed to send status update email:', emailError);
+        }
+      }
+
+      return res.json({
+        success: true,
+        message: `Appointment status updated from ${oldStatus} to ${appointment.status}`,
+        data: appointment
+      });
+    }
+
+    const appointment = await Appointment.findById(req.params.id).populate('user', 'name email phone');
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    const oldStatus = appointment.status;
+    appointment.status = req.body.status;
+    appointment.updatedBy = req.user._id;
+    await appointment.save();
+    if (freesSlot(oldStatus, appointment.status)) await offerFreedSlot(appointment);
+    await recordAudit(req, {
+      action: 'appointment.status',
+      target: appointmentTarget(appointment),
+      before: { status: oldStatus },
+      after: { status: appointment.status }
+    });
+
+    // Send notification email to the client (account holder or guest)
+    const client = Appointment.clientOf(appointment);
+    if (client) {
+      try {
+        await sendEmail({
+          to: client.email,
+          subject: `Randevu Durumu Güncellendi - ${appointment.date}`,
+          template: 'appointment-status-update',
+          attachments: appointment.status === 'cancelled' ? [buildIcsAttachment(appointment, 'CANCEL')] : [],
+          data: {
+            name: client.name,
+            date: appointment.date,
+            time: appointment.time,
+            oldStatus: oldStatus,
+            newStatus: appointment.status,
+            service: appointment.service
+          }
+        });
+      } catch (emailError) {
+        console.error('Failed to send status update email:', emailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Appointment status updated from ${oldStatus} to ${appointment.status}`,
+      data: {
+        appointment
+      }
+    });
+  } catch (error) {
+    console.error('Update appointment status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update appointment status'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/customers:
+ *   get:
+ *     summary: Get all customers (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Customers per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name or email
+ *     responses:
+ *       200:
+ *         description: Customers retrieved successfully
+ *       403:
+ *         description: Staff access required, a role with the permission (code PERMISSION_DENIED), or a login with two-factor (code TWO_FACTOR_REQUIRED or TWO_FACTOR_SETUP_REQUIRED)
+ */
+router.get('/customers', clientRecords, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('search').optional().isLength({ min: 1, max: 100 }).withMessage('Search term must be between 1 and 100 characters')
@@ -1329,13 +2177,13 @@ router.get('/customers', [
  *         description: Customer ID
  *     responses:
  *       200:
- *         description: Customer details retrieved successfully
+ *         description: Customer details, appointments, counts per status and the no-show standing (`attendance`)
  *       404:
  *         description: Customer not found
  *       403:
- *         description: Admin access required
+ *         description: Staff access required, a role with the permission (code PERMISSION_DENIED), or a login with two-factor (code TWO_FACTOR_REQUIRED or TWO_FACTOR_SETUP_REQUIRED)
  */
-router.get('/customers/:id', async (req, res) => {
+router.get('/customers/:id', clientRecords, async (req, res) => {
   try {
     
     if (mongoose.connection.readyState !== 1) {
@@ -1349,6 +2197,7 @@ router.get('/customers/:id', async (req, res) => {
       }
 
       const appointments = mockAppointments.filter(a => {
+        if (!a.user) return false;
         const userId = a.user._id ? a.user._id.toString() : a.user.toString();
         return userId === customer._id.toString();
       });
@@ -1362,12 +2211,16 @@ router.get('/customers/:id', async (req, res) => {
         count: stats[k]
       }));
 
+      const attendance = await getNoShowStanding({ userId: customer._id, email: customer.email });
+      await recordAudit(req, { action: 'client.view', target: userTarget(customer) });
+
       return res.json({
         success: true,
         data: {
           customer,
           appointments,
-          appointmentStats
+          appointmentStats,
+          attendance
         }
       });
     }
@@ -1397,12 +2250,16 @@ router.get('/customers/:id', async (req, res) => {
       }
     ]);
 
+    const attendance = await getNoShowStanding({ userId: customer._id, email: customer.email });
+    await recordAudit(req, { action: 'client.view', target: userTarget(customer) });
+
     res.json({
       success: true,
       data: {
         customer,
         appointments,
-        appointmentStats
+        appointmentStats,
+        attendance
       }
     });
   } catch (error) {
@@ -1414,4 +2271,210 @@ router.get('/customers/:id', async (req, res) => {
   }
 });
 
+const auditLogFilters = [
+  query('actor').optional().isString().trim().isLength({ max: 200 }),
+  query('action').optional().isIn(AUDIT_ACTIONS).withMessage('Invalid audit action'),
+  query('targetType').optional().isIn(AUDIT_TARGET_TYPES).withMessage('Invalid target type'),
+  query('targetId').optional().isString().trim().isLength({ max: 100 }),
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date')
+];
+
+const auditFiltersOf = (req) => ({
+  actor: req.query.actor || undefined,
+  action: req.query.action,
+  targetType: req.query.targetType,
+  targetId: req.query.targetId || undefined,
+  from: req.query.from,
+  to: req.query.to
+});
+
+/**
+ * @swagger
+ * /api/admin/audit-log:
+ *   get:
+ *     summary: Audit log of sensitive actions, newest first (Admin only)
+ *     description: Client record views, appointment status changes, account changes and site settings edits.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: Part of the name or email of who did it, or their user ID
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [client.view, appointment.status, user.status, user.role, user.unlock, site-settings.update, site-settings.reset, audit-log.export]
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [user, appointment, site-settings, audit-log]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: A bare date includes that whole day
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Entries and pagination
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AuditLog'
+ *       403:
+ *         description: Staff access required, a role with the permission (code PERMISSION_DENIED), or a login with two-factor (code TWO_FACTOR_REQUIRED or TWO_FACTOR_SETUP_REQUIRED)
+ */
+router.get('/audit-log', [
+  ...auditLogFilters,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const data = await listAuditLog({
+      ...auditFiltersOf(req),
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve audit log'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/audit-log/export:
+ *   get:
+ *     summary: Download the audit log as CSV (Admin only)
+ *     description: Takes the same filters as the list. Entries come oldest first, with their hashes, at most 10000 per file. The export itself is recorded in the log.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: CSV file; the X-Export-Truncated header is true when more entries matched
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Staff access required, a role with the permission (code PERMISSION_DENIED), or a login with two-factor (code TWO_FACTOR_REQUIRED or TWO_FACTOR_SETUP_REQUIRED)
+ */
+router.get('/audit-log/export', auditLogFilters, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filters = auditFiltersOf(req);
+    const { csv, count, truncated } = await exportAuditLog(filters);
+    const filterNote = Object.entries(filters).filter(([, value]) => value).map(([key, value]) => `${key}=${value}`);
+    await recordAudit(req, {
+      action: 'audit-log.export',
+      target: { type: 'audit-log', label: [`${count} entries`, ...filterNote].join(', ') }
+    });
+
+    const day = new Date().toISOString().split('T')[0];
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="audit-log-${day}.csv"`,
+      'X-Export-Truncated': String(truncated)
+    });
+    // The byte order mark makes spreadsheets read Turkish characters as UTF-8
+    res.send(`\uFEFF${csv}`);
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export audit log'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/audit-log/verify:
+ *   get:
+ *     summary: Check the hash chain of the audit log (Admin only)
+ *     description: Recomputes every entry's hash in order. `brokenAt` names the first entry that was changed, removed or inserted outside the application. Removing the newest entries cannot be told apart from a shorter log, so compare `head` with an earlier export.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: valid, checked, head { seq, hash } and brokenAt { seq, reason }
+ *       403:
+ *         description: Staff access required, a role with the permission (code PERMISSION_DENIED), or a login with two-factor (code TWO_FACTOR_REQUIRED or TWO_FACTOR_SETUP_REQUIRED)
+ */
+router.get('/audit-log/verify', async (req, res) => {
+  try {
+    const data = await verifyChain();
+    res.json({
+      success: true,
+      message: data.valid ? 'Audit log chain is intact' : `Audit log chain is broken at entry ${data.brokenAt.seq}`,
+      data
+    });
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify audit log'
+    });
+  }
+});
+
 module.exports = router;
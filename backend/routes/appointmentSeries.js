@@ -0,0 +1,523 @@
+const mongoose = require('mongoose');
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const { sendEmail } = require('../utils/emailService');
+const { buildIcsAttachment } = require('../utils/calendar');
+const {
+  MAX_OCCURRENCES,
+  previewSeries,
+  createSeries,
+  findSeriesById,
+  getSeriesOccurrences,
+  listSeries,
+  cancelSeries
+} = require('../utils/appointmentSeries');
+const { offerFreedSlot } = require('../utils/waitlist');
+const { BOOKING_BLOCKED_MESSAGE, getNoShowStanding } = require('../utils/attendance');
+const { hasPermission } = require('../utils/permissions');
+const router = express.Router();
+
+const FREQUENCY_LABELS = {
+  weekly: 'Haftalık',
+  biweekly: 'İki haftada bir'
+};
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+const ownerId = (series) => (series.user && series.user._id ? series.user._id : series.user).toString();
+
+const managesAppointments = (req) => hasPermission(req.user, 'appointments:manage');
+
+const canAccess = (req, series) => managesAppointments(req) || ownerId(series) === req.user._id.toString();
+
+// Clients book for themselves; admins may book for any client
+const clientIdFor = (req) => (managesAppointments(req) && req.body.user ? req.body.user : req.user._id);
+
+const seriesValidators = [
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be in ISO format')
+    .custom((value) => {
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      if (new Date(value) < today) {
+        throw new Error('Start date must not be in the past');
+      }
+      return true;
+    }),
+  body('time')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Time must be in HH:MM format'),
+  body('type')
+    .isIn(['individual', 'couple', 'online', 'in-person'])
+    .withMessage('Invalid appointment type'),
+  body('frequency')
+    .isIn(['weekly', 'biweekly'])
+    .withMessage('Frequency must be weekly or biweekly'),
+  body('occurrences')
+    .optional()
+    .isInt({ min: 2, max: MAX_OCCURRENCES })
+    .withMessage(`Occurrences must be between 2 and ${MAX_OCCURRENCES}`),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be in ISO format')
+    .custom((value, { req }) => {
+      if (value < req.body.startDate) {
+        throw new Error('End date must not be before start date');
+      }
+      return true;
+    }),
+  body().custom((value) => {
+    if (!value.occurrences && !value.endDate) {
+      throw new Error('Either occurrences or endDate is required');
+    }
+    return true;
+  }),
+  body('duration')
+    .optional()
+    .isInt({ min: 30, max: 120 })
+    .withMessage('Duration must be between 30 and 120 minutes'),
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number'),
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+  body('user')
+    .optional()
+    .isString()
+    .withMessage('User must be a user ID'),
+  body('skipConflicts')
+    .optional()
+    .isBoolean()
+    .withMessage('skipConflicts must be boolean')
+];
+
+// Only the date part is used; occurrences are whole calendar days
+const seriesInput = (req) => ({
+  user: clientIdFor(req),
+  startDate: req.body.startDate.slice(0, 10),
+  endDate: req.body.endDate ? req.body.endDate.slice(0, 10) : undefined,
+  occurrences: req.body.occurrences ? parseInt(req.body.occurrences) : undefined,
+  frequency: req.body.frequency,
+  time: req.body.time,
+  type: req.body.type,
+  duration: req.body.duration ? parseInt(req.body.duration) : undefined,
+  price: req.body.price,
+  notes: req.body.notes,
+  skipConflicts: req.body.skipConflicts === true || req.body.skipConflicts === 'true'
+});
+
+const findClient = async (userId) => {
+  if (mongoose.connection.readyState !== 1) {
+    const { mockUsers } = require('../utils/mockDb');
+    return mockUsers.find(u => u._id === userId.toString()) || null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  return User.findById(userId).select('name email');
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Appointment Series
+ *   description: Recurring weekly / biweekly appointments
+ */
+
+/**
+ * @swagger
+ * /api/appointment-series/preview:
+ *   post:
+ *     summary: Check every occurrence of a planned series without booking
+ *     tags: [Appointment Series]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDate
+ *               - time
+ *               - type
+ *               - frequency
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               time:
+ *                 type: string
+ *                 example: "18:00"
+ *               type:
+ *                 type: string
+ *                 enum: [individual, couple, online, in-person]
+ *               frequency:
+ *                 type: string
+ *                 enum: [weekly, biweekly]
+ *               occurrences:
+ *                 type: integer
+ *                 example: 12
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               duration:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Per-occurrence availability report
+ *       400:
+ *         description: Validation error
+ */
+router.post('/preview', authenticateToken, seriesValidators, async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const { duration, plan } = await previewSeries(seriesInput(req));
+    res.json({
+      success: true,
+      data: {
+        duration,
+        plan,
+        available: plan.filter(o => o.available).length,
+        blocked: plan.filter(o => !o.available).length
+      }
+    });
+  } catch (error) {
+    console.error('Preview series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview appointment series'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointment-series:
+ *   post:
+ *     summary: Create a recurring appointment series
+ *     description: Books one appointment per occurrence. If any occurrence is closed or taken nothing is booked and the per-occurrence report is returned with 409, unless skipConflicts is true.
+ *     tags: [Appointment Series]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDate
+ *               - time
+ *               - type
+ *               - frequency
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               time:
+ *                 type: string
+ *                 example: "18:00"
+ *               type:
+ *                 type: string
+ *                 enum: [individual, couple, online, in-person]
+ *               frequency:
+ *                 type: string
+ *                 enum: [weekly, biweekly]
+ *               occurrences:
+ *                 type: integer
+ *                 example: 12
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               duration:
+ *                 type: integer
+ *               price:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *               user:
+ *                 type: string
+ *                 description: Client ID (admin only; defaults to the caller)
+ *               skipConflicts:
+ *                 type: boolean
+ *                 description: Book the free occurrences and skip the blocked ones
+ *     responses:
+ *       201:
+ *         description: Series created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Online booking blocked by the no-show policy
+ *       409:
+ *         description: One or more occurrences are not available
+ */
+router.post('/', authenticateToken, seriesValidators, async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const input = seriesInput(req);
+    const client = await findClient(input.user);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!managesAppointments(req)) {
+      const standing = await getNoShowStanding({ userId: client._id, email: client.email });
+      if (standing.bookingBlocked) {
+        return res.status(403).json({
+          success: false,
+          message: BOOKING_BLOCKED_MESSAGE
+        });
+      }
+    }
+
+    const result = await createSeries(input, { createdBy: req.user._id });
+    if (!result.created) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some occurrences of the series are not available',
+        data: { plan: result.plan }
+      });
+    }
+
+    const { series, appointments, plan } = result;
+
+    try {
+      const formatDate = (appointment) => appointment.formattedDate ||
+        new Date(appointment.date).toLocaleDateString('tr-TR');
+      const skipped = plan.filter(o => !o.available);
+      await sendEmail({
+        to: client.email,
+        subject: 'Düzenli Seans Planınız - Psikolog Onur Uslu',
+        template: 'appointmentSeriesConfirmation',
+        attachments: [buildIcsAttachment(appointments)],
+        data: {
+          name: client.name,
+          frequency: FREQUENCY_LABELS[series.frequency],
+          time: series.time,
+          type: appointments[0].typeTurkish || series.type,
+          duration: series.duration,
+          dates: appointments.map(formatDate),
+          skippedDates: skipped.map(o => o.date)
+        }
+      });
+    } catch (emailError) {
+      console.error('Series confirmation email failed:', emailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Appointment series created successfully',
+      data: { series, appointments, plan }
+    });
+  } catch (error) {
+    console.error('Create series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create appointment series'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointment-series:
+ *   get:
+ *     summary: List appointment series (own series; admins see all)
+ *     tags: [Appointment Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Filter by client (admin only)
+ *     responses:
+ *       200:
+ *         description: Series retrieved successfully
+ */
+router.get('/', authenticateToken, [
+  query('user').optional().isString()
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const userId = managesAppointments(req) ? req.query.user : req.user._id;
+    const series = await listSeries({ userId });
+    res.json({
+      success: true,
+      data: { series }
+    });
+  } catch (error) {
+    console.error('List series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve appointment series'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointment-series/{id}:
+ *   get:
+ *     summary: Get a series with all of its occurrences
+ *     tags: [Appointment Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Series retrieved successfully
+ *       404:
+ *         description: Series not found
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const series = await findSeriesById(req.params.id);
+    if (!series || !canAccess(req, series)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment series not found'
+      });
+    }
+
+    const occurrences = await getSeriesOccurrences(series._id);
+    res.json({
+      success: true,
+      data: { series, occurrences }
+    });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve appointment series'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointment-series/{id}/cancel:
+ *   post:
+ *     summary: Cancel every upcoming occurrence of a series
+ *     description: Clients cannot cancel sessions within 24 hours; those are kept and returned in `kept`.
+ *     tags: [Appointment Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Series cancelled
+ *       404:
+ *         description: Series not found
+ */
+router.post('/:id/cancel', authenticateToken, [
+  body('reason')
+    .notEmpty()
+    .withMessage('Cancellation reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const series = await findSeriesById(req.params.id);
+    if (!series || !canAccess(req, series)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment series not found'
+      });
+    }
+
+    const { cancelled, kept } = await cancelSeries(series, {
+      reason: req.body.reason,
+      cancelledBy: req.user._id,
+      isAdmin: managesAppointments(req)
+    });
+    for (const appointment of cancelled) {
+      await offerFreedSlot(appointment);
+    }
+
+    const client = await findClient(ownerId(series));
+    if (client && cancelled.length > 0) {
+      try {
+        await sendEmail({
+          to: client.email,
+          subject: 'Randevu İptali - Psikolog Onur Uslu',
+          template: 'appointmentCancellation',
+          attachments: [buildIcsAttachment(cancelled, 'CANCEL')],
+          data: {
+            name: client.name,
+            date: cancelled.map(a => new Date(a.date).toLocaleDateString('tr-TR')).join(', '),
+            time: series.time,
+            type: cancelled[0].typeTurkish || series.type,
+            reason: req.body.reason
+          }
+        });
+      } catch (emailError) {
+        console.error('Series cancellation email failed:', emailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: kept.length > 0
+        ? 'Series cancelled; sessions within 24 hours were kept'
+        : 'Appointment series cancelled successfully',
+      data: { cancelled, kept }
+    });
+  } catch (error) {
+    console.error('Cancel series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel appointment series'
+    });
+  }
+});
+
+module.exports = router;
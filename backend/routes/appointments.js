@@ -3,10 +3,49 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Appointment = require('../models/Appointment');
 const User = require('../models/User');
-const { authenticateToken, requireAppointmentAccess, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requireAppointmentAccess, requirePermission } = require('../middleware/auth');
 const { sendEmail } = require('../utils/emailService');
+const { buildIcsAttachment } = require('../utils/calendar');
+const {
+  getAvailabilitySettings,
+  checkSlotAvailability,
+  getBookableSlots,
+  getDaySchedule,
+  findAppointmentsOnDay,
+  findConflictingAppointment,
+  toDateKey
+} = require('../utils/availability');
+const { getBlackoutsOnDay } = require('../utils/blackouts');
+const { updateFollowing, cancelFollowing } = require('../utils/appointmentSeries');
+const { offerFreedSlot } = require('../utils/waitlist');
+const { hasPermission } = require('../utils/permissions');
+const { buildReminders } = require('../utils/reminderPolicy');
+const { BOOKING_BLOCKED_MESSAGE, getNoShowStanding } = require('../utils/attendance');
+const {
+  MAX_SEARCH_DAYS,
+  findAlternativeSlots,
+  checkRescheduleTarget,
+  rescheduleAppointment
+} = require('../utils/reschedule');
 const router = express.Router();
 
+// Saving can still lose the slot to an overlapping booking (409) or wait too
+// long for the day's booking lock (503)
+const handleError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.data && { data: error.data })
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
 /**
  * @swagger
  * /api/appointments:
@@ -26,7 +65,7 @@ const router = express.Router();
  *         name: type
  *         schema:
  *           type: string
- *           enum: [individual, couple, online, in-person]
+ *           enum: [individual, couple, online, in-person, consultation]
  *         description: Filter by appointment type
  *       - in: query
  *         name: date
@@ -56,8 +95,8 @@ const router = express.Router();
 router.get('/', authenticateToken, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('status').optional().isIn(['scheduled', 'confirmed', 'completed', 'cancelled', 'no-show']),
-  query('type').optional().isIn(['individual', 'couple', 'online', 'in-person']),
+  query('status').optional().isIn(['scheduled', 'confirmed', 'completed', 'cancelled', 'no-show', 'late-cancelled']),
+  query('type').optional().isIn(['individual', 'couple', 'online', 'in-person', 'consultation']),
   query('date').optional().isISO8601().withMessage('Date must be in ISO format')
 ], async (req, res) => {
   try {
@@ -78,8 +117,9 @@ router.get('/', authenticateToken, [
     if (mongoose.connection.readyState !== 1) {
       const { mockAppointments } = require('../utils/mockDb');
       let filtered = [...mockAppointments];
-      if (req.user.role !== 'admin') {
+      if (!hasPermission(req.user, 'appointments:manage')) {
         filtered = filtered.filter(a => {
+          if (!a.user) return false;
           const userId = a.user._id ? a.user._id.toString() : a.user.toString();
           return userId === req.user._id.toString();
         });
@@ -108,8 +148,8 @@ router.get('/', authenticateToken, [
     // Build filter object
     const filter = {};
     
-    // Non-admin users can only see their own appointments
-    if (req.user.role !== 'admin') {
+    // Clients (and staff who do not manage appointments) only see their own
+    if (!hasPermission(req.user, 'appointments:manage')) {
       filter.user = req.user._id;
     }
 
@@ -154,6 +194,91 @@ router.get('/', authenticateToken, [
   }
 });
 
+/**
+ * @swagger
+ * /api/appointments/available-slots:
+ *   get:
+ *     summary: Get available time slots for a date
+ *     description: Slots are generated from the configured working hours, breaks, per-day overrides, blackout periods and buffer minutes. Public, so visitors can pick a time for a guest booking.
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Date to check availability
+ *       - in: query
+ *         name: duration
+ *         schema:
+ *           type: integer
+ *           minimum: 30
+ *           maximum: 120
+ *         description: Session length in minutes (defaults to the configured default duration)
+ *     responses:
+ *       200:
+ *         description: Available slots retrieved successfully
+ *       400:
+ *         description: Invalid date
+ */
+router.get('/available-slots', [
+  query('date')
+    .isISO8601()
+    .withMessage('Date must be in ISO format'),
+  query('duration')
+    .optional()
+    .isInt({ min: 30, max: 120 })
+    .withMessage('Duration must be between 30 and 120 minutes')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const settings = await getAvailabilitySettings();
+    const duration = parseInt(req.query.duration) || settings.defaultDuration;
+    const date = new Date(req.query.date);
+    const existingAppointments = await findAppointmentsOnDay(date, { bufferMinutes: settings.bufferMinutes || 0 });
+    const blackouts = await getBlackoutsOnDay(date);
+
+    const schedule = getDaySchedule(settings, date, blackouts);
+    const availableSlots = getBookableSlots(settings, date, {
+      duration,
+      existing: existingAppointments,
+      blackouts
+    });
+
+    res.json({
+      success: true,
+      data: {
+        date: schedule.date,
+        duration,
+        workingHours: {
+          isOpen: schedule.isOpen,
+          start: schedule.start,
+          end: schedule.end,
+          breaks: schedule.breaks,
+          closures: schedule.closures.map(({ start, end, label }) => ({ start, end, label })),
+          closedFor: schedule.blackout || null
+        },
+        availableSlots
+      }
+    });
+  } catch (error) {
+    console.error('Get available slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get available slots'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/appointments/{id}:
@@ -223,7 +348,7 @@ router.get('/:id', authenticateToken, requireAppointmentAccess, async (req, res)
  *                 example: "14:00"
  *               type:
  *                 type: string
- *                 enum: [individual, couple, online, in-person]
+ *                 enum: [individual, couple, online, in-person, consultation]
  *                 example: "individual"
  *               duration:
  *                 type: integer
@@ -240,8 +365,10 @@ router.get('/:id', authenticateToken, requireAppointmentAccess, async (req, res)
  *         description: Appointment created successfully
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: Online booking blocked by the no-show policy
  *       409:
- *         description: Time slot already taken
+ *         description: Time slot overlaps an existing appointment (duration + buffer aware)
  */
 router.post('/', authenticateToken, [
   body('date')
@@ -257,7 +384,7 @@ router.post('/', authenticateToken, [
     .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
     .withMessage('Time must be in HH:MM format'),
   body('type')
-    .isIn(['individual', 'couple', 'online', 'in-person'])
+    .isIn(['individual', 'couple', 'online', 'in-person', 'consultation'])
     .withMessage('Invalid appointment type'),
   body('duration')
     .optional()
@@ -282,24 +409,44 @@ router.post('/', authenticateToken, [
       });
     }
 
-    const { date, time, type, duration = 50, notes, price } = req.body;
-
-    
-    if (mongoose.connection.readyState !== 1) {
-      const { mockAppointments, mockUsers } = require('../utils/mockDb');
-      const conflict = mockAppointments.find(a => 
-        new Date(a.date).toDateString() === new Date(date).toDateString() &&
-        a.time === time &&
-        ['scheduled', 'confirmed'].includes(a.status)
-      );
-
-      if (conflict) {
-        return res.status(409).json({
+    // Clients over the no-show limit book by phone when the policy says block
+    if (!hasPermission(req.user, 'appointments:manage')) {
+      const standing = await getNoShowStanding({ userId: req.user._id, email: req.user.email });
+      if (standing.bookingBlocked) {
+        return res.status(403).json({
           success: false,
-          message: 'Time slot is already taken'
+          message: BOOKING_BLOCKED_MESSAGE
         });
       }
+    }
+
+    const { date, time, type, notes, price } = req.body;
+    const settings = await getAvailabilitySettings();
+    const duration = req.body.duration || settings.defaultDuration;
+
+    // Working hours, breaks, per-day overrides and blackouts
+    const availability = await checkSlotAvailability({ date, time, duration }, settings);
+    if (!availability.valid) {
+      return res.status(400).json({
+        success: false,
+        message: availability.message
+      });
+    }
 
+    // Duration-aware overlap check (including buffer minutes)
+    const conflict = await findConflictingAppointment({ date, time, duration }, settings);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: 'Time slot is already taken',
+        data: {
+          conflict: { time: conflict.time, duration: conflict.duration }
+        }
+      });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      const { mockAppointments, mockUsers } = require('../utils/mockDb');
       const mockApp = {
         _id: 'mock-app-' + Date.now(),
         user: mockUsers.find(u => u._id === req.user._id.toString()) || req.user,
@@ -310,10 +457,10 @@ router.post('/', authenticateToken, [
         notes,
         price,
         status: 'scheduled',
-        reminders: [],
         createdAt: new Date()
       };
-      
+      mockApp.reminders = await buildReminders(mockApp);
+
       mockAppointments.push(mockApp);
 
       try {
@@ -321,6 +468,7 @@ router.post('/', authenticateToken, [
           to: req.user.email,
           subject: 'Randevu Onayı - Psikolog Onur Uslu',
           template: 'appointmentConfirmation',
+          attachments: [buildIcsAttachment(mockApp)],
           data: {
             name: req.user.name,
             date: new Date(date).toLocaleDateString('tr-TR'),
@@ -343,20 +491,6 @@ router.post('/', authenticateToken, [
       });
     }
 
-    // Check for time slot conflicts
-    const existingAppointment = await Appointment.findOne({
-      date: new Date(date),
-      time,
-      status: { $in: ['scheduled', 'confirmed'] }
-    });
-
-    if (existingAppointment) {
-      return res.status(409).json({
-        success: false,
-        message: 'Time slot is already taken'
-      });
-    }
-
     // Create appointment
     const appointment = new Appointment({
       user: req.user._id,
@@ -369,27 +503,7 @@ router.post('/', authenticateToken, [
     });
 
     // Set up reminders
-    const appointmentDate = new Date(date);
-    const [hours, minutes] = time.split(':');
-    appointmentDate.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-
-    // 24-hour reminder
-    const reminder24h = new Date(appointmentDate.getTime() - 24 * 60 * 60 * 1000);
-    if (reminder24h > new Date()) {
-      appointment.reminders.push({
-        type: 'email',
-        scheduledFor: reminder24h
-      });
-    }
-
-    // 2-hour reminder
-    const reminder2h = new Date(appointmentDate.getTime() - 2 * 60 * 60 * 1000);
-    if (reminder2h > new Date()) {
-      appointment.reminders.push({
-        type: 'email',
-        scheduledFor: reminder2h
-      });
-    }
+    appointment.reminders = await buildReminders(appointment);
 
     await appointment.save();
     await appointment.populate('user', 'name email phone');
@@ -400,6 +514,7 @@ router.post('/', authenticateToken, [
         to: req.user.email,
         subject: 'Randevu Onayı - Psikolog Onur Uslu',
         template: 'appointmentConfirmation',
+        attachments: [buildIcsAttachment(appointment)],
         data: {
           name: req.user.name,
           date: appointment.formattedDate,
@@ -422,11 +537,7 @@ router.post('/', authenticateToken, [
       }
     });
   } catch (error) {
-    console.error('Create appointment error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create appointment'
-    });
+    handleError(res, error, 'Failed to create appointment');
   }
 });
 
@@ -459,22 +570,28 @@ router.post('/', authenticateToken, [
  *                 type: string
  *               type:
  *                 type: string
- *                 enum: [individual, couple, online, in-person]
+ *                 enum: [individual, couple, online, in-person, consultation]
  *               duration:
  *                 type: integer
  *               notes:
  *                 type: string
  *               price:
  *                 type: number
+ *               scope:
+ *                 type: string
+ *                 enum: [this, following]
+ *                 description: For series occurrences, "following" also updates every later occurrence (a date change shifts them by the same number of days)
  *     responses:
  *       200:
  *         description: Appointment updated successfully
  *       400:
- *         description: Validation error
+ *         description: Validation error, or the new time is in the past or outside the working hours
  *       403:
  *         description: Cannot modify appointment
  *       404:
  *         description: Appointment not found
+ *       409:
+ *         description: Overlaps an existing appointment
  */
 router.put('/:id', authenticateToken, requireAppointmentAccess, [
   body('date')
@@ -487,7 +604,7 @@ router.put('/:id', authenticateToken, requireAppointmentAccess, [
     .withMessage('Time must be in HH:MM format'),
   body('type')
     .optional()
-    .isIn(['individual', 'couple', 'online', 'in-person'])
+    .isIn(['individual', 'couple', 'online', 'in-person', 'consultation'])
     .withMessage('Invalid appointment type'),
   body('duration')
     .optional()
@@ -500,7 +617,11 @@ router.put('/:id', authenticateToken, requireAppointmentAccess, [
   body('notes')
     .optional()
     .isLength({ max: 1000 })
-    .withMessage('Notes cannot exceed 1000 characters')
+    .withMessage('Notes cannot exceed 1000 characters'),
+  body('scope')
+    .optional()
+    .isIn(['this', 'following'])
+    .withMessage('Scope must be this or following')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -513,7 +634,7 @@ router.put('/:id', authenticateToken, requireAppointmentAccess, [
     }
 
     // Check if appointment can be modified (bypass for admin)
-    if (req.user.role !== 'admin' && !req.appointment.canBeRescheduled()) {
+    if (!hasPermission(req.user, 'appointments:manage') && !req.appointment.canBeRescheduled()) {
       return res.status(403).json({
         success: false,
         message: 'Appointment cannot be modified less than 12 hours before scheduled time'
@@ -521,36 +642,63 @@ router.put('/:id', authenticateToken, requireAppointmentAccess, [
     }
 
     const { date, time, type, duration, notes, price } = req.body;
-    
-    if (mongoose.connection.readyState !== 1) {
-      const { mockAppointments } = require('../utils/mockDb');
-      if (date || time) {
-        const checkDate = date ? new Date(date) : req.appointment.date;
-        const checkTime = time || req.appointment.time;
-        const conflict = mockAppointments.find(a => 
-          a._id !== req.appointment._id &&
-          new Date(a.date).toDateString() === new Date(checkDate).toDateString() &&
-          a.time === checkTime &&
-          ['scheduled', 'confirmed'].includes(a.status)
-        );
-
-        if (conflict) {
-          return res.status(409).json({
-            success: false,
-            message: 'Time slot is already taken'
-          });
+
+    if (req.body.scope === 'following') {
+      if (!req.appointment.series) {
+        return res.status(400).json({
+          success: false,
+          message: 'Appointment is not part of a series'
+        });
+      }
+
+      const result = await updateFollowing(req.appointment, { date, time, type, duration, notes, price });
+      if (!result.updated) {
+        return res.status(409).json({
+          success: false,
+          message: 'Some following occurrences cannot be moved',
+          data: { plan: result.plan }
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: `${result.appointments.length} appointments updated successfully`,
+        data: {
+          appointments: result.appointments
         }
+      });
+    }
+
+    // A new time goes through the reschedule flow: the same checks as
+    // POST /:id/reschedule, then history, reminders, waitlist and client email
+    if (date || time || duration) {
+      const target = {
+        date: date ? new Date(date) : req.appointment.date,
+        time: time || req.appointment.time,
+        duration: duration || req.appointment.duration
+      };
+
+      const check = await checkRescheduleTarget(req.appointment, target);
+      if (!check.available) {
+        return res.status(check.reason === 'conflict' ? 409 : 400).json({
+          success: false,
+          message: check.message,
+          ...(check.conflict && { data: { conflict: check.conflict } })
+        });
       }
 
+      const result = await rescheduleAppointment(req.appointment, target, { changedBy: req.user._id });
+      req.appointment = result.appointment;
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      const { mockAppointments } = require('../utils/mockDb');
       const appIndex = mockAppointments.findIndex(a => a._id === req.appointment._id);
       if (appIndex !== -1) {
         const original = mockAppointments[appIndex];
         mockAppointments[appIndex] = {
           ...original,
-          date: date ? new Date(date) : original.date,
-          time: time || original.time,
           type: type || original.type,
-          duration: duration || original.duration,
           notes: notes !== undefined ? notes : original.notes,
           price: price || original.price,
           updatedAt: new Date()
@@ -569,31 +717,8 @@ router.put('/:id', authenticateToken, requireAppointmentAccess, [
 
     const updateData = {};
 
-    // Check for time slot conflicts if time is being changed
-    if (date || time) {
-      const checkDate = date ? new Date(date) : req.appointment.date;
-      const checkTime = time || req.appointment.time;
-
-      const existingAppointment = await Appointment.findOne({
-        _id: { $ne: req.appointment._id },
-        date: checkDate,
-        time: checkTime,
-        status: { $in: ['scheduled', 'confirmed'] }
-      });
-
-      if (existingAppointment) {
-        return res.status(409).json({
-          success: false,
-          message: 'Time slot is already taken'
-        });
-      }
-    }
-
     // Update fields
-    if (date) updateData.date = new Date(date);
-    if (time) updateData.time = time;
     if (type) updateData.type = type;
-    if (duration) updateData.duration = duration;
     if (notes !== undefined) updateData.notes = notes;
     if (price) updateData.price = price;
 
@@ -611,14 +736,229 @@ router.put('/:id', authenticateToken, requireAppointmentAccess, [
       }
     });
   } catch (error) {
-    console.error('Update appointment error:', error);
+    handleError(res, error, 'Failed to update appointment');
+  }
+});
+
+const formatSlot = ({ date, time, duration }) => ({
+  date: toDateKey(date),
+  time,
+  duration
+});
+
+/**
+ * @swagger
+ * /api/appointments/{id}/reschedule-options:
+ *   get:
+ *     summary: Get alternative slots to move an appointment to
+ *     description: Free slots from the availability engine for the coming days, grouped by day. Clients can only reschedule scheduled appointments more than 12 hours ahead.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day to search (defaults to today)
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 60
+ *         description: Number of days to search (defaults to 14)
+ *     responses:
+ *       200:
+ *         description: Alternative slots retrieved successfully
+ *       403:
+ *         description: Appointment cannot be rescheduled
+ *       404:
+ *         description: Appointment not found
+ */
+router.get('/:id/reschedule-options', authenticateToken, requireAppointmentAccess, [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be in ISO format'),
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: MAX_SEARCH_DAYS })
+    .withMessage(`Days must be between 1 and ${MAX_SEARCH_DAYS}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!hasPermission(req.user, 'appointments:manage') && !req.appointment.canBeRescheduled()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Appointment cannot be rescheduled less than 12 hours before scheduled time'
+      });
+    }
+
+    const alternatives = await findAlternativeSlots(req.appointment, {
+      from: req.query.from ? new Date(req.query.from) : new Date(),
+      days: req.query.days ? parseInt(req.query.days) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: {
+        current: formatSlot(req.appointment),
+        alternatives
+      }
+    });
+  } catch (error) {
+    console.error('Get reschedule options error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update appointment'
+      message: 'Failed to get reschedule options'
     });
   }
 });
 
+/**
+ * @swagger
+ * /api/appointments/{id}/reschedule:
+ *   post:
+ *     summary: Move an appointment to a new time
+ *     description: Clients can only reschedule scheduled appointments more than 12 hours ahead. The previous time is kept in `rescheduleHistory`, reminders are rebuilt and the client gets a confirmation email. When the new time is not free, alternatives around it are returned with 409.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *               - time
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               time:
+ *                 type: string
+ *                 example: "15:00"
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Appointment rescheduled
+ *       400:
+ *         description: Validation error or time in the past
+ *       403:
+ *         description: Appointment cannot be rescheduled
+ *       409:
+ *         description: New time is not available; alternatives are included
+ */
+router.post('/:id/reschedule', authenticateToken, requireAppointmentAccess, [
+  body('date')
+    .isISO8601()
+    .withMessage('Date must be in ISO format'),
+  body('time')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Time must be in HH:MM format'),
+  body('reason')
+    .optional()
+    .isLength({ max: 300 })
+    .withMessage('Reason cannot exceed 300 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!['scheduled', 'confirmed'].includes(req.appointment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only scheduled or confirmed appointments can be rescheduled'
+      });
+    }
+
+    if (!hasPermission(req.user, 'appointments:manage') && !req.appointment.canBeRescheduled()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Appointment cannot be rescheduled less than 12 hours before scheduled time'
+      });
+    }
+
+    const { date, time, reason } = req.body;
+    const target = { date: new Date(date), time };
+
+    if (formatSlot(target).date === formatSlot(req.appointment).date && time === req.appointment.time) {
+      return res.status(400).json({
+        success: false,
+        message: 'New time is the same as the current time'
+      });
+    }
+
+    const check = await checkRescheduleTarget(req.appointment, target);
+    if (!check.available) {
+      if (check.reason === 'past') {
+        return res.status(400).json({
+          success: false,
+          message: check.message
+        });
+      }
+
+      const alternatives = await findAlternativeSlots(req.appointment, { from: target.date, days: 7 });
+      return res.status(409).json({
+        success: false,
+        message: check.message,
+        data: {
+          reason: check.reason,
+          conflict: check.conflict,
+          alternatives
+        }
+      });
+    }
+
+    // Also emails the client the new time with a calendar update
+    const { appointment, previous } = await rescheduleAppointment(req.appointment, target, {
+      changedBy: req.user._id,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Appointment rescheduled successfully',
+      data: {
+        appointment,
+        previous: formatSlot(previous)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to reschedule appointment');
+  }
+});
+
 /**
  * @swagger
  * /api/appointments/{id}/cancel:
@@ -646,6 +986,10 @@ router.put('/:id', authenticateToken, requireAppointmentAccess, [
  *               reason:
  *                 type: string
  *                 example: "Schedule conflict"
+ *               scope:
+ *                 type: string
+ *                 enum: [this, following]
+ *                 description: For series occurrences, "following" also cancels every later occurrence
  *     responses:
  *       200:
  *         description: Appointment cancelled successfully
@@ -659,7 +1003,11 @@ router.post('/:id/cancel', authenticateToken, requireAppointmentAccess, [
     .notEmpty()
     .withMessage('Cancellation reason is required')
     .isLength({ max: 500 })
-    .withMessage('Reason cannot exceed 500 characters')
+    .withMessage('Reason cannot exceed 500 characters'),
+  body('scope')
+    .optional()
+    .isIn(['this', 'following'])
+    .withMessage('Scope must be this or following')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -672,7 +1020,7 @@ router.post('/:id/cancel', authenticateToken, requireAppointmentAccess, [
     }
 
     // Check if appointment can be cancelled (bypass for admin)
-    if (req.user.role !== 'admin' && !req.appointment.canBeCancelled()) {
+    if (!hasPermission(req.user, 'appointments:manage') && !req.appointment.canBeCancelled()) {
       return res.status(403).json({
         success: false,
         message: 'Appointment cannot be cancelled less than 24 hours before scheduled time'
@@ -681,7 +1029,49 @@ router.post('/:id/cancel', authenticateToken, requireAppointmentAccess, [
 
     const { reason } = req.body;
 
-    
+    if (req.body.scope === 'following') {
+      if (!req.appointment.series) {
+        return res.status(400).json({
+          success: false,
+          message: 'Appointment is not part of a series'
+        });
+      }
+
+      const cancelled = await cancelFollowing(req.appointment, { reason, cancelledBy: req.user._id });
+      for (const appointment of cancelled) {
+        await offerFreedSlot(appointment);
+      }
+      if (mongoose.connection.readyState === 1) {
+        await req.appointment.populate('user', 'name email phone');
+      }
+
+      try {
+        await sendEmail({
+          to: req.appointment.user.email,
+          subject: 'Randevu İptali - Psikolog Onur Uslu',
+          template: 'appointmentCancellation',
+          attachments: [buildIcsAttachment(cancelled, 'CANCEL')],
+          data: {
+            name: req.appointment.user.name,
+            date: cancelled.map(a => new Date(a.date).toLocaleDateString('tr-TR')).join(', '),
+            time: req.appointment.time,
+            type: req.appointment.typeTurkish || req.appointment.type,
+            reason
+          }
+        });
+      } catch (emailError) {
+        console.error('Cancellation email failed:', emailError);
+      }
+
+      return res.json({
+        success: true,
+        message: `${cancelled.length} appointments cancelled successfully`,
+        data: {
+          appointments: cancelled
+        }
+      });
+    }
+
     if (mongoose.connection.readyState !== 1) {
       const { mockAppointments } = require('../utils/mockDb');
       const appIndex = mockAppointments.findIndex(a => a._id === req.appointment._id);
@@ -690,16 +1080,20 @@ router.post('/:id/cancel', authenticateToken, requireAppointmentAccess, [
         mockAppointments[appIndex].cancellationReason = reason;
         mockAppointments[appIndex].cancelledAt = new Date();
         mockAppointments[appIndex].cancelledBy = req.user._id;
+        mockAppointments[appIndex].calendarSequence = (mockAppointments[appIndex].calendarSequence || 0) + 1;
         req.appointment = mockAppointments[appIndex];
       }
+      await offerFreedSlot(req.appointment);
 
+      const client = Appointment.clientOf(req.appointment);
       try {
         await sendEmail({
-          to: req.appointment.user.email,
+          to: client.email,
           subject: 'Randevu İptali - Psikolog Onur Uslu',
           template: 'appointmentCancellation',
+          attachments: [buildIcsAttachment(req.appointment, 'CANCEL')],
           data: {
-            name: req.appointment.user.name,
+            name: client.name,
             date: new Date(req.appointment.date).toLocaleDateString('tr-TR'),
             time: req.appointment.time,
             type: req.appointment.type,
@@ -723,14 +1117,19 @@ router.post('/:id/cancel', authenticateToken, requireAppointmentAccess, [
     await req.appointment.cancel(reason, req.user._id);
     await req.appointment.populate('user', 'name email phone');
 
+    // The freed slot goes to the first matching client on the waitlist
+    await offerFreedSlot(req.appointment);
+
     // Send cancellation email
+    const client = Appointment.clientOf(req.appointment);
     try {
       await sendEmail({
-        to: req.appointment.user.email,
+        to: client.email,
         subject: 'Randevu İptali - Psikolog Onur Uslu',
         template: 'appointmentCancellation',
+        attachments: [buildIcsAttachment(req.appointment, 'CANCEL')],
         data: {
-          name: req.appointment.user.name,
+          name: client.name,
           date: req.appointment.formattedDate,
           time: req.appointment.time,
           type: req.appointment.typeTurkish,
@@ -781,7 +1180,7 @@ router.post('/:id/cancel', authenticateToken, requireAppointmentAccess, [
  *       404:
  *         description: Appointment not found
  */
-router.post('/:id/confirm', authenticateToken, requireAdmin, requireAppointmentAccess, async (req, res) => {
+router.post('/:id/confirm', authenticateToken, requirePermission('appointments:manage'), requireAppointmentAccess, async (req, res) => {
   try {
     
     if (mongoose.connection.readyState !== 1) {
@@ -855,11 +1254,11 @@ router.post('/:id/confirm', authenticateToken, requireAdmin, requireAppointmentA
  *       200:
  *         description: Appointment completed successfully
  *       403:
- *         description: Admin access required
+ *         description: Staff access with appointments:manage required; sessionNotes also need clinical:write
  *       404:
  *         description: Appointment not found
  */
-router.post('/:id/complete', authenticateToken, requireAdmin, requireAppointmentAccess, [
+router.post('/:id/complete', authenticateToken, requirePermission('appointments:manage'), requireAppointmentAccess, [
   body('sessionNotes')
     .optional()
     .isLength({ max: 2000 })
@@ -885,13 +1284,23 @@ router.post('/:id/complete', authenticateToken, requireAdmin, requireAppointment
 
     const { sessionNotes, followUpRequired, followUpDate } = req.body;
 
+    // Anyone who manages appointments can close a session; only clinical staff write notes
+    if (sessionNotes !== undefined && !hasPermission(req.user, 'clinical:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your role does not allow this',
+        code: 'PERMISSION_DENIED',
+        permission: 'clinical:write'
+      });
+    }
+
     
     if (mongoose.connection.readyState !== 1) {
       const { mockAppointments } = require('../utils/mockDb');
       const appIndex = mockAppointments.findIndex(a => a._id === req.appointment._id);
       if (appIndex !== -1) {
         mockAppointments[appIndex].status = 'completed';
-        mockAppointments[appIndex].sessionNotes = sessionNotes;
+        if (sessionNotes !== undefined) mockAppointments[appIndex].sessionNotes = sessionNotes;
         if (followUpRequired && followUpDate) {
           mockAppointments[appIndex].followUpRequired = followUpRequired;
           mockAppointments[appIndex].followUpDate = new Date(followUpDate);
@@ -933,108 +1342,4 @@ router.post('/:id/complete', authenticateToken, requireAdmin, requireAppointment
   }
 });
 
-/**
- * @swagger
- * /api/appointments/available-slots:
- *   get:
- *     summary: Get available time slots for a date
- *     tags: [Appointments]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: date
- *         required: true
- *         schema:
- *           type: string
- *           format: date
- *         description: Date to check availability
- *     responses:
- *       200:
- *         description: Available slots retrieved successfully
- *       400:
- *         description: Invalid date
- */
-router.get('/available-slots', authenticateToken, [
-  query('date')
-    .isISO8601()
-    .withMessage('Date must be in ISO format')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
-    
-    if (mongoose.connection.readyState !== 1) {
-      const { mockAppointments } = require('../utils/mockDb');
-      const date = new Date(req.query.date);
-      const existing = mockAppointments.filter(a => 
-        new Date(a.date).toDateString() === date.toDateString() &&
-        ['scheduled', 'confirmed'].includes(a.status)
-      );
-
-      const allSlots = [];
-      for (let hour = 9; hour < 22; hour++) {
-        for (let minute = 0; minute < 60; minute += 50) {
-          const timeString = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
-          allSlots.push(timeString);
-        }
-      }
-
-      const takenSlots = existing.map(apt => apt.time);
-      const availableSlots = allSlots.filter(slot => !takenSlots.includes(slot));
-
-      return res.json({
-        success: true,
-        data: {
-          availableSlots
-        }
-      });
-    }
-
-    const date = new Date(req.query.date);
-    const nextDay = new Date(date);
-    nextDay.setDate(nextDay.getDate() + 1);
-
-    // Get existing appointments for the date
-    const existingAppointments = await Appointment.find({
-      date: { $gte: date, $lt: nextDay },
-      status: { $in: ['scheduled', 'confirmed'] }
-    });
-
-    // Generate all possible time slots (9:00 - 22:00, 50-minute intervals)
-    const allSlots = [];
-    for (let hour = 9; hour < 22; hour++) {
-      for (let minute = 0; minute < 60; minute += 50) {
-        const timeString = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
-        allSlots.push(timeString);
-      }
-    }
-
-    // Filter out taken slots
-    const takenSlots = existingAppointments.map(apt => apt.time);
-    const availableSlots = allSlots.filter(slot => !takenSlots.includes(slot));
-
-    res.json({
-      success: true,
-      data: {
-        date: date.toISOString().split('T')[0],
-        availableSlots
-      }
-    });
-  } catch (error) {
-    console.error('Get available slots error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get available slots'
-    });
-  }
-});
-
 module.exports = router;
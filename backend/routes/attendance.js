@@ -0,0 +1,222 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  OUTCOMES,
+  getAttendanceSettings,
+  updateAttendanceSettings,
+  listAwaitingOutcome,
+  recordOutcome
+} = require('../utils/attendance');
+const router = express.Router();
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+// Attendance errors carry their HTTP status (400, 404, 409)
+const handleError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      errors: error.problems
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+router.use(authenticateToken, requirePermission('appointments:manage'));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Attendance
+ *   description: Outcomes of past sessions and the no-show policy (Admin only)
+ */
+
+/**
+ * @swagger
+ * /api/attendance/awaiting:
+ *   get:
+ *     summary: Sessions awaiting an outcome
+ *     description: |
+ *       Past sessions still scheduled or confirmed, oldest first, each with the
+ *       client's no-show standing (`noShows`). `autoResolved` lists the sessions
+ *       settled automatically in the last 14 days so they can be corrected.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Awaiting sessions, recently auto-resolved sessions and the settings
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/awaiting', async (req, res) => {
+  try {
+    const data = await listAwaitingOutcome();
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to get sessions awaiting an outcome');
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/appointments/{id}/outcome:
+ *   post:
+ *     summary: Record the outcome of a session
+ *     description: |
+ *       Completed and no-show can be recorded once the session has started;
+ *       late-cancelled from 24 hours before it. An outcome recorded earlier,
+ *       by hand or automatically, can be corrected.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - outcome
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [completed, no-show, late-cancelled]
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Outcome recorded
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Appointment is cancelled or the session has not started yet
+ */
+router.post('/appointments/:id/outcome', [
+  param('id').notEmpty().withMessage('Appointment id is required'),
+  body('outcome').isIn(OUTCOMES).withMessage(`Outcome must be one of ${OUTCOMES.join(', ')}`),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const appointment = await recordOutcome(req.params.id, {
+      outcome: req.body.outcome,
+      note: req.body.note
+    }, { by: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Outcome recorded',
+      data: { appointment }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to record outcome');
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/settings:
+ *   get:
+ *     summary: Get the attendance settings
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Attendance settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AttendanceSettings'
+ */
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await getAttendanceSettings();
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to get attendance settings');
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/settings:
+ *   put:
+ *     summary: Update the attendance settings
+ *     description: Partial update; fields left out keep their current value.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AttendanceSettings'
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       400:
+ *         description: Validation error
+ */
+router.put('/settings', [
+  body('autoResolve.enabled').optional().isBoolean().withMessage('autoResolve.enabled must be boolean').toBoolean(),
+  body('autoResolve.afterDays').optional().isInt({ min: 1, max: 60 }).withMessage('autoResolve.afterDays must be between 1 and 60').toInt(),
+  body('autoResolve.outcome').optional().isIn(['completed', 'no-show']).withMessage('autoResolve.outcome must be completed or no-show'),
+  body('noShowPolicy.threshold').optional().isInt({ min: 1, max: 20 }).withMessage('noShowPolicy.threshold must be between 1 and 20').toInt(),
+  body('noShowPolicy.windowDays').optional().isInt({ min: 7, max: 730 }).withMessage('noShowPolicy.windowDays must be between 7 and 730').toInt(),
+  body('noShowPolicy.countLateCancellations').optional().isBoolean().withMessage('noShowPolicy.countLateCancellations must be boolean').toBoolean(),
+  body('noShowPolicy.action').optional().isIn(['flag', 'block']).withMessage('noShowPolicy.action must be flag or block')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const settings = await updateAttendanceSettings({
+      autoResolve: req.body.autoResolve,
+      noShowPolicy: req.body.noShowPolicy
+    });
+    res.json({
+      success: true,
+      message: 'Attendance settings updated',
+      data: settings
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to update attendance settings');
+  }
+});
+
+module.exports = router;
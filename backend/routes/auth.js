@@ -1,10 +1,91 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { generateToken, generateRefreshToken, verifyRefreshToken, authenticateToken } = require('../middleware/auth');
+const { verifyRefreshToken, authenticateToken } = require('../middleware/auth');
 const { sendEmail } = require('../utils/emailService');
+const { mergeGuestBookings } = require('../utils/guestBookings');
+const {
+  createSession,
+  rotateRefreshToken,
+  accessToken,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/authSessions');
+const {
+  isTwoFactorEnabled,
+  issueLoginChallenge,
+  readLoginChallenge,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+const {
+  loginBlock,
+  accountLockedError,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount
+} = require('../utils/loginThrottle');
+const { STAFF_ROLES, isStaff, permissionsOf } = require('../utils/permissions');
 const router = express.Router();
 
+const isConnected = () => mongoose.connection.readyState === 1;
+
+// Browser and address a login session is opened or refreshed from
+const clientOf = (req) => ({ userAgent: req.get('user-agent'), ipAddress: req.ip });
+
+// Without MongoDB the only account is the admin from the environment
+const mockAdmin = () => ({
+  _id: 'mock-admin-id',
+  name: 'Admin User',
+  email: (process.env.ADMIN_EMAIL || 'admin@psikologonuruslu.com').toLowerCase(),
+  role: 'admin',
+  isActive: true
+});
+
+const adminProfile = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  permissions: permissionsOf(user),
+  isActive: user.isActive
+});
+
+// Password is right but the account has two-factor: no session until the code
+const twoFactorChallenge = (res, user) => res.json({
+  success: true,
+  message: 'Enter the code from your authenticator app',
+  twoFactorRequired: true,
+  challengeToken: issueLoginChallenge(user)
+});
+
+// Locked (423) and slowed down (429) logins say when to come back
+const sendThrottled = (res, error) => {
+  res.set('Retry-After', String(error.retryAfter));
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    retryAfter: error.retryAfter
+  });
+};
+
+// Count a wrong password or code; the failure that locks the account says so
+const rejectLogin = async (req, res, user, message, reason) => {
+  const { lockedUntil } = await recordLoginFailure(user, clientOf(req), { reason });
+  if (lockedUntil) return sendThrottled(res, accountLockedError(lockedUntil));
+  return res.status(401).json({
+    success: false,
+    message
+  });
+};
+
+const findSessionUser = async (userId) => {
+  if (!isConnected()) {
+    return userId === 'mock-admin-id' ? mockAdmin() : null;
+  }
+  return User.findById(userId);
+};
+
 /**
  * @swagger
  * /api/auth/register:
@@ -37,6 +118,10 @@ const router = express.Router();
  *               phone:
  *                 type: string
  *                 example: "05551234567"
+ *               campaignConsent:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Agrees to announcement and campaign emails
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -59,7 +144,12 @@ router.post('/register', [
     .withMessage('Password must be at least 6 characters'),
   body('phone')
     .matches(/^(\+90|0)?[5][0-9]{9}$/)
-    .withMessage('Please provide a valid Turkish phone number')
+    .withMessage('Please provide a valid Turkish phone number'),
+  body('campaignConsent')
+    .optional()
+    .isBoolean()
+    .withMessage('Campaign consent must be boolean')
+    .toBoolean()
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -72,7 +162,7 @@ router.post('/register', [
       });
     }
 
-    const { name, email, password, phone } = req.body;
+    const { name, email, password, phone, campaignConsent } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findByEmail(email);
@@ -88,15 +178,18 @@ router.post('/register', [
       name,
       email,
       password,
-      phone
+      phone,
+      ...(campaignConsent && {
+        notificationPreferences: { campaigns: { email: true, consentedAt: new Date() } }
+      })
     });
 
     // Generate email verification token
     const emailVerificationToken = user.generateEmailVerificationToken();
     await user.save();
 
-    // Generate JWT token
-    const token = user.generateAuthToken();
+    // Open a login session
+    const { token, refreshToken } = await createSession(user, clientOf(req));
 
     // Send verification email
     try {
@@ -119,7 +212,8 @@ router.post('/register', [
       message: 'User registered successfully. Please check your email for verification.',
       data: {
         user: user.fullProfile,
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -156,11 +250,15 @@ router.post('/register', [
  *                 example: "password123"
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or `twoFactorRequired` with a `challengeToken` for /api/auth/admin/login/verify
  *       401:
  *         description: Invalid credentials
  *       403:
  *         description: Account deactivated
+ *       423:
+ *         description: Account locked after too many failed logins; `retryAfter` seconds, or reset the password
+ *       429:
+ *         description: Too many failed logins in a row, wait `retryAfter` seconds
  */
 router.post('/login', [
   body('email')
@@ -201,21 +299,26 @@ router.post('/login', [
       });
     }
 
+    // Locked or slowed down accounts are turned away before the password is checked
+    const blocked = loginBlock(user);
+    if (blocked) return sendThrottled(res, blocked);
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
+      return rejectLogin(req, res, user, 'Invalid credentials');
     }
 
+    // Same second step as the admin login, or a staff token would skip it
+    if (isTwoFactorEnabled(user)) return twoFactorChallenge(res, user);
+
+    await recordLoginSuccess(user, clientOf(req));
+
     // Update last login
     await user.updateLastLogin();
 
-    // Generate tokens
-    const token = user.generateAuthToken();
-    const refreshToken = generateRefreshToken({ id: user._id });
+    // Open a login session
+    const { token, refreshToken } = await createSession(user, clientOf(req));
 
     res.json({
       success: true,
@@ -255,7 +358,7 @@ router.post('/login', [
  *                 example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
  *     responses:
  *       200:
- *         description: Email verified successfully
+ *         description: Email verified successfully; confirmed guest bookings made with the same email are attached to the account
  *       400:
  *         description: Invalid or expired token
  */
@@ -292,9 +395,15 @@ router.post('/verify-email', [
     user.emailVerificationToken = undefined;
     await user.save();
 
+    // Bookings made as a guest with this address now belong to the account
+    const mergedBookings = await mergeGuestBookings(user);
+
     res.json({
       success: true,
-      message: 'Email verified successfully'
+      message: 'Email verified successfully',
+      data: {
+        mergedBookings
+      }
     });
   } catch (error) {
     console.error('Email verification error:', error);
@@ -310,6 +419,7 @@ router.post('/verify-email', [
  * /api/auth/forgot-password:
  *   post:
  *     summary: Request password reset
+ *     description: Resetting the password with the emailed link also lifts a login lockout.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -455,6 +565,11 @@ router.post('/reset-password', [
     user.passwordResetExpires = undefined;
     await user.save();
 
+    // Whoever knew the old password is logged out everywhere
+    await revokeAllSessions(user._id, 'password-reset');
+    // The reset link proves the mailbox, which is enough to lift a lockout
+    await unlockAccount(user._id);
+
     res.json({
       success: true,
       message: 'Password reset successfully'
@@ -473,6 +588,10 @@ router.post('/reset-password', [
  * /api/auth/refresh:
  *   post:
  *     summary: Refresh access token
+ *     description: |
+ *       Each refresh token works once; the answer carries its replacement.
+ *       Sending a refresh token that was already used revokes its session,
+ *       which logs out every holder of it.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -488,9 +607,9 @@ router.post('/reset-password', [
  *                 example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
  *     responses:
  *       200:
- *         description: Token refreshed successfully
+ *         description: New access token and refresh token
  *       401:
- *         description: Invalid refresh token
+ *         description: Invalid, expired, revoked or already used refresh token
  */
 router.post('/refresh', [
   body('refreshToken')
@@ -507,35 +626,37 @@ router.post('/refresh', [
       });
     }
 
-    const { refreshToken } = req.body;
+    // Replace the refresh token; a reused one revokes its session
+    const session = await rotateRefreshToken(req.body.refreshToken, clientOf(req));
 
-    // Verify refresh token
-    const decoded = verifyRefreshToken(refreshToken);
-
-    // Find user
-    const user = await User.findById(decoded.id);
+    const user = await findSessionUser(session.userId);
     if (!user || !user.isActive) {
+      await revokeSession(session.sessionId, 'logout');
       return res.status(401).json({
         success: false,
         message: 'Invalid refresh token'
       });
     }
 
-    // Generate new access token
-    const newToken = user.generateAuthToken();
-
     res.json({
       success: true,
       message: 'Token refreshed successfully',
       data: {
-        token: newToken
+        token: accessToken(user, session.sessionId, session.twoFactor),
+        refreshToken: session.refreshToken
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Token refresh error:', error);
-    res.status(401).json({
+    res.status(500).json({
       success: false,
-      message: 'Invalid refresh token'
+      message: 'Token refresh failed'
     });
   }
 });
@@ -576,17 +697,39 @@ router.get('/me', authenticateToken, async (req, res) => {
  * /api/auth/logout:
  *   post:
  *     summary: Logout user
+ *     description: |
+ *       Revokes the login session of the access token, so neither it nor the
+ *       session's refresh token work any more. Access tokens from before
+ *       sessions name none; send the refresh token to revoke its session.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Logout successful
  */
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // In a more complex system, you might want to blacklist the token
-    // For now, we'll just return success
+    let sessionId = req.sessionId;
+    if (!sessionId && req.body.refreshToken) {
+      try {
+        const decoded = verifyRefreshToken(req.body.refreshToken);
+        // Only the user's own sessions
+        if (String(decoded.id) === req.user._id.toString()) sessionId = decoded.sid;
+      } catch (error) {
+        // An invalid refresh token has nothing to revoke
+      }
+    }
+    if (sessionId) await revokeSession(sessionId, 'logout');
+
     res.json({
       success: true,
       message: 'Logout successful'
@@ -600,11 +743,58 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of all devices
+ *     description: |
+ *       Revokes every login session of the user, this one included. Access
+ *       tokens from before sessions stop working too.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revoked:
+ *                       type: integer
+ *                       example: 3
+ */
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id, 'logout-all');
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/auth/admin/login:
  *   post:
- *     summary: Admin login
+ *     summary: Admin panel login
+ *     description: |
+ *       For every staff role (admin, therapist, assistant). The user in the
+ *       answer lists the permissions of the role.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -625,13 +815,20 @@ router.post('/logout', authenticateToken, async (req, res) => {
  *                 example: "admin123"
  *     responses:
  *       200:
- *         description: Admin login successful
+ *         description: |
+ *           Admin login successful, or for accounts with two-factor
+ *           authentication `twoFactorRequired: true` and a `challengeToken`
+ *           for /api/auth/admin/login/verify
  *       400:
  *         description: Validation error
  *       401:
  *         description: Invalid credentials
  *       403:
  *         description: Admin access required
+ *       423:
+ *         description: Account locked after too many failed logins; `retryAfter` seconds, or reset the password
+ *       429:
+ *         description: Too many failed logins in a row, wait `retryAfter` seconds
  */
 router.post('/admin/login', [
   body('email')
@@ -655,43 +852,39 @@ router.post('/admin/login', [
     const { email, password } = req.body;
 
     // Check if MongoDB is connected
-    const mongoose = require('mongoose');
-    if (mongoose.connection.readyState !== 1) {
+    if (!isConnected()) {
       console.log('MongoDB not connected, using mock admin login');
       // Mock Admin Login — credentials configurable via env for production.
-      const adminEmail = (process.env.ADMIN_EMAIL || 'admin@psikologonuruslu.com').toLowerCase();
+      const mockUser = mockAdmin();
       const adminPassword = process.env.ADMIN_PASSWORD || 'admin123';
-      if (email === adminEmail && password === adminPassword) {
-        const mockUser = {
-          _id: 'mock-admin-id',
-          name: 'Admin User',
-          email: adminEmail,
-          role: 'admin',
-          isActive: true
-        };
-
-        // Generate mock tokens
-        const jwt = require('jsonwebtoken');
-        const token = jwt.sign({ id: mockUser._id, role: mockUser.role }, process.env.JWT_SECRET || 'secret', { expiresIn: '1d' });
-        const refreshToken = jwt.sign({ id: mockUser._id }, process.env.JWT_REFRESH_SECRET || 'refresh-secret', { expiresIn: '7d' });
-
-        return res.json({
-          success: true,
-          message: 'Admin login successful (Mock Mode)',
-          token,
-          refreshToken,
-          user: mockUser
-        });
-      } else {
+      if (email !== mockUser.email) {
         return res.status(401).json({
           success: false,
           message: 'Invalid credentials (Mock Mode)'
         });
       }
+
+      const blocked = loginBlock(mockUser);
+      if (blocked) return sendThrottled(res, blocked);
+      if (password !== adminPassword) {
+        return rejectLogin(req, res, mockUser, 'Invalid credentials (Mock Mode)');
+      }
+      if (isTwoFactorEnabled(mockUser)) return twoFactorChallenge(res, mockUser);
+
+      await recordLoginSuccess(mockUser, clientOf(req));
+      const { token, refreshToken } = await createSession(mockUser, clientOf(req));
+
+      return res.json({
+        success: true,
+        message: 'Admin login successful (Mock Mode)',
+        token,
+        refreshToken,
+        user: { ...mockUser, permissions: permissionsOf(mockUser) }
+      });
     }
 
     // Find admin user (password is select:false by default, so request it explicitly)
-    const user = await User.findOne({ email, role: 'admin' }).select('+password');
+    const user = await User.findOne({ email, role: { $in: STAFF_ROLES } }).select('+password');
     if (!user) {
       return res.status(401).json({
         success: false,
@@ -707,34 +900,150 @@ router.post('/admin/login', [
       });
     }
 
+    const blocked = loginBlock(user);
+    if (blocked) return sendThrottled(res, blocked);
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      return rejectLogin(req, res, user, 'Invalid credentials');
+    }
+
+    // The failure count is cleared once the second step is passed too
+    if (isTwoFactorEnabled(user)) return twoFactorChallenge(res, user);
+
+    await recordLoginSuccess(user, clientOf(req));
+
+    // Open a login session
+    const { token, refreshToken } = await createSession(user, clientOf(req));
+
+    res.json({
+      success: true,
+      message: 'Admin login successful',
+      token,
+      refreshToken,
+      user: adminProfile(user)
+    });
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/admin/login/verify:
+ *   post:
+ *     summary: Second step of admin login for accounts with two-factor authentication
+ *     description: |
+ *       Takes the challengeToken from the first step (valid for 5 minutes) and
+ *       either the current code of the authenticator app or a recovery code.
+ *       Each code and recovery code works once. Wrong codes count as failed
+ *       logins of the account.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "3f2a-91bc-07de-5a44"
+ *     responses:
+ *       200:
+ *         description: Admin login successful
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid code, or the first step expired
+ *       423:
+ *         description: Account locked after too many failed logins
+ *       429:
+ *         description: Too many failed logins in a row, wait `retryAfter` seconds
+ */
+router.post('/admin/login/verify', [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 40 })
+    .withMessage('Invalid recovery code'),
+  body()
+    .custom((value) => Boolean(value.code || value.recoveryCode))
+    .withMessage('Code or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = readLoginChallenge(req.body.challengeToken);
+    const user = await findSessionUser(userId);
+    if (!user || !isStaff(user) || !user.isActive) {
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate tokens
-    const token = generateToken({ id: user._id, role: user.role });
-    const refreshToken = generateRefreshToken({ id: user._id });
+    const blocked = loginBlock(user);
+    if (blocked) return sendThrottled(res, blocked);
+
+    let factor;
+    try {
+      factor = await verifySecondFactor(userId, {
+        code: req.body.code,
+        recoveryCode: req.body.recoveryCode
+      });
+    } catch (error) {
+      if (error.statusCode !== 401) throw error;
+      return rejectLogin(req, res, user, error.message, 'two-factor');
+    }
+    const { method, recoveryCodesLeft } = factor;
+
+    await recordLoginSuccess(user, clientOf(req));
+    const { token, refreshToken } = await createSession(user, clientOf(req), { twoFactor: true });
 
     res.json({
       success: true,
       message: 'Admin login successful',
       token,
       refreshToken,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        isActive: user.isActive
-      }
+      user: adminProfile(user),
+      ...(method === 'recovery' && { recoveryCodesLeft })
     });
   } catch (error) {
-    console.error('Admin login error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Admin login verify error:', error);
     res.status(500).json({
       success: false,
       message: 'Login failed'
@@ -0,0 +1,333 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  getAvailabilitySettings,
+  updateAvailabilitySettings,
+  resetAvailabilitySettings
+} = require('../utils/availability');
+const router = express.Router();
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+const handleError = (res, error, fallbackMessage) => {
+  if (error.statusCode === 400) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      errors: error.problems
+    });
+  }
+  console.error(fallbackMessage, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+const breakValidators = (prefix) => [
+  body(`${prefix}.*.breaks`).optional().isArray().withMessage('Breaks must be an array'),
+  body(`${prefix}.*.breaks.*.start`).matches(TIME_PATTERN).withMessage('Break start must be HH:MM'),
+  body(`${prefix}.*.breaks.*.end`).matches(TIME_PATTERN).withMessage('Break end must be HH:MM')
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Availability
+ *   description: Working hours, breaks, per-day overrides and buffer minutes
+ */
+
+/**
+ * @swagger
+ * /api/availability:
+ *   get:
+ *     summary: Get working-hours and availability rules
+ *     tags: [Availability]
+ *     responses:
+ *       200:
+ *         description: Availability settings retrieved successfully
+ */
+router.get('/', async (req, res) => {
+  try {
+    const settings = await getAvailabilitySettings();
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    handleError(res, error, 'Çalışma saatleri getirilirken hata oluştu');
+  }
+});
+
+/**
+ * @swagger
+ * /api/availability:
+ *   put:
+ *     summary: Update working-hours and availability rules (Admin only)
+ *     tags: [Availability]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               weeklyHours:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     dayOfWeek:
+ *                       type: integer
+ *                       description: 0 = Sunday ... 6 = Saturday
+ *                     isOpen:
+ *                       type: boolean
+ *                     start:
+ *                       type: string
+ *                       example: "09:00"
+ *                     end:
+ *                       type: string
+ *                       example: "21:00"
+ *                     breaks:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           start:
+ *                             type: string
+ *                             example: "12:30"
+ *                           end:
+ *                             type: string
+ *                             example: "13:30"
+ *               overrides:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     date:
+ *                       type: string
+ *                       example: "2025-03-14"
+ *                     isOpen:
+ *                       type: boolean
+ *                     start:
+ *                       type: string
+ *                     end:
+ *                       type: string
+ *                     note:
+ *                       type: string
+ *               bufferMinutes:
+ *                 type: integer
+ *                 example: 10
+ *               slotIntervalMinutes:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Step between offered slots; null means duration + buffer
+ *               defaultDuration:
+ *                 type: integer
+ *                 example: 50
+ *     responses:
+ *       200:
+ *         description: Availability settings updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Admin access required
+ */
+router.put('/', authenticateToken, requirePermission('schedule:manage'), [
+  body('weeklyHours').optional().isArray({ max: 7 }).withMessage('weeklyHours must contain at most 7 days'),
+  body('weeklyHours.*.dayOfWeek').isInt({ min: 0, max: 6 }).withMessage('dayOfWeek must be between 0 and 6'),
+  body('weeklyHours.*.isOpen').optional().isBoolean().withMessage('isOpen must be boolean'),
+  body('weeklyHours.*.start').optional().matches(TIME_PATTERN).withMessage('Start must be HH:MM'),
+  body('weeklyHours.*.end').optional().matches(TIME_PATTERN).withMessage('End must be HH:MM'),
+  ...breakValidators('weeklyHours'),
+  body('overrides').optional().isArray().withMessage('Overrides must be an array'),
+  body('overrides.*.date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Override date must be YYYY-MM-DD'),
+  body('overrides.*.isOpen').optional().isBoolean().withMessage('isOpen must be boolean'),
+  body('overrides.*.start').optional().matches(TIME_PATTERN).withMessage('Start must be HH:MM'),
+  body('overrides.*.end').optional().matches(TIME_PATTERN).withMessage('End must be HH:MM'),
+  ...breakValidators('overrides'),
+  body('bufferMinutes').optional().isInt({ min: 0, max: 120 }).withMessage('Buffer must be between 0 and 120 minutes'),
+  body('slotIntervalMinutes').optional({ values: 'null' }).isInt({ min: 5, max: 240 }).withMessage('Slot interval must be between 5 and 240 minutes'),
+  body('defaultDuration').optional().isInt({ min: 30, max: 120 }).withMessage('Default duration must be between 30 and 120 minutes')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const update = {};
+    ['weeklyHours', 'overrides', 'bufferMinutes', 'slotIntervalMinutes', 'defaultDuration'].forEach(field => {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    });
+
+    if (update.weeklyHours) {
+      const days = update.weeklyHours.map(d => Number(d.dayOfWeek));
+      if (new Set(days).size !== days.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each weekday can only appear once'
+        });
+      }
+    }
+
+    const settings = await updateAvailabilitySettings(update);
+    res.json({
+      success: true,
+      message: 'Çalışma saatleri başarıyla güncellendi',
+      data: settings
+    });
+  } catch (error) {
+    handleError(res, error, 'Çalışma saatleri güncellenirken hata oluştu');
+  }
+});
+
+/**
+ * @swagger
+ * /api/availability/overrides:
+ *   post:
+ *     summary: Add or replace a per-day override (Admin only)
+ *     tags: [Availability]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 example: "2025-03-14"
+ *               isOpen:
+ *                 type: boolean
+ *               start:
+ *                 type: string
+ *               end:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Override saved
+ *       400:
+ *         description: Validation error
+ */
+router.post('/overrides', authenticateToken, requirePermission('schedule:manage'), [
+  body('date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Override date must be YYYY-MM-DD'),
+  body('isOpen').optional().isBoolean().withMessage('isOpen must be boolean'),
+  body('start').optional().matches(TIME_PATTERN).withMessage('Start must be HH:MM'),
+  body('end').optional().matches(TIME_PATTERN).withMessage('End must be HH:MM'),
+  body('breaks').optional().isArray().withMessage('Breaks must be an array'),
+  body('breaks.*.start').matches(TIME_PATTERN).withMessage('Break start must be HH:MM'),
+  body('breaks.*.end').matches(TIME_PATTERN).withMessage('Break end must be HH:MM'),
+  body('note').optional().isLength({ max: 200 }).withMessage('Note cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const { date, isOpen = true, start, end, breaks = [], note = '' } = req.body;
+    const current = await getAvailabilitySettings();
+    const overrides = (current.overrides || []).filter(o => o.date !== date);
+    overrides.push({ date, isOpen, start, end, breaks, note });
+    overrides.sort((a, b) => a.date.localeCompare(b.date));
+
+    const settings = await updateAvailabilitySettings({ overrides });
+    res.json({
+      success: true,
+      message: `${date} için özel çalışma saati kaydedildi`,
+      data: settings
+    });
+  } catch (error) {
+    handleError(res, error, 'Özel gün kaydedilirken hata oluştu');
+  }
+});
+
+/**
+ * @swagger
+ * /api/availability/overrides/{date}:
+ *   delete:
+ *     summary: Remove a per-day override (Admin only)
+ *     tags: [Availability]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Override removed
+ *       404:
+ *         description: Override not found
+ */
+router.delete('/overrides/:date', authenticateToken, requirePermission('schedule:manage'), [
+  param('date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be YYYY-MM-DD')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const current = await getAvailabilitySettings();
+    const overrides = (current.overrides || []).filter(o => o.date !== req.params.date);
+    if (overrides.length === (current.overrides || []).length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Özel gün bulunamadı'
+      });
+    }
+
+    const settings = await updateAvailabilitySettings({ overrides });
+    res.json({
+      success: true,
+      message: 'Özel gün kaldırıldı',
+      data: settings
+    });
+  } catch (error) {
+    handleError(res, error, 'Özel gün silinirken hata oluştu');
+  }
+});
+
+/**
+ * @swagger
+ * /api/availability/reset:
+ *   post:
+ *     summary: Reset availability rules to defaults (Admin only)
+ *     tags: [Availability]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Availability settings reset
+ */
+router.post('/reset', authenticateToken, requirePermission('schedule:manage'), async (req, res) => {
+  try {
+    const settings = await resetAvailabilitySettings();
+    res.json({
+      success: true,
+      message: 'Çalışma saatleri varsayılan değerlere sıfırlandı',
+      data: settings
+    });
+  } catch (error) {
+    handleError(res, error, 'Çalışma saatleri sıfırlanırken hata oluştu');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,387 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  listBlackouts,
+  getBlackoutById,
+  createBlackout,
+  updateBlackout,
+  deleteBlackout,
+  previewOfficialHolidays,
+  importOfficialHolidays,
+  getAppointmentsNeedingReschedule
+} = require('../utils/blackouts');
+const router = express.Router();
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TYPES = ['holiday', 'vacation', 'training', 'other'];
+
+// Every blackout endpoint is admin only
+router.use(authenticateToken, requirePermission('schedule:manage'));
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+const handleError = (res, error, fallbackMessage) => {
+  if (error.statusCode === 400) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      errors: error.problems
+    });
+  }
+  console.error(fallbackMessage, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Optional times may be sent as "" to clear a half-day closure
+const blackoutValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('title').trim().isLength({ min: 1, max: 120 }).withMessage('Title must be between 1 and 120 characters'),
+    field('startDate').matches(DATE_PATTERN).withMessage('Start date must be YYYY-MM-DD'),
+    field('endDate').matches(DATE_PATTERN).withMessage('End date must be YYYY-MM-DD'),
+    body('type').optional().isIn(TYPES).withMessage(`Type must be one of ${TYPES.join(', ')}`),
+    body('startTime').optional({ values: 'falsy' }).matches(TIME_PATTERN).withMessage('Start time must be HH:MM'),
+    body('endTime').optional({ values: 'falsy' }).matches(TIME_PATTERN).withMessage('End time must be HH:MM'),
+    body('note').optional().isLength({ max: 300 }).withMessage('Note cannot exceed 300 characters')
+  ];
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Blackouts
+ *   description: Holidays, vacations, training days and half-day closures
+ */
+
+/**
+ * @swagger
+ * /api/blackouts:
+ *   get:
+ *     summary: List blackout periods (Admin only)
+ *     tags: [Blackouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: "2026-01-01"
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: "2026-12-31"
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [holiday, vacation, training, other]
+ *     responses:
+ *       200:
+ *         description: Blackout periods retrieved successfully
+ */
+router.get('/', [
+  query('from').optional().matches(DATE_PATTERN).withMessage('from must be YYYY-MM-DD'),
+  query('to').optional().matches(DATE_PATTERN).withMessage('to must be YYYY-MM-DD'),
+  query('type').optional().isIn(TYPES).withMessage(`Type must be one of ${TYPES.join(', ')}`)
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const blackouts = await listBlackouts({
+      from: req.query.from,
+      to: req.query.to,
+      type: req.query.type
+    });
+    res.json({
+      success: true,
+      data: { blackouts }
+    });
+  } catch (error) {
+    handleError(res, error, 'Kapalı dönemler getirilirken hata oluştu');
+  }
+});
+
+/**
+ * @swagger
+ * /api/blackouts/holidays/{year}:
+ *   get:
+ *     summary: Preview the bundled Turkish official holidays of a year (Admin only)
+ *     tags: [Blackouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: year
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Holiday list; `complete` is false when religious holidays are not bundled for that year
+ */
+router.get('/holidays/:year', [
+  param('year').isInt({ min: 2000, max: 2100 }).withMessage('Year must be between 2000 and 2100')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const preview = await previewOfficialHolidays(parseInt(req.params.year));
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    handleError(res, error, 'Resmi tatiller getirilirken hata oluştu');
+  }
+});
+
+/**
+ * @swagger
+ * /api/blackouts/holidays/import:
+ *   post:
+ *     summary: Import the Turkish official holidays of a year as blackouts (Admin only)
+ *     description: Already imported holidays are skipped. Appointments inside the imported holidays are flagged for rescheduling.
+ *     tags: [Blackouts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - year
+ *             properties:
+ *               year:
+ *                 type: integer
+ *                 example: 2026
+ *     responses:
+ *       200:
+ *         description: Holidays imported
+ */
+router.post('/holidays/import', [
+  body('year').isInt({ min: 2000, max: 2100 }).withMessage('Year must be between 2000 and 2100')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const result = await importOfficialHolidays(parseInt(req.body.year), req.user._id);
+    res.json({
+      success: true,
+      message: `${result.year} resmi tatilleri içe aktarıldı (${result.created.length} yeni, ${result.skipped} mevcut)`,
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Resmi tatiller içe aktarılırken hata oluştu');
+  }
+});
+
+/**
+ * @swagger
+ * /api/blackouts/affected-appointments:
+ *   get:
+ *     summary: Appointments flagged for rescheduling by a blackout (Admin only)
+ *     tags: [Blackouts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Flagged appointments retrieved successfully
+ */
+router.get('/affected-appointments', async (req, res) => {
+  try {
+    const appointments = await getAppointmentsNeedingReschedule();
+    res.json({
+      success: true,
+      data: { appointments }
+    });
+  } catch (error) {
+    handleError(res, error, 'Etkilenen randevular getirilirken hata oluştu');
+  }
+});
+
+/**
+ * @swagger
+ * /api/blackouts/{id}:
+ *   get:
+ *     summary: Get a blackout period (Admin only)
+ *     tags: [Blackouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Blackout retrieved successfully
+ *       404:
+ *         description: Blackout not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const blackout = await getBlackoutById(req.params.id);
+    if (!blackout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Kapalı dönem bulunamadı'
+      });
+    }
+    res.json({
+      success: true,
+      data: { blackout }
+    });
+  } catch (error) {
+    handleError(res, error, 'Kapalı dönem getirilirken hata oluştu');
+  }
+});
+
+/**
+ * @swagger
+ * /api/blackouts:
+ *   post:
+ *     summary: Create a blackout period (Admin only)
+ *     description: Without startTime/endTime the whole days are closed; with them only that window of each day. Existing appointments inside the period are flagged for rescheduling.
+ *     tags: [Blackouts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Blackout'
+ *     responses:
+ *       201:
+ *         description: Blackout created; response lists the flagged appointments
+ *       400:
+ *         description: Validation error
+ */
+router.post('/', blackoutValidators(false), async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const { blackout, flaggedAppointments } = await createBlackout(req.body, { createdBy: req.user._id });
+    res.status(201).json({
+      success: true,
+      message: flaggedAppointments.length > 0
+        ? `Kapalı dönem eklendi, ${flaggedAppointments.length} randevu yeniden planlanmalı`
+        : 'Kapalı dönem eklendi',
+      data: { blackout, flaggedAppointments }
+    });
+  } catch (error) {
+    handleError(res, error, 'Kapalı dönem eklenirken hata oluştu');
+  }
+});
+
+/**
+ * @swagger
+ * /api/blackouts/{id}:
+ *   put:
+ *     summary: Update a blackout period (Admin only)
+ *     description: Flags are recomputed against the new period.
+ *     tags: [Blackouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Blackout'
+ *     responses:
+ *       200:
+ *         description: Blackout updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Blackout not found
+ */
+router.put('/:id', blackoutValidators(true), async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const result = await updateBlackout(req.params.id, req.body);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Kapalı dönem bulunamadı'
+      });
+    }
+    res.json({
+      success: true,
+      message: 'Kapalı dönem güncellendi',
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Kapalı dönem güncellenirken hata oluştu');
+  }
+});
+
+/**
+ * @swagger
+ * /api/blackouts/{id}:
+ *   delete:
+ *     summary: Delete a blackout period (Admin only)
+ *     description: Appointments flagged by this blackout are released.
+ *     tags: [Blackouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Blackout deleted
+ *       404:
+ *         description: Blackout not found
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteBlackout(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Kapalı dönem bulunamadı'
+      });
+    }
+    res.json({
+      success: true,
+      message: 'Kapalı dönem silindi'
+    });
+  } catch (error) {
+    handleError(res, error, 'Kapalı dönem silinirken hata oluştu');
+  }
+});
+
+module.exports = router;
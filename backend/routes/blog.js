@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const mongoose = require('mongoose');
 const Blog = require('../models/Blog');
+const { announcePost, withdrawPost } = require('../utils/newsletter');
 
 // Blog içeriği admin (yetkili) tarafından, zengin metin editöründen gelir ve HTML içerir.
 // Global xss-clean middleware'i bu HTML'i kaçırıyor (< -> &lt;), bu da yazının düz metin
@@ -35,6 +36,20 @@ function slugify(str) {
     .slice(0, 80);
 }
 
+// Yeni yayınlanan yazı bülten abonelerine duyurulur, yayından kaldırılan yazı
+// henüz gönderilmemiş özetlerden çıkarılır. Bülten hatası blog işlemini bozmaz.
+async function notifyNewsletter(blog, wasPublished) {
+  try {
+    if (blog.published && !wasPublished) {
+      await announcePost(blog);
+    } else if (!blog.published && wasPublished) {
+      await withdrawPost(blog._id || blog.id);
+    }
+  } catch (error) {
+    console.error('Newsletter update failed:', error);
+  }
+}
+
 // Configure multer for image uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -214,7 +229,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create new blog (Admin only)
-router.post('/', authenticateToken, requireAdmin, upload.single('image'), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('content:manage'), upload.single('image'), async (req, res) => {
   try {
     const { title, category, summary, published = true } = req.body;
     const content = decodeHtmlEntities(req.body.content);
@@ -259,6 +274,8 @@ router.post('/', authenticateToken, requireAdmin, upload.single('image'), async
       blogs.push(newBlog);
     }
 
+    await notifyNewsletter(newBlog, false);
+
     res.status(201).json({
       success: true,
       message: 'Blog yazısı başarıyla oluşturuldu',
@@ -274,7 +291,7 @@ router.post('/', authenticateToken, requireAdmin, upload.single('image'), async
 });
 
 // Update blog (Admin only)
-router.put('/:id', authenticateToken, requireAdmin, upload.single('image'), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('content:manage'), upload.single('image'), async (req, res) => {
   try {
     const { id } = req.params;
     const { title, category, summary, published } = req.body;
@@ -282,6 +299,7 @@ router.put('/:id', authenticateToken, requireAdmin, upload.single('image'), asyn
     const isMongoConnected = mongoose.connection.readyState === 1;
 
     let updatedBlog;
+    let wasPublished = false;
 
     if (isMongoConnected) {
       if (mongoose.Types.ObjectId.isValid(id)) {
@@ -293,6 +311,8 @@ router.put('/:id', authenticateToken, requireAdmin, upload.single('image'), asyn
         if (req.file) updateData.image = req.file.filename;
         if (published !== undefined) updateData.published = published === 'true' || published === true;
 
+        const previous = await Blog.findById(id).select('published').lean();
+        wasPublished = Boolean(previous && previous.published);
         updatedBlog = await Blog.findByIdAndUpdate(id, updateData, { new: true, runValidators: true });
       }
 
@@ -301,6 +321,7 @@ router.put('/:id', authenticateToken, requireAdmin, upload.single('image'), asyn
         if (!isNaN(blogId) && String(blogId) === id) {
           const blogIndex = blogs.findIndex(b => b.id === blogId);
           if (blogIndex !== -1) {
+            wasPublished = blogs[blogIndex].published;
             blogs[blogIndex] = {
               ...blogs[blogIndex],
               title: title || blogs[blogIndex].title,
@@ -320,6 +341,7 @@ router.put('/:id', authenticateToken, requireAdmin, upload.single('image'), asyn
       if (!isNaN(blogId) && String(blogId) === id) {
         const blogIndex = blogs.findIndex(b => b.id === blogId);
         if (blogIndex !== -1) {
+          wasPublished = blogs[blogIndex].published;
           blogs[blogIndex] = {
             ...blogs[blogIndex],
             title: title || blogs[blogIndex].title,
@@ -342,6 +364,8 @@ router.put('/:id', authenticateToken, requireAdmin, upload.single('image'), asyn
       });
     }
 
+    await notifyNewsletter(updatedBlog, wasPublished);
+
     res.json({
       success: true,
       message: 'Blog yazısı başarıyla güncellendi',
@@ -357,7 +381,7 @@ router.put('/:id', authenticateToken, requireAdmin, upload.single('image'), asyn
 });
 
 // Delete blog (Admin only)
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('content:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const isMongoConnected = mongoose.connection.readyState === 1;
@@ -404,6 +428,12 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
       });
     }
 
+    try {
+      await withdrawPost(id);
+    } catch (error) {
+      console.error('Newsletter update failed:', error);
+    }
+
     // Remove image file if exists
     if (imageFilename && imageFilename !== 'default-blog.jpg') {
       try {
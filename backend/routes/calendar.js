@@ -0,0 +1,214 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  getFeedStatus,
+  issueFeedToken,
+  revokeFeed,
+  renderFeed
+} = require('../utils/calendarFeeds');
+const router = express.Router();
+
+const SCOPES = ['client', 'practice'];
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+// Feed errors carry their HTTP status (403, 404)
+const handleError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Absolute feed URL; webcal:// opens the subscribe dialog on phones
+const feedUrls = (req, token) => {
+  const base = (process.env.API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+  const url = `${base}/api/calendar/feeds/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Calendar
+ *   description: Read-only iCal feeds of appointments for calendar apps
+ */
+
+/**
+ * @swagger
+ * /api/calendar/feeds:
+ *   get:
+ *     summary: Get the calendar feeds of the current user
+ *     description: Feed URLs are only shown when issued; this lists which feeds are active. Admins also see the practice feed.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Feed status by scope (null when not issued)
+ */
+router.get('/feeds', authenticateToken, async (req, res) => {
+  try {
+    const feeds = await getFeedStatus(req.user);
+    res.json({
+      success: true,
+      data: { feeds }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to get calendar feeds');
+  }
+});
+
+/**
+ * @swagger
+ * /api/calendar/feeds:
+ *   post:
+ *     summary: Issue a calendar feed URL
+ *     description: Returns a new secret feed URL and revokes the previous URL of the same scope. The client scope lists the user's own appointments; the practice scope (admins only) lists the full schedule with client contact details.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [client, practice]
+ *                 default: client
+ *     responses:
+ *       201:
+ *         description: Feed URL issued (shown only once)
+ *       403:
+ *         description: Practice feed requested by a non-admin
+ */
+router.post('/feeds', authenticateToken, [
+  body('scope')
+    .optional()
+    .isIn(SCOPES)
+    .withMessage('Scope must be client or practice')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const scope = req.body.scope || 'client';
+    const { token, feed } = await issueFeedToken(req.user, scope);
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed URL issued',
+      data: {
+        feed,
+        ...feedUrls(req, token)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to issue calendar feed');
+  }
+});
+
+/**
+ * @swagger
+ * /api/calendar/feeds/{scope}:
+ *   delete:
+ *     summary: Revoke a calendar feed URL
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: scope
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [client, practice]
+ *     responses:
+ *       200:
+ *         description: Feed revoked
+ *       404:
+ *         description: No active feed of this scope
+ */
+router.delete('/feeds/:scope', authenticateToken, [
+  param('scope')
+    .isIn(SCOPES)
+    .withMessage('Scope must be client or practice')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const revoked = await revokeFeed(req.user, req.params.scope);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Calendar feed revoked'
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to revoke calendar feed');
+  }
+});
+
+/**
+ * @swagger
+ * /api/calendar/feeds/{token}.ics:
+ *   get:
+ *     summary: Read a calendar feed
+ *     description: Public, token-authenticated iCal feed for calendar subscriptions. Covers the last 90 days and everything ahead.
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar document
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or revoked feed
+ */
+router.get('/feeds/:token.ics', async (req, res) => {
+  try {
+    const calendar = await renderFeed(req.params.token);
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="randevular.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(calendar);
+  } catch (error) {
+    handleError(res, error, 'Failed to build calendar feed');
+  }
+});
+
+module.exports = router;
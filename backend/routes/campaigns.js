@@ -0,0 +1,559 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { ROLES } = require('../utils/permissions');
+const {
+  STATUSES,
+  RECIPIENT_STATUSES,
+  isKnownSegment,
+  listSegments,
+  listCampaigns,
+  getCampaign,
+  listRecipients,
+  createCampaign,
+  updateCampaign,
+  scheduleCampaign,
+  cancelCampaign,
+  previewCampaign
+} = require('../utils/campaigns');
+const router = express.Router();
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+// Campaign errors carry their HTTP status (400, 404, 409)
+const handleError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Email and audience rules shared by create, update and preview;
+// `required` makes the fields mandatory
+const contentRules = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+  return [
+    field('subject').trim().isLength({ min: 1, max: 200 }).withMessage('Subject must be between 1 and 200 characters'),
+    field('message').trim().isLength({ min: 1, max: 10000 }).withMessage('Message must be between 1 and 10000 characters'),
+    field('segment.key').custom(isKnownSegment).withMessage('Unknown segment'),
+    body('segment.days').optional().isInt({ min: 1, max: 3650 }).withMessage('Segment days must be between 1 and 3650').toInt(),
+    body('segment.role').optional().isIn(['all', ...ROLES]).withMessage(`Segment role must be all or one of ${ROLES.join(', ')}`)
+  ];
+};
+
+const titleRule = (required) => (required ? body('title') : body('title').optional())
+  .trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters');
+
+router.use(authenticateToken, requirePermission('marketing:manage'));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Campaigns
+ *   description: Announcement emails to a segment of consenting clients, with unsubscribe links and statistics (Admin only)
+ */
+
+/**
+ * @swagger
+ * /api/campaigns/segments:
+ *   get:
+ *     summary: List the audience segments
+ *     description: Each segment with its current audience at its default settings. Only users who agreed to campaign emails are counted.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Segments
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/segments', async (req, res) => {
+  try {
+    const segments = await listSegments();
+    res.json({
+      success: true,
+      data: { segments }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to get segments');
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns:
+ *   get:
+ *     summary: List campaigns
+ *     description: Newest first, each with delivery and open statistics.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, sending, sent, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Campaigns
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     campaigns:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Campaign'
+ */
+router.get('/', [
+  query('status').optional().isIn(STATUSES).withMessage('Invalid campaign status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const data = await listCampaigns({
+      status: req.query.status,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to get campaigns');
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns:
+ *   post:
+ *     summary: Create a campaign draft
+ *     description: Repeating a request with the same Idempotency-Key header returns the campaign created first.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - subject
+ *               - message
+ *               - segment
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Name in the admin panel; recipients do not see it
+ *               subject:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *                 description: Plain text; line breaks are kept
+ *               segment:
+ *                 type: object
+ *                 properties:
+ *                   key:
+ *                     type: string
+ *                     example: recentClients
+ *                   days:
+ *                     type: integer
+ *                   role:
+ *                     type: string
+ *                     enum: [all, user, admin]
+ *     responses:
+ *       201:
+ *         description: Draft created
+ *       200:
+ *         description: Already created with this Idempotency-Key
+ *       400:
+ *         description: Validation error
+ */
+router.post('/', [titleRule(true), ...contentRules(true)], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const { duplicate, ...campaign } = await createCampaign({
+      title: req.body.title,
+      subject: req.body.subject,
+      message: req.body.message,
+      segment: req.body.segment
+    }, { by: req.user._id, idempotencyKey: req.get('Idempotency-Key') });
+
+    res.status(duplicate ? 200 : 201).json({
+      success: true,
+      message: duplicate ? 'Campaign already created' : 'Campaign created',
+      data: { campaign }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to create campaign');
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/preview:
+ *   post:
+ *     summary: Preview an unsaved campaign
+ *     description: The rendered email and the audience it would go to now, with the first few recipients. The unsubscribe link of the preview does not work.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               subject:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *               segment:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Rendered email (subject, html, text) and audience (count, sample)
+ *       400:
+ *         description: Validation error
+ */
+router.post('/preview', contentRules(true), async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const preview = await previewCampaign({
+      subject: req.body.subject,
+      message: req.body.message,
+      segment: req.body.segment
+    });
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to preview campaign');
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/{id}:
+ *   get:
+ *     summary: Get a campaign with its statistics
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign
+ *       404:
+ *         description: Campaign not found
+ */
+router.get('/:id', [
+  param('id').notEmpty().withMessage('Campaign id is required')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const campaign = await getCampaign(req.params.id);
+    res.json({
+      success: true,
+      data: { campaign }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to get campaign');
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/{id}:
+ *   put:
+ *     summary: Update a draft or scheduled campaign
+ *     description: Partial update; fields left out keep their current value.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Campaign not found
+ *       409:
+ *         description: Campaign is already sent or cancelled
+ */
+router.put('/:id', [
+  param('id').notEmpty().withMessage('Campaign id is required'),
+  titleRule(false),
+  ...contentRules(false)
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const campaign = await updateCampaign(req.params.id, {
+      title: req.body.title,
+      subject: req.body.subject,
+      message: req.body.message,
+      segment: req.body.segment
+    });
+    res.json({
+      success: true,
+      message: 'Campaign updated',
+      data: { campaign }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to update campaign');
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/preview:
+ *   get:
+ *     summary: Preview a saved campaign
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rendered email and current audience
+ *       404:
+ *         description: Campaign not found
+ */
+router.get('/:id/preview', [
+  param('id').notEmpty().withMessage('Campaign id is required')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const campaign = await getCampaign(req.params.id);
+    const preview = await previewCampaign(campaign);
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to preview campaign');
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/recipients:
+ *   get:
+ *     summary: Recipients of a campaign with their delivery status
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, sent, failed, skipped]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Recipients
+ *       404:
+ *         description: Campaign not found
+ */
+router.get('/:id/recipients', [
+  param('id').notEmpty().withMessage('Campaign id is required'),
+  query('status').optional().isIn(RECIPIENT_STATUSES).withMessage('Invalid recipient status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const data = await listRecipients(req.params.id, {
+      status: req.query.status,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 50
+    });
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to get campaign recipients');
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/schedule:
+ *   post:
+ *     summary: Schedule or send a campaign
+ *     description: |
+ *       Without `sendAt` the campaign goes out right away. The audience is
+ *       resolved at send time; a scheduled campaign can still be changed or
+ *       moved until then.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sendAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Campaign scheduled or sent
+ *       400:
+ *         description: Send time is in the past
+ *       404:
+ *         description: Campaign not found
+ *       409:
+ *         description: Campaign is already sent or cancelled
+ */
+router.post('/:id/schedule', [
+  param('id').notEmpty().withMessage('Campaign id is required'),
+  body('sendAt').optional({ values: 'null' }).isISO8601().withMessage('sendAt must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const campaign = await scheduleCampaign(req.params.id, req.body.sendAt);
+    res.json({
+      success: true,
+      message: campaign.status === 'scheduled' ? 'Campaign scheduled' : 'Campaign sent',
+      data: { campaign }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to schedule campaign');
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/cancel:
+ *   post:
+ *     summary: Cancel a campaign
+ *     description: Emails of the campaign still waiting in the outbox are not sent.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign cancelled
+ *       404:
+ *         description: Campaign not found
+ *       409:
+ *         description: Campaign is already cancelled
+ */
+router.post('/:id/cancel', [
+  param('id').notEmpty().withMessage('Campaign id is required')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const campaign = await cancelCampaign(req.params.id);
+    res.json({
+      success: true,
+      message: 'Campaign cancelled',
+      data: { campaign }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to cancel campaign');
+  }
+});
+
+module.exports = router;
@@ -119,7 +119,7 @@ router.post('/', [
  *       403:
  *         description: Admin access required
  */
-router.get('/', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+router.get('/', auth.authenticateToken, auth.requirePermission('messages:manage'), async (req, res) => {
     try {
         const messages = mongoose.connection.readyState === 1
             ? await Contact.find().sort({ createdAt: -1 })
@@ -161,7 +161,7 @@ router.get('/', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
  *       404:
  *         description: Message not found
  */
-router.patch('/:id/read', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+router.patch('/:id/read', auth.authenticateToken, auth.requirePermission('messages:manage'), async (req, res) => {
     try {
         const message = mongoose.connection.readyState === 1
             ? await Contact.findByIdAndUpdate(req.params.id, { read: true }, { new: true })
@@ -197,7 +197,7 @@ router.patch('/:id/read', auth.authenticateToken, auth.requireAdmin, async (req,
  *       404:
  *         description: Message not found
  */
-router.delete('/:id', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+router.delete('/:id', auth.authenticateToken, auth.requirePermission('messages:manage'), async (req, res) => {
     try {
         let deleted;
         if (mongoose.connection.readyState === 1) {
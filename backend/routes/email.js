@@ -0,0 +1,171 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const { describeToken, unsubscribe } = require('../utils/unsubscribe');
+const { recordOpen } = require('../utils/campaigns');
+const router = express.Router();
+
+// 1x1 transparent GIF answered to the open-tracking image
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const LIST_NAMES = {
+  campaigns: 'Duyuru ve kampanya e-postaları',
+  newsletter: 'Blog bülteni'
+};
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+// Unsubscribe errors carry their HTTP status (404)
+const handleError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Anyone holding the link sees whose it is, so only part of the address is shown
+const maskEmail = (email) => {
+  const [local, domain] = email.split('@');
+  return `${local.slice(0, 2)}${'*'.repeat(Math.max(local.length - 2, 1))}@${domain}`;
+};
+
+const tokenRule = param('token').isLength({ min: 10, max: 1000 }).withMessage('Invalid unsubscribe link');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Email
+ *   description: Public links of bulk emails (unsubscribe, open tracking)
+ */
+
+/**
+ * @swagger
+ * /api/email/unsubscribe/{token}:
+ *   get:
+ *     summary: Look up an unsubscribe link
+ *     description: The masked address and the mailing list of the link, and whether the address is still on the list.
+ *     tags: [Email]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Link details
+ *       404:
+ *         description: Invalid unsubscribe link
+ */
+router.get('/unsubscribe/:token', [tokenRule], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const { email, list, subscribed } = await describeToken(req.params.token);
+    res.json({
+      success: true,
+      data: {
+        email: maskEmail(email),
+        list,
+        listName: LIST_NAMES[list] || list,
+        subscribed
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to read unsubscribe link');
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/unsubscribe/{token}:
+ *   post:
+ *     summary: Unsubscribe
+ *     description: |
+ *       Takes the address off the mailing list of the link. Also the target of
+ *       the List-Unsubscribe header, so mail clients can unsubscribe with one
+ *       click (RFC 8058). Repeating it is harmless.
+ *     tags: [Email]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unsubscribed
+ *       404:
+ *         description: Invalid unsubscribe link
+ */
+router.post('/unsubscribe/:token', [tokenRule], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const { email, list, alreadyUnsubscribed } = await unsubscribe(req.params.token);
+    res.json({
+      success: true,
+      message: alreadyUnsubscribed ? 'Already unsubscribed' : 'Unsubscribed',
+      data: {
+        email: maskEmail(email),
+        list,
+        listName: LIST_NAMES[list] || list,
+        alreadyUnsubscribed
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to unsubscribe');
+  }
+});
+
+/**
+ * @swagger
+ * /api/email/open/{token}:
+ *   get:
+ *     summary: Open-tracking image of a campaign email
+ *     description: Counts an open of the email and answers with a transparent 1x1 GIF, also for unknown tokens.
+ *     tags: [Email]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 1x1 GIF
+ *         content:
+ *           image/gif: {}
+ */
+router.get('/open/:token', async (req, res) => {
+  try {
+    await recordOpen(req.params.token);
+  } catch (error) {
+    console.error('Failed to record email open:', error);
+  }
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    Pragma: 'no-cache'
+  });
+  res.send(PIXEL);
+});
+
+module.exports = router;
@@ -0,0 +1,271 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Appointment = require('../models/Appointment');
+const { sendEmail } = require('../utils/emailService');
+const { buildIcsAttachment } = require('../utils/calendar');
+const {
+  createGuestBooking,
+  findGuestBookingByToken,
+  confirmGuestBooking
+} = require('../utils/guestBookings');
+const router = express.Router();
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+// Booking errors carry their HTTP status (400, 403, 404, 409, 410)
+const handleError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.data && { data: error.data })
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// What a guest sees of their booking through the confirmation link
+const publicBooking = (appointment) => ({
+  _id: appointment._id,
+  name: appointment.guest.name,
+  date: appointment.date,
+  time: appointment.time,
+  duration: appointment.duration,
+  type: appointment.type,
+  status: appointment.status,
+  confirmationExpires: appointment.confirmationExpires
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Guest Bookings
+ *   description: Booking without an account, confirmed through an emailed one-time link
+ */
+
+/**
+ * @swagger
+ * /api/guest-bookings:
+ *   post:
+ *     summary: Book an appointment without an account
+ *     description: The slot is held as pending and a one-time confirmation link is emailed to the client. Open slots come from GET /api/appointments/available-slots, which needs no login.
+ *     tags: [Guest Bookings]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - email
+ *               - phone
+ *               - date
+ *               - time
+ *               - type
+ *               - kvkkConsent
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Ahmet Yılmaz"
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "ahmet@example.com"
+ *               phone:
+ *                 type: string
+ *                 example: "05551234567"
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-02-15"
+ *               time:
+ *                 type: string
+ *                 example: "14:00"
+ *               type:
+ *                 type: string
+ *                 enum: [individual, couple, online, in-person, consultation]
+ *               duration:
+ *                 type: integer
+ *                 example: 50
+ *               notes:
+ *                 type: string
+ *               kvkkConsent:
+ *                 type: boolean
+ *                 description: Must be true; the client accepted the KVKK aydınlatma metni
+ *     responses:
+ *       201:
+ *         description: Booking held; confirmation email sent
+ *       400:
+ *         description: Validation error, missing consent or a closed time
+ *       403:
+ *         description: Online booking blocked for this email by the no-show policy
+ *       409:
+ *         description: Time slot is already taken
+ */
+router.post('/', [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('phone')
+    .matches(/^(\+90|0)?[5][0-9]{9}$/)
+    .withMessage('Please provide a valid Turkish phone number'),
+  body('date')
+    .isISO8601()
+    .withMessage('Date must be in ISO format')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Appointment date must be in the future');
+      }
+      return true;
+    }),
+  body('time')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Time must be in HH:MM format'),
+  body('type')
+    .isIn(['individual', 'couple', 'online', 'in-person', 'consultation'])
+    .withMessage('Invalid appointment type'),
+  body('duration')
+    .optional()
+    .isInt({ min: 30, max: 120 })
+    .withMessage('Duration must be between 30 and 120 minutes'),
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+  body('kvkkConsent')
+    .custom((value) => value === true)
+    .withMessage('KVKK consent is required')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const { name, email, phone, date, time, type, duration, notes } = req.body;
+    const appointment = await createGuestBooking(
+      { name, email, phone, date, time, type, duration: duration && parseInt(duration), notes },
+      { ipAddress: req.ip }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking received. Please confirm it from the link sent to your email.',
+      data: { booking: publicBooking(appointment) }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to create booking');
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest-bookings/{token}:
+ *   get:
+ *     summary: Show the booking behind a confirmation link
+ *     tags: [Guest Bookings]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Booking details, including its status
+ *       404:
+ *         description: Unknown or already used link
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const appointment = await findGuestBookingByToken(req.params.token);
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const expired = appointment.status === 'pending' && new Date(appointment.confirmationExpires) <= new Date();
+    res.json({
+      success: true,
+      data: { booking: { ...publicBooking(appointment), ...(expired && { status: 'expired' }) } }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve booking');
+  }
+});
+
+/**
+ * @swagger
+ * /api/guest-bookings/{token}/confirm:
+ *   post:
+ *     summary: Confirm a guest booking from its emailed link
+ *     tags: [Guest Bookings]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Booking confirmed; the appointment is scheduled
+ *       404:
+ *         description: Unknown or already used link
+ *       410:
+ *         description: The hold lapsed before it was confirmed
+ */
+router.post('/:token/confirm', async (req, res) => {
+  try {
+    const appointment = await confirmGuestBooking(req.params.token);
+
+    const client = Appointment.clientOf(appointment);
+    try {
+      await sendEmail({
+        to: client.email,
+        subject: 'Randevu Onayı - Psikolog Onur Uslu',
+        template: 'appointmentConfirmation',
+        attachments: [buildIcsAttachment(appointment)],
+        data: {
+          name: client.name,
+          date: appointment.formattedDate || new Date(appointment.date).toLocaleDateString('tr-TR'),
+          time: appointment.time,
+          type: appointment.typeTurkish || appointment.type,
+          duration: appointment.duration,
+          price: appointment.price
+        }
+      });
+    } catch (emailError) {
+      console.error('Confirmation email failed:', emailError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Booking confirmed',
+      data: { booking: publicBooking(appointment) }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to confirm booking');
+  }
+});
+
+module.exports = router;
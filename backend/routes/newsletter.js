@@ -0,0 +1,310 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  FREQUENCIES,
+  STATUSES,
+  subscribe,
+  confirmSubscription,
+  getPreferences,
+  updatePreferences,
+  listSubscribers
+} = require('../utils/newsletter');
+const router = express.Router();
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+// Newsletter errors carry their HTTP status (404, 410)
+const handleError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+const tokenRule = param('token').isLength({ min: 10, max: 1000 }).withMessage('Invalid link');
+
+const frequencyRule = (field) => field.isIn(FREQUENCIES).withMessage(`Frequency must be one of ${FREQUENCIES.join(', ')}`);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Newsletter
+ *   description: Blog newsletter with double opt-in and digests of new posts
+ */
+
+/**
+ * @swagger
+ * /api/newsletter/subscribe:
+ *   post:
+ *     summary: Subscribe to the blog newsletter
+ *     description: |
+ *       Emails a confirmation link to the address; digests only start once it
+ *       is opened (double opt-in). The answer is the same whether or not the
+ *       address is already subscribed.
+ *     tags: [Newsletter]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - kvkkConsent
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               name:
+ *                 type: string
+ *               frequency:
+ *                 type: string
+ *                 enum: [immediate, weekly, monthly]
+ *                 default: weekly
+ *               source:
+ *                 type: string
+ *                 description: Page the form is on, e.g. blog-hub or the post slug
+ *                 example: "blog-hub"
+ *               kvkkConsent:
+ *                 type: boolean
+ *                 description: Must be true; the reader accepted the KVKK aydınlatma metni
+ *     responses:
+ *       202:
+ *         description: Confirmation email sent unless the address is already subscribed
+ *       400:
+ *         description: Validation error or missing consent
+ */
+router.post('/subscribe', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('name')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  frequencyRule(body('frequency').optional()),
+  body('source')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Source cannot exceed 100 characters'),
+  body('kvkkConsent')
+    .custom((value) => value === true)
+    .withMessage('KVKK consent is required')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const { email, name, frequency, source } = req.body;
+    await subscribe({ email, name, frequency, source }, { ipAddress: req.ip });
+
+    res.status(202).json({
+      success: true,
+      message: 'Please confirm your subscription from the link sent to your email.'
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to subscribe');
+  }
+});
+
+/**
+ * @swagger
+ * /api/newsletter/confirm/{token}:
+ *   post:
+ *     summary: Confirm a subscription from its emailed link
+ *     tags: [Newsletter]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscription active
+ *       404:
+ *         description: Unknown or already used link
+ *       410:
+ *         description: The link expired before it was used
+ */
+router.post('/confirm/:token', [tokenRule], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const subscriber = await confirmSubscription(req.params.token);
+    res.json({
+      success: true,
+      message: 'Subscription confirmed',
+      data: { frequency: subscriber.frequency }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to confirm subscription');
+  }
+});
+
+/**
+ * @swagger
+ * /api/newsletter/preferences/{token}:
+ *   get:
+ *     summary: Digest settings of a subscriber
+ *     description: The token is the one of the unsubscribe link in the digest emails.
+ *     tags: [Newsletter]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Current frequency
+ *       404:
+ *         description: Invalid link or not subscribed
+ */
+router.get('/preferences/:token', [tokenRule], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const { frequency } = await getPreferences(req.params.token);
+    res.json({
+      success: true,
+      data: { frequency, frequencies: FREQUENCIES }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to get newsletter preferences');
+  }
+});
+
+/**
+ * @swagger
+ * /api/newsletter/preferences/{token}:
+ *   put:
+ *     summary: Change how often a subscriber gets digests
+ *     tags: [Newsletter]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - frequency
+ *             properties:
+ *               frequency:
+ *                 type: string
+ *                 enum: [immediate, weekly, monthly]
+ *     responses:
+ *       200:
+ *         description: Frequency changed
+ *       404:
+ *         description: Invalid link or not subscribed
+ */
+router.put('/preferences/:token', [
+  tokenRule,
+  frequencyRule(body('frequency'))
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const { frequency } = await updatePreferences(req.params.token, { frequency: req.body.frequency });
+    res.json({
+      success: true,
+      message: 'Newsletter preferences updated',
+      data: { frequency }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to update newsletter preferences');
+  }
+});
+
+/**
+ * @swagger
+ * /api/newsletter/subscribers:
+ *   get:
+ *     summary: List newsletter subscribers (Admin only)
+ *     description: Also counts subscribers per status and active ones per frequency.
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, active, unsubscribed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Subscribers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     subscribers:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/NewsletterSubscriber'
+ */
+router.get('/subscribers', authenticateToken, requirePermission('marketing:manage'), [
+  query('status').optional().isIn(STATUSES).withMessage('Invalid subscriber status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const data = await listSubscribers({
+      status: req.query.status,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 50
+    });
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to get newsletter subscribers');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,273 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  getReminderPolicy,
+  updateReminderPolicy,
+  resetReminderPolicy,
+  rebuildUpcomingReminders,
+  updateReminderPreferences
+} = require('../utils/reminderPolicy');
+const { isSmsEnabled } = require('../utils/smsService');
+const router = express.Router();
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+// Policy and preference errors carry their HTTP status (400, 404)
+const handleError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      errors: error.problems
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// What clients can choose from
+const publicPolicy = (policy) => ({
+  rules: policy.rules,
+  quietHours: policy.quietHours,
+  smsEnabled: isSmsEnabled()
+});
+
+const preferencesOf = (user) => {
+  const reminders = (user.notificationPreferences && user.notificationPreferences.reminders) || {};
+  return {
+    email: reminders.email !== false,
+    sms: reminders.sms !== false,
+    schedule: Array.isArray(reminders.schedule) ? reminders.schedule : null
+  };
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reminders
+ *   description: Reminder schedule of the practice and the reminder preferences of clients
+ */
+
+/**
+ * @swagger
+ * /api/reminders/policy:
+ *   get:
+ *     summary: Get the reminder policy
+ *     description: The reminder times clients can choose from and the quiet hours in which nothing is sent.
+ *     tags: [Reminders]
+ *     responses:
+ *       200:
+ *         description: Reminder policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReminderPolicy'
+ */
+router.get('/policy', async (req, res) => {
+  try {
+    const policy = await getReminderPolicy();
+    res.json({
+      success: true,
+      data: publicPolicy(policy)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to get reminder policy');
+  }
+});
+
+/**
+ * @swagger
+ * /api/reminders/policy:
+ *   put:
+ *     summary: Update the reminder policy (Admin only)
+ *     description: Replaces the rules and/or the quiet hours. Reminders not yet sent for upcoming appointments are planned again.
+ *     tags: [Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReminderPolicy'
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Admin access required
+ */
+router.put('/policy', authenticateToken, requirePermission('schedule:manage'), [
+  body('rules').optional().isArray({ max: 10 }).withMessage('Rules must be an array of at most 10 entries'),
+  body('rules.*.key').matches(/^[a-z0-9-]+$/).withMessage('Rule key may only contain a-z, 0-9 and -'),
+  body('rules.*.label').trim().isLength({ min: 1, max: 60 }).withMessage('Rule label must be 1-60 characters'),
+  body('rules.*.minutesBefore').optional({ values: 'null' }).isInt({ min: 15, max: 10080 })
+    .withMessage('minutesBefore must be between 15 and 10080').toInt(),
+  body('rules.*.dayBeforeAt').optional({ values: 'falsy' }).matches(TIME_PATTERN).withMessage('dayBeforeAt must be HH:MM'),
+  body('rules.*.channels').isArray({ min: 1 }).withMessage('Each rule needs at least one channel'),
+  body('rules.*.channels.*').isIn(['email', 'sms']).withMessage('Channels must be email or sms'),
+  body('rules.*.enabledByDefault').optional().isBoolean().withMessage('enabledByDefault must be boolean').toBoolean(),
+  body('quietHours.enabled').optional().isBoolean().withMessage('quietHours.enabled must be boolean').toBoolean(),
+  body('quietHours.start').optional().matches(TIME_PATTERN).withMessage('Quiet hours start must be HH:MM'),
+  body('quietHours.end').optional().matches(TIME_PATTERN).withMessage('Quiet hours end must be HH:MM')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const update = {};
+    if (req.body.rules !== undefined) {
+      update.rules = req.body.rules.map(rule => {
+        const clean = {
+          key: rule.key,
+          label: rule.label,
+          channels: rule.channels,
+          enabledByDefault: rule.enabledByDefault !== false
+        };
+        // Both are passed on so a rule setting both is rejected, not guessed
+        if (rule.minutesBefore !== undefined && rule.minutesBefore !== null) clean.minutesBefore = rule.minutesBefore;
+        if (rule.dayBeforeAt) clean.dayBeforeAt = rule.dayBeforeAt;
+        return clean;
+      });
+    }
+    if (req.body.quietHours !== undefined) update.quietHours = req.body.quietHours;
+
+    const policy = await updateReminderPolicy(update);
+    const rebuilt = await rebuildUpcomingReminders();
+
+    res.json({
+      success: true,
+      message: 'Hatırlatma ayarları güncellendi',
+      data: { ...publicPolicy(policy), rebuilt }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to update reminder policy');
+  }
+});
+
+/**
+ * @swagger
+ * /api/reminders/policy/reset:
+ *   post:
+ *     summary: Restore the default reminder policy (Admin only)
+ *     tags: [Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Default policy restored
+ */
+router.post('/policy/reset', authenticateToken, requirePermission('schedule:manage'), async (req, res) => {
+  try {
+    const policy = await resetReminderPolicy();
+    const rebuilt = await rebuildUpcomingReminders();
+    res.json({
+      success: true,
+      message: 'Hatırlatma ayarları varsayılana döndürüldü',
+      data: { ...publicPolicy(policy), rebuilt }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to reset reminder policy');
+  }
+});
+
+/**
+ * @swagger
+ * /api/reminders/preferences:
+ *   get:
+ *     summary: Get the reminder preferences of the current user
+ *     description: Returns the stored preferences with the reminder times to choose from. `schedule` is null while the policy defaults apply.
+ *     tags: [Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences and available reminder times
+ */
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const policy = await getReminderPolicy();
+    res.json({
+      success: true,
+      data: {
+        preferences: preferencesOf(req.user),
+        options: publicPolicy(policy)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to get reminder preferences');
+  }
+});
+
+/**
+ * @swagger
+ * /api/reminders/preferences:
+ *   put:
+ *     summary: Update the reminder preferences of the current user
+ *     description: Turning both channels off opts out of reminders. `schedule` lists rule keys of the policy; null goes back to the defaults. Upcoming appointments are re-planned.
+ *     tags: [Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: boolean
+ *               sms:
+ *                 type: boolean
+ *               schedule:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: string
+ *                 example: ["evening-before", "two-hours"]
+ *     responses:
+ *       200:
+ *         description: Preferences updated
+ *       400:
+ *         description: Validation error or unknown reminder time
+ */
+router.put('/preferences', authenticateToken, [
+  body('email').optional().isBoolean().withMessage('email must be boolean').toBoolean(),
+  body('sms').optional().isBoolean().withMessage('sms must be boolean').toBoolean(),
+  body('schedule').optional({ values: 'null' }).isArray({ max: 10 }).withMessage('Schedule must be an array of reminder keys'),
+  body('schedule.*').isString().withMessage('Schedule must be an array of reminder keys')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const { email, sms, schedule } = req.body;
+    const stored = await updateReminderPreferences(req.user, { email, sms, schedule });
+
+    res.json({
+      success: true,
+      message: 'Hatırlatma tercihleriniz kaydedildi',
+      data: { preferences: preferencesOf({ notificationPreferences: { reminders: stored } }) }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to update reminder preferences');
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const mongoose = require('mongoose');
 const SiteSettings = require('../models/SiteSettings');
+const { recordAudit } = require('../utils/auditLog');
 
 // Configure multer for image uploads
 const storage = multer.diskStorage({
@@ -114,8 +115,11 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Audit log target: the whole settings document or one section of it
+const siteSettingsTarget = (section) => ({ type: 'site-settings', id: section, label: section || 'all' });
+
 // Update site settings (Admin only)
-router.put('/', authenticateToken, requireAdmin, upload.fields([
+router.put('/', authenticateToken, requirePermission('content:manage'), upload.fields([
   { name: 'mainPhoto', maxCount: 1 },
   { name: 'officePhoto', maxCount: 1 }
 ]), async (req, res) => {
@@ -142,6 +146,7 @@ router.put('/', authenticateToken, requireAdmin, upload.fields([
       if (!settings) {
         settings = new SiteSettings(defaultSettings);
       }
+      const before = settings.toObject();
 
       // Update general settings
       if (parsedGeneral) {
@@ -208,6 +213,7 @@ router.put('/', authenticateToken, requireAdmin, upload.fields([
       }
 
       await settings.save();
+      await recordAudit(req, { action: 'site-settings.update', target: siteSettingsTarget(), before, after: settings.toObject() });
 
       res.json({
         success: true,
@@ -215,6 +221,8 @@ router.put('/', authenticateToken, requireAdmin, upload.fields([
         data: settings
       });
     } else {
+      const before = JSON.parse(JSON.stringify(siteSettings));
+
       // Update general settings in-memory
       if (parsedGeneral) {
         siteSettings.general = {
@@ -278,6 +286,7 @@ router.put('/', authenticateToken, requireAdmin, upload.fields([
       }
 
       siteSettings.updatedAt = new Date();
+      await recordAudit(req, { action: 'site-settings.update', target: siteSettingsTarget(), before, after: siteSettings });
 
       res.json({
         success: true,
@@ -322,7 +331,7 @@ router.get('/:section', async (req, res) => {
 });
 
 // Update specific setting section (Admin only)
-router.put('/:section', authenticateToken, requireAdmin, async (req, res) => {
+router.put('/:section', authenticateToken, requirePermission('content:manage'), async (req, res) => {
   try {
     const { section } = req.params;
     const updateData = req.body;
@@ -341,6 +350,7 @@ router.put('/:section', authenticateToken, requireAdmin, async (req, res) => {
           message: 'Ayar bölümü bulunamadı'
         });
       }
+      const before = { [section]: settingsObj[section] };
 
       if (Array.isArray(settings[section])) {
         settings[section] = updateData;
@@ -352,6 +362,12 @@ router.put('/:section', authenticateToken, requireAdmin, async (req, res) => {
       }
 
       await settings.save();
+      await recordAudit(req, {
+        action: 'site-settings.update',
+        target: siteSettingsTarget(section),
+        before,
+        after: { [section]: settings.toObject()[section] }
+      });
 
       res.json({
         success: true,
@@ -365,6 +381,7 @@ router.put('/:section', authenticateToken, requireAdmin, async (req, res) => {
           message: 'Ayar bölümü bulunamadı'
         });
       }
+      const before = JSON.parse(JSON.stringify({ [section]: siteSettings[section] }));
 
       if (Array.isArray(siteSettings[section])) {
         siteSettings[section] = updateData;
@@ -375,6 +392,12 @@ router.put('/:section', authenticateToken, requireAdmin, async (req, res) => {
         };
       }
       siteSettings.updatedAt = new Date();
+      await recordAudit(req, {
+        action: 'site-settings.update',
+        target: siteSettingsTarget(section),
+        before,
+        after: { [section]: siteSettings[section] }
+      });
 
       res.json({
         success: true,
@@ -392,23 +415,32 @@ router.put('/:section', authenticateToken, requireAdmin, async (req, res) => {
 });
 
 // Reset settings to default (Admin only)
-router.post('/reset', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/reset', authenticateToken, requirePermission('content:manage'), async (req, res) => {
   try {
     const isMongoConnected = mongoose.connection.readyState === 1;
 
     if (isMongoConnected) {
+      const current = await SiteSettings.findOne();
       await SiteSettings.deleteMany({});
       const settings = await SiteSettings.create(defaultSettings);
+      await recordAudit(req, {
+        action: 'site-settings.reset',
+        target: siteSettingsTarget(),
+        before: current ? current.toObject() : undefined,
+        after: settings.toObject()
+      });
       res.json({
         success: true,
         message: 'Site ayarları varsayılan değerlere sıfırlandı',
         data: settings
       });
     } else {
+      const before = JSON.parse(JSON.stringify(siteSettings));
       siteSettings = {
         ...defaultSettings,
         updatedAt: new Date()
       };
+      await recordAudit(req, { action: 'site-settings.reset', target: siteSettingsTarget(), before, after: siteSettings });
 
       res.json({
         success: true,
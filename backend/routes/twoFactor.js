@@ -0,0 +1,258 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { markSessionTwoFactor, accessToken } = require('../utils/authSessions');
+const {
+  RECOVERY_CODE_COUNT,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../utils/twoFactor');
+const router = express.Router();
+
+router.use(authenticateToken, requirePermission());
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+// Two-factor errors carry their HTTP status (400, 401, 409, 503)
+const handleError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+const codeRule = (field) => field
+  .trim()
+  .matches(/^\d{6}$/)
+  .withMessage('Code must be 6 digits');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Two-Factor Authentication
+ *   description: Authenticator app codes as a second step of admin login
+ */
+
+/**
+ * @swagger
+ * /api/admin/2fa:
+ *   get:
+ *     summary: Two-factor status of the logged in admin
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether two-factor is on and how many recovery codes are left
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.user._id);
+    res.json({
+      success: true,
+      data: { ...status, sessionVerified: req.twoFactorVerified }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to get two-factor status');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/2fa/setup:
+ *   post:
+ *     summary: Start turning on two-factor authentication
+ *     description: |
+ *       Returns a new secret and its otpauth:// link for the QR code. Nothing
+ *       changes until a code from the app is sent to /api/admin/2fa/enable.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth link
+ *       409:
+ *         description: Two-factor is already on
+ *       503:
+ *         description: Running without the database
+ */
+router.post('/setup', async (req, res) => {
+  try {
+    const data = await startTwoFactorSetup(req.user._id);
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to start two-factor setup');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/2fa/enable:
+ *   post:
+ *     summary: Turn on two-factor authentication with a code from the app
+ *     description: |
+ *       Returns the recovery codes; they are not shown again. The current
+ *       session counts as verified, so the response carries a new access token.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor is on
+ *       400:
+ *         description: Invalid code, or the setup was not started
+ */
+router.post('/enable', [codeRule(body('code'))], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const recoveryCodes = await enableTwoFactor(req.user._id, req.body.code);
+
+    let token;
+    if (req.sessionId) {
+      await markSessionTwoFactor(req.sessionId);
+      token = accessToken(req.user, req.sessionId, true);
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is on',
+      data: { recoveryCodes, token }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to turn on two-factor authentication');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     description: Needs a session that passed two-factor and a current code or recovery code.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor is off
+ *       401:
+ *         description: Invalid code
+ *       403:
+ *         description: The session did not pass two-factor
+ */
+router.post('/disable', requirePermission({ twoFactor: true }), [
+  codeRule(body('code').optional({ values: 'falsy' })),
+  body('recoveryCode')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 40 })
+    .withMessage('Invalid recovery code'),
+  body()
+    .custom((value) => Boolean(value.code || value.recoveryCode))
+    .withMessage('Code or recovery code is required')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    await disableTwoFactor(req.user._id, { code: req.body.code, recoveryCode: req.body.recoveryCode });
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is off'
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to turn off two-factor authentication');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     description: The old codes stop working. Needs a session that passed two-factor and a current code.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       401:
+ *         description: Invalid code
+ *       403:
+ *         description: The session did not pass two-factor
+ */
+router.post('/recovery-codes', requirePermission({ twoFactor: true }), [codeRule(body('code'))], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user._id, req.body.code);
+    res.json({
+      success: true,
+      message: `${RECOVERY_CODE_COUNT} new recovery codes`,
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to replace recovery codes');
+  }
+});
+
+module.exports = router;
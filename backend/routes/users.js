@@ -4,6 +4,9 @@ const User = require('../models/User');
 const Appointment = require('../models/Appointment');
 const { authenticateToken, requireOwnershipOrAdmin } = require('../middleware/auth');
 const { sendEmail } = require('../utils/emailService');
+const { updateReminderPreferences } = require('../utils/reminderPolicy');
+const { setCampaignConsent } = require('../utils/campaigns');
+const { revokeAllSessions } = require('../utils/authSessions');
 const router = express.Router();
 
 // All user routes require authentication
@@ -109,6 +112,22 @@ router.get('/profile', async (req, res) => {
  *                         type: array
  *                         items:
  *                           type: string
+ *               notificationPreferences:
+ *                 type: object
+ *                 properties:
+ *                   reminders:
+ *                     type: object
+ *                     properties:
+ *                       email:
+ *                         type: boolean
+ *                       sms:
+ *                         type: boolean
+ *                   campaigns:
+ *                     type: object
+ *                     description: Consent to announcement and campaign emails
+ *                     properties:
+ *                       email:
+ *                         type: boolean
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -142,7 +161,19 @@ router.put('/profile', [
   body('profile.medicalInfo.previousTherapy')
     .optional()
     .isBoolean()
-    .withMessage('Previous therapy must be boolean')
+    .withMessage('Previous therapy must be boolean'),
+  body('notificationPreferences.reminders.email')
+    .optional()
+    .isBoolean()
+    .withMessage('Email reminder preference must be boolean'),
+  body('notificationPreferences.reminders.sms')
+    .optional()
+    .isBoolean()
+    .withMessage('SMS reminder preference must be boolean'),
+  body('notificationPreferences.campaigns.email')
+    .optional()
+    .isBoolean()
+    .withMessage('Campaign email consent must be boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -154,13 +185,28 @@ router.put('/profile', [
       });
     }
 
-    const { name, phone, profile } = req.body;
+    const { name, phone, profile, notificationPreferences } = req.body;
     const updateData = {};
 
     if (name) updateData.name = name;
     if (phone) updateData.phone = phone;
     if (profile) updateData.profile = { ...req.user.profile, ...profile };
 
+    // Reminder channels go through the reminder policy so upcoming reminders follow them
+    const reminders = notificationPreferences && notificationPreferences.reminders;
+    if (reminders) {
+      await updateReminderPreferences(req.user, {
+        email: reminders.email === undefined ? undefined : reminders.email === true || reminders.email === 'true',
+        sms: reminders.sms === undefined ? undefined : reminders.sms === true || reminders.sms === 'true'
+      });
+    }
+
+    // Consent changes are dated, as ETK asks us to be able to show when it was given
+    const campaigns = notificationPreferences && notificationPreferences.campaigns;
+    if (campaigns && campaigns.email !== undefined) {
+      await setCampaignConsent({ userId: req.user._id }, campaigns.email === true || campaigns.email === 'true');
+    }
+
     const updatedUser = await User.findByIdAndUpdate(
       req.user._id,
       updateData,
@@ -188,6 +234,7 @@ router.put('/profile', [
  * /api/users/change-password:
  *   post:
  *     summary: Change user password
+ *     description: Logs the user out on every other device.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -252,6 +299,9 @@ router.post('/change-password', [
     user.password = newPassword;
     await user.save();
 
+    // Log out the other devices; this one stays logged in
+    await revokeAllSessions(user._id, 'password-change', { except: req.sessionId });
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -398,7 +448,7 @@ router.get('/appointments/history', async (req, res) => {
 
     const appointments = await Appointment.find({
       user: req.user._id,
-      status: { $in: ['completed', 'cancelled', 'no-show'] }
+      status: { $in: ['completed', 'cancelled', 'no-show', 'late-cancelled'] }
     })
       .sort({ date: -1, time: -1 })
       .skip(skip)
@@ -406,7 +456,7 @@ router.get('/appointments/history', async (req, res) => {
 
     const total = await Appointment.countDocuments({
       user: req.user._id,
-      status: { $in: ['completed', 'cancelled', 'no-show'] }
+      status: { $in: ['completed', 'cancelled', 'no-show', 'late-cancelled'] }
     });
 
     res.json({
@@ -0,0 +1,506 @@
+const mongoose = require('mongoose');
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { sendEmail } = require('../utils/emailService');
+const { buildIcsAttachment } = require('../utils/calendar');
+const { toMinutes } = require('../utils/availability');
+const { hasPermission } = require('../utils/permissions');
+const {
+  listWaitlist,
+  listUserEntries,
+  findEntryById,
+  addToWaitlist,
+  reorderWaitlist,
+  listPendingOffers,
+  findOfferByToken,
+  claimOffer,
+  declineOffer,
+  removeEntry
+} = require('../utils/waitlist');
+const router = express.Router();
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+// Offer and queue errors carry their HTTP status (404, 409, 410, 400)
+const handleError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+const ownerId = (entry) => (entry.user && entry.user._id ? entry.user._id : entry.user).toString();
+
+const findClient = async (userId) => {
+  if (mongoose.connection.readyState !== 1) {
+    const { mockUsers } = require('../utils/mockDb');
+    return mockUsers.find(u => u._id === userId.toString()) || null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  return User.findById(userId).select('name email');
+};
+
+// What a client sees of an offer through the claim link
+const publicOffer = (offer) => ({
+  date: offer.date,
+  time: offer.time,
+  duration: offer.duration,
+  expiresAt: offer.expiresAt,
+  status: offer.status
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Waitlist
+ *   description: Waitlist and offers of freed appointment slots
+ */
+
+/**
+ * @swagger
+ * /api/waitlist:
+ *   post:
+ *     summary: Join the waitlist with preferred days and time ranges
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               preferredDays:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [2, 4]
+ *               timeRanges:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     start:
+ *                       type: string
+ *                       example: "17:00"
+ *                     end:
+ *                       type: string
+ *                       example: "20:00"
+ *               fromDate:
+ *                 type: string
+ *                 format: date
+ *               untilDate:
+ *                 type: string
+ *                 format: date
+ *               type:
+ *                 type: string
+ *                 enum: [individual, couple, online, in-person]
+ *               duration:
+ *                 type: integer
+ *               notes:
+ *                 type: string
+ *               user:
+ *                 type: string
+ *                 description: Client ID (admin only; defaults to the caller)
+ *     responses:
+ *       201:
+ *         description: Added to the waitlist
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Client is already on the waitlist
+ */
+router.post('/', authenticateToken, [
+  body('preferredDays')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('Preferred days must be a list'),
+  body('preferredDays.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Preferred days must be between 0 (Sunday) and 6 (Saturday)')
+    .toInt(),
+  body('timeRanges')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Time ranges must be a list of at most 5 ranges'),
+  body('timeRanges.*.start')
+    .matches(TIME_PATTERN)
+    .withMessage('Range start must be HH:MM'),
+  body('timeRanges.*.end')
+    .matches(TIME_PATTERN)
+    .withMessage('Range end must be HH:MM')
+    .custom((value, { req, path }) => {
+      const range = req.body.timeRanges[Number(path.match(/\[(\d+)\]/)[1])];
+      if (TIME_PATTERN.test(range.start || '') && toMinutes(value) <= toMinutes(range.start)) {
+        throw new Error('Range end must be after its start');
+      }
+      return true;
+    }),
+  body('fromDate')
+    .optional()
+    .matches(DATE_PATTERN)
+    .withMessage('From date must be YYYY-MM-DD'),
+  body('untilDate')
+    .optional()
+    .matches(DATE_PATTERN)
+    .withMessage('Until date must be YYYY-MM-DD')
+    .custom((value, { req }) => {
+      if (req.body.fromDate && value < req.body.fromDate) {
+        throw new Error('Until date must not be before from date');
+      }
+      return true;
+    }),
+  body('type')
+    .optional()
+    .isIn(['individual', 'couple', 'online', 'in-person'])
+    .withMessage('Invalid appointment type'),
+  body('duration')
+    .optional()
+    .isInt({ min: 30, max: 120 })
+    .withMessage('Duration must be between 30 and 120 minutes')
+    .toInt(),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+  body('user')
+    .optional()
+    .isString()
+    .withMessage('User must be a user ID')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const userId = hasPermission(req.user, 'appointments:manage') && req.body.user ? req.body.user : req.user._id;
+    const client = await findClient(userId);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const current = await listUserEntries(userId);
+    if (current.some(e => e.status === 'waiting')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Client is already on the waitlist'
+      });
+    }
+
+    const entry = await addToWaitlist(userId, req.body);
+    res.status(201).json({
+      success: true,
+      message: 'Added to the waitlist',
+      data: { entry }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to join the waitlist');
+  }
+});
+
+/**
+ * @swagger
+ * /api/waitlist/me:
+ *   get:
+ *     summary: Get the caller's waitlist entries
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Entries retrieved successfully
+ */
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const entries = await listUserEntries(req.user._id);
+    res.json({
+      success: true,
+      data: { entries }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve waitlist entries');
+  }
+});
+
+/**
+ * @swagger
+ * /api/waitlist:
+ *   get:
+ *     summary: Get the waiting queue and open offers (Admin only)
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Queue in order with the pending offers
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/', authenticateToken, requirePermission('appointments:manage'), async (req, res) => {
+  try {
+    const [entries, offers] = await Promise.all([listWaitlist(), listPendingOffers()]);
+    res.json({
+      success: true,
+      data: { entries, offers }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve waitlist');
+  }
+});
+
+/**
+ * @swagger
+ * /api/waitlist/reorder:
+ *   put:
+ *     summary: Reorder the waiting queue (Admin only)
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - order
+ *             properties:
+ *               order:
+ *                 type: array
+ *                 description: Entry IDs from first to last; unlisted entries keep their order after them
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Queue reordered
+ *       400:
+ *         description: Validation error or unknown entry
+ */
+router.put('/reorder', authenticateToken, requirePermission('appointments:manage'), [
+  body('order')
+    .isArray({ min: 1 })
+    .withMessage('Order must be a non-empty list of entry IDs'),
+  body('order.*')
+    .isString()
+    .withMessage('Order must contain entry IDs')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const entries = await reorderWaitlist(req.body.order);
+    res.json({
+      success: true,
+      message: 'Waitlist reordered',
+      data: { entries }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to reorder waitlist');
+  }
+});
+
+/**
+ * @swagger
+ * /api/waitlist/{id}:
+ *   delete:
+ *     summary: Leave the waitlist (own entry; admins may remove any)
+ *     description: A pending offer of the entry is withdrawn and passed on to the next client.
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Entry removed
+ *       404:
+ *         description: Entry not found
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const entry = await findEntryById(req.params.id);
+    if (!entry || entry.status === 'removed' ||
+        (!hasPermission(req.user, 'appointments:manage') && ownerId(entry) !== req.user._id.toString())) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    await removeEntry(entry);
+    res.json({
+      success: true,
+      message: 'Removed from the waitlist'
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to remove waitlist entry');
+  }
+});
+
+/**
+ * @swagger
+ * /api/waitlist/offers/{token}:
+ *   get:
+ *     summary: Get a slot offer from its claim link
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offer details, including its status
+ *       404:
+ *         description: Offer not found
+ */
+router.get('/offers/:token', async (req, res) => {
+  try {
+    const offer = await findOfferByToken(req.params.token);
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offer not found'
+      });
+    }
+
+    const expired = offer.status === 'pending' && new Date(offer.expiresAt) <= new Date();
+    res.json({
+      success: true,
+      data: { offer: { ...publicOffer(offer), ...(expired && { status: 'expired' }) } }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve offer');
+  }
+});
+
+/**
+ * @swagger
+ * /api/waitlist/offers/{token}/claim:
+ *   post:
+ *     summary: Claim an offered slot and book the appointment
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Appointment booked
+ *       404:
+ *         description: Offer not found
+ *       409:
+ *         description: The slot has been taken in the meantime
+ *       410:
+ *         description: Offer expired, declined or already claimed
+ */
+router.post('/offers/:token/claim', async (req, res) => {
+  try {
+    const { offer, appointment } = await claimOffer(req.params.token);
+
+    const client = await findClient(offer.user && offer.user._id ? offer.user._id : offer.user);
+    if (client) {
+      try {
+        await sendEmail({
+          to: client.email,
+          subject: 'Randevu Onayı - Psikolog Onur Uslu',
+          template: 'appointmentConfirmation',
+          attachments: [buildIcsAttachment(appointment)],
+          data: {
+            name: client.name,
+            date: appointment.formattedDate || new Date(appointment.date).toLocaleDateString('tr-TR'),
+            time: appointment.time,
+            type: appointment.typeTurkish || appointment.type,
+            duration: appointment.duration,
+            price: appointment.price
+          }
+        });
+      } catch (emailError) {
+        console.error('Confirmation email failed:', emailError);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Appointment booked from the waitlist',
+      data: {
+        offer: publicOffer(offer),
+        appointment: {
+          _id: appointment._id,
+          date: appointment.date,
+          time: appointment.time,
+          duration: appointment.duration,
+          type: appointment.type
+        }
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to claim offer');
+  }
+});
+
+/**
+ * @swagger
+ * /api/waitlist/offers/{token}/decline:
+ *   post:
+ *     summary: Decline an offered slot; it is offered to the next client
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offer declined
+ *       404:
+ *         description: Offer not found
+ *       410:
+ *         description: Offer is no longer open
+ */
+router.post('/offers/:token/decline', async (req, res) => {
+  try {
+    const offer = await declineOffer(req.params.token);
+    res.json({
+      success: true,
+      message: 'Offer declined',
+      data: { offer: publicOffer(offer) }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to decline offer');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const { reencryptModel } = require('../utils/fieldEncryption');
+require('dotenv').config();
+
+// Encrypts notes and medical information stored before FIELD_ENCRYPTION_KEYS
+// was set, and moves values under older keys to the first key after a rotation.
+// Safe to run again; `--dry-run` only counts what would change.
+async function encryptFields() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected');
+
+    for (const Model of [Appointment, User]) {
+      const result = await reencryptModel(Model, { dryRun });
+      console.log(`${result.model}: ${result.scanned} checked, ${result.updated} ${dryRun ? 'to update' : 'updated'}`);
+    }
+  } catch (error) {
+    console.error('Error encrypting fields:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('MongoDB Disconnected');
+  }
+}
+
+encryptFields();
@@ -21,10 +21,23 @@ const blogRoutes = require('./routes/blog');
 const siteSettingsRoutes = require('./routes/siteSettings');
 const contactRoutes = require('./routes/contact');
 const reviewRoutes = require('./routes/reviews');
+const availabilityRoutes = require('./routes/availability');
+const blackoutRoutes = require('./routes/blackouts');
+const appointmentSeriesRoutes = require('./routes/appointmentSeries');
+const waitlistRoutes = require('./routes/waitlist');
+const guestBookingRoutes = require('./routes/guestBookings');
+const calendarRoutes = require('./routes/calendar');
+const reminderRoutes = require('./routes/reminders');
+const attendanceRoutes = require('./routes/attendance');
+const campaignRoutes = require('./routes/campaigns');
+const emailRoutes = require('./routes/email');
+const newsletterRoutes = require('./routes/newsletter');
+const twoFactorRoutes = require('./routes/twoFactor');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const { authenticateToken } = require('./middleware/auth');
+const fieldEncryption = require('./utils/fieldEncryption');
 
 // Import cron jobs
 const reminderJob = require('./jobs/reminderJob');
@@ -78,7 +91,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key']
 }));
 
 // Rate limiting (disabled in test mode)
@@ -97,16 +110,48 @@ if (process.env.NODE_ENV !== 'test') {
 
   app.use('/api/', limiter);
 
-  // Stricter rate limiting for auth endpoints
+  // Stricter rate limiting for endpoints that take a password, code or email.
+  // Accounts also count their own failed logins (utils/loginThrottle.js), so
+  // this only slows one address down; refresh and logout are left out.
   const authLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 5, // limit each IP to 5 requests per windowMs
+    max: 10, // limit each IP to 10 requests per windowMs; admin login with two-factor takes two
     message: {
       error: 'Too many authentication attempts, please try again later.'
     }
   });
 
-  app.use('/api/auth/', authLimiter);
+  app.post([
+    '/api/auth/register',
+    '/api/auth/login',
+    '/api/auth/admin/login',
+    '/api/auth/admin/login/verify',
+    '/api/auth/forgot-password',
+    '/api/auth/reset-password',
+    '/api/auth/verify-email'
+  ], authLimiter);
+
+  // Guest bookings need no login and each one holds a slot
+  const guestBookingLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5, // limit each IP to 5 bookings per windowMs
+    message: {
+      error: 'Too many booking attempts, please try again later.'
+    }
+  });
+
+  app.post('/api/guest-bookings', guestBookingLimiter);
+
+  // Every subscription request sends a confirmation email to the given address
+  const newsletterLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5, // limit each IP to 5 subscriptions per windowMs
+    message: {
+      error: 'Too many subscription attempts, please try again later.'
+    }
+  });
+
+  app.post('/api/newsletter/subscribe', newsletterLimiter);
 }
 
 // Body parsing middleware
@@ -203,6 +248,16 @@ app.get('/api', (req, res) => {
       docs: '/api-docs',
       auth: '/api/auth',
       appointments: '/api/appointments',
+      appointmentSeries: '/api/appointment-series',
+      waitlist: '/api/waitlist',
+      guestBookings: '/api/guest-bookings',
+      calendar: '/api/calendar',
+      reminders: '/api/reminders',
+      attendance: '/api/attendance',
+      campaigns: '/api/campaigns',
+      newsletter: '/api/newsletter',
+      availability: '/api/availability',
+      blackouts: '/api/blackouts',
       users: '/api/users',
       admin: '/api/admin'
     }
@@ -212,12 +267,24 @@ app.get('/api', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/appointments', appointmentRoutes);
+app.use('/api/appointment-series', appointmentSeriesRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/guest-bookings', guestBookingRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/reminders', reminderRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/email', emailRoutes);
+app.use('/api/newsletter', newsletterRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/admin/2fa', twoFactorRoutes);
 app.use('/api/admin', authenticateToken, adminRoutes);
 app.use('/api/blog', blogRoutes);
 app.use('/api/site-settings', siteSettingsRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/reviews', reviewRoutes);
+app.use('/api/availability', availabilityRoutes);
+app.use('/api/blackouts', blackoutRoutes);
 
 // API documentation endpoint
 app.get('/api-docs.json', (req, res) => {
@@ -290,6 +357,10 @@ const startServer = async () => {
       console.log('💡 MongoDB cluster connection string ekleyerek gerçek veri kullanabilirsiniz');
     }
 
+    if (!fieldEncryption.isEnabled()) {
+      console.log('⚠️  FIELD_ENCRYPTION_KEYS tanımlı değil, seans notları ve sağlık bilgileri şifrelenmeden saklanacak');
+    }
+
     const server = app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
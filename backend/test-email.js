@@ -1,11 +1,11 @@
 const { sendEmail } = require('./utils/emailService');
+const { getTransportStatus } = require('./utils/mailTransport');
 require('dotenv').config();
 
 async function testEmail() {
   try {
     console.log('📧 Email servisi test ediliyor...');
-    console.log('SMTP Host:', process.env.SMTP_HOST);
-    console.log('SMTP User:', process.env.SMTP_USER);
+    console.log('Sağlayıcılar:', JSON.stringify(getTransportStatus().order.map(t => t.name)));
     
     const result = await sendEmail({
       to: 'test@example.com', // Test email adresi
@@ -18,12 +18,14 @@ async function testEmail() {
     });
     
     console.log('✅ Email başarıyla gönderildi!');
+    console.log('Sağlayıcı:', result.transport);
     console.log('Message ID:', result.messageId);
+    result.attempts.forEach(a => console.log(`⚠️  Önce ${a.transport} denendi: ${a.error}`));
     
   } catch (error) {
     console.error('❌ Email gönderimi başarısız:', error.message);
     
-    if (error.code === 'EAUTH') {
+    if (/Invalid login|EAUTH/.test(error.message)) {
       console.log('\n🔐 Gmail kimlik doğrulama hatası!');
       console.log('Çözüm:');
       console.log('1. Gmail hesabınızda 2FA\'yı etkinleştirin');
@@ -0,0 +1,136 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const OutboxJob = require('../models/OutboxJob');
+const { generateToken } = require('../middleware/auth');
+const { delayAfter } = require('../utils/loginThrottle');
+
+describe('Login delays', () => {
+  it('should let the first failures through and double the wait after them', () => {
+    expect([1, 2, 3].map(delayAfter)).toEqual([0, 0, 0]);
+    expect([4, 5, 6].map(delayAfter)).toEqual([2, 4, 8]);
+    expect(delayAfter(20)).toBe(60);
+  });
+});
+
+describe('Account lockout', () => {
+  let user;
+
+  beforeEach(async () => {
+    process.env.LOGIN_MAX_ATTEMPTS = '3';
+    user = await User.create({
+      name: 'Lockout User',
+      email: 'kilit@test.com',
+      password: 'password123',
+      phone: '05561234567',
+      emailVerified: true
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.LOGIN_MAX_ATTEMPTS;
+  });
+
+  const login = (password, email = 'kilit@test.com') => request(app)
+    .post('/api/auth/login')
+    .send({ email, password });
+
+  const lockOut = async () => {
+    await login('wrongpass').expect(401);
+    await login('wrongpass').expect(401);
+    const locked = await login('wrongpass').expect(423);
+    expect(locked.body.retryAfter).toBe(15 * 60);
+  };
+
+  it('should lock the account after too many failures, even for the right password', async () => {
+    await lockOut();
+
+    const res = await login('password123').expect(423);
+    expect(res.headers['retry-after']).toBeDefined();
+    const stored = await User.findById(user._id);
+    expect(stored.loginAttempts.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should make failures past the free ones wait', async () => {
+    delete process.env.LOGIN_MAX_ATTEMPTS;
+    for (let i = 0; i < 4; i++) await login('wrongpass').expect(401);
+
+    const early = await login('password123').expect(429);
+    expect(early.body.retryAfter).toBeLessThanOrEqual(2);
+
+    await User.updateOne({ _id: user._id }, { $set: { 'loginAttempts.lastFailedAt': new Date(Date.now() - 5000) } });
+    await login('password123').expect(200);
+    const stored = await User.findById(user._id);
+    expect(stored.loginAttempts.failedCount).toBe(0);
+  });
+
+  it('should lift the lock when the password is reset', async () => {
+    await lockOut();
+
+    // The token the forgot-password email links to
+    const stored = await User.findById(user._id);
+    const resetToken = stored.generatePasswordResetToken();
+    await stored.save({ validateBeforeSave: false });
+
+    await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: resetToken, password: 'newpass123' })
+      .expect(200);
+
+    await login('newpass123').expect(200);
+  });
+
+  it('should let an admin unlock the account', async () => {
+    await lockOut();
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      phone: '05531234567',
+      role: 'admin'
+    });
+    const token = generateToken({ id: admin._id, role: 'admin' });
+
+    const res = await request(app)
+      .patch(`/api/admin/users/${user._id}/unlock`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(res.body.data.wasLocked).toBe(true);
+    await login('password123').expect(200);
+
+    await request(app)
+      .patch('/api/admin/users/507f1f77bcf86cd799439011/unlock')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(404);
+  });
+
+  it('should email an admin whose account is locked or logs in from a new address', async () => {
+    await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      phone: '05531234567',
+      role: 'admin'
+    });
+    const adminLogin = (password, ip) => request(app)
+      .post('/api/auth/admin/login')
+      .set('X-Forwarded-For', ip)
+      .send({ email: 'admin@test.com', password });
+    const alerts = () => OutboxJob.find({ 'payload.template': 'adminLoginAlert' }).lean();
+
+    await adminLogin('password123', '198.51.100.1').expect(200);
+    await adminLogin('password123', '198.51.100.1').expect(200);
+    expect(await alerts()).toHaveLength(0);
+
+    await adminLogin('password123', '203.0.113.9').expect(200);
+    expect(await alerts()).toHaveLength(1);
+
+    await adminLogin('wrongpass', '203.0.113.9').expect(401);
+    await adminLogin('wrongpass', '203.0.113.9').expect(401);
+    await adminLogin('wrongpass', '203.0.113.9').expect(423);
+    const sent = await alerts();
+    expect(sent).toHaveLength(2);
+    expect(sent[1].payload.to).toBe('admin@test.com');
+    expect(sent[1].payload.data.lockedUntil).not.toBe('');
+  });
+});
@@ -0,0 +1,155 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const { generateToken } = require('../middleware/auth');
+const { buildOccurrenceDates } = require('../utils/appointmentSeries');
+
+const futureDate = (days = 3) => {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+describe('Series occurrence dates', () => {
+  it('should step weekly and biweekly', () => {
+    expect(buildOccurrenceDates({ startDate: '2030-01-01', frequency: 'weekly', occurrences: 3 }))
+      .toEqual(['2030-01-01', '2030-01-08', '2030-01-15']);
+    expect(buildOccurrenceDates({ startDate: '2030-01-01', frequency: 'biweekly', occurrences: 3 }))
+      .toEqual(['2030-01-01', '2030-01-15', '2030-01-29']);
+  });
+
+  it('should stop at the end date', () => {
+    expect(buildOccurrenceDates({ startDate: '2030-01-01', frequency: 'weekly', endDate: '2030-01-20' }))
+      .toEqual(['2030-01-01', '2030-01-08', '2030-01-15']);
+  });
+
+  it('should cross month and DST boundaries without drifting', () => {
+    const dates = buildOccurrenceDates({ startDate: '2030-03-19', frequency: 'weekly', occurrences: 3 });
+    expect(dates).toEqual(['2030-03-19', '2030-03-26', '2030-04-02']);
+  });
+});
+
+describe('Appointment Series API', () => {
+  let adminToken, userToken, userId;
+
+  beforeEach(async () => {
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      phone: '05531234567',
+      role: 'admin',
+      emailVerified: true
+    });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+
+    const user = await User.create({
+      name: 'Regular User',
+      email: 'user@test.com',
+      password: 'password123',
+      phone: '05541234567',
+      emailVerified: true
+    });
+    userId = user._id;
+    userToken = generateToken({ id: user._id, role: 'user' });
+  });
+
+  const seriesBody = (overrides = {}) => ({
+    startDate: futureDate(3),
+    time: '18:00',
+    type: 'individual',
+    frequency: 'weekly',
+    occurrences: 4,
+    ...overrides
+  });
+
+  it('should book every occurrence with its own reminders', async () => {
+    const res = await request(app)
+      .post('/api/appointment-series')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send(seriesBody())
+      .expect(201);
+
+    expect(res.body.data.appointments).toHaveLength(4);
+    const occurrences = await Appointment.find({ series: res.body.data.series._id });
+    expect(occurrences).toHaveLength(4);
+    occurrences.forEach(o => expect(o.reminders.length).toBeGreaterThan(0));
+  });
+
+  it('should report conflicts per occurrence and book nothing by default', async () => {
+    await request(app)
+      .post('/api/appointments')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ date: futureDate(10), time: '18:20', type: 'individual' })
+      .expect(201);
+
+    const res = await request(app)
+      .post('/api/appointment-series')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send(seriesBody())
+      .expect(409);
+
+    const blocked = res.body.data.plan.filter(o => !o.available);
+    expect(blocked).toHaveLength(1);
+    expect(blocked[0].date).toBe(futureDate(10));
+    expect(await AppointmentSeries.countDocuments()).toBe(0);
+
+    const skipped = await request(app)
+      .post('/api/appointment-series')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send(seriesBody({ skipConflicts: true }))
+      .expect(201);
+    expect(skipped.body.data.appointments).toHaveLength(3);
+    expect(skipped.body.data.series.skipped).toHaveLength(1);
+  });
+
+  it('should edit and cancel an occurrence and all following ones', async () => {
+    const res = await request(app)
+      .post('/api/appointment-series')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(seriesBody({ user: userId.toString() }))
+      .expect(201);
+    const [first, second] = res.body.data.appointments;
+
+    await request(app)
+      .put(`/api/appointments/${second._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ scope: 'following', time: '19:00' })
+      .expect(200);
+
+    let occurrences = await Appointment.find({ series: res.body.data.series._id }).sort({ date: 1 });
+    expect(occurrences.map(o => o.time)).toEqual(['18:00', '19:00', '19:00', '19:00']);
+
+    await request(app)
+      .post(`/api/appointments/${second._id}/cancel`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ scope: 'following', reason: 'Taşınıyorum' })
+      .expect(200);
+
+    occurrences = await Appointment.find({ series: res.body.data.series._id }).sort({ date: 1 });
+    expect(occurrences.map(o => o.status)).toEqual(['scheduled', 'cancelled', 'cancelled', 'cancelled']);
+    expect(occurrences[0]._id.toString()).toBe(first._id);
+  });
+
+  it('should not let other clients see a series', async () => {
+    const res = await request(app)
+      .post('/api/appointment-series')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(seriesBody({ user: userId.toString(), occurrences: 2 }))
+      .expect(201);
+
+    const other = await User.create({
+      name: 'Other User',
+      email: 'other@test.com',
+      password: 'password123',
+      phone: '05551234567',
+      emailVerified: true
+    });
+    await request(app)
+      .get(`/api/appointment-series/${res.body.data.series._id}`)
+      .set('Authorization', `Bearer ${generateToken({ id: other._id, role: 'user' })}`)
+      .expect(404);
+  });
+});
@@ -0,0 +1,175 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const { generateToken } = require('../middleware/auth');
+const { defaultAttendanceSettings, validateAttendanceSettings } = require('../utils/attendance');
+const reminderJob = require('../jobs/reminderJob');
+
+const futureDate = (days = 3) => {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+// Appointments are created in the future; move one into the past afterwards
+const pastSession = async (user, daysAgo, time = '10:00') => {
+  const appointment = await Appointment.create({ user: user._id, date: new Date(futureDate(3)), time, type: 'individual' });
+  const date = new Date();
+  date.setDate(date.getDate() - daysAgo);
+  date.setHours(0, 0, 0, 0);
+  await Appointment.updateOne({ _id: appointment._id }, { date });
+  return appointment._id;
+};
+
+describe('Attendance settings', () => {
+  it('should accept the defaults and reject out-of-range values', () => {
+    expect(validateAttendanceSettings(defaultAttendanceSettings)).toEqual([]);
+    const problems = validateAttendanceSettings({
+      autoResolve: { ...defaultAttendanceSettings.autoResolve, afterDays: 0, outcome: 'late-cancelled' },
+      noShowPolicy: { ...defaultAttendanceSettings.noShowPolicy, action: 'ban' }
+    });
+    expect(problems).toHaveLength(3);
+  });
+});
+
+describe('Attendance API', () => {
+  let client;
+  let clientToken;
+  let adminToken;
+
+  beforeEach(async () => {
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      phone: '05531234567',
+      role: 'admin',
+      emailVerified: true
+    });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+
+    client = await User.create({
+      name: 'Attendance Client',
+      email: 'client@test.com',
+      password: 'password123',
+      phone: '05541234567',
+      emailVerified: true
+    });
+    clientToken = generateToken({ id: client._id, role: 'user' });
+  });
+
+  it('should leave past sessions open until an outcome is recorded', async () => {
+    const id = await pastSession(client, 2);
+
+    // The nightly cleanup no longer rewrites past sessions
+    await reminderJob.cleanupOldReminders();
+    expect((await Appointment.findById(id)).status).toBe('scheduled');
+
+    const awaiting = await request(app)
+      .get('/api/attendance/awaiting')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(awaiting.body.data.awaiting).toHaveLength(1);
+    expect(awaiting.body.data.awaiting[0].noShows).toMatchObject({ count: 0, flagged: false });
+
+    await request(app)
+      .post(`/api/attendance/appointments/${id}/outcome`)
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({ outcome: 'completed' })
+      .expect(403);
+
+    const res = await request(app)
+      .post(`/api/attendance/appointments/${id}/outcome`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ outcome: 'completed', note: 'Seans yapıldı' })
+      .expect(200);
+    expect(res.body.data.appointment.status).toBe('completed');
+    expect(res.body.data.appointment.attendance).toMatchObject({ source: 'therapist', note: 'Seans yapıldı' });
+
+    const after = await request(app)
+      .get('/api/attendance/awaiting')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(after.body.data.awaiting).toHaveLength(0);
+  });
+
+  it('should not record attendance for a session that has not started', async () => {
+    const appointment = await Appointment.create({ user: client._id, date: new Date(futureDate(5)), time: '10:00', type: 'individual' });
+
+    await request(app)
+      .post(`/api/attendance/appointments/${appointment._id}/outcome`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ outcome: 'no-show' })
+      .expect(409);
+  });
+
+  it('should auto-resolve old sessions only when enabled', async () => {
+    const old = await pastSession(client, 10);
+    const recent = await pastSession(client, 2);
+
+    await reminderJob.settlePastSessions();
+    expect((await Appointment.findById(old)).status).toBe('scheduled');
+
+    await request(app)
+      .put('/api/attendance/settings')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ autoResolve: { enabled: true, afterDays: 7 } })
+      .expect(200);
+
+    await reminderJob.settlePastSessions();
+    const resolved = await Appointment.findById(old);
+    expect(resolved.status).toBe('completed');
+    expect(resolved.attendance.source).toBe('auto');
+    expect((await Appointment.findById(recent)).status).toBe('scheduled');
+
+    const awaiting = await request(app)
+      .get('/api/attendance/awaiting')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(awaiting.body.data.autoResolved).toHaveLength(1);
+  });
+
+  it('should block online booking once the no-show limit is reached', async () => {
+    await request(app)
+      .put('/api/attendance/settings')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ noShowPolicy: { threshold: 2, action: 'block' } })
+      .expect(200);
+
+    for (const daysAgo of [3, 10]) {
+      const id = await pastSession(client, daysAgo);
+      await request(app)
+        .post(`/api/attendance/appointments/${id}/outcome`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ outcome: 'no-show' })
+        .expect(200);
+    }
+
+    const customer = await request(app)
+      .get(`/api/admin/customers/${client._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(customer.body.data.attendance).toMatchObject({ count: 2, flagged: true, bookingBlocked: true });
+
+    await request(app)
+      .post('/api/appointments')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({ date: futureDate(5), time: '15:00', type: 'individual' })
+      .expect(403);
+
+    // The same email cannot book as a guest either
+    await request(app)
+      .post('/api/guest-bookings')
+      .send({
+        name: 'Attendance Client',
+        email: 'client@test.com',
+        phone: '05541234567',
+        date: futureDate(5),
+        time: '15:00',
+        type: 'individual',
+        kvkkConsent: true
+      })
+      .expect(403);
+  });
+});
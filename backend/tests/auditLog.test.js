@@ -0,0 +1,164 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const AuditLog = require('../models/AuditLog');
+const { generateToken } = require('../middleware/auth');
+const { diffChanges, verifyChain } = require('../utils/auditLog');
+
+const futureDate = (days = 3) => {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+describe('Audit log diffs', () => {
+  it('should list changed fields by path and ignore bookkeeping fields', () => {
+    expect(diffChanges(
+      { general: { phone: '1', email: 'a@b.com' }, services: ['x'], updatedAt: '2024-01-01' },
+      { general: { phone: '2', email: 'a@b.com' }, services: ['x', 'y'], updatedAt: '2024-02-01' }
+    )).toEqual([
+      { field: 'general.phone', from: '1', to: '2' },
+      { field: 'services', from: ['x'], to: ['x', 'y'] }
+    ]);
+    expect(diffChanges({ status: 'scheduled' }, { status: 'scheduled' })).toBeNull();
+  });
+});
+
+describe('Audit log', () => {
+  let owner;
+  let ownerToken;
+  let client;
+
+  beforeEach(async () => {
+    owner = await User.create({
+      name: 'Owner User',
+      email: 'sahip@test.com',
+      password: 'password123',
+      phone: '05521234567',
+      role: 'admin'
+    });
+    ownerToken = `Bearer ${generateToken({ id: owner._id, role: 'admin' })}`;
+    client = await User.create({
+      name: 'Client User',
+      email: 'danisan@test.com',
+      password: 'password123',
+      phone: '05511234567'
+    });
+  });
+
+  it('should record who viewed a client record and who changed an account or appointment', async () => {
+    const appointment = await Appointment.create({
+      user: client._id,
+      date: new Date(futureDate(5)),
+      time: '10:00',
+      type: 'individual'
+    });
+
+    await request(app)
+      .get(`/api/admin/customers/${client._id}`)
+      .set('Authorization', ownerToken)
+      .set('X-Forwarded-For', '198.51.100.7')
+      .expect(200);
+    await request(app).patch(`/api/admin/users/${client._id}/toggle-status`).set('Authorization', ownerToken).expect(200);
+    await request(app)
+      .patch(`/api/admin/appointments/${appointment._id}/status`)
+      .set('Authorization', ownerToken)
+      .send({ status: 'confirmed' })
+      .expect(200);
+
+    const entries = await AuditLog.find().sort({ seq: 1 }).lean();
+    expect(entries.map(e => e.action)).toEqual(['client.view', 'user.status', 'appointment.status']);
+    expect(entries[0]).toMatchObject({
+      actor: { id: String(owner._id), email: 'sahip@test.com', role: 'admin' },
+      target: { type: 'user', id: String(client._id), label: 'Client User' },
+      ipAddress: '198.51.100.7'
+    });
+    expect(entries[1].changes).toEqual([{ field: 'isActive', from: true, to: false }]);
+    expect(entries[2].changes).toEqual([{ field: 'status', from: 'scheduled', to: 'confirmed' }]);
+    expect(entries[2].prevHash).toBe(entries[1].hash);
+  });
+
+  it('should record the sections of the site settings that changed', async () => {
+    await request(app)
+      .put('/api/site-settings/socialMedia')
+      .set('Authorization', ownerToken)
+      .send({ instagram: 'https://instagram.com/ornek' })
+      .expect(200);
+
+    const entry = await AuditLog.findOne({ action: 'site-settings.update' }).lean();
+    expect(entry.target).toMatchObject({ type: 'site-settings', id: 'socialMedia' });
+    expect(entry.changes).toEqual([{ field: 'socialMedia.instagram', from: null, to: 'https://instagram.com/ornek' }]);
+  });
+
+  it('should keep parallel entries in one unbroken chain', async () => {
+    await Promise.all([1, 2, 3, 4, 5].map(() =>
+      request(app).get(`/api/admin/users/${client._id}`).set('Authorization', ownerToken).expect(200)));
+
+    const result = await verifyChain();
+    expect(result).toMatchObject({ valid: true, checked: 5, brokenAt: null });
+    expect(result.head.seq).toBe(5);
+  });
+
+  it('should refuse changes through the model and detect them in the database', async () => {
+    for (let i = 0; i < 3; i++) {
+      await request(app).get(`/api/admin/customers/${client._id}`).set('Authorization', ownerToken).expect(200);
+    }
+    await expect(AuditLog.updateOne({ seq: 2 }, { $set: { 'actor.name': 'Someone Else' } })).rejects.toThrow('cannot be changed');
+    await expect(AuditLog.deleteMany({})).rejects.toThrow('cannot be changed');
+
+    await AuditLog.collection.updateOne({ seq: 2 }, { $set: { 'actor.name': 'Someone Else' } });
+    let res = await request(app).get('/api/admin/audit-log/verify').set('Authorization', ownerToken).expect(200);
+    expect(res.body.data.valid).toBe(false);
+    expect(res.body.data.brokenAt).toMatchObject({ seq: 2, reason: 'content does not match its hash' });
+
+    await AuditLog.collection.updateOne({ seq: 2 }, { $set: { 'actor.name': 'Owner User' } });
+    await AuditLog.collection.deleteOne({ seq: 1 });
+    res = await request(app).get('/api/admin/audit-log/verify').set('Authorization', ownerToken).expect(200);
+    expect(res.body.data.brokenAt.seq).toBe(2);
+  });
+
+  it('should filter the log and export it as CSV', async () => {
+    await request(app).get(`/api/admin/customers/${client._id}`).set('Authorization', ownerToken).expect(200);
+    await request(app)
+      .patch(`/api/admin/users/${client._id}/change-role`)
+      .set('Authorization', ownerToken)
+      .send({ role: 'assistant' })
+      .expect(200);
+
+    let res = await request(app)
+      .get('/api/admin/audit-log?action=user.role&actor=sahip')
+      .set('Authorization', ownerToken)
+      .expect(200);
+    expect(res.body.data.pagination.total).toBe(1);
+    expect(res.body.data.entries[0].changes).toEqual([{ field: 'role', from: 'user', to: 'assistant' }]);
+
+    res = await request(app)
+      .get(`/api/admin/audit-log/export?targetId=${client._id}`)
+      .set('Authorization', ownerToken)
+      .expect(200);
+    expect(res.headers['content-type']).toContain('text/csv');
+    const lines = res.text.trim().split('\r\n');
+    expect(lines[0]).toContain('seq,createdAt,actorName');
+    expect(lines).toHaveLength(3);
+    expect(lines[2]).toContain('"role: ""user"" -> ""assistant"""');
+
+    // Exporting is itself an entry
+    expect(await AuditLog.countDocuments({ action: 'audit-log.export' })).toBe(1);
+  });
+
+  it('should keep the log to roles with audit:read', async () => {
+    const therapist = await User.create({
+      name: 'Therapist User',
+      email: 'terapist@test.com',
+      password: 'password123',
+      phone: '05501234567',
+      role: 'therapist'
+    });
+    const res = await request(app)
+      .get('/api/admin/audit-log')
+      .set('Authorization', `Bearer ${generateToken({ id: therapist._id, role: 'therapist' })}`)
+      .expect(403);
+    expect(res.body.permission).toBe('audit:read');
+  });
+});
@@ -0,0 +1,140 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const { generateToken, optionalAuth, verifyRefreshToken } = require('../middleware/auth');
+const { rotateRefreshToken } = require('../utils/authSessions');
+
+describe('Login sessions', () => {
+  beforeEach(async () => {
+    await User.create({
+      name: 'Session User',
+      email: 'oturum@test.com',
+      password: 'password123',
+      phone: '05541234567',
+      emailVerified: true
+    });
+  });
+
+  const login = async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'oturum@test.com', password: 'password123' })
+      .expect(200);
+    return res.body.data;
+  };
+
+  const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+  const me = (token) => request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+  it('should replace the refresh token on every refresh', async () => {
+    const first = await login();
+
+    const res = await refresh(first.refreshToken).expect(200);
+    expect(res.body.data.refreshToken).toBeDefined();
+    expect(res.body.data.refreshToken).not.toBe(first.refreshToken);
+    await me(res.body.data.token).expect(200);
+
+    await refresh(res.body.data.refreshToken).expect(200);
+    expect(await AuthSession.countDocuments()).toBe(1);
+  });
+
+  it('should end the session at its first expiry however often it is refreshed', async () => {
+    const first = await login();
+    const { expiresAt } = await AuthSession.findOne().lean();
+
+    const rotated = (await refresh(first.refreshToken).expect(200)).body.data;
+    expect((await AuthSession.findOne().lean()).expiresAt).toEqual(expiresAt);
+    expect(verifyRefreshToken(rotated.refreshToken).exp * 1000).toBeLessThanOrEqual(expiresAt.getTime());
+
+    const late = new Date(expiresAt.getTime() + 1000);
+    await expect(rotateRefreshToken(rotated.refreshToken, {}, late)).rejects.toMatchObject({ statusCode: 401 });
+
+    // Once the session has run out, the refresh route turns its token away
+    await AuthSession.collection.updateOne({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+    const res = await refresh(rotated.refreshToken).expect(401);
+    expect(res.body.message).toBe('Session expired');
+  });
+
+  it('should revoke the session when a used refresh token comes back', async () => {
+    const first = await login();
+    const rotated = (await refresh(first.refreshToken).expect(200)).body.data;
+
+    const reuse = await refresh(first.refreshToken).expect(401);
+    expect(reuse.body.message).toMatch(/already used/);
+
+    // The owner's newer tokens die with the session
+    await refresh(rotated.refreshToken).expect(401);
+    await me(rotated.token).expect(401);
+    const session = await AuthSession.findOne();
+    expect(session.revokedReason).toBe('reuse');
+  });
+
+  it('should revoke only this session on logout', async () => {
+    const laptop = await login();
+    const phone = await login();
+
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .expect(200);
+
+    await me(laptop.token).expect(401);
+    await refresh(laptop.refreshToken).expect(401);
+    await me(phone.token).expect(200);
+    await refresh(phone.refreshToken).expect(200);
+  });
+
+  it('should log out of all devices', async () => {
+    const laptop = await login();
+    const phone = await login();
+    const user = await User.findOne({ email: 'oturum@test.com' });
+    const legacyToken = generateToken({ id: user._id, role: 'user', iat: Math.floor(Date.now() / 1000) - 60 });
+
+    const res = await request(app)
+      .post('/api/auth/logout-all')
+      .set('Authorization', `Bearer ${phone.token}`)
+      .expect(200);
+    expect(res.body.data.revoked).toBe(2);
+
+    await me(laptop.token).expect(401);
+    await me(phone.token).expect(401);
+    await me(legacyToken).expect(401);
+    await refresh(laptop.refreshToken).expect(401);
+
+    // Logging in again opens a fresh session
+    const again = await login();
+    await me(again.token).expect(200);
+  });
+
+  it('should log out other devices when the password changes', async () => {
+    const laptop = await login();
+    const phone = await login();
+
+    await request(app)
+      .post('/api/users/change-password')
+      .set('Authorization', `Bearer ${phone.token}`)
+      .send({ currentPassword: 'password123', newPassword: 'newpass123' })
+      .expect(200);
+
+    await me(laptop.token).expect(401);
+    await me(phone.token).expect(200);
+  });
+
+  it('should ignore revoked tokens in optional authentication', async () => {
+    const session = await login();
+    const authenticate = async () => {
+      const req = { headers: { authorization: `Bearer ${session.token}` } };
+      await optionalAuth(req, {}, () => {});
+      return req.user;
+    };
+
+    expect((await authenticate()).email).toBe('oturum@test.com');
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${session.token}`)
+      .expect(200);
+    expect(await authenticate()).toBeUndefined();
+  });
+});
@@ -0,0 +1,261 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const { generateToken } = require('../middleware/auth');
+const {
+  generateSlots,
+  validateSlot,
+  getDaySchedule,
+  findConflict,
+  findConflictingAppointment,
+  bookingDays,
+  defaultAvailability
+} = require('../utils/availability');
+
+const futureDate = (days = 3) => {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+const weekdayOf = (dateStr) => new Date(dateStr).getDay();
+
+describe('Availability rules engine', () => {
+  const settings = {
+    ...defaultAvailability,
+    weeklyHours: [
+      { dayOfWeek: 2, isOpen: true, start: '10:00', end: '18:00', breaks: [{ start: '12:30', end: '13:30' }] },
+      { dayOfWeek: 0, isOpen: false, start: '09:00', end: '22:00', breaks: [] }
+    ],
+    overrides: [{ date: '2030-01-08', isOpen: true, start: '14:00', end: '17:00', breaks: [] }],
+    bufferMinutes: 10
+  };
+  // 2030-01-01 is a Tuesday, 2030-01-06 a Sunday
+  const tuesday = new Date(2030, 0, 1);
+  const sunday = new Date(2030, 0, 6);
+
+  it('should step slots by duration + buffer and resume after breaks', () => {
+    expect(generateSlots(settings, tuesday, 50)).toEqual(['10:00', '11:00', '13:30', '14:30', '15:30', '16:30']);
+  });
+
+  it('should honour a fixed slot interval', () => {
+    const slots = generateSlots({ ...settings, slotIntervalMinutes: 30 }, tuesday, 50);
+    expect(slots.slice(0, 4)).toEqual(['10:00', '10:30', '11:00', '11:30']);
+    expect(slots).not.toContain('12:00');
+  });
+
+  it('should return no slots on a closed day', () => {
+    expect(generateSlots(settings, sunday, 50)).toEqual([]);
+    expect(validateSlot(settings, sunday, '10:00', 50).valid).toBe(false);
+  });
+
+  it('should apply per-day overrides', () => {
+    const schedule = getDaySchedule(settings, new Date(2030, 0, 8));
+    expect(schedule.source).toBe('override');
+    expect(schedule.start).toBe('14:00');
+    expect(generateSlots(settings, new Date(2030, 0, 8), 50)).toEqual(['14:00', '15:00', '16:00']);
+  });
+
+  it('should reject sessions that cross breaks or closing time', () => {
+    expect(validateSlot(settings, tuesday, '12:00', 50).valid).toBe(false);
+    expect(validateSlot(settings, tuesday, '17:30', 50).valid).toBe(false);
+    expect(validateSlot(settings, tuesday, '09:30', 50).valid).toBe(false);
+    expect(validateSlot(settings, tuesday, '13:30', 50).valid).toBe(true);
+  });
+});
+
+describe('Overlap detection', () => {
+  const day = new Date(2030, 0, 1);
+  const existing = [{ _id: 'a1', date: day, time: '14:00', duration: 90, status: 'scheduled' }];
+
+  it('should block a start inside a longer session', () => {
+    expect(findConflict({ date: day, time: '14:30', duration: 50 }, existing, 0)).not.toBeNull();
+  });
+
+  it('should apply buffer minutes on both sides', () => {
+    expect(findConflict({ date: day, time: '15:35', duration: 50 }, existing, 10)).not.toBeNull();
+    expect(findConflict({ date: day, time: '15:40', duration: 50 }, existing, 10)).toBeNull();
+    expect(findConflict({ date: day, time: '13:05', duration: 50 }, existing, 10)).not.toBeNull();
+    expect(findConflict({ date: day, time: '13:00', duration: 50 }, existing, 10)).toBeNull();
+  });
+
+  it('should ignore the appointment being edited and inactive ones', () => {
+    expect(findConflict({ _id: 'a1', date: day, time: '14:30', duration: 50 }, existing, 0)).toBeNull();
+    const cancelled = [{ ...existing[0], status: 'cancelled' }];
+    expect(findConflict({ date: day, time: '14:30', duration: 50 }, cancelled, 0)).toBeNull();
+  });
+
+  it('should lock the next day too when a session or its buffer reaches past midnight', () => {
+    expect(bookingDays({ date: day, time: '14:00', duration: 50 }, 10)).toEqual(['2030-01-01']);
+    expect(bookingDays({ date: day, time: '23:10', duration: 50 }, 10)).toEqual(['2030-01-01', '2030-01-02']);
+    expect(bookingDays({ date: new Date(2030, 0, 2), time: '00:05', duration: 50 }, 10)).toEqual(['2030-01-01', '2030-01-02']);
+  });
+});
+
+describe('Availability API', () => {
+  let adminToken, userToken, userId;
+
+  beforeEach(async () => {
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      phone: '05531234567',
+      role: 'admin',
+      emailVerified: true
+    });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+
+    const user = await User.create({
+      name: 'Regular User',
+      email: 'user@test.com',
+      password: 'password123',
+      phone: '05541234567',
+      emailVerified: true
+    });
+    userId = user._id;
+    userToken = generateToken({ id: user._id, role: 'user' });
+  });
+
+  it('GET /api/availability should return default weekly hours', async () => {
+    const res = await request(app).get('/api/availability').expect(200);
+    expect(res.body.data.weeklyHours).toHaveLength(7);
+    expect(res.body.data.bufferMinutes).toBe(10);
+  });
+
+  it('PUT /api/availability should require admin', async () => {
+    await request(app)
+      .put('/api/availability')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ bufferMinutes: 15 })
+      .expect(403);
+  });
+
+  it('PUT /api/availability should reject inverted working hours', async () => {
+    await request(app)
+      .put('/api/availability')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ weeklyHours: [{ dayOfWeek: 1, isOpen: true, start: '18:00', end: '10:00' }] })
+      .expect(400);
+  });
+
+  it('available-slots should follow the configured hours and breaks', async () => {
+    const date = futureDate(4);
+    await request(app)
+      .put('/api/availability')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        weeklyHours: [{
+          dayOfWeek: weekdayOf(date),
+          isOpen: true,
+          start: '10:00',
+          end: '15:00',
+          breaks: [{ start: '12:00', end: '13:00' }]
+        }]
+      })
+      .expect(200);
+
+    const res = await request(app)
+      .get(`/api/appointments/available-slots?date=${date}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(res.body.data.availableSlots).toEqual(['10:00', '11:00', '13:00', '14:00']);
+  });
+
+  it('client and admin bookings should both reject a closed day', async () => {
+    const date = futureDate(5);
+    await request(app)
+      .post('/api/availability/overrides')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ date, isOpen: false, note: 'Eğitim' })
+      .expect(200);
+
+    await request(app)
+      .post('/api/appointments')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ date, time: '14:00', type: 'individual' })
+      .expect(400);
+
+    await request(app)
+      .post('/api/admin/appointments')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ user: userId.toString(), date, time: '14:00', type: 'individual' })
+      .expect(400);
+
+    await expect(Appointment.create({
+      user: userId,
+      date: new Date(date),
+      time: '14:00',
+      type: 'individual'
+    })).rejects.toThrow();
+  });
+
+  it('should reject bookings overlapping a longer session on every path', async () => {
+    const date = futureDate(6);
+    await request(app)
+      .post('/api/appointments')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ date, time: '14:00', type: 'couple', duration: 90 })
+      .expect(201);
+
+    const res = await request(app)
+      .post('/api/appointments')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ date, time: '14:30', type: 'individual' })
+      .expect(409);
+    expect(res.body.data.conflict.time).toBe('14:00');
+
+    await request(app)
+      .post('/api/admin/appointments')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ user: userId.toString(), date, time: '15:00', type: 'individual' })
+      .expect(409);
+
+    const other = await request(app)
+      .post('/api/appointments')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ date, time: '17:00', type: 'individual' })
+      .expect(201);
+
+    await request(app)
+      .put(`/api/appointments/${other.body.data.appointment._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ time: '15:15' })
+      .expect(409);
+  });
+
+  it('should book only one of two overlapping sessions sent at the same time', async () => {
+    const date = futureDate(7);
+    const results = await Promise.all([
+      request(app)
+        .post('/api/appointments')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ date, time: '14:00', type: 'individual' }),
+      request(app)
+        .post('/api/admin/appointments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ user: userId.toString(), date, time: '14:30', type: 'individual' })
+    ]);
+
+    expect(results.map(res => res.status).sort()).toEqual([201, 409]);
+    expect(await Appointment.countDocuments({ date: new Date(date) })).toBe(1);
+  });
+
+  it('should see a session of the day before that runs past midnight', async () => {
+    // Stored directly: working hours would not allow it
+    await Appointment.collection.insertOne({
+      user: userId,
+      date: new Date(futureDate(8)),
+      time: '23:40',
+      duration: 50,
+      type: 'individual',
+      status: 'scheduled'
+    });
+
+    const conflict = await findConflictingAppointment({ date: new Date(futureDate(9)), time: '00:20', duration: 50 });
+    expect(conflict).toMatchObject({ time: '23:40' });
+    expect(await findConflictingAppointment({ date: new Date(futureDate(9)), time: '00:45', duration: 50 })).toBeNull();
+  });
+});
@@ -0,0 +1,162 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const { generateToken } = require('../middleware/auth');
+const {
+  generateSlots,
+  validateSlot,
+  getDaySchedule,
+  defaultAvailability
+} = require('../utils/availability');
+const { appointmentHitsBlackout, validateBlackout } = require('../utils/blackouts');
+const { getOfficialHolidays } = require('../utils/turkishHolidays');
+
+const futureDate = (days = 3) => {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+describe('Blackouts in the availability engine', () => {
+  const settings = { ...defaultAvailability, bufferMinutes: 10 };
+  const day = new Date(2030, 0, 1);
+  const fullDay = { _id: 'b1', title: 'Yıllık izin', startDate: '2029-12-30', endDate: '2030-01-02' };
+  const halfDay = { _id: 'b2', title: 'Arife', startDate: '2030-01-01', endDate: '2030-01-01', startTime: '13:00' };
+
+  it('should close every day of a full-day blackout', () => {
+    const schedule = getDaySchedule(settings, day, [fullDay]);
+    expect(schedule.isOpen).toBe(false);
+    expect(schedule.blackout).toBe('Yıllık izin');
+    expect(generateSlots(settings, day, 50, [fullDay])).toEqual([]);
+    expect(validateSlot(settings, day, '10:00', 50, [fullDay]).message).toMatch(/Yıllık izin/);
+  });
+
+  it('should ignore blackouts of other days', () => {
+    expect(getDaySchedule(settings, new Date(2030, 0, 3), [fullDay]).isOpen).toBe(true);
+  });
+
+  it('should only close the given window of a half-day blackout', () => {
+    expect(generateSlots(settings, day, 50, [halfDay])).toEqual(['09:00', '10:00', '11:00', '12:00']);
+    expect(validateSlot(settings, day, '12:30', 50, [halfDay]).valid).toBe(false);
+    expect(validateSlot(settings, day, '12:00', 50, [halfDay]).valid).toBe(true);
+  });
+
+  it('should detect appointments inside a blackout', () => {
+    expect(appointmentHitsBlackout({ date: day, time: '12:30', duration: 50 }, halfDay)).toBe(true);
+    expect(appointmentHitsBlackout({ date: day, time: '11:00', duration: 50 }, halfDay)).toBe(false);
+    expect(appointmentHitsBlackout({ date: day, time: '09:00', duration: 50 }, fullDay)).toBe(true);
+  });
+
+  it('should reject inverted ranges', () => {
+    expect(validateBlackout({ title: 'x', startDate: '2030-01-02', endDate: '2030-01-01' })).not.toHaveLength(0);
+    expect(validateBlackout({ title: 'x', startDate: '2030-01-01', endDate: '2030-01-01', startTime: '15:00', endTime: '14:00' })).not.toHaveLength(0);
+  });
+});
+
+describe('Turkish official holidays', () => {
+  it('should include fixed and religious holidays with half-day eves', () => {
+    const holidays = getOfficialHolidays(2026);
+    const kurban = holidays.find(h => h.holidayKey === '2026-kurban-bayrami');
+    expect(kurban).toMatchObject({ startDate: '2026-05-27', endDate: '2026-05-30' });
+    expect(holidays.find(h => h.holidayKey === '2026-kurban-bayrami-arife')).toMatchObject({
+      startDate: '2026-05-26',
+      startTime: '13:00'
+    });
+    expect(holidays.find(h => h.holidayKey === '2026-cumhuriyet').startDate).toBe('2026-10-29');
+  });
+
+  it('should only return fixed holidays for years without religious dates', () => {
+    const holidays = getOfficialHolidays(2099);
+    expect(holidays.some(h => h.holidayKey.includes('bayrami'))).toBe(false);
+    expect(holidays).toHaveLength(8);
+  });
+});
+
+describe('Blackouts API', () => {
+  let adminToken, userToken, userId;
+
+  beforeEach(async () => {
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      phone: '05531234567',
+      role: 'admin',
+      emailVerified: true
+    });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+
+    const user = await User.create({
+      name: 'Regular User',
+      email: 'user@test.com',
+      password: 'password123',
+      phone: '05541234567',
+      emailVerified: true
+    });
+    userId = user._id;
+    userToken = generateToken({ id: user._id, role: 'user' });
+  });
+
+  it('should require admin', async () => {
+    await request(app)
+      .get('/api/blackouts')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(403);
+  });
+
+  it('should close the calendar and flag existing appointments', async () => {
+    const date = futureDate(5);
+    const booked = await request(app)
+      .post('/api/appointments')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ date, time: '15:00', type: 'individual' })
+      .expect(201);
+
+    const res = await request(app)
+      .post('/api/blackouts')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ title: 'Eğitim', type: 'training', startDate: date, endDate: date, startTime: '13:00' })
+      .expect(201);
+    expect(res.body.data.flaggedAppointments).toHaveLength(1);
+
+    const flagged = await Appointment.findById(booked.body.data.appointment._id);
+    expect(flagged.rescheduleRequired).toBe(true);
+
+    const slots = await request(app)
+      .get(`/api/appointments/available-slots?date=${date}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(slots.body.data.availableSlots.every(s => s < '13:00')).toBe(true);
+
+    await request(app)
+      .post('/api/admin/appointments')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ user: userId.toString(), date, time: '16:00', type: 'individual' })
+      .expect(400);
+
+    await request(app)
+      .delete(`/api/blackouts/${res.body.data.blackout._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const released = await Appointment.findById(booked.body.data.appointment._id);
+    expect(released.rescheduleRequired).toBe(false);
+  });
+
+  it('should import official holidays only once', async () => {
+    const first = await request(app)
+      .post('/api/blackouts/holidays/import')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ year: 2027 })
+      .expect(200);
+    expect(first.body.data.created.length).toBeGreaterThan(0);
+
+    const second = await request(app)
+      .post('/api/blackouts/holidays/import')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ year: 2027 })
+      .expect(200);
+    expect(second.body.data.created).toHaveLength(0);
+  });
+});
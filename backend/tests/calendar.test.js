@@ -0,0 +1,172 @@
+// Calendar attachments are only visible on the outgoing mail
+jest.mock('../utils/emailService', () => ({
+  ...jest.requireActual('../utils/emailService'),
+  sendEmail: jest.fn().mockResolvedValue({ messageId: 'mock-email-id' })
+}));
+
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const { generateToken } = require('../middleware/auth');
+const { sendEmail } = require('../utils/emailService');
+const { buildCalendar, buildIcsAttachment, foldLine } = require('../utils/calendar');
+
+const futureDate = (days = 3) => {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+const property = (calendar, name) => {
+  const match = calendar.match(new RegExp(`^${name}[:;](.*)$`, 'm'));
+  return match ? match[1] : null;
+};
+
+describe('iCalendar output', () => {
+  const appointment = {
+    _id: 'abc123',
+    date: new Date(2030, 0, 8),
+    time: '14:30',
+    duration: 50,
+    type: 'couple',
+    status: 'scheduled',
+    calendarSequence: 2,
+    user: { name: 'Ayşe; Ali, Demir', email: 'ayse@test.com', phone: '05551112233' }
+  };
+
+  it('should describe the session in Istanbul time with a stable UID', () => {
+    const calendar = buildCalendar([appointment], { method: 'REQUEST' });
+    expect(property(calendar, 'METHOD')).toBe('REQUEST');
+    expect(property(calendar, 'UID')).toBe('appointment-abc123@gebzepsikologonuruslu.com');
+    expect(property(calendar, 'SEQUENCE')).toBe('2');
+    expect(calendar).toContain('DTSTART;TZID=Europe/Istanbul:20300108T143000');
+    expect(calendar).toContain('DTEND;TZID=Europe/Istanbul:20300108T152000');
+    expect(calendar).toContain('ATTENDEE;CN=Ayşe\\; Ali\\, Demir;');
+    expect(calendar.endsWith('\r\n')).toBe(true);
+  });
+
+  it('should mark cancellations so calendar clients remove the event', () => {
+    const attachment = buildIcsAttachment({ ...appointment, status: 'cancelled', calendarSequence: 3 }, 'CANCEL');
+    expect(attachment.filename).toBe('randevu-iptal.ics');
+    expect(attachment.contentType).toContain('method=CANCEL');
+    expect(property(attachment.content, 'STATUS')).toBe('CANCELLED');
+    expect(property(attachment.content, 'SEQUENCE')).toBe('3');
+  });
+
+  it('should fold long lines at 75 octets without splitting characters', () => {
+    const folded = foldLine(`DESCRIPTION:${'ğ'.repeat(60)}`);
+    const lines = folded.split('\r\n');
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach(line => expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75));
+    expect(lines.map((line, i) => (i === 0 ? line : line.slice(1))).join('')).toBe(`DESCRIPTION:${'ğ'.repeat(60)}`);
+  });
+});
+
+describe('Calendar API', () => {
+  let client;
+  let clientToken;
+  let adminToken;
+
+  const lastAttachment = () => {
+    const [mail] = sendEmail.mock.calls[sendEmail.mock.calls.length - 1];
+    return mail.attachments[0];
+  };
+
+  beforeEach(async () => {
+    sendEmail.mockClear();
+
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      phone: '05531234567',
+      role: 'admin',
+      emailVerified: true
+    });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+
+    client = await User.create({
+      name: 'Calendar Client',
+      email: 'client@test.com',
+      password: 'password123',
+      phone: '05541234567',
+      emailVerified: true
+    });
+    clientToken = generateToken({ id: client._id, role: 'user' });
+  });
+
+  it('should keep the UID and raise the SEQUENCE through reschedule and cancel', async () => {
+    const date = futureDate(5);
+    const res = await request(app)
+      .post('/api/appointments')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({ date, time: '15:00', type: 'individual' })
+      .expect(201);
+    const id = res.body.data.appointment._id;
+    const uid = property(lastAttachment().content, 'UID');
+    expect(property(lastAttachment().content, 'SEQUENCE')).toBe('0');
+
+    await request(app)
+      .post(`/api/appointments/${id}/reschedule`)
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({ date, time: '16:00' })
+      .expect(200);
+    expect(property(lastAttachment().content, 'UID')).toBe(uid);
+    expect(property(lastAttachment().content, 'SEQUENCE')).toBe('1');
+
+    await request(app)
+      .post(`/api/appointments/${id}/cancel`)
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({ reason: 'Plan değişti' })
+      .expect(200);
+    expect(property(lastAttachment().content, 'METHOD')).toBe('CANCEL');
+    expect(property(lastAttachment().content, 'SEQUENCE')).toBe('2');
+  });
+
+  it('should serve a client feed with only their own appointments', async () => {
+    const other = await User.create({
+      name: 'Other Client',
+      email: 'other@test.com',
+      password: 'password123',
+      phone: '05541234568'
+    });
+    await Appointment.create({ user: client._id, date: new Date(futureDate(6)), time: '15:00', type: 'individual' });
+    await Appointment.create({ user: other._id, date: new Date(futureDate(6)), time: '17:00', type: 'individual' });
+
+    const res = await request(app)
+      .post('/api/calendar/feeds')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .expect(201);
+    const feedPath = new URL(res.body.data.url).pathname;
+
+    const feed = await request(app).get(feedPath).expect(200);
+    expect(feed.headers['content-type']).toContain('text/calendar');
+    expect(feed.text.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+
+    // A new URL revokes the old one
+    await request(app)
+      .post('/api/calendar/feeds')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .expect(201);
+    await request(app).get(feedPath).expect(404);
+  });
+
+  it('should keep the practice feed to admins', async () => {
+    await request(app)
+      .post('/api/calendar/feeds')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({ scope: 'practice' })
+      .expect(403);
+
+    await Appointment.create({ user: client._id, date: new Date(futureDate(6)), time: '15:00', type: 'individual' });
+    const res = await request(app)
+      .post('/api/calendar/feeds')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ scope: 'practice' })
+      .expect(201);
+
+    const feed = await request(app).get(new URL(res.body.data.url).pathname).expect(200);
+    expect(feed.text).toContain('SUMMARY:Calendar Client - Bireysel Terapi');
+  });
+});
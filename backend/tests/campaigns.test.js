@@ -0,0 +1,219 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const { generateToken } = require('../middleware/auth');
+const { processOutbox } = require('../utils/outbox');
+const { resolveAudience } = require('../utils/campaigns');
+const { resetTransportState } = require('../utils/mailTransport');
+const memory = require('./memoryTransport');
+
+const consenting = { campaigns: { email: true } };
+
+const createClient = (name, email, phone, extra = {}) => User.create({
+  name,
+  email,
+  password: 'password123',
+  phone,
+  emailVerified: true,
+  ...extra
+});
+
+// A completed session `daysAgo` days back
+const completedSession = async (user, daysAgo) => {
+  const date = new Date();
+  date.setDate(date.getDate() - daysAgo);
+  await Appointment.collection.insertOne({
+    user: user._id,
+    date,
+    time: '10:00',
+    type: 'individual',
+    status: 'completed',
+    duration: 50
+  });
+};
+
+const tokenFrom = (text, pattern) => decodeURIComponent(text.match(pattern)[1]);
+
+describe('Campaign segments', () => {
+  it('should only include users who consented', async () => {
+    const recent = await createClient('Ayşe', 'ayse@test.com', '05541234567', { notificationPreferences: consenting });
+    const noConsent = await createClient('Can', 'can@test.com', '05541234568');
+    const inactive = await createClient('Deniz', 'deniz@test.com', '05541234569', { notificationPreferences: consenting });
+    await completedSession(recent, 10);
+    await completedSession(noConsent, 10);
+    await completedSession(inactive, 400);
+
+    expect((await resolveAudience({ key: 'allUsers' })).map(r => r.email).sort())
+      .toEqual(['ayse@test.com', 'deniz@test.com']);
+    expect((await resolveAudience({ key: 'recentClients', days: 90 })).map(r => r.email))
+      .toEqual(['ayse@test.com']);
+    expect((await resolveAudience({ key: 'inactiveClients', days: 180 })).map(r => r.email))
+      .toEqual(['deniz@test.com']);
+  });
+});
+
+describe('Campaigns API', () => {
+  let adminToken;
+
+  beforeEach(async () => {
+    memory.reset();
+    resetTransportState();
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      phone: '05531234567',
+      role: 'admin',
+      emailVerified: true
+    });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+
+    await createClient('Ayşe', 'ayse@test.com', '05541234567', { notificationPreferences: consenting });
+    await createClient('Can', 'can@test.com', '05541234568', { notificationPreferences: consenting });
+    await createClient('Ece', 'ece@test.com', '05541234569');
+  });
+
+  const createCampaign = async (fields = {}) => {
+    const res = await request(app)
+      .post('/api/campaigns')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        title: 'Yaz dönemi',
+        subject: 'Yaz çalışma saatleri',
+        message: 'Temmuz boyunca cumartesi de açığız.',
+        segment: { key: 'allUsers' },
+        ...fields
+      })
+      .expect(201);
+    return res.body.data.campaign;
+  };
+
+  it('should preview a draft with its audience', async () => {
+    const campaign = await createCampaign();
+
+    const res = await request(app)
+      .get(`/api/campaigns/${campaign._id}/preview`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(res.body.data.email.subject).toBe('Yaz çalışma saatleri');
+    expect(res.body.data.email.html).toContain('Temmuz boyunca cumartesi de açığız.');
+    expect(res.body.data.audience.count).toBe(2);
+    expect(res.body.data.htmlAsText).toBe(false);
+    expect(memory.messages).toHaveLength(0);
+
+    // Tags go out as text; the preview says so
+    const tagged = await request(app)
+      .post('/api/campaigns/preview')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ subject: 'Duyuru', message: '<b>Yeni</b> saatler', segment: { key: 'allUsers' } })
+      .expect(200);
+    expect(tagged.body.data.htmlAsText).toBe(true);
+    expect(tagged.body.data.email.html).toContain('&lt;b&gt;Yeni&lt;/b&gt; saatler');
+  });
+
+  it('should send to consenting users with an unsubscribe link and count opens', async () => {
+    const campaign = await createCampaign();
+
+    const sent = await request(app)
+      .post(`/api/campaigns/${campaign._id}/schedule`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({})
+      .expect(200);
+    expect(sent.body.data.campaign).toMatchObject({ status: 'sent', recipientCount: 2 });
+
+    await processOutbox();
+    expect(memory.messages.map(m => m.to).sort()).toEqual(['ayse@test.com', 'can@test.com']);
+    const message = memory.messages.find(m => m.to === 'ayse@test.com');
+    expect(message.headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+
+    const openToken = tokenFrom(message.html, /\/api\/email\/open\/([a-f0-9]+)/);
+    const pixel = await request(app).get(`/api/email/open/${openToken}`).expect(200);
+    expect(pixel.headers['content-type']).toBe('image/gif');
+
+    const unsubscribeToken = tokenFrom(message.html, /abonelik-iptal\?token=([\w.-]+)/);
+    const link = await request(app).get(`/api/email/unsubscribe/${unsubscribeToken}`).expect(200);
+    expect(link.body.data).toMatchObject({ list: 'campaigns', subscribed: true });
+    expect(link.body.data.email).not.toBe('ayse@test.com');
+
+    const off = await request(app).post(`/api/email/unsubscribe/${unsubscribeToken}`).expect(200);
+    expect(off.body.data.alreadyUnsubscribed).toBe(false);
+    const user = await User.findOne({ email: 'ayse@test.com' });
+    expect(user.notificationPreferences.campaigns.email).toBe(false);
+    expect(user.notificationPreferences.campaigns.unsubscribedAt).toBeInstanceOf(Date);
+
+    const stats = await request(app)
+      .get(`/api/campaigns/${campaign._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(stats.body.data.campaign.stats).toMatchObject({ recipients: 2, sent: 2, opened: 1, unsubscribed: 1 });
+
+    await request(app).get(`/api/email/unsubscribe/${unsubscribeToken}x`).expect(404);
+  });
+
+  it('should skip recipients who unsubscribed before their email went out', async () => {
+    const campaign = await createCampaign();
+    await request(app)
+      .post(`/api/campaigns/${campaign._id}/schedule`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({})
+      .expect(200);
+
+    await User.updateOne({ email: 'can@test.com' }, { 'notificationPreferences.campaigns.email': false });
+    await processOutbox();
+
+    expect(memory.messages.map(m => m.to)).toEqual(['ayse@test.com']);
+    const skipped = await CampaignRecipient.findOne({ email: 'can@test.com' });
+    expect(skipped).toMatchObject({ status: 'skipped', error: 'Unsubscribed' });
+  });
+
+  it('should hold a scheduled campaign until its time and allow changes until then', async () => {
+    const campaign = await createCampaign();
+    const sendAt = new Date(Date.now() + 60 * 60 * 1000);
+
+    const scheduled = await request(app)
+      .post(`/api/campaigns/${campaign._id}/schedule`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ sendAt: sendAt.toISOString() })
+      .expect(200);
+    expect(scheduled.body.data.campaign.status).toBe('scheduled');
+    expect(await CampaignRecipient.countDocuments()).toBe(0);
+
+    await request(app)
+      .put(`/api/campaigns/${campaign._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ segment: { key: 'recentClients', days: 30 } })
+      .expect(200);
+
+    await request(app)
+      .post(`/api/campaigns/${campaign._id}/schedule`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ sendAt: '2020-01-01T10:00:00.000Z' })
+      .expect(400);
+
+    await request(app)
+      .post(`/api/campaigns/${campaign._id}/cancel`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    await request(app)
+      .put(`/api/campaigns/${campaign._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ title: 'Yeni ad' })
+      .expect(409);
+  });
+
+  it('should reject unknown segments and non-admins', async () => {
+    await request(app)
+      .post('/api/campaigns')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ title: 'T', subject: 'S', message: 'M', segment: { key: 'everyone' } })
+      .expect(400);
+
+    const client = await User.findOne({ email: 'ayse@test.com' });
+    await request(app)
+      .get('/api/campaigns')
+      .set('Authorization', `Bearer ${generateToken({ id: client._id, role: 'user' })}`)
+      .expect(403);
+  });
+});
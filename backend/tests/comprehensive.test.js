@@ -176,14 +176,26 @@ describe('Authentication – Full Coverage', () => {
   // ---------- TOKEN REFRESH ----------
   describe('POST /api/auth/refresh', () => {
     it('should refresh token with valid refresh token', async () => {
-      const { user } = await createRegularUser({ email: 'refresh@test.com' });
-      const refreshToken = generateRefreshToken({ id: user._id });
+      await createRegularUser({ email: 'refresh@test.com' });
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'refresh@test.com', password: 'password123' })
+        .expect(200);
       const res = await request(app)
         .post('/api/auth/refresh')
-        .send({ refreshToken })
+        .send({ refreshToken: login.body.data.refreshToken })
         .expect(200);
       expect(res.body.success).toBe(true);
       expect(res.body.data.token).toBeDefined();
+      expect(res.body.data.refreshToken).toBeDefined();
+    });
+
+    it('should reject refresh tokens that belong to no session', async () => {
+      const { user } = await createRegularUser({ email: 'refresh@test.com' });
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: generateRefreshToken({ id: user._id }) })
+        .expect(401);
     });
 
     it('should reject invalid refresh token', async () => {
@@ -0,0 +1,251 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const { generateToken } = require('../middleware/auth');
+const { MAX_CACHED, render, cachedTemplates } = require('../utils/templateEngine');
+const EmailTemplate = require('../models/EmailTemplate');
+const { emailTemplates } = require('../utils/emailService');
+const { renderEmail, previewEmail, validateTemplateContent, restoreSanitized } = require('../utils/emailTemplates');
+
+describe('Template engine', () => {
+  it('should escape values unless they are inserted raw', () => {
+    const data = { name: '<b>Ayşe</b> & "Can"' };
+    expect(render('{{name}}', data)).toBe('&lt;b&gt;Ayşe&lt;/b&gt; &amp; &quot;Can&quot;');
+    expect(render('{{{name}}}', data)).toBe('<b>Ayşe</b> & "Can"');
+    expect(render('{{name}}', data, { escape: String })).toBe('<b>Ayşe</b> & "Can"');
+  });
+
+  it('should render conditions, lists and partials', () => {
+    const source = [
+      '{{#if dates}}',
+      '{{#each dates}}',
+      '- {{this}} {{time}}',
+      '{{/each}}',
+      '{{else}}',
+      'Tarih yok',
+      '{{/if}}',
+      '{{> footer}}'
+    ].join('\n');
+    const partials = { footer: '{{client.name}}' };
+
+    expect(render(source, { dates: ['1 Mart', '8 Mart'], time: '10:00', client: { name: 'Ayşe' } }, { partials }))
+      .toBe('- 1 Mart 10:00\n- 8 Mart 10:00\nAyşe');
+    expect(render(source, { dates: [] }, { partials })).toBe('Tarih yok\n');
+  });
+
+  it('should reject broken templates and unknown partials', () => {
+    expect(() => render('{{#if x}}open')).toThrow('Template error');
+    expect(() => render('{{/each}}')).toThrow('Template error');
+    expect(() => render('{{> missing}}')).toThrow("partial 'missing' not found");
+  });
+
+  it('should keep only the most recently used templates parsed', () => {
+    for (let i = 0; i < MAX_CACHED + 20; i++) render(`Kampanya ${i}: {{name}}`, { name: 'Ayşe' });
+    expect(cachedTemplates()).toBe(MAX_CACHED);
+    expect(render('Kampanya 0: {{name}}', { name: 'Can' })).toBe('Kampanya 0: Can');
+  });
+});
+
+describe('Email templates', () => {
+  it('should render every template with its sample data', async () => {
+    for (const name of Object.keys(emailTemplates)) {
+      const { subject, html, text } = await previewEmail(name);
+      expect(subject).not.toBe('');
+      expect(html).toContain('Psikolog Onur Uslu');
+      expect(text).not.toBe('');
+      expect(`${subject}${html}${text}`).not.toMatch(/\{\{/);
+    }
+  });
+
+  it('should escape contact form input in the owner notification', async () => {
+    const { subject, html, text } = await renderEmail('contactNotification', {
+      name: '<script>alert(1)</script>',
+      email: 'x@example.com',
+      phone: '-',
+      subject: 'Merhaba <b>',
+      message: '<img src=x onerror=alert(1)>'
+    });
+
+    expect(html).not.toContain('<script>');
+    expect(html).not.toContain('<img');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(subject).toBe('Yeni İletişim Mesajı - Merhaba <b>');
+    expect(text).toContain('<img src=x onerror=alert(1)>');
+  });
+
+  it('should leave values that look escaped as they are', async () => {
+    const { subject, html, text } = await renderEmail('contactNotification', {
+      name: 'Ayşe',
+      email: 'x@example.com',
+      phone: '-',
+      subject: '3 &lt; 5',
+      message: 'Etiket örneği: &lt;b>'
+    });
+
+    expect(html).toContain('Etiket örneği: &amp;lt;b&gt;');
+    expect(subject).toBe('Yeni İletişim Mesajı - 3 &lt; 5');
+    expect(text).toContain('Etiket örneği: &lt;b>');
+    expect(restoreSanitized('&lt;b>Merhaba&lt;/b>')).toBe('<b>Merhaba</b>');
+  });
+
+  it('should share the layout footer and list the dates of a series', async () => {
+    const { html, text } = await renderEmail('appointmentSeriesConfirmation', {
+      name: 'Ayşe',
+      dates: ['02.03.2026', '09.03.2026'],
+      skippedDates: []
+    });
+
+    expect(html).toContain('<li>02.03.2026</li>');
+    expect(html).not.toContain('müsait olmadığı');
+    expect(html).toContain('+90 553 026 37 74');
+    expect(text).toContain('- 09.03.2026');
+    expect(text).toContain('+90 553 026 37 74');
+  });
+
+  it('should keep the error for unknown templates', async () => {
+    await expect(renderEmail('nonexistent-template')).rejects.toThrow("Email template 'nonexistent-template' not found");
+  });
+
+  it('should only accept edited wording that renders with the sample data', () => {
+    const valid = { subject: 'Hatırlatma: {{date}}', html: '<p>{{name}}</p>{{> appointmentDetails}}', text: '{{name}}' };
+    expect(validateTemplateContent('appointmentReminder', valid)).toEqual([]);
+    expect(validateTemplateContent('appointmentReminder', { ...valid, html: '{{#if name}}', text: '' })).toEqual([
+      'text is required'
+    ]);
+    expect(validateTemplateContent('appointmentReminder', { ...valid, html: '{{#each dates}}', text: '{{> signature}}' })).toEqual([
+      'html: Template error: {{#each}} is not closed',
+      "text: Template error: partial 'signature' not found"
+    ]);
+  });
+
+  it('should refuse raw values in edited wording', () => {
+    const valid = { subject: 'Hatırlatma: {{date}}', html: '<p>{{name}}</p>', text: '{{name}}' };
+    expect(validateTemplateContent('contactNotification', { ...valid, html: '<p>{{{message}}}</p>' })).toEqual([
+      'html: {{{message}}} is not allowed, values are inserted with {{name}}'
+    ]);
+    expect(validateTemplateContent('contactNotification', { ...valid, subject: '{{{ subject }}}' })).toEqual([
+      'subject: {{{ subject }}} is not allowed, values are inserted with {{name}}'
+    ]);
+  });
+});
+
+describe('Email template editing API', () => {
+  let admin;
+  let adminToken;
+
+  const content = {
+    subject: 'Yarın görüşüyoruz - {{date}}',
+    html: '<h2>Merhaba {{name}},</h2><p>Yarın {{time}} seansımızı hatırlatırız.</p>',
+    text: 'Merhaba {{name}}, yarın {{time}} seansımızı hatırlatırız.'
+  };
+
+  beforeEach(async () => {
+    admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      phone: '05531234567',
+      role: 'admin',
+      emailVerified: true
+    });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+  });
+
+  const save = (body) => request(app)
+    .put('/api/admin/email/templates/appointmentReminder')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  it('should list the templates and preview one with sample data', async () => {
+    const list = await request(app)
+      .get('/api/admin/email/templates')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(list.body.data.templates).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: 'appointmentConfirmation', title: 'Randevu Onayı', customized: false })
+    ]));
+
+    const preview = await request(app)
+      .get('/api/admin/email/templates/appointmentConfirmation/preview')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(preview.body.data.subject).toBe('Randevu Onayı - Psikolog Onur Uslu');
+    expect(preview.body.data.html).toContain('Ayşe Yılmaz');
+    expect(preview.body.data.text).toContain('Fiyat: 1500 TL');
+
+    await request(app)
+      .get('/api/admin/email/templates/constructor/preview')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(404);
+  });
+
+  it('should use saved wording for the next email and keep every version', async () => {
+    const first = await save({ ...content, note: 'Daha kısa' }).expect(200);
+    expect(first.body.data.template).toMatchObject({ customized: true, version: 1 });
+    expect(first.body.data.template.variables).toHaveProperty('hoursUntil');
+
+    const email = await renderEmail('appointmentReminder', { name: 'Ayşe', date: '12.11.2026', time: '14:00' });
+    expect(email.subject).toBe('Yarın görüşüyoruz - 12.11.2026');
+    expect(email.html).toContain('<p>Yarın 14:00 seansımızı');
+    expect((await EmailTemplate.findOne({ name: 'appointmentReminder' })).html).toBe(content.html);
+    // The layout stays
+    expect(email.html).toContain('+90 553 026 37 74');
+
+    await save({ ...content, subject: 'İkinci sürüm' }).expect(200);
+    const rollback = await request(app)
+      .post('/api/admin/email/templates/appointmentReminder/rollback')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ version: 1 })
+      .expect(200);
+    expect(rollback.body.data.template.version).toBe(3);
+    expect(rollback.body.data.template.custom.subject).toBe(content.subject);
+    expect(rollback.body.data.template.versions.map(v => v.version)).toEqual([3, 2, 1]);
+
+    await request(app)
+      .post('/api/admin/email/templates/appointmentReminder/reset')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect((await renderEmail('appointmentReminder', {})).subject).toBe('Randevu Hatırlatması - Psikolog Onur Uslu');
+    expect((await EmailTemplate.findOne({ name: 'appointmentReminder' })).versions).toHaveLength(3);
+  });
+
+  it('should reject wording that does not render', async () => {
+    const res = await save({ ...content, html: '<p>{{#if name}}Merhaba</p>' }).expect(400);
+    expect(res.body.errors).toEqual(['html: Template error: {{#if}} is not closed']);
+
+    const raw = await save({ ...content, html: '<p>{{{name}}}</p>' }).expect(400);
+    expect(raw.body.errors).toEqual(['html: {{{name}}} is not allowed, values are inserted with {{name}}']);
+    expect(await EmailTemplate.countDocuments()).toBe(0);
+  });
+
+  it('should send the built-in template when the saved one fails to render', async () => {
+    // A partial that only renders for some data slips past the sample check
+    await EmailTemplate.create({
+      name: 'appointmentCancellation',
+      subject: 'İptal',
+      html: '{{#if seriesNote}}{{> seriesNote}}{{/if}}<p>{{reason}}</p>',
+      text: '{{reason}}',
+      versions: [{ version: 1, subject: 'İptal', html: '-', text: '-' }]
+    });
+
+    const email = await renderEmail('appointmentCancellation', { name: 'Ayşe', seriesNote: true, reason: 'Hastalık' });
+    expect(email.subject).toBe('Randevu İptali - Psikolog Onur Uslu');
+
+    const list = await request(app)
+      .get('/api/admin/email/templates')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    const cancellation = list.body.data.templates.find(t => t.name === 'appointmentCancellation');
+    expect(cancellation.lastRenderError.message).toContain("partial 'seriesNote' not found");
+  });
+
+  it('should send a test email of unsaved wording to the admin', async () => {
+    const res = await request(app)
+      .post('/api/admin/email/templates/appointmentReminder/test')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(content)
+      .expect(200);
+    expect(res.body.data.to).toBe('admin@test.com');
+    expect(await EmailTemplate.countDocuments()).toBe(0);
+  });
+});
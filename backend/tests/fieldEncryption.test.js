@@ -0,0 +1,152 @@
+const OLD_KEY = `old:${Buffer.alloc(32, 1).toString('base64')}`;
+const NEW_KEY = `new:${Buffer.alloc(32, 2).toString('base64')}`;
+process.env.FIELD_ENCRYPTION_KEYS = OLD_KEY;
+
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const { generateToken } = require('../middleware/auth');
+const { encryptValue, decryptValue, isEncrypted, reencryptModel } = require('../utils/fieldEncryption');
+
+const futureDate = (days = 3) => {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+const withKeys = (keys) => {
+  process.env.FIELD_ENCRYPTION_KEYS = keys;
+};
+
+afterEach(() => withKeys(OLD_KEY));
+
+describe('Field encryption', () => {
+  it('should decrypt with any listed key and encrypt with the first', () => {
+    const stored = encryptValue('Gizli seans notu');
+    expect(stored).toMatch(/^enc:v1:old:/);
+    expect(encryptValue('Gizli seans notu')).not.toBe(stored);
+    expect(decryptValue(stored)).toBe('Gizli seans notu');
+
+    withKeys(`${NEW_KEY},${OLD_KEY}`);
+    expect(encryptValue('x')).toMatch(/^enc:v1:new:/);
+    expect(decryptValue(stored)).toBe('Gizli seans notu');
+
+    withKeys(NEW_KEY);
+    expect(() => decryptValue(stored)).toThrow('key "old" is not configured');
+  });
+
+  it('should reject an altered value', () => {
+    const parts = encryptValue('Gizli seans notu').split(':');
+    parts[5] = Buffer.from('başka bir not').toString('base64');
+    expect(() => decryptValue(parts.join(':'))).toThrow('wrong key or altered value');
+  });
+
+  it('should encrypt model fields and read them back as plain text', () => {
+    const appointment = new Appointment({
+      user: '507f1f77bcf86cd799439011',
+      date: new Date(futureDate()),
+      time: '10:00',
+      type: 'individual',
+      sessionNotes: 'Gizli seans notu'
+    });
+    expect(isEncrypted(appointment.get('sessionNotes', null, { getters: false }))).toBe(true);
+    expect(appointment.sessionNotes).toBe('Gizli seans notu');
+    expect(appointment.toJSON().sessionNotes).toBe('Gizli seans notu');
+
+    const user = new User({ profile: { medicalInfo: { allergies: ['polen'], insuranceProvider: 'SGK' } } });
+    expect(user.get('profile.medicalInfo.allergies', null, { getters: false })[0]).toMatch(/^enc:v1:/);
+    expect(user.toJSON().profile.medicalInfo).toMatchObject({ allergies: ['polen'], insuranceProvider: 'SGK' });
+  });
+
+  it('should measure length limits on the plain text', () => {
+    const appointment = new Appointment({ notes: 'a'.repeat(1000) });
+    expect(appointment.validateSync().errors.notes).toBeUndefined();
+    appointment.notes = 'a'.repeat(1001);
+    expect(appointment.validateSync().errors.notes.message).toBe('Notes cannot exceed 1000 characters');
+  });
+});
+
+describe('Encrypted fields in the database', () => {
+  let client;
+  let ownerToken;
+
+  beforeEach(async () => {
+    client = await User.create({
+      name: 'Client User',
+      email: 'danisan@test.com',
+      password: 'password123',
+      phone: '05591234567',
+      profile: { medicalInfo: { currentMedications: ['ilaç'], medicalConditions: ['kaygı'] } }
+    });
+    const owner = await User.create({
+      name: 'Owner User',
+      email: 'sahip@test.com',
+      password: 'password123',
+      phone: '05521234567',
+      role: 'admin'
+    });
+    ownerToken = `Bearer ${generateToken({ id: owner._id, role: 'admin' })}`;
+  });
+
+  it('should store ciphertext and answer with plain text', async () => {
+    const appointment = await Appointment.create({
+      user: client._id,
+      date: new Date(futureDate(4)),
+      time: '11:00',
+      type: 'individual',
+      notes: 'İlk görüşme'
+    });
+    await Appointment.findByIdAndUpdate(appointment._id, { sessionNotes: 'Gizli seans notu' }, { runValidators: true });
+
+    const raw = await Appointment.collection.findOne({ _id: appointment._id });
+    expect(raw.notes).toMatch(/^enc:v1:old:/);
+    expect(raw.sessionNotes).toMatch(/^enc:v1:old:/);
+    const rawUser = await User.collection.findOne({ _id: client._id });
+    expect(rawUser.profile.medicalInfo.currentMedications[0]).toMatch(/^enc:v1:old:/);
+
+    const res = await request(app).get(`/api/admin/customers/${client._id}`).set('Authorization', ownerToken).expect(200);
+    expect(JSON.stringify(res.body)).toContain('Gizli seans notu');
+    expect(JSON.stringify(res.body)).toContain('kaygı');
+    expect(JSON.stringify(res.body)).not.toContain('enc:v1:');
+  });
+
+  it('should keep encrypted fields out of aggregations and refuse appending to them', async () => {
+    await Appointment.create({ user: client._id, date: new Date(futureDate(4)), time: '11:00', type: 'individual', notes: 'Not' });
+
+    const [doc] = await Appointment.aggregate([{ $match: { user: client._id } }]);
+    expect(doc.time).toBe('11:00');
+    expect(doc).not.toHaveProperty('notes');
+
+    await expect(User.updateOne({ _id: client._id }, { $push: { 'profile.medicalInfo.allergies': 'toz' } }))
+      .rejects.toThrow('set the whole list');
+  });
+
+  it('should encrypt old plain values and move old keys to the new one', async () => {
+    const { insertedId } = await Appointment.collection.insertOne({
+      user: client._id,
+      date: new Date(futureDate(5)),
+      time: '12:00',
+      type: 'individual',
+      status: 'scheduled',
+      sessionNotes: 'Şifrelenmeden önce yazılmış not'
+    });
+
+    expect(await reencryptModel(Appointment, { dryRun: true })).toMatchObject({ scanned: 1, updated: 1 });
+    expect((await Appointment.collection.findOne({ _id: insertedId })).sessionNotes).toBe('Şifrelenmeden önce yazılmış not');
+
+    expect(await reencryptModel(Appointment)).toMatchObject({ scanned: 1, updated: 1 });
+    expect((await Appointment.collection.findOne({ _id: insertedId })).sessionNotes).toMatch(/^enc:v1:old:/);
+    expect(await reencryptModel(Appointment)).toMatchObject({ updated: 0 });
+
+    withKeys(`${NEW_KEY},${OLD_KEY}`);
+    expect(await reencryptModel(User)).toMatchObject({ model: 'User', updated: 1 });
+    await reencryptModel(Appointment);
+
+    withKeys(NEW_KEY);
+    const rawUser = await User.collection.findOne({ _id: client._id });
+    expect(rawUser.profile.medicalInfo.medicalConditions[0]).toMatch(/^enc:v1:new:/);
+    expect((await User.findById(client._id)).profile.medicalInfo.medicalConditions).toEqual(['kaygı']);
+    expect((await Appointment.findById(insertedId)).sessionNotes).toBe('Şifrelenmeden önce yazılmış not');
+  });
+});
@@ -0,0 +1,117 @@
+// The confirmation link is only sent by email, so the tests read it from the mail
+jest.mock('../utils/emailService', () => ({
+  ...jest.requireActual('../utils/emailService'),
+  sendEmail: jest.fn().mockResolvedValue({ messageId: 'mock-email-id' })
+}));
+
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const { sendEmail } = require('../utils/emailService');
+const { expireGuestBookings, mergeGuestBookings } = require('../utils/guestBookings');
+
+const futureDate = (days = 3) => {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+describe('Guest Bookings API', () => {
+  const guest = {
+    name: 'Zeynep Ak',
+    email: 'zeynep@test.com',
+    phone: '05321234567',
+    type: 'individual',
+    kvkkConsent: true
+  };
+
+  const confirmationToken = () => {
+    const mails = sendEmail.mock.calls.filter(([mail]) => mail.template === 'guestBookingConfirmation');
+    return mails[mails.length - 1][0].data.confirmLink.split('token=')[1];
+  };
+
+  beforeEach(() => {
+    sendEmail.mockClear();
+  });
+
+  it('should list open slots without a login', async () => {
+    const res = await request(app)
+      .get(`/api/appointments/available-slots?date=${futureDate(4)}`)
+      .expect(200);
+    expect(Array.isArray(res.body.data.availableSlots)).toBe(true);
+  });
+
+  it('should require KVKK consent', async () => {
+    const res = await request(app)
+      .post('/api/guest-bookings')
+      .send({ ...guest, kvkkConsent: false, date: futureDate(4), time: '15:00' })
+      .expect(400);
+    expect(res.body.errors[0].msg).toBe('KVKK consent is required');
+  });
+
+  it('should hold the slot until the emailed link confirms it', async () => {
+    const date = futureDate(4);
+    const res = await request(app)
+      .post('/api/guest-bookings')
+      .send({ ...guest, date, time: '15:00' })
+      .expect(201);
+    expect(res.body.data.booking.status).toBe('pending');
+
+    await request(app)
+      .post('/api/guest-bookings')
+      .send({ ...guest, email: 'other@test.com', date, time: '15:00' })
+      .expect(409);
+
+    const token = confirmationToken();
+    await request(app)
+      .post(`/api/guest-bookings/${token}/confirm`)
+      .expect(200);
+
+    const appointment = await Appointment.findById(res.body.data.booking._id);
+    expect(appointment.status).toBe('scheduled');
+    expect(appointment.kvkkConsent.acceptedAt).toBeDefined();
+    expect(appointment.reminders.length).toBeGreaterThan(0);
+
+    // The link is one-time
+    await request(app)
+      .post(`/api/guest-bookings/${token}/confirm`)
+      .expect(404);
+  });
+
+  it('should release holds that are not confirmed in time', async () => {
+    await request(app)
+      .post('/api/guest-bookings')
+      .send({ ...guest, date: futureDate(5), time: '15:00' })
+      .expect(201);
+
+    expect(await expireGuestBookings(new Date(Date.now() + 3 * 60 * 60 * 1000))).toBe(1);
+
+    await request(app)
+      .post(`/api/guest-bookings/${confirmationToken()}/confirm`)
+      .expect(410);
+  });
+
+  it('should attach confirmed guest bookings to a verified account', async () => {
+    await request(app)
+      .post('/api/guest-bookings')
+      .send({ ...guest, date: futureDate(6), time: '15:00' })
+      .expect(201);
+    await request(app)
+      .post(`/api/guest-bookings/${confirmationToken()}/confirm`)
+      .expect(200);
+
+    const user = await User.create({
+      name: guest.name,
+      email: guest.email,
+      password: 'password123',
+      phone: guest.phone
+    });
+    expect(await mergeGuestBookings(user)).toBe(0);
+
+    user.emailVerified = true;
+    await user.save();
+    expect(await mergeGuestBookings(user)).toBe(1);
+    expect(await Appointment.countDocuments({ user: user._id })).toBe(1);
+  });
+});
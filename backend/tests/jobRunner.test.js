@@ -0,0 +1,88 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const JobLock = require('../models/JobLock');
+const JobRun = require('../models/JobRun');
+const { generateToken } = require('../middleware/auth');
+const { acquireLock, releaseLock, runExclusive } = require('../utils/jobRunner');
+
+describe('Job locks', () => {
+  it('should give a lock to one run until it expires', async () => {
+    const now = new Date();
+    expect(await acquireLock('reminders', 60 * 1000, now)).toBe(true);
+    expect(await acquireLock('reminders', 60 * 1000, now)).toBe(false);
+    expect(await acquireLock('outbox', 60 * 1000, now)).toBe(true);
+
+    // A lock left behind by a stopped instance can be taken after its lease
+    const later = new Date(now.getTime() + 61 * 1000);
+    expect(await acquireLock('reminders', 60 * 1000, later)).toBe(true);
+  });
+
+  it('should keep a released lock for a short while after the run started', async () => {
+    const startedAt = new Date();
+    await acquireLock('cleanup', 60 * 1000, startedAt);
+    await releaseLock('cleanup', startedAt);
+
+    const lock = await JobLock.findById('cleanup');
+    expect(lock.expiresAt - startedAt).toBe(30 * 1000);
+    expect(await acquireLock('cleanup', 60 * 1000, new Date(startedAt.getTime() + 31 * 1000))).toBe(true);
+  });
+});
+
+describe('Job runs', () => {
+  it('should run a job once when two instances start it together', async () => {
+    const task = jest.fn().mockResolvedValue(3);
+
+    const [first, second] = await Promise.all([
+      runExclusive('reminders', task),
+      runExclusive('reminders', task)
+    ]);
+
+    expect(task).toHaveBeenCalledTimes(1);
+    expect([first, second].filter(Boolean)).toHaveLength(1);
+    const runs = await JobRun.find({ name: 'reminders' });
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({ status: 'completed', processed: 3 });
+    expect(runs[0].finishedAt).toBeDefined();
+  });
+
+  it('should record item errors and failed runs', async () => {
+    await runExclusive('sms-delivery', async () => ({ processed: 2, errors: ['SMS 1: timeout'] }));
+    await runExclusive('cleanup', async () => {
+      throw new Error('Database unavailable');
+    });
+
+    expect(await JobRun.findOne({ name: 'sms-delivery' })).toMatchObject({
+      status: 'completed',
+      processed: 2,
+      errorMessages: ['SMS 1: timeout']
+    });
+    expect(await JobRun.findOne({ name: 'cleanup' })).toMatchObject({
+      status: 'failed',
+      errorMessages: ['Database unavailable']
+    });
+  });
+
+  it('should show the run history in the reminder stats', async () => {
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      phone: '05531234567',
+      role: 'admin',
+      emailVerified: true
+    });
+    const adminToken = generateToken({ id: admin._id, role: 'admin' });
+
+    await runExclusive('outbox', async () => 5);
+
+    const res = await request(app)
+      .get('/api/admin/reminders/stats')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(res.body.data.jobs.latest).toEqual([
+      expect.objectContaining({ name: 'outbox', status: 'completed', processed: 5 })
+    ]);
+    expect(res.body.data.jobs.instance).toEqual(expect.any(String));
+  });
+});
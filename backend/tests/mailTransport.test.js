@@ -0,0 +1,220 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const EmailDelivery = require('../models/EmailDelivery');
+const { generateToken } = require('../middleware/auth');
+const { sendEmail } = require('../utils/emailService');
+const {
+  sendMail,
+  getTransportStatus,
+  registerTransport,
+  unregisterTransport,
+  resetTransportState
+} = require('../utils/mailTransport');
+const memory = require('./memoryTransport');
+
+const message = {
+  to: 'ayse@example.com',
+  subject: 'Randevu Onayı',
+  html: '<p>Merhaba</p>',
+  text: 'Merhaba'
+};
+
+describe('Mail transports', () => {
+  // SMTP and Resend are stood in for by memory transports under their names
+  beforeEach(() => {
+    memory.reset();
+    resetTransportState();
+    registerTransport(memory.createTransport('smtp'));
+    registerTransport(memory.createTransport('resend'));
+    process.env.MAIL_TRANSPORTS = 'smtp,resend';
+  });
+
+  afterEach(() => {
+    unregisterTransport('smtp');
+    unregisterTransport('resend');
+    process.env.MAIL_TRANSPORTS = 'memory';
+  });
+
+  it('should fail over to the next transport and log both', async () => {
+    memory.failNext('smtp', 'connect ETIMEDOUT');
+
+    const result = await sendMail(message, { template: 'appointmentConfirmation' });
+    expect(result).toMatchObject({ transport: 'resend', messageId: 'mock-email-id' });
+    expect(memory.messages).toEqual([expect.objectContaining({ to: 'ayse@example.com', transport: 'resend' })]);
+
+    const delivery = await EmailDelivery.findOne({ to: 'ayse@example.com' });
+    expect(delivery).toMatchObject({
+      status: 'sent',
+      transport: 'resend',
+      messageId: 'mock-email-id',
+      template: 'appointmentConfirmation'
+    });
+    expect(delivery.attempts).toEqual([
+      expect.objectContaining({ transport: 'smtp', error: 'connect ETIMEDOUT' })
+    ]);
+  });
+
+  it('should try a transport that just failed last', async () => {
+    memory.failNext('smtp');
+    await sendMail(message);
+
+    expect(getTransportStatus().order[0]).toMatchObject({ name: 'smtp', coolingDown: true });
+    const second = await sendMail({ ...message, to: 'can@example.com' });
+    expect(second).toMatchObject({ transport: 'resend', attempts: [] });
+  });
+
+  it('should log and throw when every transport fails', async () => {
+    memory.failNext('smtp', 'Invalid login');
+    memory.failNext('resend', 'Resend hata 403: domain not verified');
+
+    const error = await sendMail(message).catch(e => e);
+    expect(error.message).toBe('Email could not be sent: smtp: Invalid login; resend: Resend hata 403: domain not verified');
+    expect(error.attempts).toHaveLength(2);
+
+    const delivery = await EmailDelivery.findOne({ to: 'ayse@example.com' });
+    expect(delivery.status).toBe('failed');
+    expect(delivery.transport).toBeUndefined();
+  });
+
+  it('should reject an unknown transport name until one is registered', async () => {
+    process.env.MAIL_TRANSPORTS = 'smtp,sendgrid';
+    await expect(sendMail(message)).rejects.toThrow("Email transport 'sendgrid' not found");
+
+    registerTransport(memory.createTransport('sendgrid'));
+    expect((await sendMail(message)).transport).toBe('smtp');
+    unregisterTransport('sendgrid');
+    await expect(sendMail(message)).rejects.toThrow("Email transport 'sendgrid' not found");
+  });
+
+  it('should only know the memory transport once the tests registered it', async () => {
+    process.env.MAIL_TRANSPORTS = 'memory';
+    unregisterTransport('memory');
+    await expect(sendMail(message)).rejects.toThrow("Email transport 'memory' not found");
+    registerTransport(memory);
+    expect((await sendMail(message)).transport).toBe('memory');
+  });
+});
+
+describe('Mail transport adapters', () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    memory.reset();
+    resetTransportState();
+  });
+
+  afterEach(() => {
+    if (fetchSpy) fetchSpy.mockRestore();
+    fetchSpy = null;
+    delete process.env.RESEND_API_KEY;
+    delete process.env.MAIL_FILE_DIR;
+    process.env.MAIL_TRANSPORTS = 'memory';
+  });
+
+  it('should fail over from a Resend API error to the next transport', async () => {
+    process.env.MAIL_TRANSPORTS = 'resend,memory';
+    process.env.RESEND_API_KEY = 're_test';
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({
+      ok: false,
+      status: 403,
+      json: async () => ({ message: 'domain not verified' })
+    });
+
+    const result = await sendMail({ ...message, attachments: [{ filename: 'randevu.ics', content: 'BEGIN:VCALENDAR', contentType: 'text/calendar' }] });
+    expect(result.transport).toBe('memory');
+    expect(result.attempts).toEqual([
+      expect.objectContaining({ transport: 'resend', error: 'Resend hata 403: domain not verified' })
+    ]);
+
+    const [url, init] = fetchSpy.mock.calls[0];
+    expect(url).toBe('https://api.resend.com/emails');
+    expect(init.headers.Authorization).toBe('Bearer re_test');
+    expect(JSON.parse(init.body)).toMatchObject({
+      to: ['ayse@example.com'],
+      subject: 'Randevu Onayı',
+      attachments: [{ filename: 'randevu.ics', content: Buffer.from('BEGIN:VCALENDAR').toString('base64') }]
+    });
+  });
+
+  it('should write an .eml file with the file transport', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+    process.env.MAIL_TRANSPORTS = 'file';
+    process.env.MAIL_FILE_DIR = dir;
+    try {
+      const result = await sendMail(message);
+      expect(result.transport).toBe('file');
+      const files = fs.readdirSync(dir);
+      expect(files).toHaveLength(1);
+      expect(fs.readFileSync(path.join(dir, files[0]), 'utf8')).toContain('To: ayse@example.com');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Email delivery log API', () => {
+  let adminToken;
+
+  beforeEach(async () => {
+    memory.reset();
+    resetTransportState();
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      phone: '05531234567',
+      role: 'admin',
+      emailVerified: true
+    });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+  });
+
+  it('should list sent emails with their transport and message ID', async () => {
+    await sendEmail({
+      to: 'ayse@example.com',
+      template: 'passwordReset',
+      data: { name: 'Ayşe', resetLink: 'http://example.com/reset' }
+    });
+    memory.failNext('memory', 'Fake email failure');
+    await expect(sendEmail({
+      to: 'can@example.com',
+      template: 'passwordReset',
+      data: { name: 'Can', resetLink: 'http://example.com/reset' }
+    })).rejects.toThrow('memory: Fake email failure');
+
+    const res = await request(app)
+      .get('/api/admin/email/deliveries?status=sent')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(res.body.data.counts).toEqual({ sent: 1, failed: 1 });
+    expect(res.body.data.deliveries).toEqual([
+      expect.objectContaining({
+        to: 'ayse@example.com',
+        subject: 'Şifre Sıfırlama - Psikolog Onur Uslu',
+        template: 'passwordReset',
+        transport: 'memory',
+        messageId: 'mock-email-id'
+      })
+    ]);
+    expect(res.body.data.transports.order).toEqual([
+      expect.objectContaining({ name: 'memory', configured: true })
+    ]);
+
+    const search = await request(app)
+      .get('/api/admin/email/deliveries?to=CAN@')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(search.body.data.deliveries.map(d => d.status)).toEqual(['failed']);
+  });
+
+  it('should validate the filters', async () => {
+    await request(app)
+      .get('/api/admin/email/deliveries?transport=sendgrid')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+  });
+});
@@ -0,0 +1,40 @@
+// In-memory email transport for the tests, registered as `memory` by
+// tests/setup.js. Nothing leaves the process; sent emails can be inspected
+// through `messages`. `createTransport(name)` gives a stand-in for a real
+// transport under its name, to be put in place with registerTransport().
+
+const messages = [];
+const failures = new Map();
+
+const createTransport = (name = 'memory') => ({
+  name,
+  isConfigured: () => true,
+  send: async (message) => {
+    if (failures.has(name)) {
+      const error = new Error(failures.get(name));
+      failures.delete(name);
+      throw error;
+    }
+    messages.push({ ...message, transport: name, sentAt: new Date() });
+    return { messageId: 'mock-email-id' };
+  },
+  verify: async () => {}
+});
+
+// Make the next send through `name` fail, like a rejected request
+const failNext = (name = 'memory', message = 'Fake email failure') => {
+  failures.set(name, message);
+};
+
+const reset = () => {
+  messages.length = 0;
+  failures.clear();
+};
+
+module.exports = {
+  ...createTransport('memory'),
+  createTransport,
+  messages,
+  failNext,
+  reset
+};
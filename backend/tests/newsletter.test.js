@@ -0,0 +1,143 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const NewsletterSubscriber = require('../models/NewsletterSubscriber');
+const { generateToken } = require('../middleware/auth');
+const { processOutbox } = require('../utils/outbox');
+const { dispatchDigests } = require('../utils/newsletter');
+const { resetTransportState } = require('../utils/mailTransport');
+const memory = require('./memoryTransport');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const tokenFrom = (text, pattern) => decodeURIComponent(text.match(pattern)[1]);
+
+describe('Blog newsletter', () => {
+  let adminToken;
+
+  beforeEach(async () => {
+    memory.reset();
+    resetTransportState();
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      phone: '05531234567',
+      role: 'admin',
+      emailVerified: true
+    });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+  });
+
+  const subscribe = (fields = {}) => request(app)
+    .post('/api/newsletter/subscribe')
+    .send({ email: 'okur@test.com', frequency: 'immediate', source: 'blog-hub', kvkkConsent: true, ...fields });
+
+  // Subscribe and open the emailed link
+  const subscribeAndConfirm = async (fields) => {
+    await subscribe(fields).expect(202);
+    const token = tokenFrom(memory.messages[memory.messages.length - 1].html, /bulten-onay\?token=([a-f0-9]+)/);
+    await request(app).post(`/api/newsletter/confirm/${token}`).expect(200);
+    memory.reset();
+  };
+
+  const publishPost = (title, fields = {}) => request(app)
+    .post('/api/blog')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ title, category: 'kaygi', summary: `${title} özeti`, content: '<p>Yazı</p>', ...fields })
+    .expect(201);
+
+  it('should only activate a subscription from the emailed link', async () => {
+    const res = await subscribe().expect(202);
+    expect(res.body.success).toBe(true);
+    expect(memory.messages).toHaveLength(1);
+    expect(memory.messages[0].to).toBe('okur@test.com');
+
+    const pending = await NewsletterSubscriber.findOne({ email: 'okur@test.com' });
+    expect(pending).toMatchObject({ status: 'pending', frequency: 'immediate', source: 'blog-hub' });
+    expect(pending.kvkkConsent.acceptedAt).toBeInstanceOf(Date);
+
+    const token = tokenFrom(memory.messages[0].html, /bulten-onay\?token=([a-f0-9]+)/);
+    const confirmed = await request(app).post(`/api/newsletter/confirm/${token}`).expect(200);
+    expect(confirmed.body.data.frequency).toBe('immediate');
+    await request(app).post(`/api/newsletter/confirm/${token}`).expect(404);
+
+    // Subscribing again answers the same, without another email
+    memory.reset();
+    await subscribe().expect(202);
+    expect(memory.messages).toHaveLength(0);
+  });
+
+  it('should require KVKK consent and a valid frequency', async () => {
+    await subscribe({ kvkkConsent: false }).expect(400);
+    await subscribe({ frequency: 'daily' }).expect(400);
+    expect(await NewsletterSubscriber.countDocuments()).toBe(0);
+  });
+
+  it('should send new posts once, after the publishing delay', async () => {
+    await subscribeAndConfirm();
+    await publishPost('Kaygıyla Başa Çıkmak');
+    await publishPost('Taslak Yazı', { published: false });
+
+    await dispatchDigests();
+    await processOutbox();
+    expect(memory.messages).toHaveLength(0);
+
+    const later = new Date(Date.now() + 7 * HOUR_MS);
+    expect((await dispatchDigests(later)).processed).toBe(1);
+    await processOutbox();
+    expect(memory.messages).toHaveLength(1);
+    const digest = memory.messages[0];
+    expect(digest.html).toContain('Kaygıyla Başa Çıkmak');
+    expect(digest.html).toContain('/blog/kaygiyla-basa-cikmak/');
+    expect(digest.html).not.toContain('Taslak Yazı');
+    expect(digest.headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+
+    expect((await dispatchDigests(later)).processed).toBe(0);
+  });
+
+  it('should hold weekly digests and leave out withdrawn posts', async () => {
+    await subscribeAndConfirm({ frequency: 'weekly' });
+    const kept = await publishPost('Öz-şefkat');
+    const removed = await publishPost('Silinecek Yazı');
+    await request(app)
+      .delete(`/api/blog/${removed.body.data._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect((await dispatchDigests(new Date(Date.now() + 2 * DAY_MS))).processed).toBe(0);
+
+    await dispatchDigests(new Date(Date.now() + 8 * DAY_MS));
+    await processOutbox();
+    expect(memory.messages).toHaveLength(1);
+    expect(memory.messages[0].html).toContain(kept.body.data.title);
+    expect(memory.messages[0].html).not.toContain('Silinecek Yazı');
+  });
+
+  it('should change the frequency or unsubscribe from the digest link', async () => {
+    await subscribeAndConfirm();
+    await publishPost('Şema Terapi');
+    await dispatchDigests(new Date(Date.now() + 7 * HOUR_MS));
+    await processOutbox();
+    const token = tokenFrom(memory.messages[0].html, /abonelik-iptal\?token=([\w.-]+)/);
+
+    const link = await request(app).get(`/api/email/unsubscribe/${token}`).expect(200);
+    expect(link.body.data).toMatchObject({ list: 'newsletter', listName: 'Blog bülteni', subscribed: true });
+
+    await request(app).put(`/api/newsletter/preferences/${token}`).send({ frequency: 'monthly' }).expect(200);
+    const preferences = await request(app).get(`/api/newsletter/preferences/${token}`).expect(200);
+    expect(preferences.body.data.frequency).toBe('monthly');
+
+    await request(app).post(`/api/email/unsubscribe/${token}`).expect(200);
+    const subscriber = await NewsletterSubscriber.findOne({ email: 'okur@test.com' });
+    expect(subscriber.status).toBe('unsubscribed');
+    await request(app).get(`/api/newsletter/preferences/${token}`).expect(404);
+
+    const list = await request(app)
+      .get('/api/newsletter/subscribers')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(list.body.data.counts.byStatus).toMatchObject({ active: 0, unsubscribed: 1 });
+  });
+});
@@ -0,0 +1,156 @@
+jest.mock('../utils/emailService', () => ({
+  ...jest.requireActual('../utils/emailService'),
+  sendEmail: jest.fn().mockResolvedValue({ messageId: 'mock-email-id' })
+}));
+
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const OutboxJob = require('../models/OutboxJob');
+const { generateToken } = require('../middleware/auth');
+const { sendEmail } = require('../utils/emailService');
+const { backoffDelay, enqueueEmail, processOutbox } = require('../utils/outbox');
+
+const email = (to) => ({ to, subject: 'Test', template: 'broadcast', data: { name: 'Test', message: 'M', subject: 'S' } });
+
+// Make every waiting job due now
+const fastForward = () => OutboxJob.updateMany({ status: { $in: ['queued', 'failed'] } }, { nextAttemptAt: new Date() });
+
+describe('Outbox', () => {
+  const originalRate = process.env.OUTBOX_RATE_PER_MINUTE;
+
+  beforeEach(() => {
+    sendEmail.mockReset();
+    sendEmail.mockResolvedValue({ messageId: 'mock-email-id' });
+  });
+
+  afterEach(() => {
+    process.env.OUTBOX_RATE_PER_MINUTE = originalRate;
+  });
+
+  it('should double the wait between attempts up to six hours', () => {
+    expect([1, 2, 3, 4].map(backoffDelay)).toEqual([60000, 120000, 240000, 480000]);
+    expect(backoffDelay(20)).toBe(6 * 60 * 60 * 1000);
+  });
+
+  it('should queue an idempotency key only once', async () => {
+    const first = await enqueueEmail(email('a@test.com'), { idempotencyKey: 'welcome:a' });
+    const second = await enqueueEmail(email('a@test.com'), { idempotencyKey: 'welcome:a' });
+
+    expect(second.duplicate).toBe(true);
+    expect(second._id.toString()).toBe(first._id.toString());
+    expect(await OutboxJob.countDocuments()).toBe(1);
+  });
+
+  it('should retry with backoff and park the job as dead after the last attempt', async () => {
+    sendEmail.mockRejectedValue(new Error('SMTP down'));
+    const job = await enqueueEmail(email('a@test.com'), { maxAttempts: 2 });
+
+    await processOutbox();
+    let saved = await OutboxJob.findById(job._id);
+    expect(saved).toMatchObject({ status: 'failed', attempts: 1, lastError: 'SMTP down' });
+
+    await fastForward();
+    await processOutbox();
+    saved = await OutboxJob.findById(job._id);
+    expect(saved.status).toBe('dead');
+    expect(sendEmail).toHaveBeenCalledTimes(2);
+
+    // Dead jobs wait for an admin
+    await fastForward();
+    await processOutbox();
+    expect(sendEmail).toHaveBeenCalledTimes(2);
+  });
+
+  it('should send no more jobs per minute than the rate limit', async () => {
+    process.env.OUTBOX_RATE_PER_MINUTE = '2';
+    for (const to of ['a@test.com', 'b@test.com', 'c@test.com']) {
+      await enqueueEmail(email(to));
+    }
+
+    const summary = await processOutbox();
+    expect(summary.sent).toBe(2);
+    await processOutbox();
+    expect(sendEmail).toHaveBeenCalledTimes(2);
+    expect(await OutboxJob.countDocuments({ status: 'queued' })).toBe(1);
+  });
+});
+
+describe('Outbox admin', () => {
+  let adminToken;
+
+  beforeEach(async () => {
+    sendEmail.mockReset();
+    sendEmail.mockResolvedValue({ messageId: 'mock-email-id' });
+
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      phone: '05531234567',
+      role: 'admin',
+      emailVerified: true,
+      notificationPreferences: { campaigns: { email: true } }
+    });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+
+    await User.create({
+      name: 'Broadcast Client',
+      email: 'client@test.com',
+      password: 'password123',
+      phone: '05541234567',
+      emailVerified: true,
+      notificationPreferences: { campaigns: { email: true } }
+    });
+  });
+
+  it('should queue a broadcast once per idempotency key', async () => {
+    const res = await request(app)
+      .post('/api/admin/email/broadcast')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('Idempotency-Key', 'spring-announcement')
+      .send({ subject: 'Duyuru', message: 'Bayramda kapalıyız' })
+      .expect(202);
+    expect(res.body.data).toMatchObject({ totalUsers: 2, queued: 2, alreadyQueued: 0 });
+    expect(sendEmail).not.toHaveBeenCalled();
+
+    const again = await request(app)
+      .post('/api/admin/email/broadcast')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('Idempotency-Key', 'spring-announcement')
+      .send({ subject: 'Duyuru', message: 'Bayramda kapalıyız' })
+      .expect(202);
+    expect(again.body.data).toMatchObject({ queued: 0, alreadyQueued: 2 });
+
+    await processOutbox();
+    expect(sendEmail).toHaveBeenCalledTimes(2);
+  });
+
+  it('should list jobs by status and retry a dead one', async () => {
+    sendEmail.mockRejectedValue(new Error('Mailbox unavailable'));
+    const job = await enqueueEmail(email('a@test.com'), { maxAttempts: 1 });
+    await processOutbox();
+
+    const list = await request(app)
+      .get('/api/admin/jobs?status=dead')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(list.body.data.jobs).toHaveLength(1);
+    expect(list.body.data.counts).toMatchObject({ dead: 1, queued: 0 });
+
+    await request(app)
+      .post(`/api/admin/jobs/${job._id}/retry`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    sendEmail.mockResolvedValue({ messageId: 'mock-email-id' });
+    await processOutbox();
+    expect(await OutboxJob.findById(job._id)).toMatchObject({ status: 'sent', attempts: 1 });
+
+    // Sent jobs are not retried
+    await request(app)
+      .post(`/api/admin/jobs/${job._id}/retry`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(409);
+  });
+});
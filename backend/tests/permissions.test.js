@@ -0,0 +1,153 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const { generateToken } = require('../middleware/auth');
+const { hasPermission, isStaff, redactClinical } = require('../utils/permissions');
+
+const futureDate = (days = 3) => {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+describe('Role permissions', () => {
+  it('should give the owner everything and clients nothing', () => {
+    expect(hasPermission({ role: 'admin' }, 'users:manage')).toBe(true);
+    expect(hasPermission({ role: 'therapist' }, 'clinical:read')).toBe(true);
+    expect(hasPermission({ role: 'therapist' }, 'users:manage')).toBe(false);
+    expect(hasPermission({ role: 'assistant' }, 'appointments:manage')).toBe(true);
+    expect(hasPermission({ role: 'assistant' }, 'clinical:read')).toBe(false);
+    expect(isStaff({ role: 'user' })).toBe(false);
+  });
+
+  it('should strip clinical fields at any depth', () => {
+    const body = {
+      data: {
+        appointments: [{ time: '10:00', sessionNotes: 'not' }],
+        user: { name: 'Ayşe', profile: { city: 'İstanbul', medicalInfo: { allergies: ['x'] } } }
+      }
+    };
+    expect(redactClinical(body)).toEqual({
+      data: {
+        appointments: [{ time: '10:00' }],
+        user: { name: 'Ayşe', profile: { city: 'İstanbul' } }
+      }
+    });
+  });
+});
+
+describe('Staff roles', () => {
+  let client;
+  let appointment;
+
+  const staff = async (role, email) => {
+    const user = await User.create({
+      name: `${role} User`,
+      email,
+      password: 'password123',
+      phone: '05571234567',
+      role
+    });
+    return `Bearer ${generateToken({ id: user._id, role })}`;
+  };
+
+  beforeEach(async () => {
+    client = await User.create({
+      name: 'Client User',
+      email: 'danisan@test.com',
+      password: 'password123',
+      phone: '05581234567',
+      profile: { medicalInfo: { allergies: ['polen'], currentMedications: ['ilaç'] } }
+    });
+    appointment = await Appointment.create({
+      user: client._id,
+      date: new Date(futureDate(4)),
+      time: '11:00',
+      type: 'individual',
+      sessionNotes: 'Gizli seans notu'
+    });
+  });
+
+  it('should let an assistant into the panel with the permissions of the role', async () => {
+    await staff('assistant', 'asistan@test.com');
+    const res = await request(app)
+      .post('/api/auth/admin/login')
+      .send({ email: 'asistan@test.com', password: 'password123' })
+      .expect(200);
+    expect(res.body.user.role).toBe('assistant');
+    expect(res.body.user.permissions).toContain('appointments:manage');
+    expect(res.body.user.permissions).not.toContain('clinical:read');
+  });
+
+  it('should keep session notes and medical information from an assistant', async () => {
+    const assistant = await staff('assistant', 'asistan@test.com');
+    const therapist = await staff('therapist', 'terapist@test.com');
+
+    const list = await request(app).get('/api/admin/appointments').set('Authorization', assistant).expect(200);
+    expect(JSON.stringify(list.body)).toContain('11:00');
+    expect(JSON.stringify(list.body)).not.toContain('Gizli seans notu');
+
+    const record = await request(app).get(`/api/admin/customers/${client._id}`).set('Authorization', assistant).expect(200);
+    expect(JSON.stringify(record.body)).not.toContain('polen');
+
+    const own = await request(app).get(`/api/appointments/${appointment._id}`).set('Authorization', assistant).expect(200);
+    expect(JSON.stringify(own.body)).not.toContain('Gizli seans notu');
+
+    const forTherapist = await request(app).get('/api/admin/appointments').set('Authorization', therapist).expect(200);
+    expect(JSON.stringify(forTherapist.body)).toContain('Gizli seans notu');
+  });
+
+  it('should let an assistant manage appointments and messages but nothing else', async () => {
+    const assistant = await staff('assistant', 'asistan@test.com');
+
+    await request(app).get('/api/contact').set('Authorization', assistant).expect(200);
+    await request(app).get('/api/admin/dashboard').set('Authorization', assistant).expect(200);
+
+    const denied = await request(app)
+      .patch(`/api/admin/users/${client._id}/change-role`)
+      .set('Authorization', assistant)
+      .send({ role: 'assistant' })
+      .expect(403);
+    expect(denied.body.code).toBe('PERMISSION_DENIED');
+    expect(denied.body.permission).toBe('users:manage');
+    await request(app).post('/api/blog').set('Authorization', assistant).send({}).expect(403);
+    await request(app).put('/api/site-settings/contact').set('Authorization', assistant).send({}).expect(403);
+
+    // Closing a session is allowed, writing its notes is not
+    await request(app)
+      .post(`/api/appointments/${appointment._id}/complete`)
+      .set('Authorization', assistant)
+      .send({ sessionNotes: 'Yeni not' })
+      .expect(403);
+    await request(app)
+      .post(`/api/appointments/${appointment._id}/complete`)
+      .set('Authorization', assistant)
+      .send({})
+      .expect(200);
+  });
+
+  it('should keep broadcasts and role changes to the owner', async () => {
+    const therapist = await staff('therapist', 'terapist@test.com');
+    const owner = await staff('admin', 'sahip@test.com');
+
+    await request(app)
+      .post('/api/admin/email/broadcast')
+      .set('Authorization', therapist)
+      .send({ subject: 'Duyuru', message: 'Merhaba' })
+      .expect(403);
+
+    const res = await request(app)
+      .patch(`/api/admin/users/${client._id}/change-role`)
+      .set('Authorization', owner)
+      .send({ role: 'assistant' })
+      .expect(200);
+    expect(res.body.data.user.role).toBe('assistant');
+  });
+
+  it('should keep clients out of the panel', async () => {
+    const token = `Bearer ${generateToken({ id: client._id, role: 'user' })}`;
+    const res = await request(app).get('/api/admin/dashboard').set('Authorization', token).expect(403);
+    expect(res.body.message).toBe('Admin access required');
+  });
+});
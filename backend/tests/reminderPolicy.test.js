@@ -0,0 +1,164 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const { generateToken } = require('../middleware/auth');
+const {
+  defaultReminderPolicy,
+  planReminders,
+  validateReminderPolicy
+} = require('../utils/reminderPolicy');
+
+const futureDate = (days = 3) => {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+const times = (reminders) => reminders.map(r => `${r.type} ${r.scheduledFor.getDate()} ${r.scheduledFor.toTimeString().slice(0, 5)}`);
+
+describe('Reminder planning', () => {
+  const now = new Date(2030, 0, 1, 12, 0);
+  const policy = defaultReminderPolicy;
+
+  it('should plan the default rules on the enabled channels', () => {
+    const reminders = planReminders(new Date(2030, 0, 8, 15, 0), { policy, smsEnabled: false, now });
+    expect(times(reminders)).toEqual(['email 7 15:00', 'email 8 13:00']);
+  });
+
+  it('should keep reminders out of quiet hours', () => {
+    // 2 hours before a 09:00 session is 07:00; it moves to 08:00
+    const morning = planReminders(new Date(2030, 0, 8, 9, 0), { policy, smsEnabled: false, now });
+    expect(times(morning)).toEqual(['email 7 09:00', 'email 8 08:00']);
+
+    // 2 hours before an 08:00 session is 06:00; the end of the quiet hours is
+    // too late, so it moves to shortly before they begin
+    const early = planReminders(new Date(2030, 0, 8, 8, 0), {
+      policy: { ...policy, rules: [policy.rules[1]] },
+      smsEnabled: false,
+      now
+    });
+    expect(times(early)).toEqual(['email 7 21:30']);
+  });
+
+  it('should follow the client schedule and channels', () => {
+    const reminders = planReminders(new Date(2030, 0, 8, 15, 0), {
+      policy,
+      preferences: { schedule: ['evening-before'], email: false, sms: true },
+      smsEnabled: true,
+      now
+    });
+    expect(times(reminders)).toEqual(['sms 7 20:00']);
+
+    const optedOut = planReminders(new Date(2030, 0, 8, 15, 0), {
+      policy,
+      preferences: { email: false, sms: false },
+      smsEnabled: true,
+      now
+    });
+    expect(optedOut).toEqual([]);
+  });
+
+  it('should drop reminders that are already due', () => {
+    const soon = new Date(now.getTime() + 3 * 60 * 60 * 1000);
+    expect(times(planReminders(soon, { policy, smsEnabled: false, now }))).toEqual(['email 1 13:00']);
+  });
+
+  it('should reject rules without exactly one timing', () => {
+    const problems = validateReminderPolicy({
+      rules: [
+        { key: 'both', label: 'x', minutesBefore: 60, dayBeforeAt: '20:00', channels: ['email'] },
+        { key: 'none', label: 'y', channels: ['email'] }
+      ],
+      quietHours: { enabled: true, start: '22:00', end: '22:00' }
+    });
+    expect(problems).toHaveLength(3);
+  });
+});
+
+describe('Reminder API', () => {
+  let client;
+  let clientToken;
+  let adminToken;
+
+  beforeEach(async () => {
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      phone: '05531234567',
+      role: 'admin',
+      emailVerified: true
+    });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+
+    client = await User.create({
+      name: 'Reminder Client',
+      email: 'client@test.com',
+      password: 'password123',
+      phone: '05541234567',
+      emailVerified: true
+    });
+    clientToken = generateToken({ id: client._id, role: 'user' });
+  });
+
+  it('should let admins change the policy and re-plan upcoming reminders', async () => {
+    const res = await request(app)
+      .post('/api/appointments')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({ date: futureDate(5), time: '15:00', type: 'individual' })
+      .expect(201);
+    expect(res.body.data.appointment.reminders).toHaveLength(2);
+
+    await request(app)
+      .put('/api/reminders/policy')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({ rules: [] })
+      .expect(403);
+
+    const update = await request(app)
+      .put('/api/reminders/policy')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ rules: [{ key: 'three-hours', label: '3 saat önce', minutesBefore: 180, channels: ['email'] }] })
+      .expect(200);
+    expect(update.body.data.rebuilt).toBe(1);
+
+    const appointment = await Appointment.findById(res.body.data.appointment._id);
+    expect(appointment.reminders).toHaveLength(1);
+    expect(appointment.datetime - appointment.reminders[0].scheduledFor).toBe(180 * 60 * 1000);
+  });
+
+  it('should store client preferences and apply them to their appointments', async () => {
+    const res = await request(app)
+      .post('/api/appointments')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({ date: futureDate(5), time: '15:00', type: 'individual' })
+      .expect(201);
+
+    await request(app)
+      .put('/api/reminders/preferences')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({ schedule: ['unknown'] })
+      .expect(400);
+
+    const saved = await request(app)
+      .put('/api/reminders/preferences')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({ schedule: ['evening-before'] })
+      .expect(200);
+    expect(saved.body.data.preferences).toEqual({ email: true, sms: true, schedule: ['evening-before'] });
+
+    const appointment = await Appointment.findById(res.body.data.appointment._id);
+    expect(appointment.reminders).toHaveLength(1);
+    expect(appointment.reminders[0].scheduledFor.getHours()).toBe(20);
+
+    // Opting out clears the upcoming reminders
+    await request(app)
+      .put('/api/reminders/preferences')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({ email: false, sms: false })
+      .expect(200);
+    const optedOut = await Appointment.findById(res.body.data.appointment._id);
+    expect(optedOut.reminders).toHaveLength(0);
+  });
+});
@@ -0,0 +1,158 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const { generateToken } = require('../middleware/auth');
+const memory = require('./memoryTransport');
+
+const futureDate = (days = 3) => {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+describe('Reschedule API', () => {
+  let adminToken, userToken, userId;
+
+  beforeEach(async () => {
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      phone: '05531234567',
+      role: 'admin',
+      emailVerified: true
+    });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+
+    const user = await User.create({
+      name: 'Regular User',
+      email: 'user@test.com',
+      password: 'password123',
+      phone: '05541234567',
+      emailVerified: true
+    });
+    userId = user._id;
+    userToken = generateToken({ id: user._id, role: 'user' });
+    memory.reset();
+  });
+
+  const rescheduleEmails = () => memory.messages.filter(m => m.subject.startsWith('Randevunuz Güncellendi'));
+
+  const book = (date, time) => request(app)
+    .post('/api/appointments')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({ date, time, type: 'individual' })
+    .expect(201);
+
+  it('should move the appointment and keep its previous time', async () => {
+    const date = futureDate(4);
+    const booked = await book(date, '15:00');
+    const id = booked.body.data.appointment._id;
+
+    const options = await request(app)
+      .get(`/api/appointments/${id}/reschedule-options?from=${date}&days=1`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(options.body.data.alternatives[0].slots).toContain('17:00');
+    expect(options.body.data.alternatives[0].slots).not.toContain('15:00');
+
+    const res = await request(app)
+      .post(`/api/appointments/${id}/reschedule`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ date, time: '17:00', reason: 'İş toplantısı' })
+      .expect(200);
+    expect(res.body.data.previous).toEqual({ date, time: '15:00', duration: 50 });
+
+    const appointment = await Appointment.findById(id);
+    expect(appointment.time).toBe('17:00');
+    expect(appointment.rescheduleHistory).toHaveLength(1);
+    expect(appointment.rescheduleHistory[0]).toMatchObject({ time: '15:00', reason: 'İş toplantısı' });
+    expect(appointment.reminders.every(r => !r.sent)).toBe(true);
+
+    const [email] = rescheduleEmails();
+    expect(email.to).toBe('user@test.com');
+    expect(email.attachments[0].filename).toMatch(/\.ics$/);
+  });
+
+  it('should treat a new time through PUT like a reschedule', async () => {
+    const date = futureDate(4);
+    const booked = await book(date, '15:00');
+    const id = booked.body.data.appointment._id;
+
+    await request(app)
+      .put(`/api/appointments/${id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ time: '17:00' })
+      .expect(200);
+
+    const appointment = await Appointment.findById(id);
+    expect(appointment.time).toBe('17:00');
+    expect(appointment.rescheduleHistory[0]).toMatchObject({ time: '15:00' });
+    const emails = rescheduleEmails();
+    expect(emails).toHaveLength(1);
+    expect(emails[0].to).toBe('user@test.com');
+    expect(emails[0].attachments[0].content).toContain('DTSTART');
+
+    // Other changes are no reschedule
+    await request(app)
+      .put(`/api/appointments/${id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ notes: 'Kapıda zil yok' })
+      .expect(200);
+    expect(rescheduleEmails()).toHaveLength(1);
+  });
+
+  it('should not move an appointment into the past through PUT', async () => {
+    const booked = await book(futureDate(4), '15:00');
+    const id = booked.body.data.appointment._id;
+
+    const res = await request(app)
+      .put(`/api/appointments/${id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ date: futureDate(-1), time: '15:00' })
+      .expect(400);
+    expect(res.body.message).toBe('New time must be in the future');
+
+    const appointment = await Appointment.findById(id);
+    expect(appointment.rescheduleHistory).toHaveLength(0);
+    expect(rescheduleEmails()).toHaveLength(0);
+  });
+
+  it('should return alternatives when the new time is taken', async () => {
+    const date = futureDate(5);
+    const booked = await book(date, '15:00');
+    await book(date, '17:00');
+
+    const res = await request(app)
+      .post(`/api/appointments/${booked.body.data.appointment._id}/reschedule`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ date, time: '17:20' })
+      .expect(409);
+    expect(res.body.data.reason).toBe('conflict');
+    expect(res.body.data.alternatives[0].date).toBe(date);
+  });
+
+  it('should enforce the 12 hour rule for clients only', async () => {
+    const booked = await book(futureDate(3), '15:00');
+    const id = booked.body.data.appointment._id;
+    // Move it within 12 hours without going through the booking checks
+    const soon = new Date(Date.now() + 6 * 60 * 60 * 1000);
+    await Appointment.updateOne({ _id: id }, {
+      date: new Date(soon.getFullYear(), soon.getMonth(), soon.getDate()),
+      time: `${String(soon.getHours()).padStart(2, '0')}:00`
+    });
+
+    await request(app)
+      .post(`/api/appointments/${id}/reschedule`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ date: futureDate(6), time: '15:00' })
+      .expect(403);
+
+    await request(app)
+      .post(`/api/appointments/${id}/reschedule`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ date: futureDate(6), time: '15:00' })
+      .expect(200);
+  });
+});
@@ -1,5 +1,11 @@
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const mongoose = require('mongoose');
+const { registerTransport } = require('../utils/mailTransport');
+const memory = require('./memoryTransport');
+
+// Emails stay in memory, whatever .env configures
+registerTransport(memory);
+process.env.MAIL_TRANSPORTS = 'memory';
 
 let mongoServer;
 
@@ -0,0 +1,194 @@
+// Reminder emails are checked on the mock; SMS go through the fake provider
+jest.mock('../utils/emailService', () => ({
+  ...jest.requireActual('../utils/emailService'),
+  sendEmail: jest.fn().mockResolvedValue({ messageId: 'mock-email-id' })
+}));
+
+process.env.SMS_PROVIDER = 'fake';
+
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const OutboxJob = require('../models/OutboxJob');
+const reminderJob = require('../jobs/reminderJob');
+const fakeSms = require('../utils/smsProviders/fake');
+const netgsm = require('../utils/smsProviders/netgsm');
+const iletimerkezi = require('../utils/smsProviders/iletimerkezi');
+const { sendEmail } = require('../utils/emailService');
+const { normalizePhone } = require('../utils/smsService');
+const { planReminders, defaultReminderPolicy, updateReminderPolicy } = require('../utils/reminderPolicy');
+const { processOutbox } = require('../utils/outbox');
+
+const futureDate = (days = 3) => {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const mockFetch = (body, { status = 200 } = {}) => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: status < 400,
+    status,
+    text: async () => body,
+    json: async () => body
+  });
+  return global.fetch;
+};
+
+describe('SMS providers', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should normalize Turkish mobile numbers', () => {
+    expect(normalizePhone('0555 123 45 67')).toBe('905551234567');
+    expect(normalizePhone('+90 555 123 45 67')).toBe('905551234567');
+    expect(normalizePhone('5551234567')).toBe('905551234567');
+    expect(normalizePhone('0262 123 45 67')).toBeNull();
+  });
+
+  it('should create SMS entries next to email ones when a provider is set', () => {
+    const start = futureDate(3);
+    start.setHours(15);
+    const reminders = planReminders(start, { policy: defaultReminderPolicy });
+    expect(reminders.map(r => r.type)).toEqual(['email', 'sms', 'email', 'sms']);
+  });
+
+  it('should read the Netgsm bulk id and error codes', async () => {
+    process.env.NETGSM_USERCODE = '8502000000';
+    process.env.NETGSM_PASSWORD = 'secret';
+
+    const fetch = mockFetch('00 1234567890');
+    await expect(netgsm.send({ to: '905551234567', message: 'Test' }))
+      .resolves.toEqual({ messageId: '1234567890', status: 'sent' });
+    const url = new URL(fetch.mock.calls[0][0]);
+    expect(url.pathname).toBe('/sms/send/get');
+    expect(url.searchParams.get('gsmno')).toBe('905551234567');
+    expect(url.searchParams.get('msgheader')).toBe('8502000000');
+
+    mockFetch('40');
+    await expect(netgsm.send({ to: '905551234567', message: 'Test' })).rejects.toThrow(/Netgsm hata 40/);
+
+    mockFetch('905551234567 1 0 20.01.2030 10:00:00');
+    await expect(netgsm.getStatus('1234567890')).resolves.toEqual({ status: 'delivered' });
+  });
+
+  it('should sign İleti Merkezi requests and read its report codes', async () => {
+    process.env.ILETIMERKEZI_KEY = 'public-key';
+    process.env.ILETIMERKEZI_SECRET = 'private-key';
+    process.env.ILETIMERKEZI_SENDER = 'ONURUSLU';
+
+    const fetch = mockFetch({ response: { status: { code: '200' }, order: { id: 42 } } });
+    await expect(iletimerkezi.send({ to: '905551234567', message: 'Test' }))
+      .resolves.toEqual({ messageId: '42', status: 'sent' });
+    const { request } = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(request.authentication.key).toBe('public-key');
+    expect(request.authentication.hash).toHaveLength(64);
+    expect(request.order.message.receipents.number).toEqual(['905551234567']);
+
+    mockFetch({ response: { status: { code: '200' }, order: { message: [{ number: '905551234567', status: '112' }] } } });
+    await expect(iletimerkezi.getStatus('42')).resolves.toMatchObject({ status: 'failed' });
+
+    mockFetch({ response: { status: { code: '401', message: 'Üyelik bilgileri hatalı' } } }, { status: 401 });
+    await expect(iletimerkezi.send({ to: '905551234567', message: 'Test' })).rejects.toThrow(/401/);
+  });
+});
+
+describe('Reminder job channels', () => {
+  let client;
+
+  const createDueAppointment = (user = client) => {
+    const scheduledFor = new Date(Date.now() - 60 * 1000);
+    return Appointment.create({
+      user: user._id,
+      date: futureDate(1),
+      time: '15:00',
+      type: 'individual',
+      reminders: [
+        { type: 'email', scheduledFor },
+        { type: 'sms', scheduledFor }
+      ]
+    });
+  };
+
+  // Queue what is due, then let the outbox send it
+  const runJob = async () => {
+    await reminderJob.checkAndSendReminders();
+    await processOutbox();
+  };
+
+  beforeEach(async () => {
+    sendEmail.mockClear();
+    fakeSms.reset();
+    // The job holds everything back in quiet hours, whenever the suite runs
+    await updateReminderPolicy({ quietHours: { enabled: false } });
+    client = await User.create({
+      name: 'Reminder Client',
+      email: 'reminder@test.com',
+      password: 'password123',
+      phone: '05541234567',
+      emailVerified: true
+    });
+  });
+
+  it('should send one email and one SMS and record the SMS delivery', async () => {
+    const appointment = await createDueAppointment();
+    await runJob();
+
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(fakeSms.messages).toHaveLength(1);
+    expect(fakeSms.messages[0].to).toBe('905541234567');
+    expect(fakeSms.messages[0].message).toContain('15:00');
+
+    let saved = await Appointment.findById(appointment._id);
+    const sms = saved.reminders.find(r => r.type === 'sms');
+    expect(sms).toMatchObject({ sent: true, provider: 'fake', deliveryStatus: 'sent' });
+    expect(saved.reminders.find(r => r.type === 'email').deliveryStatus).toBe('sent');
+
+    fakeSms.setStatus(sms.messageId, 'delivered');
+    await reminderJob.refreshSmsDeliveryStatus();
+    saved = await Appointment.findById(appointment._id);
+    expect(saved.reminders.find(r => r.type === 'sms').deliveryStatus).toBe('delivered');
+    expect(saved.reminders.find(r => r.type === 'sms').deliveredAt).toBeDefined();
+
+    // Nothing goes out twice
+    await runJob();
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(fakeSms.messages).toHaveLength(1);
+  });
+
+  it('should skip the channels the client turned off', async () => {
+    await User.updateOne({ _id: client._id }, { 'notificationPreferences.reminders.sms': false });
+    const appointment = await createDueAppointment();
+    await runJob();
+
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(fakeSms.messages).toHaveLength(0);
+    const saved = await Appointment.findById(appointment._id);
+    expect(saved.reminders.find(r => r.type === 'sms')).toMatchObject({ sent: false, deliveryStatus: 'skipped' });
+  });
+
+  it('should keep a failed SMS queued and send it on the retry', async () => {
+    fakeSms.failNext('Gateway down');
+    const appointment = await createDueAppointment();
+    await runJob();
+
+    let saved = await Appointment.findById(appointment._id);
+    expect(saved.reminders.find(r => r.type === 'sms')).toMatchObject({ sent: false, deliveryStatus: 'queued' });
+    const job = await OutboxJob.findOne({ 'payload.channel': 'sms' });
+    expect(job).toMatchObject({ status: 'failed', attempts: 1, lastError: 'Gateway down' });
+    expect(job.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+    // Not before the backoff has passed
+    await runJob();
+    expect(fakeSms.messages).toHaveLength(0);
+
+    await OutboxJob.updateOne({ _id: job._id }, { nextAttemptAt: new Date() });
+    await runJob();
+    expect(fakeSms.messages).toHaveLength(1);
+    saved = await Appointment.findById(appointment._id);
+    expect(saved.reminders.find(r => r.type === 'sms')).toMatchObject({ sent: true, deliveryStatus: 'sent' });
+  });
+});
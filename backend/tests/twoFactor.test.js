@@ -0,0 +1,160 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const { generateToken } = require('../middleware/auth');
+const { codeForStep, stepAt, verifyCode } = require('../utils/totp');
+
+const STEP_MS = 30 * 1000;
+
+describe('TOTP codes', () => {
+  // RFC 6238 test secret "12345678901234567890", last 6 digits of the SHA-1 vectors
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+  it('should match the RFC 6238 test vectors', () => {
+    expect(codeForStep(secret, Math.floor(59 / 30))).toBe('287082');
+    expect(codeForStep(secret, Math.floor(1111111109 / 30))).toBe('081804');
+    expect(codeForStep(secret, Math.floor(2000000000 / 30))).toBe('279037');
+  });
+
+  it('should accept a step of clock drift and no more', () => {
+    const now = new Date(1111111109 * 1000);
+    const code = codeForStep(secret, stepAt(now));
+    expect(verifyCode(secret, code, { now: new Date(now.getTime() + STEP_MS) })).toBe(stepAt(now));
+    expect(verifyCode(secret, code, { now: new Date(now.getTime() + 2 * STEP_MS) })).toBeNull();
+    expect(verifyCode(secret, '12345', { now })).toBeNull();
+  });
+});
+
+describe('Admin two-factor authentication', () => {
+  let admin;
+
+  beforeEach(async () => {
+    admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      phone: '05531234567',
+      role: 'admin',
+      emailVerified: true
+    });
+  });
+
+  const adminLogin = () => request(app)
+    .post('/api/auth/admin/login')
+    .send({ email: 'admin@test.com', password: 'password123' })
+    .expect(200);
+
+  // Turn two-factor on from a password-only session; codes of the next steps
+  // are made from the secret so they are not the one used to enable it
+  const enable = async () => {
+    const { body } = await adminLogin();
+    const auth = `Bearer ${body.token}`;
+    const setup = await request(app).post('/api/admin/2fa/setup').set('Authorization', auth).expect(200);
+    const { secret } = setup.body.data;
+    const enabled = await request(app)
+      .post('/api/admin/2fa/enable')
+      .set('Authorization', auth)
+      .send({ code: codeForStep(secret, stepAt() - 1) })
+      .expect(200);
+    return { secret, token: enabled.body.data.token, recoveryCodes: enabled.body.data.recoveryCodes };
+  };
+
+  const verify = (challengeToken, factor) => request(app)
+    .post('/api/auth/admin/login/verify')
+    .send({ challengeToken, ...factor });
+
+  it('should ask for a code after the password once two-factor is on', async () => {
+    const { secret, recoveryCodes } = await enable();
+    expect(recoveryCodes).toHaveLength(10);
+
+    const first = await adminLogin();
+    expect(first.body.twoFactorRequired).toBe(true);
+    expect(first.body.token).toBeUndefined();
+
+    // The challenge is no access token
+    await request(app)
+      .get('/api/admin/dashboard')
+      .set('Authorization', `Bearer ${first.body.challengeToken}`)
+      .expect(401);
+
+    await verify(first.body.challengeToken, { code: '000000' }).expect(401);
+    const code = codeForStep(secret, stepAt());
+    const done = await verify(first.body.challengeToken, { code }).expect(200);
+    expect(done.body.token).toBeDefined();
+    expect(done.body.user.email).toBe('admin@test.com');
+
+    // A code works once
+    await verify(first.body.challengeToken, { code }).expect(401);
+  });
+
+  it('should ask for the code on the client login too', async () => {
+    await enable();
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' })
+      .expect(200);
+    expect(res.body.twoFactorRequired).toBe(true);
+    expect(res.body.challengeToken).toBeDefined();
+    expect(res.body.data).toBeUndefined();
+  });
+
+  it('should accept each recovery code once', async () => {
+    const { recoveryCodes } = await enable();
+    const { body } = await adminLogin();
+
+    const done = await verify(body.challengeToken, { recoveryCode: recoveryCodes[0].toUpperCase() }).expect(200);
+    expect(done.body.recoveryCodesLeft).toBe(9);
+    await verify(body.challengeToken, { recoveryCode: recoveryCodes[0] }).expect(401);
+  });
+
+  it('should keep client records to sessions that passed two-factor', async () => {
+    const { token } = await enable();
+    const passwordOnly = generateToken({ id: admin._id, role: 'admin' });
+
+    const denied = await request(app)
+      .get('/api/admin/customers')
+      .set('Authorization', `Bearer ${passwordOnly}`)
+      .expect(403);
+    expect(denied.body.code).toBe('TWO_FACTOR_REQUIRED');
+    const user = await request(app)
+      .get(`/api/admin/users/${admin._id}`)
+      .set('Authorization', `Bearer ${passwordOnly}`)
+      .expect(403);
+    expect(user.body.code).toBe('TWO_FACTOR_REQUIRED');
+    await request(app).get('/api/admin/users').set('Authorization', `Bearer ${passwordOnly}`).expect(403);
+    await request(app).get('/api/admin/dashboard').set('Authorization', `Bearer ${passwordOnly}`).expect(200);
+
+    // Enabling two-factor verified the session it was turned on from
+    await request(app).get('/api/admin/customers').set('Authorization', `Bearer ${token}`).expect(200);
+    await request(app).get(`/api/admin/users/${admin._id}`).set('Authorization', `Bearer ${token}`).expect(200);
+  });
+
+  it('should require setting up two-factor when ADMIN_REQUIRE_2FA is on', async () => {
+    const token = generateToken({ id: admin._id, role: 'admin' });
+    process.env.ADMIN_REQUIRE_2FA = 'true';
+    try {
+      const res = await request(app)
+        .get('/api/admin/customers')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+      expect(res.body.code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+    } finally {
+      delete process.env.ADMIN_REQUIRE_2FA;
+    }
+  });
+
+  it('should turn two-factor off with a recovery code', async () => {
+    const { token, recoveryCodes } = await enable();
+
+    await request(app)
+      .post('/api/admin/2fa/disable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ recoveryCode: recoveryCodes[1] })
+      .expect(200);
+
+    const status = await request(app).get('/api/admin/2fa').set('Authorization', `Bearer ${token}`).expect(200);
+    expect(status.body.data.enabled).toBe(false);
+    const login = await adminLogin();
+    expect(login.body.token).toBeDefined();
+  });
+});
@@ -0,0 +1,166 @@
+// The offer link is only sent by email, so the tests read it from the mail
+jest.mock('../utils/emailService', () => ({
+  ...jest.requireActual('../utils/emailService'),
+  sendEmail: jest.fn().mockResolvedValue({ messageId: 'mock-email-id' })
+}));
+
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const SlotOffer = require('../models/SlotOffer');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { generateToken } = require('../middleware/auth');
+const { sendEmail } = require('../utils/emailService');
+const { matchesEntry, expireOffers } = require('../utils/waitlist');
+
+const futureDate = (days = 3) => {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+describe('Waitlist matching', () => {
+  const slot = { date: new Date(2030, 0, 1), time: '18:00', duration: 50 }; // Tuesday
+
+  it('should match any slot without preferences', () => {
+    expect(matchesEntry({}, slot)).toBe(true);
+  });
+
+  it('should respect preferred days and date bounds', () => {
+    expect(matchesEntry({ preferredDays: [2] }, slot)).toBe(true);
+    expect(matchesEntry({ preferredDays: [1, 3] }, slot)).toBe(false);
+    expect(matchesEntry({ fromDate: '2030-01-02' }, slot)).toBe(false);
+    expect(matchesEntry({ untilDate: '2029-12-31' }, slot)).toBe(false);
+  });
+
+  it('should require the whole session inside a time range', () => {
+    expect(matchesEntry({ timeRanges: [{ start: '17:00', end: '19:00' }] }, slot)).toBe(true);
+    expect(matchesEntry({ timeRanges: [{ start: '17:00', end: '18:30' }] }, slot)).toBe(false);
+    expect(matchesEntry({ timeRanges: [{ start: '09:00', end: '12:00' }, { start: '18:00', end: '20:00' }] }, slot))
+      .toBe(true);
+  });
+});
+
+describe('Waitlist API', () => {
+  let adminToken, clients;
+
+  const offerToken = () => {
+    const offers = sendEmail.mock.calls.filter(([mail]) => mail.template === 'waitlistOffer');
+    return offers[offers.length - 1][0].data.claimLink.split('token=')[1];
+  };
+
+  beforeEach(async () => {
+    sendEmail.mockClear();
+
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      phone: '05531234567',
+      role: 'admin',
+      emailVerified: true
+    });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+
+    clients = [];
+    for (const [index, name] of ['First', 'Second', 'Booker'].entries()) {
+      const user = await User.create({
+        name: `${name} Client`,
+        email: `${name.toLowerCase()}@test.com`,
+        password: 'password123',
+        phone: `0554123456${index}`,
+        emailVerified: true
+      });
+      clients.push({ user, token: generateToken({ id: user._id, role: 'user' }) });
+    }
+  });
+
+  const join = (client, body = {}) => request(app)
+    .post('/api/waitlist')
+    .set('Authorization', `Bearer ${client.token}`)
+    .send({ timeRanges: [{ start: '17:00', end: '20:00' }], ...body });
+
+  const bookAndCancel = async (date, time) => {
+    const booker = clients[2];
+    const booked = await request(app)
+      .post('/api/appointments')
+      .set('Authorization', `Bearer ${booker.token}`)
+      .send({ date, time, type: 'individual' })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/appointments/${booked.body.data.appointment._id}/cancel`)
+      .set('Authorization', `Bearer ${booker.token}`)
+      .send({ reason: 'Plan değişikliği' })
+      .expect(200);
+  };
+
+  it('should offer a freed slot to the first matching client', async () => {
+    await join(clients[0]).expect(201);
+    await join(clients[1]).expect(201);
+
+    await bookAndCancel(futureDate(5), '10:00');
+    expect(await SlotOffer.countDocuments()).toBe(0);
+
+    await bookAndCancel(futureDate(5), '18:00');
+    const offer = await SlotOffer.findOne({ status: 'pending' });
+    expect(offer.user.toString()).toBe(clients[0].user._id.toString());
+
+    const claimed = await request(app)
+      .post(`/api/waitlist/offers/${offerToken()}/claim`)
+      .expect(201);
+    expect(claimed.body.data.appointment.time).toBe('18:00');
+
+    const appointment = await Appointment.findById(claimed.body.data.appointment._id);
+    expect(appointment.user.toString()).toBe(clients[0].user._id.toString());
+    expect((await WaitlistEntry.findOne({ user: clients[0].user._id })).status).toBe('booked');
+
+    await request(app)
+      .post(`/api/waitlist/offers/${offerToken()}/claim`)
+      .expect(410);
+  });
+
+  it('should pass declined and expired offers on to the next client', async () => {
+    await join(clients[0]).expect(201);
+    await join(clients[1]).expect(201);
+    await bookAndCancel(futureDate(6), '18:00');
+
+    await request(app)
+      .post(`/api/waitlist/offers/${offerToken()}/decline`)
+      .expect(200);
+
+    let offer = await SlotOffer.findOne({ status: 'pending' });
+    expect(offer.user.toString()).toBe(clients[1].user._id.toString());
+
+    await SlotOffer.updateOne({ _id: offer._id }, { expiresAt: new Date(Date.now() - 1000) });
+    expect(await expireOffers()).toBe(1);
+
+    offer = await SlotOffer.findOne({ status: 'pending' });
+    expect(offer).toBeNull();
+    expect(await WaitlistEntry.countDocuments({ status: 'waiting' })).toBe(2);
+  });
+
+  it('should let admins reorder the queue', async () => {
+    const first = await join(clients[0]).expect(201);
+    const second = await join(clients[1]).expect(201);
+
+    await request(app)
+      .put('/api/waitlist/reorder')
+      .set('Authorization', `Bearer ${clients[0].token}`)
+      .send({ order: [second.body.data.entry._id] })
+      .expect(403);
+
+    const res = await request(app)
+      .put('/api/waitlist/reorder')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ order: [second.body.data.entry._id] })
+      .expect(200);
+    expect(res.body.data.entries.map(e => e._id))
+      .toEqual([second.body.data.entry._id, first.body.data.entry._id]);
+
+    await bookAndCancel(futureDate(7), '18:00');
+    const offer = await SlotOffer.findOne({ status: 'pending' });
+    expect(offer.user.toString()).toBe(clients[1].user._id.toString());
+  });
+});
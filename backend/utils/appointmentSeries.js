@@ -0,0 +1,404 @@
+// Recurring appointment series ("every Tuesday 18:00 for 12 weeks").
+// A series is stored as an AppointmentSeries document; every occurrence is a
+// regular Appointment linked through `series`, so availability checks,
+// reminders and the admin views treat occurrences like any other booking.
+// Works against MongoDB or the mock store, like the booking routes.
+
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const { getReminderPolicy, getClientPreferences, buildReminders } = require('./reminderPolicy');
+const {
+  addDays,
+  toDateKey,
+  getInterval,
+  getAvailabilitySettings,
+  checkSlotAvailability,
+  findConflictingAppointment
+} = require('./availability');
+
+const FREQUENCY_DAYS = { weekly: 7, biweekly: 14 };
+const MAX_OCCURRENCES = 52;
+const ACTIVE_STATUSES = ['scheduled', 'confirmed'];
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const dayDiff = (fromKey, toKey) =>
+  Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / 86400000);
+
+/**
+ * Dates (YYYY-MM-DD) of a series, limited by `occurrences`, `endDate` or both.
+ */
+const buildOccurrenceDates = ({ startDate, frequency, occurrences, endDate }) => {
+  const step = FREQUENCY_DAYS[frequency];
+  const limit = Math.min(occurrences || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const dates = [];
+
+  let cursor = startDate;
+  while (dates.length < limit && (!endDate || cursor <= endDate)) {
+    dates.push(cursor);
+    cursor = addDays(cursor, step);
+  }
+  return dates;
+};
+
+/**
+ * Check every candidate occurrence against the availability rules and
+ * existing bookings. Candidates are { date, time, duration, excludeId? }.
+ * @returns {Promise<Array<{ date, time, available, reason?, message?, conflict? }>>}
+ */
+const planOccurrences = async (candidates, settings, now = new Date()) => {
+  const plan = [];
+
+  for (const candidate of candidates) {
+    const entry = { date: toDateKey(candidate.date), time: candidate.time, available: false };
+
+    if (getInterval(candidate).start <= now) {
+      plan.push({ ...entry, reason: 'past', message: 'Occurrence is in the past' });
+      continue;
+    }
+
+    const availability = await checkSlotAvailability(candidate, settings);
+    if (!availability.valid) {
+      plan.push({ ...entry, reason: 'unavailable', message: availability.message });
+      continue;
+    }
+
+    const conflict = await findConflictingAppointment(candidate, settings);
+    if (conflict) {
+      plan.push({
+        ...entry,
+        reason: 'conflict',
+        message: 'Time slot is already taken',
+        conflict: { time: conflict.time, duration: conflict.duration }
+      });
+      continue;
+    }
+
+    plan.push({ ...entry, available: true });
+  }
+
+  return plan;
+};
+
+/**
+ * Plan a new series without booking anything.
+ */
+const previewSeries = async (data) => {
+  const settings = await getAvailabilitySettings();
+  const duration = data.duration || settings.defaultDuration;
+  const dates = buildOccurrenceDates(data);
+  const plan = await planOccurrences(
+    dates.map(date => ({ date: new Date(date), time: data.time, duration })),
+    settings
+  );
+  return { duration, plan };
+};
+
+/**
+ * Create a series and book its occurrences. When any occurrence is blocked
+ * nothing is booked unless `skipConflicts` is set, in which case only the
+ * free occurrences are booked and the rest are recorded as skipped.
+ * @returns {Promise<{ created: boolean, plan, series?, appointments? }>}
+ */
+const createSeries = async (data, { createdBy } = {}) => {
+  const { duration, plan } = await previewSeries(data);
+  const blocked = plan.filter(o => !o.available);
+
+  if (plan.length === 0 || blocked.length === plan.length || (blocked.length > 0 && !data.skipConflicts)) {
+    return { created: false, plan };
+  }
+
+  const fields = {
+    user: data.user,
+    frequency: data.frequency,
+    dayOfWeek: new Date(data.startDate).getDay(),
+    startDate: plan[0].date,
+    endDate: plan[plan.length - 1].date,
+    occurrences: plan.length,
+    time: data.time,
+    duration,
+    type: data.type,
+    price: data.price || 0,
+    notes: data.notes,
+    skipped: blocked.map(o => ({ date: o.date, reason: o.message })),
+    createdBy
+  };
+
+  // Every occurrence belongs to the same client
+  const reminderContext = {
+    policy: await getReminderPolicy(),
+    preferences: await getClientPreferences({ user: data.user })
+  };
+
+  if (!isConnected()) {
+    const { mockSeries, mockAppointments, mockUsers } = require('./mockDb');
+    const series = { _id: `mock-series-${Date.now()}`, ...fields, status: 'active', createdAt: new Date() };
+    mockSeries.push(series);
+
+    const user = mockUsers.find(u => u._id === idOf(data.user)) || data.user;
+    const appointments = [];
+    for (const [index, occurrence] of plan.entries()) {
+      if (!occurrence.available) continue;
+      const appointment = {
+        _id: `mock-app-${Date.now()}-${index}`,
+        user,
+        date: new Date(occurrence.date),
+        time: data.time,
+        type: data.type,
+        duration,
+        notes: data.notes,
+        price: data.price || 0,
+        status: 'scheduled',
+        series: series._id,
+        seriesIndex: index,
+        createdAt: new Date()
+      };
+      appointment.reminders = await buildReminders(appointment, reminderContext);
+      mockAppointments.push(appointment);
+      appointments.push(appointment);
+    }
+
+    return { created: true, plan, series, appointments };
+  }
+
+  const series = await AppointmentSeries.create(fields);
+  const appointments = [];
+
+  for (const [index, occurrence] of plan.entries()) {
+    if (!occurrence.available) continue;
+    const appointment = new Appointment({
+      user: data.user,
+      date: new Date(occurrence.date),
+      time: data.time,
+      type: data.type,
+      duration,
+      notes: data.notes,
+      price: data.price || 0,
+      series: series._id,
+      seriesIndex: index
+    });
+    appointment.reminders = await buildReminders(appointment, reminderContext);
+
+    try {
+      await appointment.save();
+      appointments.push(appointment);
+    } catch (error) {
+      // Someone booked the slot between planning and saving
+      Object.assign(occurrence, { available: false, reason: 'conflict', message: error.message });
+      series.skipped.push({ date: occurrence.date, reason: error.message });
+    }
+  }
+
+  if (series.isModified('skipped')) await series.save();
+  return { created: true, plan, series, appointments };
+};
+
+const findSeriesById = async (id) => {
+  if (!isConnected()) {
+    const { mockSeries } = require('./mockDb');
+    return mockSeries.find(s => s._id === id) || null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return AppointmentSeries.findById(id).populate('user', 'name email phone');
+};
+
+/**
+ * All occurrences of a series in chronological order.
+ */
+const getSeriesOccurrences = async (seriesId) => {
+  if (!isConnected()) {
+    const { mockAppointments } = require('./mockDb');
+    return mockAppointments
+      .filter(a => a.series && idOf(a.series) === idOf(seriesId))
+      .sort((a, b) => getInterval(a).start - getInterval(b).start);
+  }
+  return Appointment.find({ series: seriesId }).sort({ date: 1, time: 1 });
+};
+
+/**
+ * Series of a user (or of everyone when userId is omitted), newest first.
+ */
+const listSeries = async ({ userId } = {}) => {
+  if (!isConnected()) {
+    const { mockSeries } = require('./mockDb');
+    return mockSeries
+      .filter(s => !userId || idOf(s.user) === idOf(userId))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+  const filter = userId ? { user: userId } : {};
+  return AppointmentSeries.find(filter)
+    .populate('user', 'name email phone')
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * The given occurrence and every later active occurrence of its series.
+ */
+const getFollowingOccurrences = async (appointment) => {
+  const from = getInterval(appointment).start;
+  const occurrences = await getSeriesOccurrences(appointment.series);
+  return occurrences.filter(a =>
+    ACTIVE_STATUSES.includes(a.status) && getInterval(a).start >= from
+  );
+};
+
+const updateSeriesFields = async (seriesId, fields) => {
+  if (!isConnected()) {
+    const series = await findSeriesById(idOf(seriesId));
+    if (series) Object.assign(series, fields, { updatedAt: new Date() });
+    return;
+  }
+  await AppointmentSeries.updateOne({ _id: seriesId }, { $set: fields });
+};
+
+/**
+ * Apply changes to an occurrence and all following ones. A `date` change is
+ * applied as a shift in days, so the weekly rhythm is kept. Nothing changes
+ * when any moved occurrence would be blocked.
+ * @returns {Promise<{ updated: boolean, plan, appointments? }>}
+ */
+const updateFollowing = async (appointment, changes) => {
+  const occurrences = await getFollowingOccurrences(appointment);
+  const shift = changes.date ? dayDiff(toDateKey(appointment.date), toDateKey(changes.date)) : 0;
+  const moves = Boolean(shift || changes.time || changes.duration);
+
+  const candidates = occurrences.map(occurrence => ({
+    excludeId: occurrence._id,
+    _id: occurrence._id,
+    date: shift ? new Date(addDays(toDateKey(occurrence.date), shift)) : occurrence.date,
+    time: changes.time || occurrence.time,
+    duration: changes.duration || occurrence.duration
+  }));
+
+  let plan = candidates.map(c => ({ date: toDateKey(c.date), time: c.time, available: true }));
+  if (moves) {
+    const settings = await getAvailabilitySettings();
+    plan = await planOccurrences(candidates, settings);
+    if (plan.some(o => !o.available)) {
+      return { updated: false, plan };
+    }
+  }
+
+  const apply = (occurrence, candidate) => {
+    occurrence.date = candidate.date;
+    occurrence.time = candidate.time;
+    occurrence.duration = candidate.duration;
+    ['type', 'notes', 'price'].forEach(field => {
+      if (changes[field] !== undefined) occurrence[field] = changes[field];
+    });
+  };
+
+  const reminderContext = moves && occurrences.length > 0
+    ? { policy: await getReminderPolicy(), preferences: await getClientPreferences(occurrences[0]) }
+    : null;
+
+  for (const [index, occurrence] of occurrences.entries()) {
+    apply(occurrence, candidates[index]);
+    if (!isConnected()) {
+      if (moves) {
+        occurrence.reminders = await buildReminders(occurrence, reminderContext);
+        occurrence.rescheduleRequired = false;
+        occurrence.calendarSequence = (occurrence.calendarSequence || 0) + 1;
+        delete occurrence.rescheduleReason;
+        delete occurrence.blackout;
+      }
+      occurrence.updatedAt = new Date();
+    } else {
+      if (moves) occurrence.reminders = await buildReminders(occurrence, reminderContext);
+      await occurrence.save();
+    }
+  }
+
+  // The series describes the pattern of its remaining sessions
+  const seriesFields = {};
+  ['time', 'duration', 'type', 'price', 'notes'].forEach(field => {
+    if (changes[field] !== undefined) seriesFields[field] = changes[field];
+  });
+  if (shift && occurrences.length > 0) {
+    seriesFields.dayOfWeek = new Date(candidates[0].date).getDay();
+    seriesFields.endDate = toDateKey(candidates[candidates.length - 1].date);
+  }
+  if (Object.keys(seriesFields).length > 0) {
+    await updateSeriesFields(appointment.series, seriesFields);
+  }
+
+  return { updated: true, plan, appointments: occurrences };
+};
+
+const cancelOccurrences = async (occurrences, reason, cancelledBy) => {
+  for (const occurrence of occurrences) {
+    if (!isConnected()) {
+      Object.assign(occurrence, {
+        status: 'cancelled',
+        cancellationReason: reason,
+        cancelledAt: new Date(),
+        cancelledBy,
+        calendarSequence: (occurrence.calendarSequence || 0) + 1
+      });
+    } else {
+      await occurrence.cancel(reason, cancelledBy);
+    }
+  }
+};
+
+// A series with no active upcoming occurrence left is finished
+const closeSeriesIfEmpty = async (seriesId, reason) => {
+  const now = new Date();
+  const remaining = (await getSeriesOccurrences(seriesId)).filter(a =>
+    ACTIVE_STATUSES.includes(a.status) && getInterval(a).start > now
+  );
+  if (remaining.length === 0) {
+    await updateSeriesFields(seriesId, { status: 'cancelled', cancelledAt: now, cancellationReason: reason });
+  }
+};
+
+/**
+ * Cancel an occurrence and all following ones.
+ * @returns {Promise<Array>} the cancelled occurrences
+ */
+const cancelFollowing = async (appointment, { reason, cancelledBy }) => {
+  const occurrences = await getFollowingOccurrences(appointment);
+  await cancelOccurrences(occurrences, reason, cancelledBy);
+  await closeSeriesIfEmpty(appointment.series, reason);
+  return occurrences;
+};
+
+/**
+ * Cancel every upcoming occurrence of a series. Clients cannot cancel
+ * sessions that start within 24 hours; those are kept and reported.
+ * @returns {Promise<{ cancelled: Array, kept: Array }>}
+ */
+const cancelSeries = async (series, { reason, cancelledBy, isAdmin }) => {
+  const now = new Date();
+  const noticeLimit = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+  const upcoming = (await getSeriesOccurrences(series._id)).filter(a =>
+    ACTIVE_STATUSES.includes(a.status) && getInterval(a).start > now
+  );
+
+  const cancelled = upcoming.filter(a => isAdmin || getInterval(a).start > noticeLimit);
+  const kept = upcoming.filter(a => !cancelled.includes(a));
+
+  await cancelOccurrences(cancelled, reason, cancelledBy);
+  await updateSeriesFields(series._id, { status: 'cancelled', cancelledAt: now, cancellationReason: reason });
+
+  return { cancelled, kept };
+};
+
+module.exports = {
+  FREQUENCY_DAYS,
+  MAX_OCCURRENCES,
+  buildOccurrenceDates,
+  planOccurrences,
+  previewSeries,
+  createSeries,
+  findSeriesById,
+  getSeriesOccurrences,
+  listSeries,
+  getFollowingOccurrences,
+  updateFollowing,
+  cancelFollowing,
+  cancelSeries
+};
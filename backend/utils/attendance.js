@@ -0,0 +1,338 @@
+// Attendance: what happened to a session once its time has passed. Past
+// sessions still scheduled or confirmed wait in the "awaiting outcome" queue
+// until the therapist records completed, no-show or late-cancelled. Optional
+// auto-resolution settles sessions left open for too long and reports each
+// run to the practice. No-shows per client feed the no-show policy, which can
+// flag a client or stop their online bookings.
+// Settings live in MongoDB (AttendanceSettings, singleton document) with an
+// in-memory fallback; appointments come from MongoDB or the mock store.
+
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const AttendanceSettings = require('../models/AttendanceSettings');
+const User = require('../models/User');
+const { getInterval } = require('./availability');
+const { offerFreedSlot } = require('./waitlist');
+
+const OUTCOMES = ['completed', 'no-show', 'late-cancelled'];
+const OPEN_STATUSES = ['scheduled', 'confirmed'];
+// A cancellation inside this window before the session counts as late
+const LATE_CANCEL_HOURS = 24;
+// How long auto-resolved sessions stay listed next to the queue for review
+const AUTO_REVIEW_DAYS = 14;
+const BOOKING_BLOCKED_MESSAGE = 'Online booking is not available for this account because of missed sessions. Please call the practice to book.';
+
+const defaultAttendanceSettings = {
+  autoResolve: { enabled: false, afterDays: 7, outcome: 'completed' },
+  noShowPolicy: { threshold: 3, windowDays: 180, countLateCancellations: true, action: 'flag' }
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// In-memory fallback when MongoDB is not connected
+let attendanceSettings = clone(defaultAttendanceSettings);
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+const requestError = (statusCode, message, problems) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (problems) error.problems = problems;
+  return error;
+};
+
+const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * List of problems with the settings (empty when valid).
+ */
+const validateAttendanceSettings = ({ autoResolve = {}, noShowPolicy = {} }) => {
+  const problems = [];
+  if (typeof autoResolve.enabled !== 'boolean') problems.push('autoResolve.enabled must be boolean');
+  if (!isInt(autoResolve.afterDays, 1, 60)) problems.push('autoResolve.afterDays must be between 1 and 60');
+  if (!['completed', 'no-show'].includes(autoResolve.outcome)) problems.push('autoResolve.outcome must be completed or no-show');
+  if (!isInt(noShowPolicy.threshold, 1, 20)) problems.push('noShowPolicy.threshold must be between 1 and 20');
+  if (!isInt(noShowPolicy.windowDays, 7, 730)) problems.push('noShowPolicy.windowDays must be between 7 and 730');
+  if (typeof noShowPolicy.countLateCancellations !== 'boolean') problems.push('noShowPolicy.countLateCancellations must be boolean');
+  if (!['flag', 'block'].includes(noShowPolicy.action)) problems.push('noShowPolicy.action must be flag or block');
+  return problems;
+};
+
+/**
+ * Fetch the active attendance settings (MongoDB or in-memory fallback).
+ */
+const getAttendanceSettings = async () => {
+  if (isConnected()) {
+    try {
+      let settings = await AttendanceSettings.findOne();
+      if (!settings) {
+        settings = await AttendanceSettings.create(defaultAttendanceSettings);
+      }
+      return toPlain(settings);
+    } catch (err) {
+      console.error('Error fetching attendance settings from DB:', err.message);
+      return attendanceSettings;
+    }
+  }
+  return attendanceSettings;
+};
+
+/**
+ * Merge a partial update into the settings. Throws an error with statusCode 400 when invalid.
+ */
+const updateAttendanceSettings = async (update) => {
+  const current = clone(await getAttendanceSettings());
+  const merged = {
+    autoResolve: { ...current.autoResolve, ...(update.autoResolve || {}) },
+    noShowPolicy: { ...current.noShowPolicy, ...(update.noShowPolicy || {}) }
+  };
+
+  const problems = validateAttendanceSettings(merged);
+  if (problems.length > 0) {
+    throw requestError(400, problems.join(', '), problems);
+  }
+
+  if (isConnected()) {
+    let settings = await AttendanceSettings.findOne();
+    if (!settings) {
+      settings = new AttendanceSettings(defaultAttendanceSettings);
+    }
+    settings.autoResolve = merged.autoResolve;
+    settings.noShowPolicy = merged.noShowPolicy;
+    await settings.save();
+    return toPlain(settings);
+  }
+
+  attendanceSettings = { ...merged, updatedAt: new Date() };
+  return attendanceSettings;
+};
+
+// Open sessions that started before `until`, oldest first
+const findOpenSessions = async (until) => {
+  let appointments;
+  if (!isConnected()) {
+    const { mockAppointments } = require('./mockDb');
+    appointments = mockAppointments.filter(a => OPEN_STATUSES.includes(a.status) && new Date(a.date) <= until);
+  } else {
+    appointments = await Appointment.find({
+      status: { $in: OPEN_STATUSES },
+      date: { $lte: until }
+    }).populate('user', 'name email phone');
+  }
+  return appointments
+    .filter(a => getInterval(a).end <= until)
+    .sort((a, b) => getInterval(a).start - getInterval(b).start);
+};
+
+// Filter for the no-shows of a client within the policy window
+const noShowsMatch = (client, policy, now) => {
+  const since = new Date(now.getTime() - policy.windowDays * 24 * 60 * 60 * 1000);
+  const statuses = policy.countLateCancellations ? ['no-show', 'late-cancelled'] : ['no-show'];
+  const email = client.email && client.email.toLowerCase();
+  return {
+    matches: (a) => statuses.includes(a.status) && new Date(a.date) >= since && (
+      (client.userId && a.user && idOf(a.user) === idOf(client.userId)) ||
+      (email && a.guest && a.guest.email === email)
+    ),
+    query: {
+      status: { $in: statuses },
+      date: { $gte: since },
+      $or: [
+        ...(client.userId ? [{ user: idOf(client.userId) }] : []),
+        ...(email ? [{ 'guest.email': email }] : [])
+      ]
+    }
+  };
+};
+
+// A guest email that belongs to an account also counts the account's sessions
+const withAccount = async (client) => {
+  if (client.userId || !client.email) return client;
+  const email = client.email.toLowerCase();
+  let user;
+  if (!isConnected()) {
+    const { mockUsers } = require('./mockDb');
+    user = mockUsers.find(u => u.email && u.email.toLowerCase() === email);
+  } else {
+    user = await User.findOne({ email }).select('_id');
+  }
+  return user ? { ...client, userId: user._id } : client;
+};
+
+/**
+ * How a client stands against the no-show policy. A client is identified by
+ * user id and/or email, so guest bookings under the same address count too.
+ * @param {{ userId?: string, email?: string }} client
+ */
+const getNoShowStanding = async (client, settings, now = new Date()) => {
+  const { noShowPolicy } = settings || await getAttendanceSettings();
+  client = await withAccount(client);
+  const { matches, query } = noShowsMatch(client, noShowPolicy, now);
+
+  let count = 0;
+  if (client.userId || client.email) {
+    if (!isConnected()) {
+      const { mockAppointments } = require('./mockDb');
+      count = mockAppointments.filter(matches).length;
+    } else {
+      count = await Appointment.countDocuments(query);
+    }
+  }
+
+  const flagged = count >= noShowPolicy.threshold;
+  return {
+    count,
+    threshold: noShowPolicy.threshold,
+    windowDays: noShowPolicy.windowDays,
+    flagged,
+    bookingBlocked: flagged && noShowPolicy.action === 'block'
+  };
+};
+
+/**
+ * Throws 403 when the no-show policy stops this client from booking online.
+ */
+const assertCanBookOnline = async (client) => {
+  const standing = await getNoShowStanding(client);
+  if (standing.bookingBlocked) {
+    throw requestError(403, BOOKING_BLOCKED_MESSAGE);
+  }
+  return standing;
+};
+
+const clientOf = (appointment) => ({
+  userId: appointment.user ? idOf(appointment.user) : undefined,
+  email: (Appointment.clientOf(appointment) || {}).email
+});
+
+/**
+ * Past sessions without an outcome, each with the client's no-show standing,
+ * and the sessions auto-resolved recently so they can be corrected.
+ */
+const listAwaitingOutcome = async (now = new Date()) => {
+  const settings = await getAttendanceSettings();
+  const sessions = await findOpenSessions(now);
+
+  const standings = new Map();
+  const awaiting = [];
+  for (const appointment of sessions) {
+    const client = clientOf(appointment);
+    const key = client.userId || client.email || idOf(appointment);
+    if (!standings.has(key)) {
+      standings.set(key, await getNoShowStanding(client, settings, now));
+    }
+    awaiting.push({ ...toPlain(appointment), noShows: standings.get(key) });
+  }
+
+  const since = new Date(now.getTime() - AUTO_REVIEW_DAYS * 24 * 60 * 60 * 1000);
+  let autoResolved;
+  if (!isConnected()) {
+    const { mockAppointments } = require('./mockDb');
+    autoResolved = mockAppointments.filter(a =>
+      a.attendance && a.attendance.source === 'auto' && new Date(a.attendance.recordedAt) >= since
+    );
+  } else {
+    autoResolved = await Appointment.find({
+      'attendance.source': 'auto',
+      'attendance.recordedAt': { $gte: since }
+    }).populate('user', 'name email phone').sort({ 'attendance.recordedAt': -1 });
+  }
+
+  return { awaiting, autoResolved, settings };
+};
+
+/**
+ * Record the outcome of a session. Completed and no-show need the session to
+ * have started; a late cancellation can be recorded from 24 hours before it.
+ * An outcome that was already recorded can be corrected.
+ * @param {string} id - appointment id
+ * @param {{ outcome: string, note?: string }} outcome
+ * @param {{ by?: string, source?: 'therapist'|'auto', now?: Date }} [options]
+ */
+const recordOutcome = async (id, { outcome, note }, { by, source = 'therapist', now = new Date() } = {}) => {
+  if (!OUTCOMES.includes(outcome)) {
+    throw requestError(400, `Outcome must be one of ${OUTCOMES.join(', ')}`);
+  }
+
+  let appointment;
+  if (!isConnected()) {
+    const { mockAppointments } = require('./mockDb');
+    appointment = mockAppointments.find(a => a._id === id);
+  } else if (mongoose.isValidObjectId(id)) {
+    appointment = await Appointment.findById(id).populate('user', 'name email phone');
+  }
+  if (!appointment) {
+    throw requestError(404, 'Appointment not found');
+  }
+
+  if (![...OPEN_STATUSES, ...OUTCOMES].includes(appointment.status)) {
+    throw requestError(409, `An outcome cannot be recorded for a ${appointment.status} appointment`);
+  }
+
+  const { start } = getInterval(appointment);
+  const earliest = outcome === 'late-cancelled'
+    ? new Date(start.getTime() - LATE_CANCEL_HOURS * 60 * 60 * 1000)
+    : start;
+  if (now < earliest) {
+    throw requestError(409, outcome === 'late-cancelled'
+      ? 'Sessions more than 24 hours away are cancelled, not late-cancelled'
+      : 'The session has not started yet');
+  }
+
+  const wasOpen = OPEN_STATUSES.includes(appointment.status);
+  const attendance = {
+    recordedAt: now,
+    source,
+    ...(by && { recordedBy: by }),
+    ...(note && { note })
+  };
+
+  appointment.status = outcome;
+  appointment.attendance = attendance;
+  if (isConnected()) {
+    await appointment.save();
+  } else {
+    appointment.updatedAt = now;
+  }
+
+  // A late cancellation before the session still frees the slot
+  if (wasOpen && outcome === 'late-cancelled' && start > now) {
+    await offerFreedSlot(appointment);
+  }
+  return appointment;
+};
+
+/**
+ * Settle the sessions left open for longer than autoResolve.afterDays with
+ * the configured outcome. Does nothing unless auto-resolution is enabled.
+ * @returns {Promise<Array>} the appointments that were settled
+ */
+const autoResolveOutcomes = async (now = new Date()) => {
+  const { autoResolve } = await getAttendanceSettings();
+  if (!autoResolve.enabled) return [];
+
+  const cutoff = new Date(now.getTime() - autoResolve.afterDays * 24 * 60 * 60 * 1000);
+  const resolved = [];
+  for (const appointment of await findOpenSessions(cutoff)) {
+    resolved.push(await recordOutcome(idOf(appointment), { outcome: autoResolve.outcome }, { source: 'auto', now }));
+  }
+  return resolved;
+};
+
+module.exports = {
+  OUTCOMES,
+  BOOKING_BLOCKED_MESSAGE,
+  defaultAttendanceSettings,
+  validateAttendanceSettings,
+  getAttendanceSettings,
+  updateAttendanceSettings,
+  getNoShowStanding,
+  assertCanBookOnline,
+  listAwaitingOutcome,
+  recordOutcome,
+  autoResolveOutcomes
+};
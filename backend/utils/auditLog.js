@@ -0,0 +1,343 @@
+// Audit log of sensitive actions: who viewed a client's record, changed an
+// appointment status, an account or the site settings, from where and when.
+// Entries are only ever appended. Each one stores the SHA-256 of its own
+// fields together with the hash of the entry before, so changing, removing or
+// inserting an entry anywhere in the chain breaks every hash after it.
+// verifyChain() walks the chain and reports the first entry that does not add up.
+//
+// Without MongoDB the chain lives in mockDb and is lost on restart.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+const ACTIONS = [
+  'client.view',
+  'appointment.status',
+  'user.status',
+  'user.role',
+  'user.unlock',
+  'site-settings.update',
+  'site-settings.reset',
+  'audit-log.export'
+];
+
+const TARGET_TYPES = ['user', 'appointment', 'site-settings', 'audit-log'];
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+const EXPORT_LIMIT = 10000;
+// Bookkeeping fields that change on every save and say nothing about the action
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const mockEntries = () => require('./mockDb').mockAuditLog;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// JSON with sorted keys, so a hash does not depend on the order fields come back in
+const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const orNull = (value) => (value === undefined || value === '' ? null : value);
+
+// The fields a hash covers, with empty ones as null on both the write and the read side
+const hashedFields = (entry) => ({
+  seq: entry.seq,
+  createdAt: new Date(entry.createdAt).toISOString(),
+  actor: {
+    id: orNull(entry.actor && entry.actor.id),
+    name: orNull(entry.actor && entry.actor.name),
+    email: orNull(entry.actor && entry.actor.email),
+    role: orNull(entry.actor && entry.actor.role)
+  },
+  action: entry.action,
+  target: {
+    type: orNull(entry.target && entry.target.type),
+    id: orNull(entry.target && entry.target.id),
+    label: orNull(entry.target && entry.target.label)
+  },
+  changes: entry.changes && entry.changes.length > 0 ? entry.changes : null,
+  ipAddress: orNull(entry.ipAddress),
+  userAgent: orNull(entry.userAgent),
+  prevHash: entry.prevHash
+});
+
+const hashEntry = (entry) => crypto.createHash('sha256').update(canonical(hashedFields(entry))).digest('hex');
+
+const plain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const flatten = (value, prefix, out) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [key, field] of Object.entries(value)) {
+      if (!IGNORED_FIELDS.includes(key)) flatten(field, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+/**
+ * Fields that differ between two versions of a record, by dotted path.
+ * Arrays count as one value. Documents are compared in their JSON form.
+ * @returns {{ field: string, from, to }[]|null} null when nothing changed
+ */
+const diffChanges = (before, after) => {
+  const from = flatten(plain(before), '', {});
+  const to = flatten(plain(after), '', {});
+  const changes = [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter(field => canonical(from[field]) !== canonical(to[field]))
+    .map(field => ({ field, from: orNull(from[field]), to: orNull(to[field]) }));
+  return changes.length > 0 ? changes : null;
+};
+
+const lastEntry = async () => {
+  if (!isConnected()) {
+    const entries = mockEntries();
+    return entries[entries.length - 1] || null;
+  }
+  return AuditLog.findOne().sort({ seq: -1 }).select('seq hash').lean();
+};
+
+const insertNext = async (fields) => {
+  const last = await lastEntry();
+  const entry = { ...fields, seq: last ? last.seq + 1 : 1, prevHash: last ? last.hash : GENESIS_HASH };
+  entry.hash = hashEntry(entry);
+
+  if (!isConnected()) {
+    mockEntries().push(entry);
+    return entry;
+  }
+  return (await AuditLog.create(entry)).toObject();
+};
+
+// Appends from this process go one after another. Another server process can
+// still take the same seq; the unique index turns that away and we retry.
+let appendQueue = Promise.resolve();
+
+const append = (fields) => {
+  const run = appendQueue.then(async () => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await insertNext(fields);
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+      }
+    }
+  });
+  appendQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Record an action of the logged-in user. Pass `before` and `after` to store
+ * what changed. A failure to write the entry is logged and never fails the
+ * request that triggered it.
+ * @param {import('express').Request} req
+ * @param {{ action: string, target: { type: string, id?, label? }, before?, after? }} details
+ * @returns {Promise<Object|null>} the entry, or null when it could not be written
+ */
+const recordAudit = async (req, { action, target, before, after }) => {
+  const user = req.user || {};
+  try {
+    return await append({
+      createdAt: new Date(),
+      actor: {
+        id: user._id ? String(user._id) : undefined,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      },
+      action,
+      target: {
+        type: target.type,
+        id: target.id ? String(target.id) : undefined,
+        label: target.label
+      },
+      changes: before !== undefined || after !== undefined ? diffChanges(before, after) : null,
+      ipAddress: req.ip,
+      userAgent: (req.get('user-agent') || '').slice(0, 500)
+    });
+  } catch (error) {
+    console.error(`Failed to write audit log entry (${action}):`, error);
+    return null;
+  }
+};
+
+const dateRange = ({ from, to }) => {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) {
+    // A bare date includes that whole day
+    const end = new Date(to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setDate(end.getDate() + 1);
+    range.$lt = end;
+  }
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+const matchesFilters = (entry, filters, range) => {
+  const search = filters.actor ? filters.actor.toLowerCase() : null;
+  const at = new Date(entry.createdAt);
+  return (!filters.action || entry.action === filters.action) &&
+    (!filters.targetType || entry.target.type === filters.targetType) &&
+    (!filters.targetId || entry.target.id === filters.targetId) &&
+    (!search || [entry.actor.name, entry.actor.email, entry.actor.id]
+      .some(value => value && value.toLowerCase().includes(search))) &&
+    (!range || ((!range.$gte || at >= range.$gte) && (!range.$lt || at < range.$lt)));
+};
+
+const buildFilter = (filters, range) => {
+  const filter = {};
+  if (filters.action) filter.action = filters.action;
+  if (filters.targetType) filter['target.type'] = filters.targetType;
+  if (filters.targetId) filter['target.id'] = filters.targetId;
+  if (filters.actor) {
+    const pattern = { $regex: escapeRegex(filters.actor), $options: 'i' };
+    filter.$or = [{ 'actor.name': pattern }, { 'actor.email': pattern }, { 'actor.id': filters.actor }];
+  }
+  if (range) filter.createdAt = range;
+  return filter;
+};
+
+/**
+ * Entries matching the filters, newest first
+ * @param {{ actor?, action?, targetType?, targetId?, from?, to?, page?, limit? }} filters
+ */
+const listAuditLog = async ({ page = 1, limit = 20, ...filters } = {}) => {
+  const range = dateRange(filters);
+  let entries;
+  let total;
+
+  if (!isConnected()) {
+    const filtered = mockEntries().filter(entry => matchesFilters(entry, filters, range)).reverse();
+    total = filtered.length;
+    entries = filtered.slice((page - 1) * limit, page * limit);
+  } else {
+    const filter = buildFilter(filters, range);
+    [entries, total] = await Promise.all([
+      AuditLog.find(filter).sort({ seq: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+  }
+
+  return {
+    entries,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      limit
+    }
+  };
+};
+
+const CSV_COLUMNS = [
+  ['seq', e => e.seq],
+  ['createdAt', e => new Date(e.createdAt).toISOString()],
+  ['actorName', e => e.actor.name],
+  ['actorEmail', e => e.actor.email],
+  ['actorRole', e => e.actor.role],
+  ['action', e => e.action],
+  ['targetType', e => e.target.type],
+  ['targetId', e => e.target.id],
+  ['targetLabel', e => e.target.label],
+  ['changes', e => (e.changes || []).map(c => `${c.field}: ${JSON.stringify(c.from)} -> ${JSON.stringify(c.to)}`).join('; ')],
+  ['ipAddress', e => e.ipAddress],
+  ['userAgent', e => e.userAgent],
+  ['prevHash', e => e.prevHash],
+  ['hash', e => e.hash]
+];
+
+// Quoted, and a leading =, +, - or @ is defused so spreadsheets show it as text
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * The matching entries as CSV, oldest first, at most EXPORT_LIMIT of them
+ * @returns {Promise<{ csv: string, count: number, truncated: boolean }>}
+ */
+const exportAuditLog = async (filters = {}) => {
+  const range = dateRange(filters);
+  let entries;
+  if (!isConnected()) {
+    entries = mockEntries().filter(entry => matchesFilters(entry, filters, range));
+  } else {
+    entries = await AuditLog.find(buildFilter(filters, range)).sort({ seq: 1 }).limit(EXPORT_LIMIT + 1).lean();
+  }
+  const truncated = entries.length > EXPORT_LIMIT;
+  entries = entries.slice(0, EXPORT_LIMIT);
+
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(',')]
+    .concat(entries.map(entry => CSV_COLUMNS.map(([, read]) => csvCell(read(entry))).join(',')));
+  return { csv: `${lines.join('\r\n')}\r\n`, count: entries.length, truncated };
+};
+
+/**
+ * Recompute every hash in order. `brokenAt` is the first entry whose hash,
+ * link to the one before or position does not match. Dropping the newest
+ * entries leaves a valid but shorter chain, so compare `head` (the newest
+ * entry of an intact chain) with a copy kept elsewhere, such as an earlier export.
+ * @returns {Promise<{ valid: boolean, checked: number, head: { seq, hash }|null, brokenAt: { seq, reason }|null }>}
+ */
+const verifyChain = async () => {
+  let previous = null;
+  let checked = 0;
+
+  const check = (entry) => {
+    const expectedSeq = previous ? previous.seq + 1 : 1;
+    const expectedPrev = previous ? previous.hash : GENESIS_HASH;
+    let reason = null;
+    if (entry.seq !== expectedSeq) reason = `expected entry ${expectedSeq}, found ${entry.seq}`;
+    else if (entry.prevHash !== expectedPrev) reason = 'does not link to the entry before';
+    else if (entry.hash !== hashEntry(entry)) reason = 'content does not match its hash';
+    checked += 1;
+    previous = entry;
+    return reason;
+  };
+
+  const result = (brokenAt) => ({
+    valid: !brokenAt,
+    checked,
+    head: !brokenAt && previous ? { seq: previous.seq, hash: previous.hash } : null,
+    brokenAt
+  });
+
+  if (!isConnected()) {
+    for (const entry of mockEntries()) {
+      const reason = check(entry);
+      if (reason) return result({ seq: entry.seq, reason });
+    }
+    return result(null);
+  }
+
+  const cursor = AuditLog.find().sort({ seq: 1 }).lean().cursor();
+  for await (const entry of cursor) {
+    const reason = check(entry);
+    if (reason) {
+      await cursor.close();
+      return result({ seq: entry.seq, reason });
+    }
+  }
+  return result(null);
+};
+
+module.exports = {
+  ACTIONS,
+  TARGET_TYPES,
+  diffChanges,
+  recordAudit,
+  listAuditLog,
+  exportAuditLog,
+  verifyChain
+};
@@ -0,0 +1,239 @@
+// Login sessions. Every login opens a session on the server; its refresh token
+// names the session and the one token of it that is currently valid. A refresh
+// replaces that token (rotation), so each refresh token works once. When an
+// already used token comes back, someone kept a copy of it: the session is
+// revoked, which ends the login for the thief and the owner alike.
+// A session ends JWT_REFRESH_EXPIRE after the login, however often it is
+// refreshed: rotation keeps its expiresAt and no refresh token outlives it.
+// Access tokens carry the session id, so authenticateToken can turn them away
+// as soon as their session is revoked. Access tokens without a session (issued
+// before sessions existed) are cut off by the user's tokensValidAfter instead.
+//
+// Works against MongoDB or the mock store.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const AuthSession = require('../models/AuthSession');
+const User = require('../models/User');
+const { generateToken, generateRefreshToken, verifyRefreshToken } = require('../middleware/auth');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const newId = () => `ses_${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const requestError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const mockStore = () => require('./mockDb');
+
+// A refresh token for the session and the fields that make it the current one.
+// A new session takes its expiry from the token; a rotated token ends with its session.
+const signRefreshToken = (userId, sessionId, sessionExpiresAt) => {
+  const tokenId = crypto.randomBytes(16).toString('hex');
+  const refreshToken = generateRefreshToken(
+    { id: idOf(userId), sid: idOf(sessionId), jti: tokenId },
+    { expiresAt: sessionExpiresAt }
+  );
+  return {
+    refreshToken,
+    fields: {
+      tokenHash: hashToken(tokenId),
+      ...(!sessionExpiresAt && { expiresAt: new Date(jwt.decode(refreshToken).exp * 1000) })
+    }
+  };
+};
+
+// tfa marks a session that passed two-factor authentication
+const accessToken = (user, sessionId, twoFactor = false) => generateToken({
+  id: idOf(user._id),
+  email: user.email,
+  role: user.role,
+  sid: idOf(sessionId),
+  ...(twoFactor && { tfa: true })
+});
+
+const findSession = async (sessionId) => {
+  if (!isConnected()) {
+    return mockStore().mockAuthSessions.find(s => s._id === String(sessionId)) || null;
+  }
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+  return AuthSession.findById(sessionId).lean();
+};
+
+/**
+ * Open a session for a user who just logged in
+ * @param {{ _id, email, role }} user
+ * @param {{ userAgent?, ipAddress? }} client
+ * @param {{ twoFactor?: boolean }} [options] - the login passed two-factor authentication
+ * @returns {Promise<{ token: string, refreshToken: string, sessionId: string }>}
+ */
+const createSession = async (user, { userAgent, ipAddress } = {}, { twoFactor = false } = {}) => {
+  const now = new Date();
+  const sessionId = isConnected() ? new mongoose.Types.ObjectId() : newId();
+  const { refreshToken, fields } = signRefreshToken(user._id, sessionId);
+  const session = {
+    _id: sessionId,
+    user: user._id,
+    ...fields,
+    userAgent: userAgent && String(userAgent).slice(0, 500),
+    ipAddress,
+    twoFactor,
+    lastUsedAt: now
+  };
+
+  if (!isConnected()) {
+    mockStore().mockAuthSessions.push({ ...session, createdAt: now, updatedAt: now });
+  } else {
+    await AuthSession.create(session);
+  }
+  return { token: accessToken(user, sessionId, twoFactor), refreshToken, sessionId: idOf(sessionId) };
+};
+
+/**
+ * Record that a session passed two-factor authentication after it was opened
+ * (the admin turned two-factor on from it)
+ */
+const markSessionTwoFactor = async (sessionId) => {
+  if (!isConnected()) {
+    const session = mockStore().mockAuthSessions.find(s => s._id === String(sessionId));
+    if (session) Object.assign(session, { twoFactor: true, updatedAt: new Date() });
+    return;
+  }
+  if (!mongoose.isValidObjectId(sessionId)) return;
+  await AuthSession.updateOne({ _id: sessionId }, { $set: { twoFactor: true } });
+};
+
+/**
+ * Revoke one session. Revoking it again keeps the first reason.
+ * @returns {Promise<boolean>} whether the session was still open
+ */
+const revokeSession = async (sessionId, reason, now = new Date()) => {
+  if (!isConnected()) {
+    const session = mockStore().mockAuthSessions.find(s => s._id === String(sessionId));
+    if (!session || session.revokedAt) return false;
+    Object.assign(session, { revokedAt: now, revokedReason: reason, updatedAt: now });
+    return true;
+  }
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  const result = await AuthSession.updateOne(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: now, revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every session of a user, optionally except the one in use, and
+ * invalidate the access tokens that carry no session
+ * @returns {Promise<number>} sessions revoked
+ */
+const revokeAllSessions = async (userId, reason, { except, now = new Date() } = {}) => {
+  if (!isConnected()) {
+    const open = mockStore().mockAuthSessions.filter(s =>
+      idOf(s.user) === idOf(userId) && !s.revokedAt && s._id !== except);
+    open.forEach(s => Object.assign(s, { revokedAt: now, revokedReason: reason, updatedAt: now }));
+    const user = mockStore().mockUsers.find(u => idOf(u._id) === idOf(userId));
+    if (user) user.tokensValidAfter = now;
+    return open.length;
+  }
+
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (except && mongoose.isValidObjectId(except)) filter._id = { $ne: except };
+  const [result] = await Promise.all([
+    AuthSession.updateMany(filter, { $set: { revokedAt: now, revokedReason: reason } }),
+    User.updateOne({ _id: userId }, { $set: { tokensValidAfter: now } })
+  ]);
+  return result.modifiedCount;
+};
+
+/**
+ * Trade a refresh token for a new access token and a new refresh token.
+ * Throws an error with statusCode 401 when the token is invalid, its session
+ * is revoked or expired, or the token was already used (the session is then
+ * revoked).
+ * @param {{ userAgent?, ipAddress? }} client
+ * @returns {Promise<{ userId: string, sessionId: string, refreshToken: string, twoFactor: boolean }>}
+ */
+const rotateRefreshToken = async (refreshToken, { userAgent, ipAddress } = {}, now = new Date()) => {
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    throw requestError(401, 'Invalid refresh token');
+  }
+  // Refresh tokens from before sessions name no session and are no longer accepted
+  if (!decoded.sid || !decoded.jti) throw requestError(401, 'Invalid refresh token');
+
+  const session = await findSession(decoded.sid);
+  if (!session || idOf(session.user) !== String(decoded.id)) throw requestError(401, 'Invalid refresh token');
+  if (session.revokedAt) throw requestError(401, 'Session has been revoked');
+  if (new Date(session.expiresAt) <= now) throw requestError(401, 'Session expired');
+
+  const { refreshToken: next, fields } = signRefreshToken(decoded.id, decoded.sid, session.expiresAt);
+  const changes = {
+    ...fields,
+    lastUsedAt: now,
+    ...(userAgent && { userAgent: String(userAgent).slice(0, 500) }),
+    ...(ipAddress && { ipAddress })
+  };
+  const presented = hashToken(decoded.jti);
+
+  let rotated;
+  if (!isConnected()) {
+    rotated = session.tokenHash === presented && !session.revokedAt;
+    if (rotated) Object.assign(session, changes, { updatedAt: now });
+  } else {
+    // Only the current token rotates; of two refreshes with it, one wins
+    const result = await AuthSession.updateOne(
+      { _id: session._id, tokenHash: presented, revokedAt: { $exists: false } },
+      { $set: changes }
+    );
+    rotated = result.modifiedCount > 0;
+  }
+
+  if (!rotated) {
+    await revokeSession(decoded.sid, 'reuse', now);
+    console.warn(`Refresh token reuse for user ${decoded.id}, session ${decoded.sid} revoked`);
+    throw requestError(401, 'Refresh token was already used; the session has been revoked');
+  }
+  return {
+    userId: String(decoded.id),
+    sessionId: String(decoded.sid),
+    refreshToken: next,
+    twoFactor: Boolean(session.twoFactor)
+  };
+};
+
+/**
+ * Whether a verified access token was revoked: its session is revoked or
+ * gone, or it has no session and was issued before the user's tokensValidAfter
+ * @param {object} decoded - the verified token payload
+ * @param {object} [user] - the token's user, when loaded
+ */
+const isTokenRevoked = async (decoded, user) => {
+  if (decoded.sid) {
+    const session = await findSession(decoded.sid);
+    return !session || Boolean(session.revokedAt);
+  }
+  // iat has whole seconds, so a token issued in the same second as the
+  // revocation counts as revoked too
+  return Boolean(user && user.tokensValidAfter && decoded.iat * 1000 < new Date(user.tokensValidAfter).getTime());
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  accessToken,
+  markSessionTwoFactor,
+  revokeSession,
+  revokeAllSessions,
+  isTokenRevoked
+};
@@ -0,0 +1,484 @@
+// Working-hours / availability rules engine.
+// Single source of truth for "is this start time bookable?" — used by the
+// available-slots endpoint, the booking routes (client + admin) and the
+// Appointment pre-save hook, so those code paths can never disagree.
+// Blackout periods (holidays, vacations, half-day closures) are layered on top
+// of the weekly schedule; see utils/blackouts.js for their storage.
+// Settings live in MongoDB (AvailabilitySettings, singleton document); when
+// the DB is unavailable an in-memory copy is used, like site settings.
+
+const mongoose = require('mongoose');
+const AvailabilitySettings = require('../models/AvailabilitySettings');
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const DAY_NAMES = ['Pazar', 'Pazartesi', 'Salı', 'Çarşamba', 'Perşembe', 'Cuma', 'Cumartesi'];
+
+const defaultAvailability = {
+  weeklyHours: [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({
+    dayOfWeek,
+    isOpen: true,
+    start: '09:00',
+    end: '22:00',
+    breaks: []
+  })),
+  overrides: [],
+  bufferMinutes: 10,
+  slotIntervalMinutes: null, // null → duration + buffer
+  defaultDuration: 50
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// In-memory fallback when MongoDB is not connected
+let availabilitySettings = clone(defaultAvailability);
+
+const pad = (n) => n.toString().padStart(2, '0');
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const fromMinutes = (total) => `${pad(Math.floor(total / 60))}:${pad(total % 60)}`;
+
+// Calendar day key (YYYY-MM-DD) in server local time, matching Appointment.datetime.
+const toDateKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+// Pure calendar arithmetic on YYYY-MM-DD keys (UTC, so DST never shifts a day)
+const addDays = (dateKey, days) => {
+  const d = new Date(`${dateKey}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+};
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && endA > startB;
+
+/**
+ * Closure windows that blackouts impose on a single day. A blackout without
+ * times closes the whole day; otherwise the missing bound defaults to the
+ * opening / closing time of the day.
+ */
+const getClosures = (blackouts, date, { start, end }) => {
+  const dateKey = toDateKey(date);
+  return (blackouts || [])
+    .filter(b => b.startDate <= dateKey && dateKey <= b.endDate)
+    .map(b => ({
+      start: b.startTime || start,
+      end: b.endTime || end,
+      label: b.title,
+      fullDay: !b.startTime && !b.endTime,
+      blackoutId: b._id
+    }));
+};
+
+/**
+ * Resolve the effective schedule of a single day (weekly hours + per-day override
+ * + blackouts). `blackouts` may contain periods of other days; they are ignored.
+ */
+const getDaySchedule = (settings, date, blackouts = []) => {
+  const dateKey = toDateKey(date);
+  const dayOfWeek = new Date(date).getDay();
+  const weekly = (settings.weeklyHours || []).find(d => d.dayOfWeek === dayOfWeek) ||
+    { dayOfWeek, isOpen: false, start: '09:00', end: '22:00', breaks: [] };
+  const override = (settings.overrides || []).find(o => o.date === dateKey);
+
+  const schedule = override
+    ? {
+      date: dateKey,
+      dayOfWeek,
+      isOpen: Boolean(override.isOpen),
+      start: override.start || weekly.start,
+      end: override.end || weekly.end,
+      breaks: override.breaks || [],
+      source: 'override',
+      note: override.note || ''
+    }
+    : {
+      date: dateKey,
+      dayOfWeek,
+      isOpen: Boolean(weekly.isOpen),
+      start: weekly.start,
+      end: weekly.end,
+      breaks: weekly.breaks || [],
+      source: 'weekly'
+    };
+
+  schedule.closures = getClosures(blackouts, date, schedule);
+  const fullDay = schedule.closures.find(c =>
+    c.fullDay || (toMinutes(c.start) <= toMinutes(schedule.start) && toMinutes(c.end) >= toMinutes(schedule.end))
+  );
+  if (fullDay) {
+    schedule.isOpen = false;
+    schedule.blackout = fullDay.label;
+  }
+
+  return schedule;
+};
+
+/**
+ * Check that a session fits inside working hours, outside breaks and outside
+ * blackout periods.
+ * @returns {{ valid: boolean, message?: string }}
+ */
+const validateSlot = (settings, date, time, duration, blackouts = []) => {
+  if (!TIME_PATTERN.test(time || '')) {
+    return { valid: false, message: 'Please provide a valid time format (HH:MM)' };
+  }
+
+  const schedule = getDaySchedule(settings, date, blackouts);
+  const sessionLength = duration || settings.defaultDuration || 50;
+
+  if (schedule.blackout) {
+    return { valid: false, message: `The practice is closed on this day (${schedule.blackout})` };
+  }
+
+  if (!schedule.isOpen) {
+    return { valid: false, message: `Appointments cannot be scheduled on this day (${DAY_NAMES[schedule.dayOfWeek]})` };
+  }
+
+  const start = toMinutes(time);
+  const end = start + sessionLength;
+
+  if (start < toMinutes(schedule.start) || end > toMinutes(schedule.end)) {
+    return {
+      valid: false,
+      message: `Appointments can only be scheduled between ${schedule.start} and ${schedule.end}`
+    };
+  }
+
+  const clash = schedule.breaks.find(b => overlaps(start, end, toMinutes(b.start), toMinutes(b.end)));
+  if (clash) {
+    return {
+      valid: false,
+      message: `Requested time overlaps a break (${clash.start} - ${clash.end})`
+    };
+  }
+
+  const closure = schedule.closures.find(c => overlaps(start, end, toMinutes(c.start), toMinutes(c.end)));
+  if (closure) {
+    return {
+      valid: false,
+      message: `The practice is closed between ${closure.start} and ${closure.end} (${closure.label})`
+    };
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Generate every candidate start time of a day, ignoring existing bookings.
+ * Slots step by slotIntervalMinutes (or duration + buffer) and restart after a
+ * break or half-day closure.
+ */
+const generateSlots = (settings, date, duration, blackouts = []) => {
+  const schedule = getDaySchedule(settings, date, blackouts);
+  if (!schedule.isOpen) return [];
+
+  const sessionLength = duration || settings.defaultDuration || 50;
+  const step = settings.slotIntervalMinutes || (sessionLength + (settings.bufferMinutes || 0));
+  const close = toMinutes(schedule.end);
+  const blocked = [...schedule.breaks, ...schedule.closures];
+  const slots = [];
+
+  let cursor = toMinutes(schedule.start);
+  while (cursor + sessionLength <= close) {
+    const clash = blocked.find(b =>
+      overlaps(cursor, cursor + sessionLength, toMinutes(b.start), toMinutes(b.end))
+    );
+    if (clash) {
+      cursor = Math.max(cursor + 1, toMinutes(clash.end));
+      continue;
+    }
+    slots.push(fromMinutes(cursor));
+    cursor += step;
+  }
+
+  return slots;
+};
+
+// A pending guest booking holds its slot until it is confirmed or lapses
+const ACTIVE_STATUSES = ['pending', 'scheduled', 'confirmed'];
+
+/**
+ * Start/end of an appointment as Dates. Works for mongoose documents and plain
+ * mock objects alike (mock appointments have no datetime/endTime virtuals).
+ */
+const getInterval = ({ date, time, duration }) => {
+  const start = new Date(date);
+  const [hours, minutes] = time.split(':').map(Number);
+  start.setHours(hours, minutes, 0, 0);
+  const end = new Date(start.getTime() + (duration || defaultAvailability.defaultDuration) * 60000);
+  return { start, end };
+};
+
+/**
+ * First existing appointment whose interval (padded by bufferMinutes on both
+ * sides) overlaps the candidate session, or null.
+ */
+const findConflict = (candidate, existing, bufferMinutes = 0) => {
+  const { start, end } = getInterval(candidate);
+  const buffer = bufferMinutes * 60000;
+  const excludeId = candidate._id ? candidate._id.toString() : null;
+
+  return existing.find(apt => {
+    if (excludeId && apt._id && apt._id.toString() === excludeId) return false;
+    if (apt.status && !ACTIVE_STATUSES.includes(apt.status)) return false;
+    const other = getInterval(apt);
+    return start.getTime() < other.end.getTime() + buffer &&
+      other.start.getTime() < end.getTime() + buffer;
+  }) || null;
+};
+
+/**
+ * Active appointments whose session, padded by `bufferMinutes` on both sides,
+ * touches the calendar day (MongoDB or mock store). Sessions of the days
+ * before and after count when they reach over midnight.
+ */
+const findAppointmentsOnDay = async (date, { bufferMinutes = 0 } = {}) => {
+  const dayStart = new Date(date);
+  dayStart.setHours(0, 0, 0, 0);
+  const nextDay = new Date(dayStart);
+  nextDay.setDate(nextDay.getDate() + 1);
+  const buffer = bufferMinutes * 60000;
+  const touchesDay = (apt) => {
+    const { start, end } = getInterval(apt);
+    return start.getTime() - buffer < nextDay.getTime() && end.getTime() + buffer > dayStart.getTime();
+  };
+
+  const from = new Date(dayStart);
+  from.setDate(from.getDate() - 1);
+  const to = new Date(nextDay);
+  to.setDate(to.getDate() + 1);
+
+  if (mongoose.connection.readyState !== 1) {
+    const { mockAppointments } = require('./mockDb');
+    return mockAppointments.filter(a =>
+      new Date(a.date) >= from && new Date(a.date) < to && ACTIVE_STATUSES.includes(a.status) && touchesDay(a)
+    );
+  }
+
+  // Lazy require: the Appointment model itself depends on this module
+  const Appointment = require('../models/Appointment');
+  const appointments = await Appointment.find({
+    date: { $gte: from, $lt: to },
+    status: { $in: ACTIVE_STATUSES }
+  });
+  return appointments.filter(touchesDay);
+};
+
+/**
+ * Duration-aware conflict check used by every booking path.
+ * @param {{ date, time, duration, excludeId? }} candidate
+ * @returns {Promise<object|null>} the conflicting appointment, if any
+ */
+const findConflictingAppointment = async ({ date, time, duration, excludeId }, settings) => {
+  const activeSettings = settings || await getAvailabilitySettings();
+  const bufferMinutes = activeSettings.bufferMinutes || 0;
+  const existing = await findAppointmentsOnDay(date, { bufferMinutes });
+  return findConflict(
+    { _id: excludeId, date, time, duration: duration || activeSettings.defaultDuration },
+    existing,
+    bufferMinutes
+  );
+};
+
+/**
+ * Calendar days (YYYY-MM-DD) the session touches once padded by
+ * `bufferMinutes`; two overlapping sessions always share one of them.
+ */
+const bookingDays = (candidate, bufferMinutes = 0) => {
+  const { start, end } = getInterval(candidate);
+  const buffer = bufferMinutes * 60000;
+  const first = toDateKey(start.getTime() - buffer);
+  const last = toDateKey(end.getTime() + buffer);
+  const days = [first];
+  while (days[days.length - 1] < last) days.push(addDays(days[days.length - 1], 1));
+  return days;
+};
+
+// Thrown when a booking lost its slot to an overlapping one
+const slotTakenError = (conflict) => {
+  const error = new Error('Time slot is already taken');
+  error.statusCode = 409;
+  error.data = { conflict: { time: conflict.time, duration: conflict.duration } };
+  return error;
+};
+
+/**
+ * Working-hours and blackout check used by every booking path and the
+ * Appointment pre-save hook. Loads the blackouts of the day itself.
+ * @returns {Promise<{ valid: boolean, message?: string }>}
+ */
+const checkSlotAvailability = async ({ date, time, duration }, settings) => {
+  const activeSettings = settings || await getAvailabilitySettings();
+  // Lazy require: utils/blackouts builds on the helpers of this module
+  const { getBlackoutsOnDay } = require('./blackouts');
+  const blackouts = await getBlackoutsOnDay(date);
+  return validateSlot(activeSettings, date, time, duration, blackouts);
+};
+
+/**
+ * Bookable slots for a day: generated slots minus overlapping bookings and past times.
+ * `existing` are the active appointments of that day (DB documents or mock objects),
+ * `blackouts` the blackout periods touching that day.
+ */
+const getBookableSlots = (settings, date, { duration, existing = [], blackouts = [], now = new Date() } = {}) => {
+  const sessionLength = duration || settings.defaultDuration;
+
+  return generateSlots(settings, date, sessionLength, blackouts).filter(slot => {
+    const candidate = { date, time: slot, duration: sessionLength };
+    if (findConflict(candidate, existing, settings.bufferMinutes || 0)) return false;
+    return getInterval(candidate).start > now;
+  });
+};
+
+/**
+ * Validate a full settings object; returns a list of human-readable problems.
+ */
+const validateAvailability = (settings) => {
+  const problems = [];
+
+  const checkRange = (label, start, end, breaks = []) => {
+    if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+      problems.push(`${label}: start and end must be HH:MM`);
+      return;
+    }
+    if (toMinutes(start) >= toMinutes(end)) {
+      problems.push(`${label}: start must be before end`);
+    }
+    breaks.forEach(b => {
+      if (!TIME_PATTERN.test(b.start || '') || !TIME_PATTERN.test(b.end || '')) {
+        problems.push(`${label}: break times must be HH:MM`);
+      } else if (toMinutes(b.start) >= toMinutes(b.end)) {
+        problems.push(`${label}: break ${b.start} - ${b.end} is not a valid range`);
+      } else if (toMinutes(b.start) < toMinutes(start) || toMinutes(b.end) > toMinutes(end)) {
+        problems.push(`${label}: break ${b.start} - ${b.end} is outside working hours`);
+      }
+    });
+  };
+
+  (settings.weeklyHours || []).forEach(day => {
+    if (day.isOpen) checkRange(DAY_NAMES[day.dayOfWeek] || `Day ${day.dayOfWeek}`, day.start, day.end, day.breaks);
+  });
+
+  const seenDates = new Set();
+  (settings.overrides || []).forEach(override => {
+    if (seenDates.has(override.date)) {
+      problems.push(`${override.date}: duplicate override`);
+    }
+    seenDates.add(override.date);
+    if (override.isOpen) {
+      const schedule = getDaySchedule(settings, override.date);
+      checkRange(override.date, schedule.start, schedule.end, schedule.breaks);
+    }
+  });
+
+  return problems;
+};
+
+const toPlain = (settings) =>
+  (settings && typeof settings.toObject === 'function' ? settings.toObject() : settings);
+
+/**
+ * Fetch the active availability settings (MongoDB or in-memory fallback).
+ */
+const getAvailabilitySettings = async () => {
+  if (mongoose.connection.readyState === 1) {
+    try {
+      let settings = await AvailabilitySettings.findOne();
+      if (!settings) {
+        settings = await AvailabilitySettings.create(defaultAvailability);
+      }
+      return toPlain(settings);
+    } catch (err) {
+      console.error('Error fetching availability settings from DB:', err.message);
+      return availabilitySettings;
+    }
+  }
+  return availabilitySettings;
+};
+
+/**
+ * Merge and persist an update. Throws an error with statusCode 400 when invalid.
+ * `weeklyHours` entries are merged by dayOfWeek; other fields replace the stored value.
+ */
+const updateAvailabilitySettings = async (update) => {
+  const current = clone(await getAvailabilitySettings());
+
+  // Weekly hours are merged per weekday so a partial update leaves other days untouched
+  if (update.weeklyHours) {
+    const byDay = new Map((current.weeklyHours || []).map(d => [d.dayOfWeek, d]));
+    update.weeklyHours.forEach(day => {
+      const dayOfWeek = Number(day.dayOfWeek);
+      byDay.set(dayOfWeek, { ...byDay.get(dayOfWeek), ...day, dayOfWeek });
+    });
+    update = { ...update, weeklyHours: [...byDay.values()].sort((a, b) => a.dayOfWeek - b.dayOfWeek) };
+  }
+
+  const merged = { ...current, ...update };
+
+  const problems = validateAvailability(merged);
+  if (problems.length > 0) {
+    const error = new Error(problems.join(', '));
+    error.statusCode = 400;
+    error.problems = problems;
+    throw error;
+  }
+
+  if (mongoose.connection.readyState === 1) {
+    let settings = await AvailabilitySettings.findOne();
+    if (!settings) {
+      settings = new AvailabilitySettings(defaultAvailability);
+    }
+    ['weeklyHours', 'overrides', 'bufferMinutes', 'slotIntervalMinutes', 'defaultDuration'].forEach(field => {
+      if (update[field] !== undefined) settings[field] = update[field];
+    });
+    await settings.save();
+    return toPlain(settings);
+  }
+
+  availabilitySettings = { ...merged, updatedAt: new Date() };
+  return availabilitySettings;
+};
+
+/**
+ * Restore the built-in defaults (mainly for the admin "reset" action and tests).
+ */
+const resetAvailabilitySettings = async () => {
+  if (mongoose.connection.readyState === 1) {
+    await AvailabilitySettings.deleteMany({});
+    return toPlain(await AvailabilitySettings.create(defaultAvailability));
+  }
+  availabilitySettings = clone(defaultAvailability);
+  return availabilitySettings;
+};
+
+module.exports = {
+  DAY_NAMES,
+  defaultAvailability,
+  ACTIVE_STATUSES,
+  toMinutes,
+  fromMinutes,
+  toDateKey,
+  addDays,
+  overlaps,
+  getClosures,
+  getDaySchedule,
+  validateSlot,
+  generateSlots,
+  getInterval,
+  findConflict,
+  findAppointmentsOnDay,
+  findConflictingAppointment,
+  bookingDays,
+  slotTakenError,
+  checkSlotAvailability,
+  getBookableSlots,
+  validateAvailability,
+  getAvailabilitySettings,
+  updateAvailabilitySettings,
+  resetAvailabilitySettings
+};
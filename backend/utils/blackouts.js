@@ -0,0 +1,346 @@
+// Blackout periods: public holidays, vacations, training days and half-day
+// closures. Stored in MongoDB (Blackout); when the DB is unavailable an
+// in-memory list is used, like the availability settings. The availability
+// engine reads them through getBlackoutsOnDay / getBlackoutsBetween.
+
+const mongoose = require('mongoose');
+const Blackout = require('../models/Blackout');
+const Appointment = require('../models/Appointment');
+const {
+  toMinutes,
+  toDateKey,
+  addDays,
+  overlaps,
+  getClosures,
+  getInterval
+} = require('./availability');
+const { getOfficialHolidays, isSupportedYear } = require('./turkishHolidays');
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ACTIVE_STATUSES = ['pending', 'scheduled', 'confirmed'];
+const FIELDS = ['title', 'type', 'startDate', 'endDate', 'startTime', 'endTime', 'note'];
+
+// In-memory fallback when MongoDB is not connected
+let memoryBlackouts = [];
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+const byStartDate = (a, b) => a.startDate.localeCompare(b.startDate) ||
+  (a.startTime || '').localeCompare(b.startTime || '');
+
+/**
+ * Validate a blackout definition; returns a list of human-readable problems.
+ */
+const validateBlackout = (blackout) => {
+  const problems = [];
+
+  if (!blackout.title || !blackout.title.trim()) {
+    problems.push('Title is required');
+  }
+  if (!DATE_PATTERN.test(blackout.startDate || '') || !DATE_PATTERN.test(blackout.endDate || '')) {
+    problems.push('Start and end dates must be YYYY-MM-DD');
+  } else if (blackout.startDate > blackout.endDate) {
+    problems.push('Start date must not be after end date');
+  }
+  ['startTime', 'endTime'].forEach(field => {
+    if (blackout[field] && !TIME_PATTERN.test(blackout[field])) {
+      problems.push(`${field} must be HH:MM`);
+    }
+  });
+  if (blackout.startTime && blackout.endTime && TIME_PATTERN.test(blackout.startTime) &&
+      TIME_PATTERN.test(blackout.endTime) && toMinutes(blackout.startTime) >= toMinutes(blackout.endTime)) {
+    problems.push('Start time must be before end time');
+  }
+
+  return problems;
+};
+
+const assertValid = (blackout) => {
+  const problems = validateBlackout(blackout);
+  if (problems.length > 0) {
+    const error = new Error(problems.join(', '));
+    error.statusCode = 400;
+    error.problems = problems;
+    throw error;
+  }
+};
+
+// Only whitelisted fields; empty time strings mean "not set"
+const pickFields = (data) => {
+  const picked = {};
+  FIELDS.forEach(field => {
+    if (data[field] !== undefined) picked[field] = data[field];
+  });
+  ['startTime', 'endTime'].forEach(field => {
+    if (picked[field] === '' || picked[field] === null) picked[field] = undefined;
+  });
+  return picked;
+};
+
+/**
+ * Blackouts overlapping the inclusive date range [fromKey, toKey] (YYYY-MM-DD).
+ */
+const getBlackoutsBetween = async (fromKey, toKey) => {
+  if (isConnected()) {
+    return Blackout.find({
+      startDate: { $lte: toKey },
+      endDate: { $gte: fromKey }
+    }).sort({ startDate: 1 }).lean();
+  }
+  return memoryBlackouts
+    .filter(b => b.startDate <= toKey && b.endDate >= fromKey)
+    .sort(byStartDate);
+};
+
+const getBlackoutsOnDay = (date) => {
+  const dateKey = toDateKey(date);
+  return getBlackoutsBetween(dateKey, dateKey);
+};
+
+/**
+ * All blackouts, optionally limited to a date range and type.
+ */
+const listBlackouts = async ({ from, to, type } = {}) => {
+  const blackouts = await getBlackoutsBetween(from || '0000-01-01', to || '9999-12-31');
+  return type ? blackouts.filter(b => b.type === type) : blackouts;
+};
+
+const getBlackoutById = async (id) => {
+  if (isConnected()) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Blackout.findById(id).lean();
+  }
+  return memoryBlackouts.find(b => b._id === id) || null;
+};
+
+/**
+ * Does the appointment fall (even partly) inside the blackout?
+ */
+const appointmentHitsBlackout = (appointment, blackout) => {
+  const closures = getClosures([blackout], appointment.date, { start: '00:00', end: '23:59' });
+  if (closures.length === 0) return false;
+
+  const { start, end } = getInterval(appointment);
+  const startMinutes = start.getHours() * 60 + start.getMinutes();
+  const endMinutes = startMinutes + Math.round((end - start) / 60000);
+
+  return closures.some(c => c.fullDay ||
+    overlaps(startMinutes, endMinutes, toMinutes(c.start), toMinutes(c.end)));
+};
+
+const rescheduleReason = (blackout) => `${blackout.title} nedeniyle yeniden planlanmalı`;
+
+/**
+ * Mark active appointments inside the blackout as needing a new time.
+ * @returns {Promise<Array>} the flagged appointments
+ */
+const flagAffectedAppointments = async (blackout) => {
+  if (!isConnected()) {
+    const { mockAppointments } = require('./mockDb');
+    const affected = mockAppointments.filter(a =>
+      ACTIVE_STATUSES.includes(a.status) && appointmentHitsBlackout(a, blackout)
+    );
+    affected.forEach(a => {
+      a.rescheduleRequired = true;
+      a.rescheduleReason = rescheduleReason(blackout);
+      a.blackout = blackout._id;
+    });
+    return affected;
+  }
+
+  const candidates = await Appointment.find({
+    date: {
+      $gte: new Date(blackout.startDate),
+      $lt: new Date(addDays(blackout.endDate, 1))
+    },
+    status: { $in: ACTIVE_STATUSES }
+  }).populate('user', 'name email phone');
+
+  const affected = candidates.filter(a => appointmentHitsBlackout(a, blackout));
+  if (affected.length > 0) {
+    await Appointment.updateMany(
+      { _id: { $in: affected.map(a => a._id) } },
+      {
+        $set: {
+          rescheduleRequired: true,
+          rescheduleReason: rescheduleReason(blackout),
+          blackout: blackout._id
+        }
+      }
+    );
+  }
+  return affected;
+};
+
+/**
+ * Clear the flag on appointments that were flagged because of this blackout.
+ */
+const releaseAppointments = async (blackoutId) => {
+  if (!isConnected()) {
+    const { mockAppointments } = require('./mockDb');
+    mockAppointments
+      .filter(a => a.blackout && a.blackout.toString() === blackoutId.toString())
+      .forEach(a => {
+        a.rescheduleRequired = false;
+        delete a.rescheduleReason;
+        delete a.blackout;
+      });
+    return;
+  }
+
+  await Appointment.updateMany(
+    { blackout: blackoutId },
+    {
+      $set: { rescheduleRequired: false },
+      $unset: { rescheduleReason: 1, blackout: 1 }
+    }
+  );
+};
+
+/**
+ * Appointments still waiting for a new time because of a blackout.
+ */
+const getAppointmentsNeedingReschedule = async () => {
+  if (!isConnected()) {
+    const { mockAppointments } = require('./mockDb');
+    return mockAppointments.filter(a => a.rescheduleRequired && ACTIVE_STATUSES.includes(a.status));
+  }
+  return Appointment.find({
+    rescheduleRequired: true,
+    status: { $in: ACTIVE_STATUSES }
+  })
+    .populate('user', 'name email phone')
+    .sort({ date: 1, time: 1 });
+};
+
+/**
+ * Create a blackout and flag the appointments it hits.
+ * @returns {Promise<{ blackout, flaggedAppointments }>}
+ */
+const createBlackout = async (data, { createdBy, source = 'manual', holidayKey } = {}) => {
+  const fields = { type: 'other', note: '', ...pickFields(data) };
+  assertValid(fields);
+
+  let blackout;
+  if (isConnected()) {
+    blackout = toPlain(await Blackout.create({ ...fields, source, holidayKey, createdBy }));
+  } else {
+    blackout = {
+      _id: `mock-blackout-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      ...fields,
+      source,
+      holidayKey,
+      createdBy,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    memoryBlackouts.push(blackout);
+  }
+
+  const flaggedAppointments = await flagAffectedAppointments(blackout);
+  return { blackout, flaggedAppointments };
+};
+
+/**
+ * Update a blackout; appointments are re-evaluated against the new period.
+ * @returns {Promise<{ blackout, flaggedAppointments }|null>} null when not found
+ */
+const updateBlackout = async (id, data) => {
+  const current = await getBlackoutById(id);
+  if (!current) return null;
+
+  const merged = { ...current, ...pickFields(data) };
+  assertValid(merged);
+
+  let blackout;
+  if (isConnected()) {
+    const doc = await Blackout.findById(id);
+    FIELDS.forEach(field => { doc[field] = merged[field]; });
+    blackout = toPlain(await doc.save());
+  } else {
+    blackout = Object.assign(current, merged, { updatedAt: new Date() });
+  }
+
+  await releaseAppointments(blackout._id);
+  const flaggedAppointments = await flagAffectedAppointments(blackout);
+  return { blackout, flaggedAppointments };
+};
+
+/**
+ * Delete a blackout and release the appointments it had flagged.
+ * @returns {Promise<boolean>} false when not found
+ */
+const deleteBlackout = async (id) => {
+  const current = await getBlackoutById(id);
+  if (!current) return false;
+
+  if (isConnected()) {
+    await Blackout.deleteOne({ _id: current._id });
+  } else {
+    memoryBlackouts = memoryBlackouts.filter(b => b._id !== id);
+  }
+
+  await releaseAppointments(current._id);
+  return true;
+};
+
+/**
+ * Official holidays of a year, each marked with whether it is already imported.
+ */
+const previewOfficialHolidays = async (year) => {
+  const holidays = getOfficialHolidays(year);
+  const existing = await listBlackouts({ from: `${year}-01-01`, to: `${year}-12-31` });
+  const importedKeys = new Set(existing.map(b => b.holidayKey).filter(Boolean));
+
+  return {
+    year,
+    complete: isSupportedYear(year),
+    holidays: holidays.map(h => ({ ...h, imported: importedKeys.has(h.holidayKey) }))
+  };
+};
+
+/**
+ * Import the official holidays of a year as blackouts. Already imported
+ * holidays (same holidayKey) are skipped, so importing twice is harmless.
+ */
+const importOfficialHolidays = async (year, createdBy) => {
+  const { complete, holidays } = await previewOfficialHolidays(year);
+  const created = [];
+  const flaggedAppointments = [];
+
+  for (const holiday of holidays.filter(h => !h.imported)) {
+    const result = await createBlackout(holiday, {
+      createdBy,
+      source: 'official',
+      holidayKey: holiday.holidayKey
+    });
+    created.push(result.blackout);
+    flaggedAppointments.push(...result.flaggedAppointments);
+  }
+
+  return {
+    year,
+    complete,
+    created,
+    skipped: holidays.length - created.length,
+    flaggedAppointments
+  };
+};
+
+module.exports = {
+  validateBlackout,
+  getBlackoutsBetween,
+  getBlackoutsOnDay,
+  listBlackouts,
+  getBlackoutById,
+  appointmentHitsBlackout,
+  getAppointmentsNeedingReschedule,
+  createBlackout,
+  updateBlackout,
+  deleteBlackout,
+  previewOfficialHolidays,
+  importOfficialHolidays
+};
@@ -0,0 +1,73 @@
+// Serialises appointment writes per calendar day across all server instances.
+// The Appointment pre-save hook takes the locks of the days a session touches
+// (BookingLock) before its conflict check and gives them back once the
+// document is stored, so two overlapping bookings cannot both pass the check.
+// A lock expires after its lease, so a stopped instance cannot block a day.
+// Without a database nothing is saved through the model, so nothing is locked.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const BookingLock = require('../models/BookingLock');
+
+const LEASE_MS = 30 * 1000;
+const WAIT_MS = 10 * 1000;
+const RETRY_MS = 25;
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const tryLock = async (day, owner, now = new Date()) => {
+  try {
+    await BookingLock.findOneAndUpdate(
+      { _id: day, expiresAt: { $lte: now } },
+      { $set: { owner, expiresAt: new Date(now.getTime() + LEASE_MS) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // Held by another booking: the upsert collided with it
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Take the locks of the given days (YYYY-MM-DD), waiting up to WAIT_MS for
+ * bookings that hold them. Days are locked in order, so two bookings that
+ * share days never wait on each other.
+ * Throws an error with statusCode 503 when a day stays locked.
+ * @returns {Promise<() => Promise<void>>} gives the locks back
+ */
+const lockBookingDays = async (days) => {
+  if (!isConnected()) return async () => {};
+
+  const owner = crypto.randomBytes(8).toString('hex');
+  const taken = [];
+  const release = async () => {
+    if (taken.length > 0) await BookingLock.deleteMany({ _id: { $in: taken }, owner });
+  };
+
+  const deadline = Date.now() + WAIT_MS;
+  try {
+    for (const day of [...new Set(days)].sort()) {
+      while (!(await tryLock(day, owner))) {
+        if (Date.now() > deadline) {
+          const error = new Error('Bookings for this day are busy, please try again');
+          error.statusCode = 503;
+          throw error;
+        }
+        await sleep(RETRY_MS);
+      }
+      taken.push(day);
+    }
+  } catch (error) {
+    await release();
+    throw error;
+  }
+  return release;
+};
+
+module.exports = {
+  lockBookingDays
+};
@@ -0,0 +1,204 @@
+// iCalendar (RFC 5545) output for appointments: the .ics attachments on
+// confirmation, reschedule and cancellation emails, and the subscribable feeds.
+// Every appointment keeps one UID for its whole life; `calendarSequence` grows
+// with each change of time and with cancellation, so calendar clients replace
+// or remove the event they already have instead of adding a new one.
+
+const Appointment = require('../models/Appointment');
+const { toDateKey } = require('./availability');
+
+const TIMEZONE = 'Europe/Istanbul';
+const UID_DOMAIN = 'gebzepsikologonuruslu.com';
+const PRODUCT_ID = '-//Psikolog Onur Uslu//Randevu Sistemi//TR';
+const PRACTICE_NAME = 'Psikolog Onur Uslu';
+const OFFICE_LOCATION = 'Gebze, Kocaeli';
+
+const pad = (n) => n.toString().padStart(2, '0');
+
+const organizerEmail = () => process.env.SMTP_USER || 'psikologonuruslu@gmail.com';
+
+// TEXT values escape backslash, semicolon, comma and newlines
+const escapeText = (value) => String(value == null ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines are folded at 75 octets; continuation lines start with a space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// UTC timestamp, e.g. 20240115T093000Z
+const formatUtc = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+// Floating local time for a TZID property, e.g. 20240115T140000
+const formatLocal = (date) =>
+  `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+  `T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+
+// Start and end in server local time, matching Appointment.datetime
+const getEventTimes = (appointment) => {
+  const [year, month, day] = toDateKey(appointment.date).split('-').map(Number);
+  const [hours, minutes] = appointment.time.split(':').map(Number);
+  const start = new Date(year, month - 1, day, hours, minutes, 0, 0);
+  const end = new Date(start.getTime() + (appointment.duration || 50) * 60000);
+  return { start, end };
+};
+
+const eventUid = (appointment) => `appointment-${appointment._id}@${UID_DOMAIN}`;
+
+// Turkey has stayed on UTC+3 all year since 2016
+const TIMEZONE_BLOCK = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIMEZONE}`,
+  'BEGIN:STANDARD',
+  'DTSTART:20160907T000000',
+  'TZOFFSETFROM:+0300',
+  'TZOFFSETTO:+0300',
+  'TZNAME:+03',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+const isOnline = (appointment) => appointment.type === 'online';
+
+/**
+ * VEVENT lines for one appointment.
+ * @param {object} appointment
+ * @param {object} [options]
+ * @param {'client'|'practice'} [options.audience='client'] - practice events are
+ *   titled with the client's name and carry contact details for the admin feed
+ * @param {boolean} [options.invite=false] - add ORGANIZER/ATTENDEE so mail
+ *   clients treat the attachment as an invitation (METHOD:REQUEST/CANCEL)
+ * @param {Date} [options.now]
+ */
+const buildEvent = (appointment, { audience = 'client', invite = false, now = new Date() } = {}) => {
+  const { start, end } = getEventTimes(appointment);
+  const type = appointment.typeTurkish || appointment.type;
+  const client = Appointment.clientOf(appointment);
+  const cancelled = appointment.status === 'cancelled';
+
+  let summary = `${PRACTICE_NAME} - ${type}`;
+  const description = [`${type}, ${appointment.duration} dakika`];
+  if (audience === 'practice') {
+    summary = `${client ? client.name : 'Danışan'} - ${type}`;
+    if (appointment.status === 'pending') summary = `(Onay bekliyor) ${summary}`;
+    // Contact details only; session notes stay in the admin panel
+    if (client && client.phone) description.push(`Telefon: ${client.phone}`);
+    if (client && client.email) description.push(`E-posta: ${client.email}`);
+  } else {
+    description.push(isOnline(appointment)
+      ? 'Görüşme bağlantısı seans öncesinde ayrıca iletilecektir.'
+      : 'Randevu değişikliği veya iptal için en az 24 saat önceden haber veriniz.');
+    description.push('İletişim: +90 553 026 37 74');
+  }
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${eventUid(appointment)}`,
+    `SEQUENCE:${appointment.calendarSequence || 0}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `DTSTART;TZID=${TIMEZONE}:${formatLocal(start)}`,
+    `DTEND;TZID=${TIMEZONE}:${formatLocal(end)}`,
+    `SUMMARY:${escapeText(cancelled ? `İptal: ${summary}` : summary)}`,
+    `DESCRIPTION:${escapeText(description.join('\n'))}`,
+    `LOCATION:${escapeText(isOnline(appointment) ? 'Online (görüntülü görüşme)' : OFFICE_LOCATION)}`,
+    `STATUS:${cancelled ? 'CANCELLED' : (appointment.status === 'pending' ? 'TENTATIVE' : 'CONFIRMED')}`
+  ];
+  if (appointment.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatUtc(appointment.updatedAt)}`);
+  }
+  if (invite) {
+    lines.push(`ORGANIZER;CN=${escapeText(PRACTICE_NAME)}:mailto:${organizerEmail()}`);
+    if (client && client.email) {
+      lines.push(`ATTENDEE;CN=${escapeText(client.name)};ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:${client.email}`);
+    }
+  }
+  if (!cancelled && audience === 'client') {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(summary)}`,
+      'TRIGGER:-PT1H',
+      'END:VALARM'
+    );
+  }
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Serialize appointments to a VCALENDAR document.
+ * @param {Array} appointments
+ * @param {object} [options]
+ * @param {'PUBLISH'|'REQUEST'|'CANCEL'} [options.method='PUBLISH']
+ * @param {string} [options.name] - calendar name shown by subscribing clients
+ * @param {'client'|'practice'} [options.audience='client']
+ * @param {Date} [options.now]
+ * @returns {string}
+ */
+const buildCalendar = (appointments, { method = 'PUBLISH', name, audience = 'client', now = new Date() } = {}) => {
+  const invite = method !== 'PUBLISH';
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`, `X-WR-TIMEZONE:${TIMEZONE}`);
+  }
+  lines.push(...TIMEZONE_BLOCK);
+  for (const appointment of appointments) {
+    lines.push(...buildEvent(appointment, { audience, invite, now }));
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Nodemailer attachment for appointment emails: an invitation (REQUEST) for
+ * new and moved appointments, a CANCEL for cancelled ones.
+ * @param {object|Array} appointments - one appointment or several (series)
+ * @param {'REQUEST'|'CANCEL'} [method='REQUEST']
+ */
+const buildIcsAttachment = (appointments, method = 'REQUEST') => ({
+  filename: method === 'CANCEL' ? 'randevu-iptal.ics' : 'randevu.ics',
+  content: buildCalendar([].concat(appointments), { method }),
+  contentType: `text/calendar; charset=utf-8; method=${method}`
+});
+
+module.exports = {
+  TIMEZONE,
+  escapeText,
+  foldLine,
+  eventUid,
+  getEventTimes,
+  buildEvent,
+  buildCalendar,
+  buildIcsAttachment
+};
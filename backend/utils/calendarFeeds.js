@@ -0,0 +1,179 @@
+// Subscribable, read-only iCal feeds. A client gets a feed of their own
+// appointments; an admin can additionally open a private feed of the whole
+// practice schedule. The feed URL itself is the credential, so only its
+// sha256 hash is stored and issuing a new URL revokes the previous one.
+// Works against MongoDB or the mock store, like the booking routes.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const CalendarFeed = require('../models/CalendarFeed');
+const { buildCalendar } = require('./calendar');
+const { hasPermission } = require('./permissions');
+
+// How far back a feed reaches; calendar apps keep events they already synced
+const FEED_HISTORY_DAYS = 90;
+
+const CLIENT_STATUSES = ['scheduled', 'confirmed', 'completed'];
+const PRACTICE_STATUSES = ['pending', 'scheduled', 'confirmed', 'completed', 'no-show'];
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const requestError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// The practice feed lists every client's sessions
+const seesPractice = (user) => hasPermission(user, 'appointments:manage');
+
+const publicFeed = (feed) => ({
+  scope: feed.scope,
+  createdAt: feed.createdAt,
+  lastAccessedAt: feed.lastAccessedAt || null
+});
+
+/**
+ * Feeds the user has opened, keyed by scope (null when not issued).
+ */
+const getFeedStatus = async (user) => {
+  let feeds;
+  if (!isConnected()) {
+    const { mockCalendarFeeds } = require('./mockDb');
+    feeds = mockCalendarFeeds.filter(f => f.user === idOf(user));
+  } else {
+    feeds = await CalendarFeed.find({ user: user._id });
+  }
+
+  const status = { client: null };
+  if (seesPractice(user)) status.practice = null;
+  feeds.forEach(feed => { status[feed.scope] = publicFeed(feed); });
+  return status;
+};
+
+/**
+ * Issue a new feed token for the user, replacing any earlier one of the same
+ * scope. Only staff who manage appointments can open the practice feed (403 otherwise).
+ * @returns {Promise<{ token: string, feed: object }>}
+ */
+const issueFeedToken = async (user, scope = 'client') => {
+  if (scope === 'practice' && !seesPractice(user)) {
+    throw requestError(403, 'Only staff who manage appointments can subscribe to the practice schedule');
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const tokenHash = hashToken(token);
+
+  if (!isConnected()) {
+    const { mockCalendarFeeds } = require('./mockDb');
+    const index = mockCalendarFeeds.findIndex(f => f.user === idOf(user) && f.scope === scope);
+    if (index !== -1) mockCalendarFeeds.splice(index, 1);
+    const feed = { _id: 'mock-feed-' + Date.now(), user: idOf(user), scope, tokenHash, createdAt: new Date() };
+    mockCalendarFeeds.push(feed);
+    return { token, feed: publicFeed(feed) };
+  }
+
+  await CalendarFeed.deleteOne({ user: user._id, scope });
+  const feed = await CalendarFeed.create({ user: user._id, scope, tokenHash });
+  return { token, feed: publicFeed(feed) };
+};
+
+/**
+ * Revoke the user's feed of the given scope. Returns whether one existed.
+ */
+const revokeFeed = async (user, scope = 'client') => {
+  if (!isConnected()) {
+    const { mockCalendarFeeds } = require('./mockDb');
+    const index = mockCalendarFeeds.findIndex(f => f.user === idOf(user) && f.scope === scope);
+    if (index === -1) return false;
+    mockCalendarFeeds.splice(index, 1);
+    return true;
+  }
+  const result = await CalendarFeed.deleteOne({ user: user._id, scope });
+  return result.deletedCount > 0;
+};
+
+// Feed behind a token, or null when the token is unknown or its owner can no
+// longer use it (deactivated account, practice feed of a former admin)
+const findFeedByToken = async (token) => {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+
+  if (!isConnected()) {
+    const { mockCalendarFeeds, mockUsers } = require('./mockDb');
+    const feed = mockCalendarFeeds.find(f => f.tokenHash === tokenHash);
+    if (!feed) return null;
+    // The mock admin only exists as a token identity (see middleware/auth)
+    const owner = feed.user === 'mock-admin-id'
+      ? { _id: 'mock-admin-id', role: 'admin', isActive: true }
+      : mockUsers.find(u => u._id === feed.user);
+    if (!owner || owner.isActive === false) return null;
+    if (feed.scope === 'practice' && !seesPractice(owner)) return null;
+    return feed;
+  }
+
+  const feed = await CalendarFeed.findOne({ tokenHash }).populate('user', 'name role isActive');
+  if (!feed || !feed.user || !feed.user.isActive) return null;
+  if (feed.scope === 'practice' && !seesPractice(feed.user)) return null;
+  return feed;
+};
+
+const findFeedAppointments = async (feed, since) => {
+  const statuses = feed.scope === 'practice' ? PRACTICE_STATUSES : CLIENT_STATUSES;
+
+  if (!isConnected()) {
+    const { mockAppointments } = require('./mockDb');
+    return mockAppointments.filter(a =>
+      statuses.includes(a.status) &&
+      new Date(a.date) >= since &&
+      (feed.scope === 'practice' || (a.user && idOf(a.user) === idOf(feed.user)))
+    );
+  }
+
+  const filter = { status: { $in: statuses }, date: { $gte: since } };
+  if (feed.scope === 'client') filter.user = feed.user._id;
+  return Appointment.find(filter)
+    .populate('user', 'name email phone')
+    .sort({ date: 1, time: 1 });
+};
+
+/**
+ * Render the iCal document behind a feed token and record the access.
+ * Throws 404 for an unknown or revoked token.
+ * @returns {Promise<string>}
+ */
+const renderFeed = async (token, now = new Date()) => {
+  const feed = await findFeedByToken(token);
+  if (!feed) throw requestError(404, 'Calendar feed not found');
+
+  const since = new Date(now);
+  since.setDate(since.getDate() - FEED_HISTORY_DAYS);
+  since.setHours(0, 0, 0, 0);
+  const appointments = await findFeedAppointments(feed, since);
+
+  if (!isConnected()) {
+    feed.lastAccessedAt = now;
+  } else {
+    await CalendarFeed.updateOne({ _id: feed._id }, { $set: { lastAccessedAt: now } });
+  }
+
+  return buildCalendar(appointments, {
+    method: 'PUBLISH',
+    audience: feed.scope,
+    name: feed.scope === 'practice' ? 'Randevular - Psikolog Onur Uslu' : 'Psikolog Onur Uslu Randevularım',
+    now
+  });
+};
+
+module.exports = {
+  FEED_HISTORY_DAYS,
+  getFeedStatus,
+  issueFeedToken,
+  revokeFeed,
+  renderFeed
+};
@@ -0,0 +1,697 @@
+// Email campaigns. A campaign is written as a draft, previewed together with
+// its audience and then sent right away or at a scheduled time. The audience
+// comes from a segment and is resolved when the campaign goes out. It only
+// ever holds people who consented to such emails (ETK); someone who
+// unsubscribes before their email leaves the outbox is skipped.
+// Every email carries a signed unsubscribe link (utils/unsubscribe) and an
+// open-tracking image. Delivery and opens are kept per recipient
+// (CampaignRecipient) for the campaign statistics.
+//
+// Segments register a resolver that returns { email, name, list } entries:
+//   registerSegment(key, { label, description, defaultDays?, resolve(params, now) })
+// `list` names the mailing list whose consent the email needs.
+//
+// Works against MongoDB or the mock store.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const { sendEmail } = require('./emailService');
+const { renderEmail, restoreSanitized } = require('./emailTemplates');
+const { registerHandler, enqueue, permanentError } = require('./outbox');
+const { registerList, getList, unsubscribeLinks, publicApiUrl } = require('./unsubscribe');
+const { runExclusive } = require('./jobRunner');
+
+const STATUSES = ['draft', 'scheduled', 'sending', 'sent', 'cancelled'];
+const RECIPIENT_STATUSES = ['queued', 'sent', 'failed', 'skipped'];
+const EDITABLE = ['draft', 'scheduled'];
+// Cancelling a campaign that is going out stops the emails still queued
+const CANCELLABLE = ['draft', 'scheduled', 'sending', 'sent'];
+const CONSENT_LIST = 'campaigns';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A send time this far in the past is a mistake, not "send now"
+const PAST_TOLERANCE_MS = 5 * 60 * 1000;
+const PREVIEW_SAMPLE = 10;
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+// Messages are plain text: HTML tags reach recipients as typed, not as
+// formatting. Preview and broadcast flag them for admins who expect otherwise.
+const HTML_TAG = /<\/?[a-z][a-z0-9-]*(\s[^<>]*)?\/?>/i;
+const containsHtml = (message) => HTML_TAG.test(restoreSanitized(message || ''));
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const newId = (prefix) => `${prefix}_${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`;
+
+const errorText = (error) => String((error && error.message) || error).slice(0, 500);
+
+const requestError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const mockStore = () => require('./mockDb');
+
+// ---------------------------------------------------------------------------
+// Consent
+
+const hasCampaignConsent = (user) => Boolean(
+  user && user.notificationPreferences && user.notificationPreferences.campaigns &&
+  user.notificationPreferences.campaigns.email === true
+);
+
+const CONSENT_FILTER = { isActive: true, emailVerified: true, 'notificationPreferences.campaigns.email': true };
+
+// Mock users matching CONSENT_FILTER
+const consentingMockUsers = () =>
+  mockStore().mockUsers.filter(u => u.isActive && u.emailVerified && hasCampaignConsent(u));
+
+const consentingUsers = async (filter = {}) => {
+  if (!isConnected()) {
+    return consentingMockUsers().filter(u =>
+      (!filter.role || u.role === filter.role) &&
+      (!filter.ids || filter.ids.has(idOf(u))));
+  }
+  const query = { ...CONSENT_FILTER };
+  if (filter.role) query.role = filter.role;
+  if (filter.ids) query._id = { $in: [...filter.ids] };
+  return User.find(query).select('name email').lean();
+};
+
+/**
+ * Give or withdraw a user's consent to campaign emails
+ * @param {{ userId?: string, email?: string }} who
+ */
+const setCampaignConsent = async ({ userId, email }, consent, now = new Date()) => {
+  const stamp = consent ? { consentedAt: now } : { unsubscribedAt: now };
+
+  if (!isConnected()) {
+    const user = mockStore().mockUsers.find(u =>
+      (userId && idOf(u) === idOf(userId)) || (email && u.email.toLowerCase() === email.toLowerCase()));
+    if (!user) return null;
+    const prefs = user.notificationPreferences || (user.notificationPreferences = {});
+    prefs.campaigns = { ...prefs.campaigns, email: consent, ...stamp };
+    return prefs.campaigns;
+  }
+
+  const filter = userId ? { _id: userId } : { email: email.toLowerCase() };
+  const set = { 'notificationPreferences.campaigns.email': consent };
+  Object.keys(stamp).forEach(key => { set[`notificationPreferences.campaigns.${key}`] = stamp[key]; });
+  const user = await User.findOneAndUpdate(filter, { $set: set }, { new: true }).select('notificationPreferences').lean();
+  return user ? user.notificationPreferences.campaigns : null;
+};
+
+registerList(CONSENT_LIST, {
+  isSubscribed: async (email) => {
+    const user = isConnected()
+      ? await User.findOne({ email: email.toLowerCase() }).select('notificationPreferences isActive').lean()
+      : mockStore().mockUsers.find(u => u.email.toLowerCase() === email.toLowerCase());
+    return hasCampaignConsent(user);
+  },
+  unsubscribe: async (email, { campaign }) => {
+    const now = new Date();
+    await setCampaignConsent({ email }, false, now);
+    if (campaign) await markUnsubscribed(campaign, email, now);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Segments
+
+const toRecipient = (user) => ({ email: user.email.toLowerCase(), name: user.name, list: CONSENT_LIST });
+
+const completedSince = (appointment, since) =>
+  appointment.status === 'completed' && new Date(appointment.date) >= since;
+
+const segments = {
+  allUsers: {
+    label: 'Tüm üyeler',
+    description: 'Duyuru almayı kabul eden bütün aktif üyeler',
+    resolve: async ({ role }) =>
+      (await consentingUsers(role && role !== 'all' ? { role } : {})).map(toRecipient)
+  },
+  recentClients: {
+    label: 'Son dönemde seansı olan danışanlar',
+    description: 'Son {days} günde en az bir seansı tamamlanan danışanlar',
+    defaultDays: 90,
+    resolve: async ({ days }, now) => {
+      const since = new Date(now.getTime() - days * DAY_MS);
+      const ids = isConnected()
+        ? await Appointment.distinct('user', { status: 'completed', date: { $gte: since } })
+        : mockStore().mockAppointments.filter(a => a.user && completedSince(a, since)).map(a => a.user);
+      const idSet = new Set(ids.filter(Boolean).map(idOf));
+      return (await consentingUsers({ ids: idSet })).map(toRecipient);
+    }
+  },
+  inactiveClients: {
+    label: 'Uzun süredir gelmeyen danışanlar',
+    description: 'Daha önce seansı olan, son {days} gündür seansı olmayan ve ileri tarihli randevusu bulunmayan danışanlar',
+    defaultDays: 180,
+    resolve: async ({ days }, now) => {
+      const since = new Date(now.getTime() - days * DAY_MS);
+      const today = new Date(now);
+      today.setHours(0, 0, 0, 0);
+      const upcoming = (a) => ['scheduled', 'confirmed'].includes(a.status) && new Date(a.date) >= today;
+
+      let everSeen;
+      let stillActive;
+      if (isConnected()) {
+        [everSeen, stillActive] = await Promise.all([
+          Appointment.distinct('user', { status: 'completed' }),
+          Appointment.distinct('user', {
+            $or: [
+              { status: 'completed', date: { $gte: since } },
+              { status: { $in: ['scheduled', 'confirmed'] }, date: { $gte: today } }
+            ]
+          })
+        ]);
+      } else {
+        const appointments = mockStore().mockAppointments.filter(a => a.user);
+        everSeen = appointments.filter(a => a.status === 'completed').map(a => a.user);
+        stillActive = appointments.filter(a => completedSince(a, since) || upcoming(a)).map(a => a.user);
+      }
+      const active = new Set(stillActive.filter(Boolean).map(idOf));
+      const idSet = new Set(everSeen.filter(Boolean).map(idOf).filter(id => !active.has(id)));
+      return (await consentingUsers({ ids: idSet })).map(toRecipient);
+    }
+  }
+};
+
+const registerSegment = (key, segment) => {
+  segments[key] = segment;
+};
+
+const isKnownSegment = (key) => Object.prototype.hasOwnProperty.call(segments, key);
+
+// Only the settings the segment uses, with its defaults filled in
+const normalizeSegment = ({ key, days, role } = {}) => {
+  if (!isKnownSegment(key)) {
+    throw requestError(400, `Unknown segment '${key}'`);
+  }
+  const segment = segments[key];
+  const normalized = { key };
+  if (segment.defaultDays) normalized.days = parseInt(days, 10) || segment.defaultDays;
+  if (key === 'allUsers') normalized.role = role || 'all';
+  return normalized;
+};
+
+const describeSegment = (settings) => {
+  const segment = segments[settings.key];
+  if (!segment) return settings.key;
+  return segment.description.replace('{days}', settings.days);
+};
+
+/**
+ * Who a campaign with this segment would go to now, one entry per address
+ */
+const resolveAudience = async (settings, now = new Date()) => {
+  const normalized = normalizeSegment(settings);
+  const entries = await segments[normalized.key].resolve(normalized, now);
+  const byEmail = new Map();
+  entries.forEach(entry => {
+    const email = entry.email.toLowerCase();
+    if (!byEmail.has(email)) byEmail.set(email, { ...entry, email });
+  });
+  return [...byEmail.values()];
+};
+
+/**
+ * The segments with their current audience size
+ */
+const listSegments = async (now = new Date()) => Promise.all(Object.keys(segments).map(async (key) => {
+  const segment = segments[key];
+  const settings = normalizeSegment({ key });
+  return {
+    key,
+    label: segment.label,
+    description: describeSegment(settings),
+    defaultDays: segment.defaultDays || null,
+    audience: (await resolveAudience(settings, now)).length
+  };
+}));
+
+// ---------------------------------------------------------------------------
+// Storage
+
+const findCampaign = async (id) => {
+  if (!isConnected()) {
+    return mockStore().mockCampaigns.find(c => c._id === id) || null;
+  }
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Campaign.findById(id).lean();
+};
+
+const getCampaignOr404 = async (id) => {
+  const campaign = await findCampaign(id);
+  if (!campaign) throw requestError(404, 'Campaign not found');
+  return campaign;
+};
+
+// Applies the changes only while the campaign is in one of `statuses`
+const updateCampaignIf = async (id, statuses, changes) => {
+  if (!isConnected()) {
+    const campaign = mockStore().mockCampaigns.find(c => c._id === id);
+    if (!campaign || !statuses.includes(campaign.status)) return null;
+    return Object.assign(campaign, changes, { updatedAt: new Date() });
+  }
+  return Campaign.findOneAndUpdate(
+    { _id: id, status: { $in: statuses } },
+    { $set: changes },
+    { new: true }
+  ).lean();
+};
+
+const findRecipient = async (id) => {
+  if (!isConnected()) {
+    return mockStore().mockCampaignRecipients.find(r => r._id === id) || null;
+  }
+  return mongoose.isValidObjectId(id) ? CampaignRecipient.findById(id).lean() : null;
+};
+
+const updateRecipient = async (id, changes) => {
+  if (!isConnected()) {
+    const recipient = mockStore().mockCampaignRecipients.find(r => r._id === id);
+    if (recipient) Object.assign(recipient, changes, { updatedAt: new Date() });
+    return recipient || null;
+  }
+  const unset = Object.keys(changes).filter(key => changes[key] === undefined);
+  const set = { ...changes };
+  unset.forEach(key => delete set[key]);
+  return CampaignRecipient.findByIdAndUpdate(id, {
+    $set: set,
+    ...(unset.length > 0 && { $unset: Object.fromEntries(unset.map(key => [key, 1])) })
+  }, { new: true }).lean();
+};
+
+// One recipient per campaign and address, also when a dispatch runs twice
+const addRecipient = async (campaignId, { email, name, list }) => {
+  const fields = { name, list, status: 'queued', trackingToken: crypto.randomBytes(16).toString('hex') };
+  if (!isConnected()) {
+    const recipients = mockStore().mockCampaignRecipients;
+    let recipient = recipients.find(r => r.campaign === campaignId && r.email === email);
+    if (!recipient) {
+      const now = new Date();
+      recipient = { _id: newId('rcpt'), campaign: campaignId, email, ...fields, opens: 0, createdAt: now, updatedAt: now };
+      recipients.push(recipient);
+    }
+    return recipient;
+  }
+  return CampaignRecipient.findOneAndUpdate(
+    { campaign: campaignId, email },
+    { $setOnInsert: fields },
+    { upsert: true, new: true }
+  ).lean();
+};
+
+/**
+ * Count an unsubscribe in the statistics of the campaign whose link was used.
+ * Lists other than `campaigns` call this from their own unsubscribe handler.
+ */
+const markUnsubscribed = async (campaignId, email, now = new Date()) => {
+  if (!isConnected()) {
+    const recipient = mockStore().mockCampaignRecipients.find(r =>
+      idOf(r.campaign) === idOf(campaignId) && r.email === email.toLowerCase());
+    if (recipient && !recipient.unsubscribedAt) recipient.unsubscribedAt = now;
+    return;
+  }
+  if (!mongoose.isValidObjectId(campaignId)) return;
+  await CampaignRecipient.updateOne(
+    { campaign: campaignId, email: email.toLowerCase(), unsubscribedAt: { $exists: false } },
+    { $set: { unsubscribedAt: now } }
+  );
+};
+
+// ---------------------------------------------------------------------------
+// Statistics
+
+const emptyStats = () => ({
+  recipients: 0, queued: 0, sent: 0, failed: 0, skipped: 0, opened: 0, unsubscribed: 0
+});
+
+/**
+ * Delivery and open counts per campaign id
+ * @returns {Promise<Map<string, object>>}
+ */
+const statsFor = async (campaignIds) => {
+  const stats = new Map(campaignIds.map(id => [idOf(id), emptyStats()]));
+  const add = (id, recipient) => {
+    const entry = stats.get(idOf(id));
+    if (!entry) return;
+    entry.recipients++;
+    entry[recipient.status]++;
+    if (recipient.openedAt) entry.opened++;
+    if (recipient.unsubscribedAt) entry.unsubscribed++;
+  };
+
+  if (!isConnected()) {
+    mockStore().mockCampaignRecipients.forEach(r => add(r.campaign, r));
+    return stats;
+  }
+
+  const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+  const rows = await CampaignRecipient.aggregate([
+    { $match: { campaign: { $in: campaignIds.map(id => new mongoose.Types.ObjectId(idOf(id))) } } },
+    {
+      $group: {
+        _id: '$campaign',
+        recipients: { $sum: 1 },
+        ...Object.fromEntries(RECIPIENT_STATUSES.map(s => [s, countIf({ $eq: ['$status', s] })])),
+        opened: countIf({ $gt: ['$openedAt', null] }),
+        unsubscribed: countIf({ $gt: ['$unsubscribedAt', null] })
+      }
+    }
+  ]);
+  rows.forEach(({ _id, ...counts }) => stats.set(idOf(_id), { ...emptyStats(), ...counts }));
+  return stats;
+};
+
+const withDetails = (campaign, stats) => ({
+  ...campaign,
+  segmentDescription: describeSegment(campaign.segment),
+  stats: stats || emptyStats()
+});
+
+// ---------------------------------------------------------------------------
+// Campaigns
+
+/**
+ * Campaigns, newest first, with their statistics
+ */
+const listCampaigns = async ({ status, page = 1, limit = 20 } = {}) => {
+  let campaigns;
+  let total;
+  if (!isConnected()) {
+    const filtered = mockStore().mockCampaigns
+      .filter(c => !status || c.status === status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    total = filtered.length;
+    campaigns = filtered.slice((page - 1) * limit, page * limit);
+  } else {
+    const filter = status ? { status } : {};
+    [campaigns, total] = await Promise.all([
+      Campaign.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Campaign.countDocuments(filter)
+    ]);
+  }
+
+  const stats = await statsFor(campaigns.map(c => c._id));
+  return {
+    campaigns: campaigns.map(c => withDetails(c, stats.get(idOf(c._id)))),
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      limit
+    }
+  };
+};
+
+const getCampaign = async (id) => {
+  const campaign = await getCampaignOr404(id);
+  const stats = await statsFor([campaign._id]);
+  return withDetails(campaign, stats.get(idOf(campaign._id)));
+};
+
+/**
+ * Recipients of a sent campaign with their delivery status
+ */
+const listRecipients = async (id, { status, page = 1, limit = 50 } = {}) => {
+  const campaign = await getCampaignOr404(id);
+  let recipients;
+  let total;
+  if (!isConnected()) {
+    const filtered = mockStore().mockCampaignRecipients
+      .filter(r => r.campaign === campaign._id && (!status || r.status === status))
+      .sort((a, b) => a.email.localeCompare(b.email));
+    total = filtered.length;
+    recipients = filtered.slice((page - 1) * limit, page * limit);
+  } else {
+    const filter = { campaign: campaign._id };
+    if (status) filter.status = status;
+    [recipients, total] = await Promise.all([
+      CampaignRecipient.find(filter).select('-trackingToken').sort({ email: 1 })
+        .skip((page - 1) * limit).limit(limit).lean(),
+      CampaignRecipient.countDocuments(filter)
+    ]);
+  }
+  return {
+    recipients: recipients.map(({ trackingToken, ...recipient }) => recipient),
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      limit
+    }
+  };
+};
+
+/**
+ * Create a draft. With an idempotencyKey the campaign is only ever created
+ * once; a second call returns the existing one with `duplicate` set.
+ */
+const createCampaign = async ({ title, subject, message, segment }, { by, idempotencyKey } = {}) => {
+  const fields = {
+    title,
+    subject,
+    message,
+    segment: normalizeSegment(segment),
+    status: 'draft',
+    recipientCount: 0,
+    createdBy: by,
+    ...(idempotencyKey && { idempotencyKey })
+  };
+
+  if (!isConnected()) {
+    const campaigns = mockStore().mockCampaigns;
+    const existing = idempotencyKey && campaigns.find(c => c.idempotencyKey === idempotencyKey);
+    if (existing) return { ...existing, duplicate: true };
+    const now = new Date();
+    const campaign = { _id: newId('camp'), ...fields, createdAt: now, updatedAt: now };
+    campaigns.push(campaign);
+    return campaign;
+  }
+
+  if (idempotencyKey) {
+    const existing = await Campaign.findOne({ idempotencyKey }).lean();
+    if (existing) return { ...existing, duplicate: true };
+  }
+  try {
+    return (await Campaign.create(fields)).toObject();
+  } catch (error) {
+    if (error.code === 11000 && idempotencyKey) {
+      return { ...(await Campaign.findOne({ idempotencyKey }).lean()), duplicate: true };
+    }
+    throw error;
+  }
+};
+
+const assertChanged = async (id, updated, message) => {
+  if (updated) return updated;
+  await getCampaignOr404(id);
+  throw requestError(409, message);
+};
+
+/**
+ * Change a draft or a scheduled campaign
+ */
+const updateCampaign = async (id, { title, subject, message, segment }) => {
+  const changes = {};
+  if (title !== undefined) changes.title = title;
+  if (subject !== undefined) changes.subject = subject;
+  if (message !== undefined) changes.message = message;
+  if (segment !== undefined) changes.segment = normalizeSegment(segment);
+
+  const updated = await updateCampaignIf(id, EDITABLE, changes);
+  return assertChanged(id, updated, 'Only draft or scheduled campaigns can be changed');
+};
+
+/**
+ * Queue one email per audience member. Claims a scheduled campaign first so
+ * it goes out once; a campaign still `sending` was left halfway by a run that
+ * stopped, and the idempotent recipients and jobs let it pick up from there.
+ * @returns {Promise<number>} emails queued
+ */
+const dispatchCampaign = async (campaign, now = new Date()) => {
+  const id = idOf(campaign._id);
+  if (campaign.status === 'scheduled') {
+    const claimed = await updateCampaignIf(id, ['scheduled'], { status: 'sending' });
+    if (!claimed) return 0;
+  }
+
+  const audience = await resolveAudience(campaign.segment, now);
+  let queued = 0;
+  for (const person of audience) {
+    const recipient = await addRecipient(isConnected() ? campaign._id : id, person);
+    const job = await enqueue('campaign', { recipientId: idOf(recipient._id) }, {
+      idempotencyKey: `campaign:${id}:${person.email}`
+    });
+    if (!job.duplicate) queued++;
+  }
+
+  // Cancelled in the meantime: the handler skips what was queued
+  await updateCampaignIf(id, ['sending'], { status: 'sent', sentAt: now, recipientCount: audience.length });
+  return queued;
+};
+
+/**
+ * Send the campaigns whose time has come (run every minute by the scheduled jobs)
+ * @returns {Promise<{ processed: number, errors: string[] }>} emails queued
+ */
+const dispatchDueCampaigns = async (now = new Date()) => {
+  const result = { processed: 0, errors: [] };
+  const due = isConnected()
+    ? await Campaign.find({
+      $or: [{ status: 'scheduled', scheduledAt: { $lte: now } }, { status: 'sending' }]
+    }).sort({ scheduledAt: 1 }).lean()
+    : mockStore().mockCampaigns.filter(c =>
+      (c.status === 'scheduled' && new Date(c.scheduledAt) <= now) || c.status === 'sending');
+
+  for (const campaign of due) {
+    try {
+      result.processed += await dispatchCampaign(campaign, now);
+    } catch (error) {
+      console.error(`Error sending campaign ${campaign._id}:`, error);
+      result.errors.push(`Campaign ${campaign._id}: ${error.message}`);
+    }
+  }
+  return result;
+};
+
+/**
+ * Schedule a draft, or move a scheduled campaign. Without `sendAt`, or with a
+ * time that has come, the campaign goes out right away.
+ */
+const scheduleCampaign = async (id, sendAt, now = new Date()) => {
+  const at = sendAt ? new Date(sendAt) : now;
+  if (at.getTime() < now.getTime() - PAST_TOLERANCE_MS) {
+    throw requestError(400, 'Send time is in the past');
+  }
+
+  const updated = await updateCampaignIf(id, EDITABLE, { status: 'scheduled', scheduledAt: at });
+  await assertChanged(id, updated, 'Only draft or scheduled campaigns can be scheduled');
+
+  if (at <= now) {
+    await runExclusive('campaigns', () => dispatchDueCampaigns(now));
+  }
+  return getCampaign(id);
+};
+
+/**
+ * Cancel a campaign; emails still in the outbox are not sent
+ */
+const cancelCampaign = async (id) => {
+  const updated = await updateCampaignIf(id, CANCELLABLE, { status: 'cancelled' });
+  await assertChanged(id, updated, 'Campaign is already cancelled');
+  return getCampaign(id);
+};
+
+// ---------------------------------------------------------------------------
+// Emails
+
+const openUrl = (trackingToken) => publicApiUrl(`/api/email/open/${trackingToken}`);
+
+/**
+ * The email and the audience of a campaign, saved or not. The unsubscribe
+ * link of the preview goes nowhere.
+ */
+const previewCampaign = async ({ subject, message, segment }, now = new Date()) => {
+  const audience = await resolveAudience(segment, now);
+  const email = await renderEmail('campaign', {
+    name: audience.length > 0 ? audience[0].name : 'Danışan',
+    subject: restoreSanitized(subject),
+    message: restoreSanitized(message),
+    unsubscribeUrl: `${process.env.FRONTEND_URL}/abonelik-iptal?token=onizleme`
+  });
+  return {
+    email,
+    htmlAsText: containsHtml(message),
+    audience: {
+      count: audience.length,
+      sample: audience.slice(0, PREVIEW_SAMPLE).map(({ email: address, name }) => ({ email: address, name }))
+    }
+  };
+};
+
+registerHandler('campaign', {
+  run: async ({ recipientId }) => {
+    const recipient = await findRecipient(recipientId);
+    if (!recipient) throw permanentError('Campaign recipient not found');
+    const campaign = await findCampaign(idOf(recipient.campaign));
+
+    if (!campaign || campaign.status === 'cancelled') {
+      await updateRecipient(recipientId, { status: 'skipped', error: 'Campaign cancelled' });
+      return 'Skipped: campaign cancelled';
+    }
+    if (!(await getList(recipient.list).isSubscribed(recipient.email))) {
+      await updateRecipient(recipientId, { status: 'skipped', error: 'Unsubscribed' });
+      return 'Skipped: unsubscribed';
+    }
+
+    const links = unsubscribeLinks({ email: recipient.email, list: recipient.list, campaign: idOf(campaign._id) });
+    const info = await sendEmail({
+      to: recipient.email,
+      template: 'campaign',
+      data: {
+        name: recipient.name,
+        // Campaign wording is saved as the admin API received it
+        subject: restoreSanitized(campaign.subject),
+        message: restoreSanitized(campaign.message),
+        unsubscribeUrl: links.url,
+        openUrl: openUrl(recipient.trackingToken)
+      },
+      headers: links.headers
+    });
+    await updateRecipient(recipientId, { status: 'sent', sentAt: new Date(), error: undefined });
+    return info && info.messageId ? `Message ${info.messageId}` : 'Sent';
+  },
+  onDead: (payload, job, error) => updateRecipient(payload.recipientId, { status: 'failed', error: errorText(error) })
+});
+
+/**
+ * Count an open of a campaign email (tracking image loaded)
+ */
+const recordOpen = async (trackingToken, now = new Date()) => {
+  if (!isConnected()) {
+    const recipient = mockStore().mockCampaignRecipients.find(r => r.trackingToken === trackingToken);
+    if (recipient) {
+      recipient.opens = (recipient.opens || 0) + 1;
+      if (!recipient.openedAt) recipient.openedAt = now;
+    }
+    return Boolean(recipient);
+  }
+  const result = await CampaignRecipient.updateOne(
+    { trackingToken },
+    { $inc: { opens: 1 }, $min: { openedAt: now } }
+  );
+  return result.matchedCount > 0;
+};
+
+module.exports = {
+  STATUSES,
+  RECIPIENT_STATUSES,
+  CONSENT_LIST,
+  hasCampaignConsent,
+  setCampaignConsent,
+  registerSegment,
+  isKnownSegment,
+  resolveAudience,
+  listSegments,
+  listCampaigns,
+  getCampaign,
+  listRecipients,
+  createCampaign,
+  updateCampaign,
+  scheduleCampaign,
+  cancelCampaign,
+  dispatchCampaign,
+  dispatchDueCampaigns,
+  previewCampaign,
+  containsHtml,
+  recordOpen,
+  markUnsubscribed
+};
@@ -0,0 +1,374 @@
+// Email templates: the built-in ones in templates/email and the wording the
+// admin edited in the panel (EmailTemplate). An edited template replaces the
+// subject and the HTML and text bodies of the built-in one; the layout,
+// partials and front matter (title, heading, color, footer) stay as shipped.
+// Every save is a new version and a rollback saves an old version again, so
+// the history only grows. A reset switches back to the built-in template and
+// keeps the history.
+// If an edited template fails to render when an email goes out, the built-in
+// template is sent instead and the error is kept for the panel.
+// Without a database edits are kept in memory.
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const EmailTemplate = require('../models/EmailTemplate');
+const { render, parseFrontMatter } = require('./templateEngine');
+
+// Built-in templates: <name>.html starts with a front matter block (subject,
+// title, heading, color, noReply, footer) read by the shared layout;
+// <name>.txt is the plain-text version sent alongside it. Partials come from
+// partials/, one .html and one .txt each.
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'email');
+
+const MAX_VERSIONS = 50;
+const LIMITS = { subject: 200, html: 100000, text: 50000 };
+// {{{name}}} in edited wording
+const RAW_VALUE = /\{\{\{\s*[\w.]+\s*\}\}\}/;
+
+const readTemplateFile = (...parts) => fs.readFileSync(path.join(TEMPLATE_DIR, ...parts), 'utf8');
+
+const loadPartials = () => {
+  const partials = { html: {}, text: {} };
+  fs.readdirSync(path.join(TEMPLATE_DIR, 'partials')).forEach(file => {
+    const { name, ext } = path.parse(file);
+    if (ext === '.html') partials.html[name] = readTemplateFile('partials', file);
+    if (ext === '.txt') partials.text[name] = readTemplateFile('partials', file);
+  });
+  return partials;
+};
+
+const loadTemplates = () => {
+  const templates = {};
+  fs.readdirSync(TEMPLATE_DIR).filter(file => file.endsWith('.html')).forEach(file => {
+    const name = path.basename(file, '.html');
+    const { meta, body } = parseFrontMatter(readTemplateFile(file));
+    templates[name] = {
+      subject: meta.subject || '',
+      meta,
+      html: body,
+      text: readTemplateFile(`${name}.txt`)
+    };
+  });
+  return templates;
+};
+
+const layout = {
+  html: readTemplateFile('layouts', 'default.html'),
+  text: readTemplateFile('layouts', 'default.txt')
+};
+const partials = loadPartials();
+const builtInTemplates = loadTemplates();
+const sampleData = JSON.parse(readTemplateFile('samples.json'));
+const templateVariables = JSON.parse(readTemplateFile('variables.json'));
+
+// In-memory fallback when MongoDB is not connected
+const memoryTemplates = new Map();
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+const requestError = (statusCode, message, problems) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (problems) error.problems = problems;
+  return error;
+};
+
+/**
+ * Request bodies pass xss-clean (server.js), which stores every "<" as "&lt;".
+ * For text that reaches an email straight from a request (contact form,
+ * campaign wording): turned back, the template escapes it once and the email
+ * shows what was typed. Other values are rendered as they are.
+ */
+const restoreSanitized = (value) => (typeof value === 'string' ? value.replace(/&lt;/g, '<') : value);
+
+const isKnownTemplate = (name) => Object.prototype.hasOwnProperty.call(builtInTemplates, name);
+
+const assertKnownTemplate = (name) => {
+  if (!isKnownTemplate(name)) {
+    throw requestError(404, 'Email template not found');
+  }
+};
+
+/**
+ * Render a template into its subject, HTML and plain-text versions. Values
+ * are HTML-escaped in the HTML version; lists are passed as arrays and
+ * rendered with {{#each}}, never as pre-built markup.
+ * @param {string} name - template name
+ * @param {object} data - template values
+ * @param {{ subject: string, html: string, text: string }} [content] - edited
+ *   wording to use instead of the built-in one
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+const renderTemplate = (name, data = {}, content) => {
+  if (!isKnownTemplate(name)) {
+    throw new Error(`Email template '${name}' not found`);
+  }
+  const builtIn = builtInTemplates[name];
+  const source = content || builtIn;
+
+  const context = { ...data, layout: builtIn.meta };
+  const htmlOptions = { partials: partials.html };
+  const textOptions = { partials: partials.text, escape: String };
+
+  const html = render(layout.html, {
+    ...context,
+    body: render(source.html, context, htmlOptions)
+  }, htmlOptions);
+  const text = render(layout.text, {
+    ...context,
+    body: render(source.text, context, textOptions).trim()
+  }, textOptions).replace(/\n{3,}/g, '\n\n').trim();
+
+  return {
+    subject: render(source.subject, data, { escape: String }),
+    html,
+    text
+  };
+};
+
+const findTemplate = async (name) => {
+  if (!isConnected()) {
+    return memoryTemplates.get(name) || null;
+  }
+  return EmailTemplate.findOne({ name }).lean();
+};
+
+/**
+ * The edited version of a template in use, or null for the built-in one
+ */
+const getCustomTemplate = async (name) => {
+  const custom = await findTemplate(name);
+  return custom && custom.active ? custom : null;
+};
+
+const noteRenderError = async (name, version, error) => {
+  const lastRenderError = { version, message: String(error.message).slice(0, 500), at: new Date() };
+  if (!isConnected()) {
+    const custom = memoryTemplates.get(name);
+    if (custom) custom.lastRenderError = lastRenderError;
+    return;
+  }
+  await EmailTemplate.updateOne({ name }, { $set: { lastRenderError } });
+};
+
+/**
+ * Render the template an email goes out with: the edited version when there
+ * is one, the built-in template when there is none or it fails to render.
+ * @param {string} name - template name
+ * @param {object} data - template values
+ * @param {{ content?: object }} [options] - `content` renders unsaved wording
+ *   (test sends); its errors are not caught
+ * @returns {Promise<{ subject: string, html: string, text: string }>}
+ */
+const renderEmail = async (name, data = {}, { content } = {}) => {
+  if (content) {
+    return renderTemplate(name, data, content);
+  }
+  if (!isKnownTemplate(name)) {
+    throw new Error(`Email template '${name}' not found`);
+  }
+
+  let custom = null;
+  try {
+    custom = await getCustomTemplate(name);
+  } catch (error) {
+    console.error(`Could not load edited email template '${name}':`, error);
+  }
+  if (custom) {
+    try {
+      return renderTemplate(name, data, custom);
+    } catch (error) {
+      console.error(`Edited email template '${name}' v${custom.version} failed, sending the built-in one:`, error);
+      await noteRenderError(name, custom.version, error).catch(noteError =>
+        console.error('Could not record template error:', noteError));
+    }
+  }
+  return renderTemplate(name, data);
+};
+
+/**
+ * Render a template with the sample data from templates/email/samples.json.
+ * Renders `content` when given, otherwise the version in use.
+ */
+const previewEmail = async (name, content) => {
+  assertKnownTemplate(name);
+  return renderEmail(name, sampleData[name] || {}, { content });
+};
+
+/**
+ * List of problems with edited wording (empty when valid). The wording must
+ * render with the template's sample data and insert every value escaped.
+ */
+const validateTemplateContent = (name, content) => {
+  const problems = [];
+  Object.keys(LIMITS).forEach(field => {
+    const value = content[field];
+    if (typeof value !== 'string' || value.trim() === '') {
+      problems.push(`${field} is required`);
+    } else if (value.length > LIMITS[field]) {
+      problems.push(`${field} must be at most ${LIMITS[field]} characters`);
+    }
+  });
+  if (problems.length > 0) return problems;
+
+  Object.keys(LIMITS).forEach(field => {
+    // Raw output is for the layout's body only; a value would reach the email unescaped
+    const raw = content[field].match(RAW_VALUE);
+    if (raw) {
+      problems.push(`${field}: ${raw[0]} is not allowed, values are inserted with {{name}}`);
+      return;
+    }
+    try {
+      render(content[field], sampleData[name] || {}, {
+        partials: field === 'html' ? partials.html : partials.text,
+        escape: field === 'html' ? undefined : String
+      });
+    } catch (error) {
+      problems.push(`${field}: ${error.message}`);
+    }
+  });
+  return problems;
+};
+
+const summarize = (name, custom) => ({
+  name,
+  title: builtInTemplates[name].meta.title || name,
+  subject: custom && custom.active ? custom.subject : builtInTemplates[name].subject,
+  customized: Boolean(custom && custom.active),
+  version: custom ? custom.version : null,
+  updatedAt: custom ? custom.updatedAt : null,
+  lastRenderError: custom && custom.lastRenderError && custom.lastRenderError.version === custom.version
+    ? custom.lastRenderError
+    : null
+});
+
+/**
+ * Every template with whether it has been edited
+ */
+const listTemplates = async () => {
+  const customs = isConnected()
+    ? await EmailTemplate.find().select('-versions').lean()
+    : [...memoryTemplates.values()];
+  const byName = new Map(customs.map(custom => [custom.name, custom]));
+  return Object.keys(builtInTemplates).sort().map(name => summarize(name, byName.get(name)));
+};
+
+/**
+ * A template for the editor: its variables, the built-in wording, the edited
+ * wording and the saved versions, newest first
+ */
+const getTemplateDetails = async (name) => {
+  assertKnownTemplate(name);
+  const custom = isConnected()
+    ? await EmailTemplate.findOne({ name }).populate('versions.savedBy', 'name email').lean()
+    : memoryTemplates.get(name);
+  const builtIn = builtInTemplates[name];
+
+  return {
+    ...summarize(name, custom),
+    variables: templateVariables[name] || {},
+    builtIn: { subject: builtIn.subject, html: builtIn.html, text: builtIn.text },
+    custom: custom && custom.active ? { subject: custom.subject, html: custom.html, text: custom.text } : null,
+    versions: custom ? [...custom.versions].reverse() : []
+  };
+};
+
+// Stores `content` as the next version and puts it in use
+const saveVersion = async (name, content, { by, note }) => {
+  const current = await findTemplate(name);
+  const version = current ? current.version + 1 : 1;
+  const entry = {
+    version,
+    subject: content.subject,
+    html: content.html,
+    text: content.text,
+    savedBy: by,
+    savedAt: new Date(),
+    note
+  };
+  const fields = { subject: content.subject, html: content.html, text: content.text, version, active: true };
+
+  if (!isConnected()) {
+    const versions = [...(current ? current.versions : []), entry].slice(-MAX_VERSIONS);
+    const saved = { ...current, name, ...fields, versions, updatedAt: entry.savedAt };
+    memoryTemplates.set(name, saved);
+    return saved;
+  }
+
+  if (!current) {
+    try {
+      return toPlain(await EmailTemplate.create({ name, ...fields, versions: [entry] }));
+    } catch (error) {
+      if (error.code === 11000) throw requestError(409, 'Template was changed by someone else, reload and try again');
+      throw error;
+    }
+  }
+  // Only applies when nobody saved in between
+  const saved = await EmailTemplate.findOneAndUpdate(
+    { name, version: current.version },
+    { $set: fields, $push: { versions: { $each: [entry], $slice: -MAX_VERSIONS } } },
+    { new: true }
+  ).lean();
+  if (!saved) throw requestError(409, 'Template was changed by someone else, reload and try again');
+  return saved;
+};
+
+/**
+ * Save edited wording as a new version. Throws an error with statusCode 400
+ * when it does not render.
+ */
+const saveTemplate = async (name, content, { by, note } = {}) => {
+  assertKnownTemplate(name);
+  const problems = validateTemplateContent(name, content);
+  if (problems.length > 0) {
+    throw requestError(400, 'Invalid email template', problems);
+  }
+  return saveVersion(name, content, { by, note });
+};
+
+/**
+ * Put an earlier version back in use by saving it as a new version
+ */
+const rollbackTemplate = async (name, version, { by } = {}) => {
+  assertKnownTemplate(name);
+  const current = await findTemplate(name);
+  const previous = current && current.versions.find(v => v.version === version);
+  if (!previous) {
+    throw requestError(404, 'Template version not found');
+  }
+  return saveVersion(name, previous, { by, note: `Sürüm ${version} geri yüklendi` });
+};
+
+/**
+ * Go back to the built-in template. The saved versions are kept.
+ */
+const resetTemplate = async (name) => {
+  assertKnownTemplate(name);
+  if (!isConnected()) {
+    const custom = memoryTemplates.get(name);
+    if (custom) custom.active = false;
+    return;
+  }
+  await EmailTemplate.updateOne({ name }, { $set: { active: false } });
+};
+
+module.exports = {
+  builtInTemplates,
+  sampleData,
+  templateVariables,
+  isKnownTemplate,
+  restoreSanitized,
+  renderTemplate,
+  renderEmail,
+  previewEmail,
+  getCustomTemplate,
+  validateTemplateContent,
+  listTemplates,
+  getTemplateDetails,
+  saveTemplate,
+  rollbackTemplate,
+  resetTemplate
+};
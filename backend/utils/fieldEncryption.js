@@ -0,0 +1,225 @@
+// Application-level encryption of clinical fields: session notes, appointment
+// notes and medical information. Values are encrypted with AES-256-GCM by a
+// Mongoose setter before they reach MongoDB and decrypted by a getter when
+// read through a document, so routes keep working with plain text. MongoDB,
+// lean queries and aggregations only ever see
+//   enc:v1:<key id>:<iv>:<auth tag>:<ciphertext>   (base64 parts)
+//
+// FIELD_ENCRYPTION_KEYS lists the keys as `id:base64` (32 bytes each), comma
+// separated. The first one encrypts, all of them decrypt. To rotate, put a new
+// key first, run `npm run encrypt-fields`, then drop the old one. The same
+// script encrypts documents written before the keys were set.
+//
+// Without keys values are stored as they are (development and tests).
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+let cachedKeys = { source: null, keys: [] };
+
+/**
+ * The configured keys, the one that encrypts first
+ * @returns {{ id: string, key: Buffer }[]}
+ */
+const loadKeys = () => {
+  const source = process.env.FIELD_ENCRYPTION_KEYS || '';
+  if (cachedKeys.source === source) return cachedKeys.keys;
+
+  const keys = source.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+    if (separator < 1 || key.length !== 32) {
+      throw new Error('FIELD_ENCRYPTION_KEYS: every key must be written as id:base64 and be 32 bytes long');
+    }
+    return { id, key };
+  });
+  cachedKeys = { source, keys };
+  return keys;
+};
+
+const isEnabled = () => loadKeys().length > 0;
+
+const currentKey = () => loadKeys()[0];
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+const keyIdOf = (value) => value.slice(PREFIX.length).split(':')[0];
+
+/**
+ * Encrypt a string with the current key. Empty values, values that are
+ * already encrypted and everything while no key is set pass through.
+ */
+const encryptValue = (value) => {
+  if (value === undefined || value === null || value === '' || isEncrypted(value) || !isEnabled()) return value;
+
+  const { id, key } = currentKey();
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return `${PREFIX}${id}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${data.toString('base64')}`;
+};
+
+/**
+ * Decrypt a value written by encryptValue; plain values pass through.
+ * Throws when its key is not configured or the value was altered.
+ */
+const decryptValue = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [id, iv, tag, data] = value.slice(PREFIX.length).split(':');
+  const entry = loadKeys().find(k => k.id === id);
+  if (!entry) {
+    throw new Error(`Field encryption key "${id}" is not configured`);
+  }
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, entry.key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error(`Could not decrypt a field with key "${id}": wrong key or altered value`);
+  }
+};
+
+const encryptList = (values) => (Array.isArray(values) ? values.map(encryptValue) : values);
+const decryptList = (values) => (Array.isArray(values) ? values.map(decryptValue) : values);
+
+// Plain, or encrypted with a key other than the current one
+const needsReencryption = (value) => {
+  if (value === undefined || value === null || value === '') return false;
+  return !isEncrypted(value) || keyIdOf(value) !== currentKey().id;
+};
+
+const reencryptValue = (value) => (needsReencryption(value) ? encryptValue(decryptValue(value)) : value);
+
+/**
+ * maxlength for an encrypted path, counted on the plain text. The built-in
+ * one would see the longer ciphertext on updates.
+ */
+const plaintextMaxLength = (max, message) => ({
+  validator: (value) => value === undefined || value === null || String(decryptValue(value)).length <= max,
+  message
+});
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const coversPath = (paths, key) => paths.some(path => key === path || key.startsWith(`${path}.`));
+
+// Stages that have to stay first in a pipeline
+const LEADING_STAGES = ['$geoNear', '$search', '$searchMeta', '$vectorSearch', '$collStats', '$indexStats'];
+
+/**
+ * Mongoose plugin: encrypt the given paths (strings or arrays of strings).
+ *
+ * Besides the setters and getters it
+ * - turns getters on for toJSON and toObject, so responses carry plain text;
+ * - refuses $push and $addToSet on encrypted arrays, which skip the setter;
+ * - removes the paths at the start of every aggregation, where they could only
+ *   be ciphertext anyway;
+ * - drops the values from validation errors, so logged errors do not carry them.
+ */
+const encryptedFields = (schema, { paths }) => {
+  for (const path of paths) {
+    const schemaType = schema.path(path);
+    if (!schemaType) throw new Error(`encryptedFields: unknown path ${path}`);
+    if (schemaType.instance === 'Array') {
+      schemaType.set(encryptList).get(decryptList);
+    } else {
+      schemaType.set(encryptValue).get(decryptValue);
+    }
+  }
+
+  for (const option of ['toJSON', 'toObject']) {
+    schema.set(option, { ...schema.get(option), getters: true });
+  }
+
+  const arrayPaths = paths.filter(path => schema.path(path).instance === 'Array');
+  schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function (next) {
+    const update = this.getUpdate() || {};
+    const appended = ['$push', '$addToSet']
+      .flatMap(operator => Object.keys(update[operator] || {}))
+      .find(key => coversPath(arrayPaths, key));
+    if (appended) {
+      return next(new Error(`${appended} is encrypted; set the whole list instead of adding to it`));
+    }
+    next();
+  });
+
+  schema.pre('aggregate', function (next) {
+    const pipeline = this.pipeline();
+    const leading = pipeline.length > 0 && LEADING_STAGES.includes(Object.keys(pipeline[0])[0]) ? 1 : 0;
+    pipeline.splice(leading, 0, { $unset: paths });
+    next();
+  });
+
+  schema.post('validate', function (error, doc, next) {
+    Object.entries((error && error.errors) || {}).forEach(([key, fieldError]) => {
+      if (!coversPath(paths, key)) return;
+      delete fieldError.value;
+      if (fieldError.properties) delete fieldError.properties.value;
+    });
+    next(error);
+  });
+
+  schema.static('encryptedFieldPaths', () => paths);
+};
+
+/**
+ * Bring every encrypted path of a model under the current key: plain values
+ * from before encryption are encrypted, values under older keys re-encrypted.
+ * Works on the raw collection, so no other hooks run and documents are not
+ * touched otherwise. A document changed in between is left for the next run.
+ * @returns {Promise<{ model: string, scanned: number, updated: number }>}
+ */
+const reencryptModel = async (Model, { dryRun = false, batchSize = 500 } = {}) => {
+  if (!isEnabled()) throw new Error('FIELD_ENCRYPTION_KEYS is not set');
+
+  const paths = Model.encryptedFieldPaths();
+  const cursor = Model.collection.find(
+    { $or: paths.map(path => ({ [path]: { $exists: true } })) },
+    { projection: Object.fromEntries(paths.map(path => [path, 1])) }
+  );
+
+  let scanned = 0;
+  let updated = 0;
+  let operations = [];
+  const flush = async () => {
+    if (operations.length > 0 && !dryRun) await Model.collection.bulkWrite(operations, { ordered: false });
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    scanned += 1;
+    const filter = { _id: doc._id };
+    const $set = {};
+    for (const path of paths) {
+      const value = valueAt(doc, path);
+      const stale = Array.isArray(value) ? value.some(needsReencryption) : needsReencryption(value);
+      if (stale) {
+        filter[path] = value;
+        $set[path] = Array.isArray(value) ? value.map(reencryptValue) : reencryptValue(value);
+      }
+    }
+    if (Object.keys($set).length === 0) continue;
+
+    updated += 1;
+    operations.push({ updateOne: { filter, update: { $set } } });
+    if (operations.length >= batchSize) await flush();
+  }
+  await flush();
+
+  return { model: Model.modelName, scanned, updated };
+};
+
+module.exports = {
+  isEnabled,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  plaintextMaxLength,
+  encryptedFields,
+  reencryptModel
+};
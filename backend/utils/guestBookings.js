@@ -0,0 +1,261 @@
+// Guest bookings: appointments booked from the public site without an account.
+// A guest booking holds its slot as `pending` until the client opens the
+// one-time link emailed to them; holds that are not confirmed in time are
+// released by the reminder job. Confirmed guest bookings are attached to the
+// client's account once they have one with a verified email address.
+// Works against MongoDB or the mock store, like the booking routes.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const { sendEmail } = require('./emailService');
+const { offerFreedSlot } = require('./waitlist');
+const { buildReminders } = require('./reminderPolicy');
+const { assertCanBookOnline } = require('./attendance');
+const {
+  getInterval,
+  getAvailabilitySettings,
+  checkSlotAvailability,
+  findConflictingAppointment
+} = require('./availability');
+
+const DEFAULT_CONFIRMATION_HOURS = 2;
+// Date of the KVKK aydınlatma metni (kvkk.html) the client agreed to
+const DEFAULT_KVKK_VERSION = '2024-01-15';
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const confirmationHours = () =>
+  parseFloat(process.env.GUEST_CONFIRMATION_HOURS) || DEFAULT_CONFIRMATION_HOURS;
+
+const kvkkVersion = () => process.env.KVKK_CONSENT_VERSION || DEFAULT_KVKK_VERSION;
+
+const requestError = (statusCode, message, data) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (data) error.data = data;
+  return error;
+};
+
+const updateAppointment = async (appointment, fields, unset = []) => {
+  if (!isConnected()) {
+    Object.assign(appointment, fields, { updatedAt: new Date() });
+    unset.forEach(field => delete appointment[field]);
+    return appointment;
+  }
+  Object.assign(appointment, fields);
+  unset.forEach(field => { appointment[field] = undefined; });
+  return appointment.save();
+};
+
+// Pending guest bookings, optionally only those of one email address
+const findPending = async (email) => {
+  if (!isConnected()) {
+    const { mockAppointments } = require('./mockDb');
+    return mockAppointments.filter(a =>
+      a.status === 'pending' && a.guest && (!email || a.guest.email === email)
+    );
+  }
+  const filter = { status: 'pending' };
+  if (email) filter['guest.email'] = email;
+  return Appointment.find(filter);
+};
+
+// Release a hold that was never confirmed and hand its slot to the waitlist.
+// The link keeps working, so the client can see what happened to the booking.
+const releaseHold = async (appointment, reason) => {
+  await updateAppointment(appointment, {
+    status: 'cancelled',
+    cancellationReason: reason,
+    cancelledAt: new Date()
+  });
+  await offerFreedSlot(appointment);
+};
+
+const sendConfirmationRequest = async (appointment, token) => {
+  try {
+    await sendEmail({
+      to: appointment.guest.email,
+      subject: 'Randevunuzu Onaylayın - Psikolog Onur Uslu',
+      template: 'guestBookingConfirmation',
+      data: {
+        name: appointment.guest.name,
+        date: appointment.formattedDate || new Date(appointment.date).toLocaleDateString('tr-TR'),
+        time: appointment.time,
+        type: appointment.typeTurkish || appointment.type,
+        duration: appointment.duration,
+        expiresAt: new Date(appointment.confirmationExpires).toLocaleString('tr-TR', { timeZone: 'Europe/Istanbul' }),
+        confirmLink: `${process.env.FRONTEND_URL}/randevu-onay?token=${token}`
+      }
+    });
+  } catch (emailError) {
+    console.error('Guest booking confirmation email failed:', emailError);
+  }
+};
+
+/**
+ * Book a slot for a client without an account and email them the one-time
+ * confirmation link. An earlier unconfirmed booking of the same email address
+ * is released, so a client can only hold one slot at a time.
+ * Throws an error with statusCode 400 (closed) or 409 (taken).
+ * @param {{ name, email, phone, date, time, type, duration?, notes? }} data
+ * @param {{ ipAddress?, now? }} options
+ * @returns {Promise<object>} the pending appointment
+ */
+const createGuestBooking = async (data, { ipAddress, now = new Date() } = {}) => {
+  const settings = await getAvailabilitySettings();
+  const email = data.email.toLowerCase();
+  await assertCanBookOnline({ email });
+
+  const slot = {
+    date: new Date(data.date),
+    time: data.time,
+    duration: data.duration || settings.defaultDuration
+  };
+
+  const availability = await checkSlotAvailability(slot, settings);
+  if (!availability.valid) {
+    throw requestError(400, availability.message);
+  }
+
+  for (const previous of await findPending(email)) {
+    await releaseHold(previous, 'Replaced by a newer booking');
+  }
+
+  const conflict = await findConflictingAppointment(slot, settings);
+  if (conflict) {
+    throw requestError(409, 'Time slot is already taken', {
+      conflict: { time: conflict.time, duration: conflict.duration }
+    });
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const sessionStart = getInterval(slot).start;
+  const fields = {
+    ...slot,
+    guest: { name: data.name, email, phone: data.phone },
+    kvkkConsent: { acceptedAt: now, version: kvkkVersion(), ipAddress },
+    type: data.type,
+    notes: data.notes,
+    status: 'pending',
+    confirmationTokenHash: hashToken(token),
+    confirmationExpires: new Date(Math.min(
+      now.getTime() + confirmationHours() * 60 * 60 * 1000,
+      sessionStart.getTime()
+    ))
+  };
+
+  let appointment;
+  if (!isConnected()) {
+    const { mockAppointments } = require('./mockDb');
+    appointment = { _id: `mock-app-${Date.now()}`, ...fields, price: 0, reminders: [], createdAt: new Date() };
+    mockAppointments.push(appointment);
+  } else {
+    appointment = await Appointment.create(fields);
+  }
+
+  await sendConfirmationRequest(appointment, token);
+  return appointment;
+};
+
+/**
+ * Look up a guest booking by the token from its confirmation link. The token
+ * is cleared on confirmation, so a used link no longer finds the booking.
+ */
+const findGuestBookingByToken = async (token) => {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  if (!isConnected()) {
+    const { mockAppointments } = require('./mockDb');
+    return mockAppointments.find(a => a.confirmationTokenHash === tokenHash) || null;
+  }
+  return Appointment.findOne({ confirmationTokenHash: tokenHash }).select('+confirmationTokenHash');
+};
+
+const findVerifiedUser = async (email) => {
+  if (!isConnected()) {
+    const { mockUsers } = require('./mockDb');
+    return mockUsers.find(u => u.email === email && u.emailVerified) || null;
+  }
+  return User.findOne({ email, emailVerified: true }).select('name email phone');
+};
+
+/**
+ * Confirm a pending guest booking from its emailed link. The booking becomes
+ * a regular scheduled appointment with reminders, and is attached straight
+ * away when the email belongs to a verified account.
+ * Throws 404 for an unknown link and 410 once the hold has lapsed.
+ */
+const confirmGuestBooking = async (token, now = new Date()) => {
+  const appointment = await findGuestBookingByToken(token);
+  if (!appointment) throw requestError(404, 'Booking not found');
+
+  if (appointment.status === 'pending' && new Date(appointment.confirmationExpires) <= now) {
+    await releaseHold(appointment, 'Not confirmed in time');
+  }
+  if (appointment.status !== 'pending') {
+    throw requestError(410, `Booking can no longer be confirmed (${appointment.status})`);
+  }
+
+  const user = await findVerifiedUser(appointment.guest.email);
+  const fields = { status: 'scheduled', confirmedAt: now };
+  if (user) fields.user = isConnected() ? user._id : user;
+  // The account holder's preferences apply once the booking is attached to it
+  fields.reminders = await buildReminders({
+    date: appointment.date,
+    time: appointment.time,
+    duration: appointment.duration,
+    user: user || null
+  });
+
+  return updateAppointment(appointment, fields, ['confirmationTokenHash', 'confirmationExpires']);
+};
+
+/**
+ * Release every pending guest booking past its confirmation deadline.
+ * @returns {Promise<number>} number of released bookings
+ */
+const expireGuestBookings = async (now = new Date()) => {
+  const stale = (await findPending()).filter(a => new Date(a.confirmationExpires) <= now);
+  for (const appointment of stale) {
+    await releaseHold(appointment, 'Not confirmed in time');
+  }
+  return stale.length;
+};
+
+/**
+ * Attach the confirmed guest bookings made with the user's email address to
+ * their account. Only for verified addresses: the email link is what proves
+ * the bookings belong to this user.
+ * @returns {Promise<number>} number of attached bookings
+ */
+const mergeGuestBookings = async (user) => {
+  if (!user || !user.emailVerified) return 0;
+  const email = user.email.toLowerCase();
+
+  if (!isConnected()) {
+    const { mockAppointments } = require('./mockDb');
+    const bookings = mockAppointments.filter(a =>
+      !a.user && a.guest && a.guest.email === email && a.confirmedAt
+    );
+    bookings.forEach(a => { a.user = user; });
+    return bookings.length;
+  }
+
+  const result = await Appointment.updateMany(
+    { user: null, 'guest.email': email, confirmedAt: { $ne: null } },
+    { $set: { user: user._id } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  createGuestBooking,
+  findGuestBookingByToken,
+  confirmGuestBooking,
+  expireGuestBookings,
+  mergeGuestBookings
+};
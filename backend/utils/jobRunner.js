@@ -0,0 +1,180 @@
+// Runs scheduled jobs once across all server instances. Every instance keeps
+// its own cron timers; before a run, the instance takes the job's lock in
+// MongoDB (JobLock). Only the instance that gets the lock runs the job, the
+// others skip that round. A lock expires after its lease, so a crashed
+// instance cannot hold a job forever. Each run is recorded in JobRun with its
+// start and end time, processed count and errors.
+// Without a database there is a single process; locks and runs are kept in
+// memory.
+
+const os = require('os');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const JobLock = require('../models/JobLock');
+const JobRun = require('../models/JobRun');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const DEFAULT_LEASE_MS = 10 * 60 * 1000;
+// The lock stays taken this long after a run started, so an instance whose
+// clock is a few seconds behind does not repeat the same scheduled run
+const MIN_HOLD_MS = 30 * 1000;
+const MAX_ERRORS = 20;
+const MEMORY_RUNS = 200;
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const errorText = (error) => String((error && error.message) || error).slice(0, 500);
+
+// In-memory fallback when MongoDB is not connected
+const memoryLocks = new Map();
+let memoryRuns = [];
+
+/**
+ * Take the lock of a job for `leaseMs`. Fails while another run, on this or
+ * any other instance, holds it.
+ * @returns {Promise<boolean>} whether the lock was taken
+ */
+const acquireLock = async (name, leaseMs = DEFAULT_LEASE_MS, now = new Date()) => {
+  const expiresAt = new Date(now.getTime() + leaseMs);
+
+  if (!isConnected()) {
+    const held = memoryLocks.get(name);
+    if (held && held.expiresAt > now) return false;
+    memoryLocks.set(name, { owner: INSTANCE_ID, lockedAt: now, expiresAt });
+    return true;
+  }
+
+  try {
+    await JobLock.findOneAndUpdate(
+      { _id: name, expiresAt: { $lte: now } },
+      { $set: { owner: INSTANCE_ID, lockedAt: now, expiresAt } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // The lock exists and has not expired: the upsert collided with it
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Give the lock back. It is kept until MIN_HOLD_MS after the run started.
+ */
+const releaseLock = async (name, startedAt = new Date()) => {
+  const expiresAt = new Date(Math.max(Date.now(), startedAt.getTime() + MIN_HOLD_MS));
+  if (!isConnected()) {
+    const held = memoryLocks.get(name);
+    if (held && held.owner === INSTANCE_ID) held.expiresAt = expiresAt;
+    return;
+  }
+  await JobLock.updateOne({ _id: name, owner: INSTANCE_ID }, { $set: { expiresAt } });
+};
+
+const startRun = async (name, startedAt) => {
+  const fields = { name, instance: INSTANCE_ID, status: 'running', startedAt, processed: 0, errorMessages: [] };
+  if (!isConnected()) {
+    const run = { _id: crypto.randomBytes(6).toString('hex'), ...fields };
+    memoryRuns = [run, ...memoryRuns].slice(0, MEMORY_RUNS);
+    return run;
+  }
+  // Holding the lock means no other run of this job is active; a run still
+  // marked as running belonged to an instance that stopped mid-run
+  await JobRun.updateMany(
+    { name, status: 'running' },
+    { $set: { status: 'failed', finishedAt: startedAt, errorMessages: ['Instance stopped before the run finished'] } }
+  );
+  return (await JobRun.create(fields)).toObject();
+};
+
+const finishRun = async (run, changes) => {
+  if (!isConnected()) {
+    Object.assign(memoryRuns.find(r => r._id === run._id) || {}, changes);
+    return;
+  }
+  await JobRun.updateOne({ _id: run._id }, { $set: changes });
+};
+
+// A task returns the number of items it processed, or { processed, errors }
+// when single items failed without stopping the run
+const summarize = (outcome) => {
+  if (typeof outcome === 'number') return { processed: outcome, errors: [] };
+  const { processed = 0, errors = [] } = outcome || {};
+  return { processed, errors };
+};
+
+/**
+ * Run a scheduled job unless another instance is already running it.
+ * Never throws: errors end up in the run record and the log.
+ * @param {string} name - job name, also the lock key
+ * @param {Function} task - async function returning a count or { processed, errors }
+ * @param {{ leaseMs?: number }} [options] - longest the run may take before
+ *   another instance may take over
+ * @returns {Promise<object|null>} the finished run, null when skipped
+ */
+const runExclusive = async (name, task, { leaseMs = DEFAULT_LEASE_MS } = {}) => {
+  const startedAt = new Date();
+  let run;
+  try {
+    if (!(await acquireLock(name, leaseMs, startedAt))) {
+      return null;
+    }
+    run = await startRun(name, startedAt);
+  } catch (error) {
+    console.error(`Job ${name}: could not start run:`, error);
+    return null;
+  }
+
+  let changes;
+  try {
+    const { processed, errors } = summarize(await task());
+    changes = { status: 'completed', processed, errorMessages: errors.map(errorText).slice(0, MAX_ERRORS) };
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+    changes = { status: 'failed', errorMessages: [errorText(error)] };
+  }
+
+  const finishedAt = new Date();
+  Object.assign(changes, { finishedAt, durationMs: finishedAt - startedAt });
+  try {
+    await finishRun(run, changes);
+    await releaseLock(name, startedAt);
+  } catch (error) {
+    console.error(`Job ${name}: could not record run:`, error);
+  }
+  return { ...run, ...changes };
+};
+
+/**
+ * Recent runs, newest first, and the last run of every job.
+ */
+const getRunHistory = async ({ limit = 20 } = {}) => {
+  let recent;
+  let latest;
+  if (!isConnected()) {
+    recent = memoryRuns.slice(0, limit);
+    const seen = new Set();
+    latest = memoryRuns.filter(run => !seen.has(run.name) && seen.add(run.name));
+  } else {
+    recent = await JobRun.find().sort({ startedAt: -1 }).limit(limit).lean();
+    latest = (await JobRun.aggregate([
+      { $sort: { startedAt: -1 } },
+      { $group: { _id: '$name', run: { $first: '$$ROOT' } } }
+    ])).map(({ run }) => run);
+  }
+
+  return {
+    instance: INSTANCE_ID,
+    latest: latest.sort((a, b) => a.name.localeCompare(b.name)),
+    recent
+  };
+};
+
+module.exports = {
+  INSTANCE_ID,
+  acquireLock,
+  releaseLock,
+  runExclusive,
+  getRunHistory
+};
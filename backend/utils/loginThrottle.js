@@ -0,0 +1,225 @@
+// Failed logins are counted per account, so guessing a password from many
+// addresses gets no further than guessing it from one. The first few mistakes
+// are free; after that every next try has to wait twice as long as the one
+// before, and LOGIN_MAX_ATTEMPTS failures in a row lock the account for
+// LOGIN_LOCK_MINUTES (doubled for every lock that follows, at most a day).
+// A successful login clears the count; a password reset or an admin clears a lock.
+//
+// Wrong two-factor codes count like wrong passwords. Admin panel accounts get
+// an email when they are locked, when a right password is followed by a wrong
+// code, and when they log in from an address none of their sessions came from.
+//
+// Without MongoDB the mock admin's count lives in mockDb.
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const { enqueueEmail } = require('./outbox');
+const { isStaff } = require('./permissions');
+
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 60;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+// A day without failures forgets the earlier failures and locks
+const FORGET_AFTER_MS = 24 * 60 * 60 * 1000;
+const MOCK_ADMIN_ID = 'mock-admin-id';
+
+const ALERT_SUMMARIES = {
+  locked: 'Hesabınız art arda hatalı giriş denemeleri nedeniyle geçici olarak kilitlendi.',
+  'second-factor-failed': 'Şifreniz doğru girildi, ancak ardından gelen iki adımlı doğrulama kodu hatalıydı.',
+  'new-address': 'Hesabınıza daha önce hiçbir oturumunuzun açılmadığı bir adresten giriş yapıldı.'
+};
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const maxAttempts = () => parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 10;
+const lockMinutes = () => parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+
+const isMockAdmin = (user) => String(user._id) === MOCK_ADMIN_ID && !isConnected();
+
+const mockState = () => require('./mockDb').mockAdminLoginAttempts;
+
+const stateOf = (user) => (isMockAdmin(user) ? mockState() : user.loginAttempts) || {};
+
+const throttleError = (statusCode, message, retryAfter) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((new Date(date).getTime() - now.getTime()) / 1000));
+
+/**
+ * Seconds a client has to wait after the given number of failures in a row
+ */
+const delayAfter = (failures) => (failures <= FREE_ATTEMPTS
+  ? 0
+  : Math.min(2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_SECONDS));
+
+// How long a lock lasts when the account was locked `lockouts` times before
+const lockDuration = (lockouts) => Math.min(lockMinutes() * 60 * 1000 * 2 ** lockouts, MAX_LOCK_MS);
+
+const isStale = (state, now) => !state.lastFailedAt ||
+  now.getTime() - new Date(state.lastFailedAt).getTime() > FORGET_AFTER_MS;
+
+const accountLockedError = (lockedUntil, now = new Date()) => throttleError(423,
+  'Account is temporarily locked after too many failed logins; reset your password to unlock it now',
+  secondsUntil(lockedUntil, now));
+
+/**
+ * Why a login may not be tried right now: 423 while the account is locked,
+ * 429 while it has to wait after its last failure (`retryAfter` in seconds).
+ * Check it before the password so a locked account gives nothing away.
+ * @returns {Error|null}
+ */
+const loginBlock = (user, now = new Date()) => {
+  const state = stateOf(user);
+  if (state.lockedUntil && new Date(state.lockedUntil) > now) {
+    return accountLockedError(state.lockedUntil, now);
+  }
+  if (!state.lastFailedAt || isStale(state, now)) return null;
+
+  const allowedAt = new Date(new Date(state.lastFailedAt).getTime() + delayAfter(state.failedCount || 0) * 1000);
+  if (allowedAt > now) {
+    return throttleError(429, 'Too many failed logins, please wait before trying again', secondsUntil(allowedAt, now));
+  }
+  return null;
+};
+
+const formatTime = (date) => new Date(date).toLocaleString('tr-TR', { timeZone: 'Europe/Istanbul' });
+
+/**
+ * Queue a security email to an admin. One per event and hour is enough; a
+ * failure to queue it never fails the login.
+ */
+const alertAdmin = async (user, event, client = {}, { now = new Date(), lockedUntil } = {}) => {
+  const hour = Math.floor(now.getTime() / (60 * 60 * 1000));
+  const keyParts = ['login-alert', String(user._id), event, event === 'new-address' && client.ipAddress, hour];
+  try {
+    await enqueueEmail({
+      to: process.env.ADMIN_ALERT_EMAIL || user.email,
+      template: 'adminLoginAlert',
+      data: {
+        name: user.name,
+        summary: ALERT_SUMMARIES[event],
+        time: formatTime(now),
+        ipAddress: client.ipAddress || 'bilinmiyor',
+        userAgent: client.userAgent || 'bilinmiyor',
+        lockedUntil: lockedUntil ? formatTime(lockedUntil) : '',
+        securityLink: `${process.env.FRONTEND_URL}/admin/security.html`
+      }
+    }, { idempotencyKey: keyParts.filter(Boolean).join(':') });
+  } catch (error) {
+    console.error('Failed to queue admin login alert:', error);
+  }
+};
+
+/**
+ * Count a wrong password or two-factor code
+ * @param {{ _id, role, email, name, loginAttempts? }} user
+ * @param {{ userAgent?, ipAddress? }} client
+ * @param {{ reason?: 'password'|'two-factor', now?: Date }} [options]
+ * @returns {Promise<{ lockedUntil: Date|null }>} lockedUntil when this failure locked the account
+ */
+const recordLoginFailure = async (user, client = {}, { reason = 'password', now = new Date() } = {}) => {
+  let lockedUntil = null;
+
+  if (isMockAdmin(user)) {
+    const state = mockState();
+    if (isStale(state, now)) Object.assign(state, { failedCount: 0, lockouts: 0 });
+    state.failedCount += 1;
+    state.lastFailedAt = now;
+    state.lastFailedIp = client.ipAddress;
+    if (state.failedCount >= maxAttempts()) {
+      lockedUntil = new Date(now.getTime() + lockDuration(state.lockouts));
+      Object.assign(state, { lockedUntil, failedCount: 0, lockouts: state.lockouts + 1 });
+    }
+  } else {
+    const seen = { 'loginAttempts.lastFailedAt': now, 'loginAttempts.lastFailedIp': client.ipAddress };
+    const update = isStale(stateOf(user), now)
+      ? { $set: { ...seen, 'loginAttempts.failedCount': 1, 'loginAttempts.lockouts': 0 } }
+      : { $set: seen, $inc: { 'loginAttempts.failedCount': 1 } };
+    const updated = await User.findByIdAndUpdate(user._id, update, { new: true }).select('loginAttempts').lean();
+    const { failedCount = 0, lockouts = 0 } = (updated && updated.loginAttempts) || {};
+
+    if (failedCount >= maxAttempts()) {
+      const until = new Date(now.getTime() + lockDuration(lockouts));
+      // Of parallel failures only the one that still finds the count full locks
+      const result = await User.updateOne(
+        { _id: user._id, 'loginAttempts.failedCount': { $gte: maxAttempts() } },
+        {
+          $set: { 'loginAttempts.lockedUntil': until, 'loginAttempts.failedCount': 0 },
+          $inc: { 'loginAttempts.lockouts': 1 }
+        }
+      );
+      if (result.modifiedCount > 0) lockedUntil = until;
+    }
+  }
+
+  if (isStaff(user)) {
+    if (lockedUntil) await alertAdmin(user, 'locked', client, { now, lockedUntil });
+    if (reason === 'two-factor') await alertAdmin(user, 'second-factor-failed', client, { now });
+  }
+  return { lockedUntil };
+};
+
+// Whether the user has sessions, and one of them from this address
+const sessionHistory = async (userId, ipAddress) => {
+  if (!isConnected()) {
+    const sessions = require('./mockDb').mockAuthSessions.filter(s => String(s.user) === String(userId));
+    return { any: sessions.length > 0, fromAddress: sessions.some(s => s.ipAddress === ipAddress) };
+  }
+  const [any, fromAddress] = await Promise.all([
+    AuthSession.exists({ user: userId }),
+    AuthSession.exists({ user: userId, ipAddress })
+  ]);
+  return { any: Boolean(any), fromAddress: Boolean(fromAddress) };
+};
+
+/**
+ * Clear the failure count after a login went through. Call it before the
+ * session is opened: admins are told about an address their earlier sessions
+ * never came from (the very first login has nothing to compare with).
+ */
+const recordLoginSuccess = async (user, client = {}, now = new Date()) => {
+  const state = stateOf(user);
+  if (state.failedCount || state.lockouts || state.lockedUntil) await unlockAccount(user._id);
+
+  if (isStaff(user) && client.ipAddress) {
+    const history = await sessionHistory(user._id, client.ipAddress);
+    if (history.any && !history.fromAddress) await alertAdmin(user, 'new-address', client, { now });
+  }
+};
+
+/**
+ * Lift a lock and forget the failures
+ * @returns {Promise<{ wasLocked: boolean }|null>} null when there is no such account
+ */
+const unlockAccount = async (userId, now = new Date()) => {
+  if (!isConnected()) {
+    if (String(userId) !== MOCK_ADMIN_ID) return null;
+    const state = mockState();
+    const wasLocked = Boolean(state.lockedUntil && new Date(state.lockedUntil) > now);
+    Object.assign(state, { failedCount: 0, lockouts: 0, lockedUntil: null });
+    return { wasLocked };
+  }
+  if (!mongoose.isValidObjectId(userId)) return null;
+
+  const before = await User.findByIdAndUpdate(userId, {
+    $set: { 'loginAttempts.failedCount': 0, 'loginAttempts.lockouts': 0 },
+    $unset: { 'loginAttempts.lockedUntil': '' }
+  }).select('loginAttempts').lean();
+  if (!before) return null;
+  const lockedUntil = before.loginAttempts && before.loginAttempts.lockedUntil;
+  return { wasLocked: Boolean(lockedUntil && lockedUntil > now) };
+};
+
+module.exports = {
+  delayAfter,
+  accountLockedError,
+  loginBlock,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount
+};
@@ -0,0 +1,272 @@
+// Email delivery behind a small transport interface, with failover.
+// A transport exposes:
+//   name
+//   isConfigured()  -> whether its credentials are set
+//   send({ to, subject, html, text, attachments, headers }) -> { messageId }
+//   verify()        -> throws when it cannot send
+// MAIL_TRANSPORTS lists the transports in priority order (e.g. "resend,smtp").
+// Without it, Resend comes first and SMTP second, each only when configured;
+// outside production the file transport is used when neither is.
+// An email goes to the first transport; when it fails the next one is tried.
+// A transport that failed is tried last for a few minutes, so a blocked SMTP
+// port does not slow every email down.
+// Every email is recorded in the delivery log (EmailDelivery) with the
+// transport that took it and the provider's message ID, or with the errors of
+// every transport when none did. Without a database the log is kept in memory.
+// registerTransport() adds a transport or puts one in place of a built-in
+// (the tests send through an in-memory one); unregisterTransport() undoes it.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const EmailDelivery = require('../models/EmailDelivery');
+
+const builtInTransports = {
+  smtp: require('./mailTransports/smtp'),
+  resend: require('./mailTransports/resend'),
+  file: require('./mailTransports/file')
+};
+let transports = { ...builtInTransports };
+
+const TRANSPORT_NAMES = Object.keys(builtInTransports);
+const DELIVERY_STATUSES = ['sent', 'failed'];
+const COOLDOWN_MS = 5 * 60 * 1000;
+const MEMORY_DELIVERIES = 500;
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const errorText = (error) => String((error && error.message) || error).slice(0, 500);
+
+// In-memory fallback when MongoDB is not connected
+let memoryDeliveries = [];
+// When each transport last failed, for the cooldown
+const failedAt = new Map();
+
+const configuredOrder = () => {
+  const listed = (process.env.MAIL_TRANSPORTS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  if (listed.length > 0) return [...new Set(listed)];
+
+  const order = ['resend', 'smtp'].filter(name => transports[name].isConfigured());
+  if (order.length === 0 && process.env.NODE_ENV !== 'production') order.push('file');
+  return order;
+};
+
+const getTransport = (name) => {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Email transport '${name}' not found`);
+  }
+  return transport;
+};
+
+/**
+ * Use `transport` for its name from now on, in place of a built-in one of
+ * that name if there is one
+ * @param {{ name: string, isConfigured: Function, send: Function, verify: Function }} transport
+ */
+const registerTransport = (transport) => {
+  transports = { ...transports, [transport.name]: transport };
+};
+
+// Back to the built-in transport of that name, or to none
+const unregisterTransport = (name) => {
+  const { [name]: registered, ...rest } = transports;
+  transports = builtInTransports[name] ? { ...rest, [name]: builtInTransports[name] } : rest;
+};
+
+const isCoolingDown = (name, now = Date.now()) =>
+  failedAt.has(name) && now - failedAt.get(name) < COOLDOWN_MS;
+
+// Priority order, with transports that failed recently moved to the end
+const orderedTransports = () => {
+  const chain = configuredOrder().map(getTransport);
+  return [
+    ...chain.filter(transport => !isCoolingDown(transport.name)),
+    ...chain.filter(transport => isCoolingDown(transport.name))
+  ];
+};
+
+/**
+ * Whether an email could go out: at least one listed transport is configured
+ */
+const isMailConfigured = () => {
+  try {
+    return orderedTransports().some(transport => transport.isConfigured());
+  } catch (error) {
+    return false;
+  }
+};
+
+const recordDelivery = async (fields) => {
+  try {
+    if (!isConnected()) {
+      const delivery = {
+        _id: `mail_${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`,
+        ...fields,
+        createdAt: new Date()
+      };
+      memoryDeliveries = [delivery, ...memoryDeliveries].slice(0, MEMORY_DELIVERIES);
+      return;
+    }
+    await EmailDelivery.create(fields);
+  } catch (error) {
+    console.error('Could not record email delivery:', error);
+  }
+};
+
+/**
+ * Send an email through the first transport that accepts it.
+ * @param {{ to: string|string[], subject: string, html: string, text: string, attachments?: Array, headers?: object }} message
+ * @param {{ template?: string }} [options] - `template` is kept in the delivery log
+ * @returns {Promise<{ transport: string, messageId: string, attempts: Array }>}
+ *   `attempts` lists the transports that failed first
+ * @throws {Error} with `attempts` when every transport failed
+ */
+const sendMail = async (message, { template } = {}) => {
+  const chain = orderedTransports();
+  const log = {
+    to: [].concat(message.to).join(', '),
+    subject: message.subject,
+    template
+  };
+  const startedAt = Date.now();
+  const attempts = [];
+
+  for (const transport of chain) {
+    if (!transport.isConfigured()) {
+      attempts.push({ transport: transport.name, error: 'Not configured', durationMs: 0 });
+      continue;
+    }
+    const attemptStartedAt = Date.now();
+    try {
+      const { messageId } = await transport.send(message);
+      failedAt.delete(transport.name);
+      console.log(`Email sent via ${transport.name}:`, messageId);
+      await recordDelivery({
+        ...log,
+        status: 'sent',
+        transport: transport.name,
+        messageId,
+        attempts,
+        durationMs: Date.now() - startedAt
+      });
+      return { transport: transport.name, messageId, attempts };
+    } catch (error) {
+      console.error(`Email transport ${transport.name} failed:`, errorText(error));
+      failedAt.set(transport.name, Date.now());
+      attempts.push({ transport: transport.name, error: errorText(error), durationMs: Date.now() - attemptStartedAt });
+    }
+  }
+
+  await recordDelivery({ ...log, status: 'failed', attempts, durationMs: Date.now() - startedAt });
+  const error = new Error(attempts.length > 0
+    ? `Email could not be sent: ${attempts.map(a => `${a.transport}: ${a.error}`).join('; ')}`
+    : 'No email transport configured (MAIL_TRANSPORTS, RESEND_API_KEY or SMTP_PASS)');
+  error.attempts = attempts;
+  throw error;
+};
+
+/**
+ * The transports in priority order, for the admin panel
+ */
+const getTransportStatus = () => {
+  let order;
+  try {
+    order = configuredOrder().map(getTransport);
+  } catch (error) {
+    return { order: [], error: error.message };
+  }
+  return {
+    order: order.map(transport => ({
+      name: transport.name,
+      configured: transport.isConfigured(),
+      failedAt: failedAt.has(transport.name) ? new Date(failedAt.get(transport.name)) : null,
+      coolingDown: isCoolingDown(transport.name)
+    }))
+  };
+};
+
+/**
+ * Check every listed transport without sending anything.
+ * @returns {Promise<Array<{ name: string, ok: boolean, error?: string }>>}
+ */
+const verifyTransports = async () => Promise.all(configuredOrder().map(async (name) => {
+  try {
+    const transport = getTransport(name);
+    if (!transport.isConfigured()) return { name, ok: false, error: 'Not configured' };
+    await transport.verify();
+    return { name, ok: true };
+  } catch (error) {
+    return { name, ok: false, error: errorText(error) };
+  }
+}));
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Delivery log, newest first, with a count per status.
+ * `to` matches part of the recipient address.
+ */
+const listDeliveries = async ({ status, transport, template, to, page = 1, limit = 20 } = {}) => {
+  const counts = Object.fromEntries(DELIVERY_STATUSES.map(s => [s, 0]));
+  let deliveries;
+  let total;
+
+  if (!isConnected()) {
+    memoryDeliveries.forEach(d => { counts[d.status] += 1; });
+    const search = to ? to.toLowerCase() : null;
+    const filtered = memoryDeliveries.filter(d =>
+      (!status || d.status === status) &&
+      (!transport || d.transport === transport) &&
+      (!template || d.template === template) &&
+      (!search || d.to.toLowerCase().includes(search)));
+    total = filtered.length;
+    deliveries = filtered.slice((page - 1) * limit, page * limit);
+  } else {
+    const filter = {};
+    if (status) filter.status = status;
+    if (transport) filter.transport = transport;
+    if (template) filter.template = template;
+    if (to) filter.to = { $regex: escapeRegex(to), $options: 'i' };
+    [deliveries, total] = await Promise.all([
+      EmailDelivery.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      EmailDelivery.countDocuments(filter)
+    ]);
+    (await EmailDelivery.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]))
+      .forEach(({ _id, count }) => { counts[_id] = count; });
+  }
+
+  return {
+    deliveries,
+    counts,
+    transports: getTransportStatus(),
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      limit
+    }
+  };
+};
+
+// Forget failures and the in-memory log (tests)
+const resetTransportState = () => {
+  failedAt.clear();
+  memoryDeliveries = [];
+};
+
+module.exports = {
+  TRANSPORT_NAMES,
+  DELIVERY_STATUSES,
+  getTransport,
+  registerTransport,
+  unregisterTransport,
+  isMailConfigured,
+  sendMail,
+  getTransportStatus,
+  verifyTransports,
+  listDeliveries,
+  resetTransportState
+};
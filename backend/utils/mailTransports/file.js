@@ -0,0 +1,44 @@
+// Development transport: every email is written as an .eml file to
+// MAIL_FILE_DIR (default backend/data/mail) instead of being sent. The files
+// open in any mail client, attachments included.
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const directory = () => process.env.MAIL_FILE_DIR || path.join(__dirname, '..', '..', 'data', 'mail');
+
+const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+// Always available; whether it is used is up to MAIL_TRANSPORTS
+const isConfigured = () => true;
+
+const send = async ({ to, subject, html, text, attachments, headers }) => {
+  const info = await transporter.sendMail({
+    from: { name: 'Psikolog Onur Uslu', address: process.env.SMTP_USER || 'psikologonuruslu@gmail.com' },
+    to,
+    subject,
+    html,
+    text,
+    attachments,
+    headers
+  });
+  const dir = directory();
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[<>]/g, '').replace(/[^\w.-]/g, '_')}.eml`);
+  fs.writeFileSync(file, info.message);
+  console.log(`[file mail] ${to}: ${subject} -> ${file}`);
+  return { messageId: info.messageId };
+};
+
+const verify = async () => {
+  fs.mkdirSync(directory(), { recursive: true });
+  fs.accessSync(directory(), fs.constants.W_OK);
+};
+
+module.exports = {
+  name: 'file',
+  isConfigured,
+  send,
+  verify
+};
@@ -0,0 +1,57 @@
+// Resend HTTPS API (https://resend.com/docs/api-reference/emails/send-email).
+// Works on hosts that block outbound SMTP. RESEND_FROM must be an address on
+// a verified domain; Resend's test sender only delivers to the account owner.
+
+const API_BASE = 'https://api.resend.com';
+
+const isConfigured = () => Boolean(process.env.RESEND_API_KEY);
+
+const request = async (path, { method = 'GET', body } = {}) => {
+  const apiKey = process.env.RESEND_API_KEY;
+  if (!apiKey) throw new Error('RESEND_API_KEY tanımlı değil');
+  const response = await fetch(`${API_BASE}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Resend hata ${response.status}: ${data.message || JSON.stringify(data)}`);
+  }
+  return data;
+};
+
+// Attachment content goes as base64; .ics files are built as strings
+const toResendAttachment = ({ filename, content, contentType }) => ({
+  filename,
+  content: Buffer.from(content).toString('base64'),
+  content_type: contentType
+});
+
+const send = async ({ to, subject, html, text, attachments = [], headers }) => {
+  const data = await request('/emails', {
+    method: 'POST',
+    body: {
+      from: process.env.RESEND_FROM || 'Psikolog Onur Uslu <onboarding@resend.dev>',
+      to: Array.isArray(to) ? to : [to],
+      subject,
+      html,
+      text,
+      headers,
+      attachments: attachments.length > 0 ? attachments.map(toResendAttachment) : undefined
+    }
+  });
+  return { messageId: data.id };
+};
+
+// A key that cannot list domains is rejected here, before the first email
+const verify = async () => {
+  await request('/domains');
+};
+
+module.exports = {
+  name: 'resend',
+  isConfigured,
+  send,
+  verify
+};
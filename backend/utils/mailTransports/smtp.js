@@ -0,0 +1,55 @@
+// SMTP through nodemailer (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS).
+// Hosts such as Render free block outbound SMTP ports; the connection then
+// times out and the next transport takes over.
+
+const nodemailer = require('nodemailer');
+
+const PLACEHOLDER_PASSWORDS = ['your-app-password-here', 'your-app-password'];
+
+const sender = () => process.env.SMTP_USER || 'psikologonuruslu@gmail.com';
+
+// Configured when SMTP_PASS is set and not left as the env.example placeholder
+const isConfigured = () => {
+  const pass = process.env.SMTP_PASS;
+  return Boolean(pass) && !PLACEHOLDER_PASSWORDS.includes(pass);
+};
+
+const createTransporter = () => nodemailer.createTransport({
+  host: process.env.SMTP_HOST || 'smtp.gmail.com',
+  port: process.env.SMTP_PORT || 587,
+  secure: false, // true for 465, false for other ports
+  auth: {
+    user: sender(),
+    pass: process.env.SMTP_PASS
+  },
+  tls: {
+    rejectUnauthorized: false
+  },
+  // Fail fast on blocked ports so failover does not wait a minute per email
+  connectionTimeout: 10 * 1000,
+  greetingTimeout: 10 * 1000
+});
+
+const send = async ({ to, subject, html, text, attachments, headers }) => {
+  const info = await createTransporter().sendMail({
+    from: { name: 'Psikolog Onur Uslu', address: sender() },
+    to,
+    subject,
+    html,
+    text,
+    attachments,
+    headers
+  });
+  return { messageId: info.messageId };
+};
+
+const verify = async () => {
+  await createTransporter().verify();
+};
+
+module.exports = {
+  name: 'smtp',
+  isConfigured,
+  send,
+  verify
+};
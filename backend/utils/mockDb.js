@@ -55,8 +55,50 @@ const mockContacts = [
   }
 ];
 
+// Recurring appointment series; their occurrences live in mockAppointments
+const mockSeries = [];
+
+// Waitlist entries and the slot offers made to them
+const mockWaitlist = [];
+const mockOffers = [];
+
+// Subscribable calendar feed tokens (hashed)
+const mockCalendarFeeds = [];
+
+// Email campaigns and one entry per recipient of a sent campaign
+const mockCampaigns = [];
+const mockCampaignRecipients = [];
+
+// Blog newsletter subscribers and the posts announced to them
+const mockNewsletterSubscribers = [];
+const mockNewsletterPosts = [];
+
+// Login sessions behind refresh tokens
+const mockAuthSessions = [];
+
+// Last two-factor code step the admin logged in with (its secret is ADMIN_TOTP_SECRET)
+const mockAdminTwoFactor = { lastUsedStep: 0 };
+
+// Failed logins of the admin in a row and the lock they led to
+const mockAdminLoginAttempts = { failedCount: 0, lockouts: 0, lastFailedAt: null, lastFailedIp: null, lockedUntil: null };
+
+// Hash-chained audit log entries, oldest first
+const mockAuditLog = [];
+
 module.exports = {
   mockUsers,
   mockAppointments,
-  mockContacts
+  mockContacts,
+  mockSeries,
+  mockWaitlist,
+  mockOffers,
+  mockCalendarFeeds,
+  mockCampaigns,
+  mockCampaignRecipients,
+  mockNewsletterSubscribers,
+  mockNewsletterPosts,
+  mockAuthSessions,
+  mockAdminTwoFactor,
+  mockAdminLoginAttempts,
+  mockAuditLog
 };
@@ -0,0 +1,447 @@
+// Blog newsletter. Readers subscribe from the blog pages without an account
+// and are only added once they open the link emailed to them (double opt-in).
+// Posts published through the blog API are announced here; subscribers get a
+// digest of the posts that are new to them, right away, weekly or monthly.
+// A post waits NEWSLETTER_POST_DELAY_HOURS before it goes out, because its
+// static page under /blog/ is only generated by the next site rebuild.
+// Digest emails go through the outbox, carry an unsubscribe link for the
+// 'newsletter' list (utils/unsubscribe) and advance the subscriber's cursor
+// once sent, so a post is never mailed to the same reader twice.
+//
+// Works against MongoDB or the mock store.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const NewsletterSubscriber = require('../models/NewsletterSubscriber');
+const NewsletterPost = require('../models/NewsletterPost');
+const { sendEmail } = require('./emailService');
+const { registerHandler, enqueue, permanentError } = require('./outbox');
+const { registerList, readUnsubscribeToken, unsubscribeLinks } = require('./unsubscribe');
+const { registerSegment, markUnsubscribed } = require('./campaigns');
+
+const LIST = 'newsletter';
+const FREQUENCIES = ['immediate', 'weekly', 'monthly'];
+const STATUSES = ['pending', 'active', 'unsubscribed'];
+const FREQUENCY_DAYS = { immediate: 0, weekly: 7, monthly: 30 };
+const FREQUENCY_NAMES = { immediate: 'yeni yazı yayınlandığında', weekly: 'haftada bir', monthly: 'ayda bir' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_POST_DELAY_HOURS = 6;
+const CONFIRMATION_HOURS = 48;
+// A new confirmation email is not sent more often than this per address
+const RESEND_INTERVAL_MS = 5 * 60 * 1000;
+// Posts beyond this wait for the next digest
+const MAX_DIGEST_POSTS = 10;
+// Date of the KVKK aydınlatma metni (kvkk.html) the reader agreed to
+const DEFAULT_KVKK_VERSION = '2024-01-15';
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const newId = () => `nls_${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const requestError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const mockStore = () => require('./mockDb');
+
+const postDelayHours = () => {
+  const hours = parseFloat(process.env.NEWSLETTER_POST_DELAY_HOURS);
+  return Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_POST_DELAY_HOURS;
+};
+
+const kvkkVersion = () => process.env.KVKK_CONSENT_VERSION || DEFAULT_KVKK_VERSION;
+
+const postUrl = (slug) => `${process.env.FRONTEND_URL}/blog/${slug}/`;
+
+// ---------------------------------------------------------------------------
+// Subscribers
+
+const findSubscriber = async (filter) => {
+  if (!isConnected()) {
+    return mockStore().mockNewsletterSubscribers.find(s => Object.keys(filter).every(key => String(s[key]) === String(filter[key]))) || null;
+  }
+  return NewsletterSubscriber.findOne(filter).lean();
+};
+
+const updateSubscriber = async (id, changes) => {
+  if (!isConnected()) {
+    const subscriber = mockStore().mockNewsletterSubscribers.find(s => s._id === idOf(id));
+    if (!subscriber) return null;
+    Object.assign(subscriber, changes, { updatedAt: new Date() });
+    Object.keys(changes).filter(key => changes[key] === undefined).forEach(key => delete subscriber[key]);
+    return subscriber;
+  }
+  const unset = Object.keys(changes).filter(key => changes[key] === undefined);
+  const set = { ...changes };
+  unset.forEach(key => delete set[key]);
+  return NewsletterSubscriber.findByIdAndUpdate(id, {
+    $set: set,
+    ...(unset.length > 0 && { $unset: Object.fromEntries(unset.map(key => [key, 1])) })
+  }, { new: true }).lean();
+};
+
+const createSubscriber = async (fields) => {
+  if (!isConnected()) {
+    const now = new Date();
+    const subscriber = { _id: newId(), status: 'pending', frequency: 'weekly', ...fields, createdAt: now, updatedAt: now };
+    mockStore().mockNewsletterSubscribers.push(subscriber);
+    return subscriber;
+  }
+  return (await NewsletterSubscriber.create(fields)).toObject();
+};
+
+const sendConfirmationRequest = async (subscriber, token) => {
+  try {
+    await sendEmail({
+      to: subscriber.email,
+      template: 'newsletterConfirm',
+      data: {
+        name: subscriber.name,
+        frequency: FREQUENCY_NAMES[subscriber.frequency],
+        expiresAt: new Date(subscriber.confirmationExpires).toLocaleString('tr-TR', { timeZone: 'Europe/Istanbul' }),
+        confirmLink: `${process.env.FRONTEND_URL}/bulten-onay?token=${token}`
+      }
+    });
+  } catch (emailError) {
+    console.error('Newsletter confirmation email failed:', emailError);
+  }
+};
+
+/**
+ * Ask to join the newsletter: the address is added as pending and a one-time
+ * confirmation link is emailed to it. An address that is already on the list
+ * is left as it is, and the answer is the same either way, so the endpoint
+ * does not tell who subscribed.
+ * @param {{ email, name?, frequency?, source? }} data
+ * @param {{ ipAddress?, now? }} options
+ * @returns {Promise<{ status: string, emailSent: boolean }>}
+ */
+const subscribe = async ({ email, name, frequency = 'weekly', source }, { ipAddress, now = new Date() } = {}) => {
+  const address = email.toLowerCase();
+  const existing = await findSubscriber({ email: address });
+  if (existing && existing.status === 'active') {
+    return { status: 'active', emailSent: false };
+  }
+  if (existing && existing.status === 'pending' && existing.lastConfirmationSentAt &&
+      now - new Date(existing.lastConfirmationSentAt) < RESEND_INTERVAL_MS) {
+    return { status: 'pending', emailSent: false };
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const fields = {
+    status: 'pending',
+    frequency,
+    confirmationTokenHash: hashToken(token),
+    confirmationExpires: new Date(now.getTime() + CONFIRMATION_HOURS * HOUR_MS),
+    lastConfirmationSentAt: now,
+    kvkkConsent: { acceptedAt: now, version: kvkkVersion(), ipAddress },
+    ...(name && { name }),
+    ...(source && { source })
+  };
+  const subscriber = existing
+    ? await updateSubscriber(existing._id, fields)
+    : await createSubscriber({ email: address, ...fields });
+
+  await sendConfirmationRequest(subscriber, token);
+  return { status: 'pending', emailSent: true };
+};
+
+/**
+ * Confirm a subscription from its emailed link. Digests start with the posts
+ * published after this moment.
+ * Throws an error with statusCode 404 (unknown or used link) or 410 (expired).
+ */
+const confirmSubscription = async (token, now = new Date()) => {
+  const subscriber = await findSubscriber({ confirmationTokenHash: hashToken(String(token)) });
+  if (!subscriber || subscriber.status !== 'pending') {
+    throw requestError(404, 'Invalid or already used confirmation link');
+  }
+  if (new Date(subscriber.confirmationExpires) <= now) {
+    throw requestError(410, 'Confirmation link has expired, please subscribe again');
+  }
+  return updateSubscriber(subscriber._id, {
+    status: 'active',
+    confirmedAt: now,
+    digestCursor: now,
+    lastDigestAt: undefined,
+    unsubscribedAt: undefined,
+    confirmationTokenHash: undefined,
+    confirmationExpires: undefined
+  });
+};
+
+const activeSubscriber = async (email) => {
+  const subscriber = await findSubscriber({ email: email.toLowerCase() });
+  return subscriber && subscriber.status === 'active' ? subscriber : null;
+};
+
+registerList(LIST, {
+  isSubscribed: async (email) => Boolean(await activeSubscriber(email)),
+  unsubscribe: async (email, { campaign }) => {
+    const now = new Date();
+    const subscriber = await activeSubscriber(email);
+    if (subscriber) {
+      await updateSubscriber(subscriber._id, { status: 'unsubscribed', unsubscribedAt: now });
+    }
+    if (campaign) await markUnsubscribed(campaign, email, now);
+  }
+});
+
+// Campaigns can also go to the newsletter subscribers; they need the
+// newsletter consent, not the one of member campaigns
+registerSegment('blogSubscribers', {
+  label: 'Blog bülteni aboneleri',
+  description: 'Blog bültenine abone olup adresini onaylayan okuyucular',
+  resolve: async () => {
+    const subscribers = isConnected()
+      ? await NewsletterSubscriber.find({ status: 'active' }).select('email name').lean()
+      : mockStore().mockNewsletterSubscribers.filter(s => s.status === 'active');
+    return subscribers.map(s => ({ email: s.email, name: s.name, list: LIST }));
+  }
+});
+
+// The subscriber behind an unsubscribe link of a digest email
+const subscriberForLink = async (token) => {
+  const fields = readUnsubscribeToken(token);
+  if (!fields || fields.list !== LIST) throw requestError(404, 'Invalid link');
+  const subscriber = await activeSubscriber(fields.email);
+  if (!subscriber) throw requestError(404, 'Not subscribed');
+  return subscriber;
+};
+
+/**
+ * Digest settings of the reader an emailed link belongs to
+ */
+const getPreferences = async (token) => {
+  const { email, frequency } = await subscriberForLink(token);
+  return { email, frequency };
+};
+
+/**
+ * Change how often the reader an emailed link belongs to gets digests
+ */
+const updatePreferences = async (token, { frequency }) => {
+  const subscriber = await subscriberForLink(token);
+  const updated = await updateSubscriber(subscriber._id, { frequency });
+  return { email: updated.email, frequency: updated.frequency };
+};
+
+/**
+ * Subscribers for the admin panel, with the number of subscribers per status
+ * and, for active ones, per frequency
+ */
+const listSubscribers = async ({ status, page = 1, limit = 50 } = {}) => {
+  const skip = (page - 1) * limit;
+  const counts = {
+    byStatus: Object.fromEntries(STATUSES.map(s => [s, 0])),
+    byFrequency: Object.fromEntries(FREQUENCIES.map(f => [f, 0]))
+  };
+  const select = 'email name frequency status source confirmedAt lastDigestAt unsubscribedAt createdAt';
+  let subscribers;
+  let total;
+
+  if (!isConnected()) {
+    const all = mockStore().mockNewsletterSubscribers;
+    all.forEach(s => {
+      counts.byStatus[s.status]++;
+      if (s.status === 'active') counts.byFrequency[s.frequency]++;
+    });
+    const matching = all
+      .filter(s => !status || s.status === status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    total = matching.length;
+    subscribers = matching.slice(skip, skip + limit).map(s =>
+      Object.fromEntries(['_id', ...select.split(' ')].filter(key => s[key] !== undefined).map(key => [key, s[key]])));
+  } else {
+    const filter = status ? { status } : {};
+    const [byStatus, byFrequency, found, count] = await Promise.all([
+      NewsletterSubscriber.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      NewsletterSubscriber.aggregate([
+        { $match: { status: 'active' } },
+        { $group: { _id: '$frequency', count: { $sum: 1 } } }
+      ]),
+      NewsletterSubscriber.find(filter).select(select).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      NewsletterSubscriber.countDocuments(filter)
+    ]);
+    byStatus.forEach(({ _id, count: n }) => { counts.byStatus[_id] = n; });
+    byFrequency.forEach(({ _id, count: n }) => { counts.byFrequency[_id] = n; });
+    subscribers = found;
+    total = count;
+  }
+
+  return {
+    subscribers,
+    counts,
+    pagination: { current: page, pages: Math.ceil(total / limit), total }
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Posts
+
+/**
+ * Announce a published blog post to the subscribers. Announcing it again, e.g.
+ * after it was unpublished and published again, keeps its first publication
+ * time, so readers who already got it do not get it twice.
+ * @param {{ _id?, id?, title, summary, slug, category }} post
+ */
+const announcePost = async (post, now = new Date()) => {
+  const fields = {
+    title: post.title,
+    summary: post.summary,
+    slug: post.slug,
+    category: post.category
+  };
+  const key = idOf(post._id || post.id);
+
+  if (!isConnected()) {
+    const posts = mockStore().mockNewsletterPosts;
+    const existing = posts.find(p => p.post === key);
+    if (existing) {
+      Object.assign(existing, fields);
+      delete existing.withdrawnAt;
+      return existing;
+    }
+    const created = { _id: newId(), post: key, ...fields, publishedAt: now };
+    posts.push(created);
+    return created;
+  }
+  return NewsletterPost.findOneAndUpdate(
+    { post: key },
+    { $set: fields, $unset: { withdrawnAt: 1 }, $setOnInsert: { publishedAt: now } },
+    { upsert: true, new: true }
+  ).lean();
+};
+
+/**
+ * Leave a deleted or unpublished post out of the digests not yet sent
+ */
+const withdrawPost = async (postId, now = new Date()) => {
+  const key = String(postId);
+  if (!isConnected()) {
+    const post = mockStore().mockNewsletterPosts.find(p => p.post === key);
+    if (post && !post.withdrawnAt) post.withdrawnAt = now;
+    return;
+  }
+  await NewsletterPost.updateOne({ post: key, withdrawnAt: { $exists: false } }, { $set: { withdrawnAt: now } });
+};
+
+// Posts published after `after` and by `until`, oldest first
+const postsBetween = async (after, until) => {
+  if (!isConnected()) {
+    return mockStore().mockNewsletterPosts
+      .filter(p => !p.withdrawnAt && new Date(p.publishedAt) > new Date(after) && new Date(p.publishedAt) <= new Date(until))
+      .sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt))
+      .slice(0, MAX_DIGEST_POSTS);
+  }
+  return NewsletterPost.find({
+    withdrawnAt: { $exists: false },
+    publishedAt: { $gt: after, $lte: until }
+  }).sort({ publishedAt: 1 }).limit(MAX_DIGEST_POSTS).lean();
+};
+
+// ---------------------------------------------------------------------------
+// Digests
+
+const isDue = (subscriber, now) => {
+  const last = subscriber.lastDigestAt || subscriber.confirmedAt;
+  return !last || now - new Date(last) >= FREQUENCY_DAYS[subscriber.frequency] * DAY_MS;
+};
+
+const activeSubscribersBehind = async (latest) => {
+  if (!isConnected()) {
+    return mockStore().mockNewsletterSubscribers.filter(s =>
+      s.status === 'active' && new Date(s.digestCursor) < latest);
+  }
+  return NewsletterSubscriber.find({ status: 'active', digestCursor: { $lt: latest } })
+    .select('frequency confirmedAt lastDigestAt digestCursor').lean();
+};
+
+/**
+ * Queue a digest for every subscriber who is due one and has posts they have
+ * not been sent yet (run by the scheduled jobs). A digest covers the posts up
+ * to the newest one it lists; running again before it is sent queues nothing.
+ * @returns {Promise<{ processed: number, errors: string[] }>} digests queued
+ */
+const dispatchDigests = async (now = new Date()) => {
+  const result = { processed: 0, errors: [] };
+  const until = new Date(now.getTime() - postDelayHours() * HOUR_MS);
+
+  const [latest] = isConnected()
+    ? await NewsletterPost.find({ withdrawnAt: { $exists: false }, publishedAt: { $lte: until } })
+      .sort({ publishedAt: -1 }).limit(1).lean()
+    : mockStore().mockNewsletterPosts
+      .filter(p => !p.withdrawnAt && new Date(p.publishedAt) <= until)
+      .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+  if (!latest) return result;
+
+  for (const subscriber of await activeSubscribersBehind(new Date(latest.publishedAt))) {
+    if (!isDue(subscriber, now)) continue;
+    try {
+      const posts = await postsBetween(subscriber.digestCursor, until);
+      if (posts.length === 0) continue;
+      const upTo = new Date(posts[posts.length - 1].publishedAt).toISOString();
+      const job = await enqueue('newsletter', { subscriberId: idOf(subscriber._id), until: upTo }, {
+        idempotencyKey: `newsletter:${idOf(subscriber._id)}:${upTo}`
+      });
+      if (!job.duplicate) result.processed++;
+    } catch (error) {
+      console.error(`Error queueing newsletter digest for ${subscriber._id}:`, error);
+      result.errors.push(`Subscriber ${subscriber._id}: ${error.message}`);
+    }
+  }
+  return result;
+};
+
+registerHandler('newsletter', {
+  run: async ({ subscriberId, until }) => {
+    const subscriber = await findSubscriber({ _id: subscriberId });
+    if (!subscriber) throw permanentError('Newsletter subscriber not found');
+    if (subscriber.status !== 'active') return 'Skipped: not subscribed';
+    if (new Date(subscriber.digestCursor) >= new Date(until)) return 'Skipped: already sent';
+
+    const posts = await postsBetween(subscriber.digestCursor, new Date(until));
+    if (posts.length === 0) {
+      await updateSubscriber(subscriber._id, { digestCursor: new Date(until) });
+      return 'Skipped: posts withdrawn';
+    }
+
+    const links = unsubscribeLinks({ email: subscriber.email, list: LIST });
+    const info = await sendEmail({
+      to: subscriber.email,
+      template: 'newsletterDigest',
+      data: {
+        name: subscriber.name,
+        count: posts.length,
+        frequency: FREQUENCY_NAMES[subscriber.frequency],
+        posts: posts.map(p => ({ title: p.title, summary: p.summary, url: postUrl(p.slug) })),
+        blogUrl: `${process.env.FRONTEND_URL}/blog/`,
+        unsubscribeUrl: links.url
+      },
+      headers: links.headers
+    });
+    await updateSubscriber(subscriber._id, { digestCursor: new Date(until), lastDigestAt: new Date() });
+    return info && info.messageId ? `Message ${info.messageId}` : 'Sent';
+  }
+});
+
+module.exports = {
+  LIST,
+  FREQUENCIES,
+  STATUSES,
+  subscribe,
+  confirmSubscription,
+  getPreferences,
+  updatePreferences,
+  listSubscribers,
+  announcePost,
+  withdrawPost,
+  dispatchDigests
+};
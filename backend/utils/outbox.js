@@ -0,0 +1,328 @@
+// Outbox for emails and reminders. A job is stored before anything is sent;
+// the worker (started with the reminder jobs) sends due jobs at a limited
+// rate, retries failures with exponential backoff and parks a job that keeps
+// failing as dead until an admin retries it. Jobs live in MongoDB, or in a
+// JSON file (outboxStore) when the server runs without a database.
+//
+// Job types register a handler: { run(payload, job), onDead(payload, job, error) }.
+// run returns a short outcome text; throwing schedules a retry.
+
+const mongoose = require('mongoose');
+const OutboxJob = require('../models/OutboxJob');
+const outboxStore = require('./outboxStore');
+const { sendEmail } = require('./emailService');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+// 1, 2, 4, 8... minutes between attempts, never more than 6 hours
+const BASE_DELAY_MS = 60 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+// A job still marked as processing after this long belonged to a worker that died
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const DEFAULT_RATE_PER_MINUTE = 30;
+const SENT_RETENTION_DAYS = 30;
+const STATUSES = ['queued', 'processing', 'sent', 'failed', 'dead'];
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const requestError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const ratePerMinute = () => parseInt(process.env.OUTBOX_RATE_PER_MINUTE, 10) || DEFAULT_RATE_PER_MINUTE;
+
+const backoffDelay = (attempts) => Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+
+const errorText = (error) => String((error && error.message) || error).slice(0, 1000);
+
+const handlers = {};
+
+const registerHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+/**
+ * Error for a handler that cannot send yet (e.g. quiet hours). The job waits
+ * until the given time without using up an attempt.
+ */
+const deferUntil = (date, reason) => {
+  const error = new Error(reason);
+  error.deferUntil = date;
+  return error;
+};
+
+/**
+ * Error that retrying will not fix; the job goes straight to dead.
+ */
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+};
+
+registerHandler('email', {
+  run: async (payload) => {
+    const info = await sendEmail(payload);
+    if (!info || !info.messageId) return 'Sent';
+    return info.transport ? `Message ${info.messageId} via ${info.transport}` : `Message ${info.messageId}`;
+  }
+});
+
+/**
+ * Queue a job. With an idempotencyKey the job is only ever queued once; a
+ * second call returns the existing job.
+ * @returns {Promise<object>} the job, `duplicate` set when it already existed
+ */
+const enqueue = async (type, payload, { idempotencyKey, maxAttempts = DEFAULT_MAX_ATTEMPTS, runAt = new Date() } = {}) => {
+  if (!handlers[type]) {
+    throw new Error(`Unknown outbox job type '${type}'`);
+  }
+
+  const fields = {
+    type,
+    payload,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts,
+    nextAttemptAt: runAt,
+    ...(idempotencyKey && { idempotencyKey })
+  };
+
+  if (!isConnected()) {
+    const existing = idempotencyKey && outboxStore.findByKey(idempotencyKey);
+    if (existing) return { ...existing, duplicate: true };
+    return outboxStore.add({ ...fields, nextAttemptAt: runAt.toISOString() });
+  }
+
+  if (idempotencyKey) {
+    const existing = await OutboxJob.findOne({ idempotencyKey }).lean();
+    if (existing) return { ...existing, duplicate: true };
+  }
+  try {
+    return (await OutboxJob.create(fields)).toObject();
+  } catch (error) {
+    // Another request queued the same key in between
+    if (error.code === 11000 && idempotencyKey) {
+      return { ...(await OutboxJob.findOne({ idempotencyKey }).lean()), duplicate: true };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Queue an email; `options` are the sendEmail options.
+ */
+const enqueueEmail = (options, jobOptions) => enqueue('email', options, jobOptions);
+
+const updateJob = async (id, changes) => {
+  if (!isConnected()) {
+    const plain = { ...changes };
+    Object.keys(plain).forEach(key => {
+      if (plain[key] instanceof Date) plain[key] = plain[key].toISOString();
+    });
+    return outboxStore.update(id, plain);
+  }
+  const unset = Object.keys(changes).filter(key => changes[key] === undefined);
+  const set = { ...changes };
+  unset.forEach(key => delete set[key]);
+  return OutboxJob.findByIdAndUpdate(id, {
+    $set: set,
+    ...(unset.length > 0 && { $unset: Object.fromEntries(unset.map(key => [key, 1])) })
+  }, { new: true }).lean();
+};
+
+// Put jobs of a worker that stopped mid-send back in line
+const releaseStaleJobs = async (now) => {
+  const cutoff = new Date(now.getTime() - LOCK_TIMEOUT_MS);
+  const changes = { status: 'failed', nextAttemptAt: now, lastError: 'Worker stopped while sending' };
+  if (!isConnected()) {
+    outboxStore.getAll()
+      .filter(job => job.status === 'processing' && new Date(job.lockedAt) < cutoff)
+      .forEach(job => outboxStore.update(job._id, { ...changes, nextAttemptAt: now.toISOString() }));
+    return;
+  }
+  await OutboxJob.updateMany({ status: 'processing', lockedAt: { $lt: cutoff } }, { $set: changes });
+};
+
+// Jobs picked up in the last minute count against the rate limit, sent or not
+const claimedInLastMinute = async (now) => {
+  const since = new Date(now.getTime() - 60 * 1000);
+  if (!isConnected()) {
+    return outboxStore.getAll().filter(job => job.lockedAt && new Date(job.lockedAt) >= since).length;
+  }
+  return OutboxJob.countDocuments({ lockedAt: { $gte: since } });
+};
+
+const claimNext = async (now) => {
+  if (!isConnected()) return outboxStore.claimNext(now);
+  return OutboxJob.findOneAndUpdate(
+    { status: { $in: ['queued', 'failed'] }, nextAttemptAt: { $lte: now } },
+    { $set: { status: 'processing', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  ).lean();
+};
+
+// Record a failed attempt: retry later, wait out a deferral, or give up
+const recordFailure = async (job, error) => {
+  const now = new Date();
+  if (error.deferUntil) {
+    return updateJob(job._id, {
+      status: 'queued',
+      attempts: job.attempts - 1,
+      nextAttemptAt: error.deferUntil,
+      lastError: errorText(error)
+    });
+  }
+
+  if (error.permanent || job.attempts >= job.maxAttempts) {
+    const handler = handlers[job.type];
+    if (handler && handler.onDead) {
+      try {
+        await handler.onDead(job.payload, job, error);
+      } catch (hookError) {
+        console.error(`Outbox ${job.type} job ${job._id}: dead-letter hook failed:`, hookError);
+      }
+    }
+    return updateJob(job._id, { status: 'dead', lastError: errorText(error) });
+  }
+
+  return updateJob(job._id, {
+    status: 'failed',
+    nextAttemptAt: new Date(now.getTime() + backoffDelay(job.attempts)),
+    lastError: errorText(error)
+  });
+};
+
+let processing = false;
+
+/**
+ * Send the due jobs, oldest first, within the per-minute rate limit.
+ * Overlapping calls in this process return immediately; other processes are
+ * kept apart by the atomic claim.
+ */
+const processOutbox = async () => {
+  const summary = { processed: 0, sent: 0, failed: 0, dead: 0 };
+  if (processing) return summary;
+  processing = true;
+
+  try {
+    const now = new Date();
+    await releaseStaleJobs(now);
+    let budget = ratePerMinute() - await claimedInLastMinute(now);
+
+    while (budget > 0) {
+      const job = await claimNext(new Date());
+      if (!job) break;
+      budget--;
+      summary.processed++;
+
+      const handler = handlers[job.type];
+      try {
+        if (!handler) throw permanentError(`No handler for job type '${job.type}'`);
+        const result = await handler.run(job.payload, job);
+        await updateJob(job._id, {
+          status: 'sent',
+          sentAt: new Date(),
+          result: result ? String(result).slice(0, 500) : undefined,
+          lastError: undefined
+        });
+        summary.sent++;
+      } catch (error) {
+        const updated = await recordFailure(job, error);
+        if (updated && updated.status === 'dead') {
+          summary.dead++;
+          console.error(`Outbox ${job.type} job ${job._id} gave up after ${job.attempts} attempts:`, error.message);
+        } else if (!error.deferUntil) {
+          summary.failed++;
+        }
+      }
+    }
+  } finally {
+    processing = false;
+  }
+
+  return summary;
+};
+
+/**
+ * Queue a failed or dead job again right away, with a fresh set of attempts.
+ */
+const retryJob = async (id) => {
+  const job = isConnected()
+    ? (mongoose.isValidObjectId(id) ? await OutboxJob.findById(id).lean() : null)
+    : outboxStore.findById(id);
+  if (!job) throw requestError(404, 'Job not found');
+  if (!['failed', 'dead'].includes(job.status)) {
+    throw requestError(409, 'Only failed or dead jobs can be retried');
+  }
+  return updateJob(job._id, { status: 'queued', attempts: 0, nextAttemptAt: new Date() });
+};
+
+/**
+ * Jobs for the admin view, newest first, with a count per status.
+ */
+const listJobs = async ({ status, type, page = 1, limit = 20 } = {}) => {
+  let jobs;
+  let total;
+  const counts = Object.fromEntries(STATUSES.map(s => [s, 0]));
+
+  if (!isConnected()) {
+    const all = outboxStore.getAll();
+    all.forEach(job => { counts[job.status] = (counts[job.status] || 0) + 1; });
+    const filtered = all
+      .filter(job => (!status || job.status === status) && (!type || job.type === type))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    total = filtered.length;
+    jobs = filtered.slice((page - 1) * limit, page * limit);
+  } else {
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    [jobs, total] = await Promise.all([
+      OutboxJob.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      OutboxJob.countDocuments(filter)
+    ]);
+    (await OutboxJob.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]))
+      .forEach(({ _id, count }) => { counts[_id] = count; });
+  }
+
+  return {
+    jobs,
+    counts,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      limit
+    }
+  };
+};
+
+/**
+ * Drop sent jobs older than the retention period; failed and dead ones stay
+ * until someone looks at them.
+ */
+const pruneSentJobs = async () => {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - SENT_RETENTION_DAYS);
+  if (!isConnected()) {
+    return outboxStore.removeWhere(job => job.status === 'sent' && new Date(job.sentAt) < cutoff);
+  }
+  const { deletedCount } = await OutboxJob.deleteMany({ status: 'sent', sentAt: { $lt: cutoff } });
+  return deletedCount;
+};
+
+module.exports = {
+  STATUSES,
+  registerHandler,
+  deferUntil,
+  permanentError,
+  backoffDelay,
+  enqueue,
+  enqueueEmail,
+  processOutbox,
+  retryJob,
+  listJobs,
+  pruneSentJobs
+};
@@ -0,0 +1,98 @@
+// File-backed store for outbox jobs, used when MongoDB is not connected so
+// queued emails and reminders survive a restart of a database-less server.
+// Same layout and atomic writes as the contact message store.
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const FILE = path.join(DATA_DIR, 'outbox.json');
+
+function ensureFile() {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+  if (!fs.existsSync(FILE)) {
+    fs.writeFileSync(FILE, '[]', 'utf8');
+  }
+}
+
+function load() {
+  ensureFile();
+  try {
+    const parsed = JSON.parse(fs.readFileSync(FILE, 'utf8'));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('outboxStore: failed to read store, starting empty:', error.message);
+    return [];
+  }
+}
+
+function save(list) {
+  ensureFile();
+  const tmp = FILE + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(list, null, 2), 'utf8');
+  fs.renameSync(tmp, FILE);
+}
+
+function generateId() {
+  return 'job_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+function getAll() {
+  return load();
+}
+
+function findById(id) {
+  return load().find(job => job._id === id) || null;
+}
+
+function findByKey(idempotencyKey) {
+  return load().find(job => job.idempotencyKey === idempotencyKey) || null;
+}
+
+function add(fields) {
+  const list = load();
+  const now = new Date().toISOString();
+  const job = { _id: generateId(), ...fields, createdAt: now, updatedAt: now };
+  list.push(job);
+  save(list);
+  return job;
+}
+
+function update(id, changes) {
+  const list = load();
+  const job = list.find(j => j._id === id);
+  if (!job) return null;
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  Object.keys(job).forEach(key => job[key] === undefined && delete job[key]);
+  save(list);
+  return job;
+}
+
+// Take the job that is due first and mark it as being processed, in one
+// read-modify-write so two runs in this process never get the same job.
+function claimNext(now) {
+  const list = load();
+  const job = list
+    .filter(j => ['queued', 'failed'].includes(j.status) && new Date(j.nextAttemptAt) <= now)
+    .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt))[0];
+  if (!job) return null;
+  Object.assign(job, {
+    status: 'processing',
+    lockedAt: now.toISOString(),
+    attempts: (job.attempts || 0) + 1,
+    updatedAt: now.toISOString()
+  });
+  save(list);
+  return job;
+}
+
+function removeWhere(predicate) {
+  const list = load();
+  const kept = list.filter(job => !predicate(job));
+  if (kept.length !== list.length) save(kept);
+  return list.length - kept.length;
+}
+
+module.exports = { getAll, findById, findByKey, add, update, claimNext, removeWhere, _file: FILE };
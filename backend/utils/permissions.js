@@ -0,0 +1,86 @@
+// Who may do what in the admin panel. Staff roles get a fixed set of
+// permissions; clients (role 'user') get none. 'admin' is the practice owner
+// and holds every permission, so accounts from before the other roles existed
+// keep working unchanged.
+//
+// Clinical data (session notes, medical information) is a permission of its
+// own: staff without clinical:read never receive it, whatever route they call
+// (authenticateToken strips it from their responses with redactClinical).
+
+const PERMISSIONS = {
+  'appointments:manage': 'Randevular, seriler, bekleme listesi, seans sonuçları ve hatırlatma gönderimi',
+  'schedule:manage': 'Çalışma saatleri, kapalı günler ve hatırlatma kuralları',
+  'clients:read': 'Danışan listesi ve danışan kayıtları',
+  'clinical:read': 'Seans notları ve sağlık bilgileri',
+  'clinical:write': 'Seans notu yazma',
+  'messages:manage': 'İletişim formu mesajları',
+  'content:manage': 'Blog yazıları ve site ayarları',
+  'marketing:manage': 'Kampanyalar, toplu e-posta ve bülten aboneleri',
+  'settings:manage': 'E-posta şablonları, gönderim kayıtları ve arka plan işleri',
+  'users:manage': 'Kullanıcı rolleri, hesap etkinleştirme ve giriş kilitleri',
+  'audit:read': 'Denetim kaydı: kimin hangi kaydı görüp neyi değiştirdiği'
+};
+
+const ROLE_PERMISSIONS = {
+  admin: Object.keys(PERMISSIONS),
+  therapist: [
+    'appointments:manage',
+    'schedule:manage',
+    'clients:read',
+    'clinical:read',
+    'clinical:write',
+    'messages:manage',
+    'content:manage'
+  ],
+  assistant: [
+    'appointments:manage',
+    'schedule:manage',
+    'clients:read',
+    'messages:manage'
+  ],
+  user: []
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles that log in to the admin panel
+const STAFF_ROLES = ROLES.filter(role => ROLE_PERMISSIONS[role].length > 0);
+
+// Response fields that only clinical:read may see
+const CLINICAL_FIELDS = ['sessionNotes', 'medicalInfo'];
+
+const isStaff = (user) => Boolean(user) && STAFF_ROLES.includes(user.role);
+
+/**
+ * @returns {string[]} the permissions of the user's role
+ */
+const permissionsOf = (user) => (user && ROLE_PERMISSIONS[user.role]) || [];
+
+const hasPermission = (user, permission) => permissionsOf(user).includes(permission);
+
+const stripFields = (value) => {
+  if (Array.isArray(value)) return value.map(stripFields);
+  if (!value || typeof value !== 'object') return value;
+  const copy = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (!CLINICAL_FIELDS.includes(key)) copy[key] = stripFields(field);
+  }
+  return copy;
+};
+
+/**
+ * A copy of a response body without clinical fields, at any depth.
+ * Mongoose documents are turned into their JSON form first.
+ */
+const redactClinical = (body) => (body === undefined ? body : stripFields(JSON.parse(JSON.stringify(body))));
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  STAFF_ROLES,
+  isStaff,
+  permissionsOf,
+  hasPermission,
+  redactClinical
+};
@@ -0,0 +1,381 @@
+// Reminder policy: when reminders go out, on which channels, and the quiet
+// hours nothing is sent in. Every place that creates reminder entries (booking,
+// reschedule, series, waitlist claims, guest confirmation) goes through
+// buildReminders, which combines the policy with the client's own preferences.
+// The policy lives in MongoDB (ReminderPolicy, singleton document) with an
+// in-memory fallback, like the availability settings.
+
+const mongoose = require('mongoose');
+const ReminderPolicy = require('../models/ReminderPolicy');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const { getInterval, toMinutes } = require('./availability');
+const { isSmsEnabled } = require('./smsService');
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const CHANNELS = ['email', 'sms'];
+const QUIET_MARGIN_MINUTES = 30;
+
+const defaultReminderPolicy = {
+  rules: [
+    { key: 'day-before', label: '1 gün önce', minutesBefore: 24 * 60, channels: ['email', 'sms'], enabledByDefault: true },
+    { key: 'two-hours', label: '2 saat önce', minutesBefore: 120, channels: ['email', 'sms'], enabledByDefault: true },
+    { key: 'evening-before', label: 'Bir önceki akşam', dayBeforeAt: '20:00', channels: ['email', 'sms'], enabledByDefault: false }
+  ],
+  quietHours: { enabled: true, start: '22:00', end: '08:00' }
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// In-memory fallback when MongoDB is not connected
+let reminderPolicy = clone(defaultReminderPolicy);
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const toPlain = (policy) =>
+  (policy && typeof policy.toObject === 'function' ? policy.toObject() : policy);
+
+const requestError = (statusCode, message, problems) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (problems) error.problems = problems;
+  return error;
+};
+
+/**
+ * List of problems with a policy (empty when valid).
+ */
+const validateReminderPolicy = (policy) => {
+  const problems = [];
+  const keys = new Set();
+
+  (policy.rules || []).forEach((rule, index) => {
+    const name = rule.key || `rules[${index}]`;
+    if (!rule.key || !/^[a-z0-9-]+$/.test(rule.key)) problems.push(`${name}: key may only contain a-z, 0-9 and -`);
+    if (keys.has(rule.key)) problems.push(`${name}: duplicate key`);
+    keys.add(rule.key);
+    if (!rule.label) problems.push(`${name}: label is required`);
+
+    const hasOffset = rule.minutesBefore !== undefined && rule.minutesBefore !== null;
+    const hasTime = Boolean(rule.dayBeforeAt);
+    if (hasOffset === hasTime) {
+      problems.push(`${name}: set either minutesBefore or dayBeforeAt`);
+    } else if (hasOffset && !(Number.isInteger(rule.minutesBefore) && rule.minutesBefore >= 15 && rule.minutesBefore <= 10080)) {
+      problems.push(`${name}: minutesBefore must be between 15 and 10080`);
+    } else if (hasTime && !TIME_PATTERN.test(rule.dayBeforeAt)) {
+      problems.push(`${name}: dayBeforeAt must be HH:MM`);
+    }
+
+    const channels = rule.channels || [];
+    if (channels.length === 0 || channels.some(c => !CHANNELS.includes(c))) {
+      problems.push(`${name}: channels must be email and/or sms`);
+    }
+  });
+
+  const quiet = policy.quietHours || {};
+  if (quiet.enabled) {
+    if (!TIME_PATTERN.test(quiet.start || '') || !TIME_PATTERN.test(quiet.end || '')) {
+      problems.push('quietHours: start and end must be HH:MM');
+    } else if (toMinutes(quiet.start) === toMinutes(quiet.end)) {
+      problems.push('quietHours: start and end cannot be the same');
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Fetch the active reminder policy (MongoDB or in-memory fallback).
+ */
+const getReminderPolicy = async () => {
+  if (isConnected()) {
+    try {
+      let policy = await ReminderPolicy.findOne();
+      if (!policy) {
+        policy = await ReminderPolicy.create(defaultReminderPolicy);
+      }
+      return toPlain(policy);
+    } catch (err) {
+      console.error('Error fetching reminder policy from DB:', err.message);
+      return reminderPolicy;
+    }
+  }
+  return reminderPolicy;
+};
+
+/**
+ * Replace the rules and/or quiet hours. Throws an error with statusCode 400 when invalid.
+ */
+const updateReminderPolicy = async (update) => {
+  const current = clone(await getReminderPolicy());
+  const merged = {
+    ...current,
+    ...(update.rules !== undefined && { rules: update.rules }),
+    ...(update.quietHours !== undefined && { quietHours: { ...current.quietHours, ...update.quietHours } })
+  };
+
+  const problems = validateReminderPolicy(merged);
+  if (problems.length > 0) {
+    throw requestError(400, problems.join(', '), problems);
+  }
+
+  if (isConnected()) {
+    let policy = await ReminderPolicy.findOne();
+    if (!policy) {
+      policy = new ReminderPolicy(defaultReminderPolicy);
+    }
+    policy.rules = merged.rules;
+    policy.quietHours = merged.quietHours;
+    await policy.save();
+    return toPlain(policy);
+  }
+
+  reminderPolicy = { ...merged, updatedAt: new Date() };
+  return reminderPolicy;
+};
+
+/**
+ * Restore the built-in policy.
+ */
+const resetReminderPolicy = async () => {
+  if (isConnected()) {
+    await ReminderPolicy.deleteMany({});
+    return toPlain(await ReminderPolicy.create(defaultReminderPolicy));
+  }
+  reminderPolicy = clone(defaultReminderPolicy);
+  return reminderPolicy;
+};
+
+// Quiet window containing the given moment, or null
+const quietWindowAt = (date, quietHours) => {
+  if (!quietHours || !quietHours.enabled) return null;
+  const startMinutes = toMinutes(quietHours.start);
+  const endMinutes = toMinutes(quietHours.end);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const at = (dayOffset, total) => {
+    const d = new Date(date);
+    d.setDate(d.getDate() + dayOffset);
+    d.setHours(Math.floor(total / 60), total % 60, 0, 0);
+    return d;
+  };
+
+  if (startMinutes < endMinutes) {
+    return minutes >= startMinutes && minutes < endMinutes
+      ? { from: at(0, startMinutes), to: at(0, endMinutes) }
+      : null;
+  }
+  // Overnight window, e.g. 22:00-08:00
+  if (minutes >= startMinutes) return { from: at(0, startMinutes), to: at(1, endMinutes) };
+  if (minutes < endMinutes) return { from: at(-1, startMinutes), to: at(0, endMinutes) };
+  return null;
+};
+
+const isQuietTime = (policy, date = new Date()) => Boolean(quietWindowAt(date, policy.quietHours));
+
+// When the quiet hours around a moment end, or null outside them
+const quietHoursEnd = (policy, date = new Date()) => {
+  const window = quietWindowAt(date, policy.quietHours);
+  return window ? window.to : null;
+};
+
+// When a rule fires for a session
+const ruleTime = (rule, start) => {
+  if (rule.dayBeforeAt) {
+    const [hours, minutes] = rule.dayBeforeAt.split(':').map(Number);
+    const at = new Date(start);
+    at.setDate(at.getDate() - 1);
+    at.setHours(hours, minutes, 0, 0);
+    return at;
+  }
+  return new Date(start.getTime() - rule.minutesBefore * 60000);
+};
+
+// A time inside quiet hours moves to the end of them when that is still before
+// the session (an early-morning session), otherwise to shortly before they
+// begin, leaving the 5-minute reminder job a few runs to send it
+const outsideQuietHours = (time, start, quietHours) => {
+  const window = quietWindowAt(time, quietHours);
+  if (!window) return time;
+  if (window.to < start) return window.to;
+  return new Date(window.from.getTime() - QUIET_MARGIN_MINUTES * 60000);
+};
+
+/**
+ * Reminder entries for a session start. Pure; the caller supplies the policy
+ * and the client's preferences.
+ * @param {Date} start - session start
+ * @param {object} options
+ * @param {object} options.policy
+ * @param {object} [options.preferences] - { email, sms, schedule } of the client;
+ *   schedule lists rule keys and replaces the enabledByDefault rules
+ * @param {boolean} [options.smsEnabled]
+ * @param {Date} [options.now]
+ */
+const planReminders = (start, { policy, preferences = {}, smsEnabled = isSmsEnabled(), now = new Date() }) => {
+  const sessionStart = new Date(start);
+  const chosen = Array.isArray(preferences.schedule) ? preferences.schedule : null;
+  const channels = CHANNELS.filter(channel =>
+    preferences[channel] !== false && (channel !== 'sms' || smsEnabled)
+  );
+
+  const seen = new Set();
+  const entries = [];
+  (policy.rules || [])
+    .filter(rule => (chosen ? chosen.includes(rule.key) : rule.enabledByDefault !== false))
+    .forEach(rule => {
+      const scheduledFor = outsideQuietHours(ruleTime(rule, sessionStart), sessionStart, policy.quietHours);
+      if (scheduledFor <= now || scheduledFor >= sessionStart) return;
+      (rule.channels || []).filter(channel => channels.includes(channel)).forEach(type => {
+        const id = `${type}:${scheduledFor.getTime()}`;
+        if (seen.has(id)) return;
+        seen.add(id);
+        entries.push({ type, sent: false, scheduledFor });
+      });
+    });
+
+  return entries.sort((a, b) => a.scheduledFor - b.scheduledFor);
+};
+
+// Stored preferences of a client; guests and unknown users get the defaults
+const preferencesOf = (user) =>
+  (user && user.notificationPreferences && user.notificationPreferences.reminders) || {};
+
+/**
+ * Reminder preferences of an appointment's client. Loads the user when the
+ * appointment only carries an id or a populated user without preferences.
+ */
+const getClientPreferences = async (appointment) => {
+  const user = appointment.user;
+  if (!user) return {};
+  if (user.notificationPreferences) return preferencesOf(user);
+
+  if (!isConnected()) {
+    const { mockUsers } = require('./mockDb');
+    return preferencesOf(mockUsers.find(u => u._id === idOf(user)));
+  }
+  return preferencesOf(await User.findById(idOf(user)).select('notificationPreferences'));
+};
+
+/**
+ * Reminder entries for an appointment under the current policy and the
+ * client's preferences. Pass `context` ({ policy, preferences }) when
+ * building reminders for many appointments of the same client.
+ */
+const buildReminders = async (appointment, context = {}) => {
+  const policy = context.policy || await getReminderPolicy();
+  const preferences = context.preferences || await getClientPreferences(appointment);
+  return planReminders(getInterval(appointment).start, { policy, preferences });
+};
+
+// Entries that were already handled, or are on their way in the outbox, stay
+// on the appointment
+const isProcessed = (reminder) => reminder.sent || ['queued', 'skipped', 'failed'].includes(reminder.deliveryStatus);
+
+/**
+ * Replace the not-yet-sent reminders of upcoming appointments with a fresh
+ * plan, after the policy or a client's preferences changed.
+ * @param {object} [options]
+ * @param {string} [options.user] - only this client's appointments
+ * @returns {Promise<number>} number of appointments updated
+ */
+const rebuildUpcomingReminders = async ({ user } = {}) => {
+  const policy = await getReminderPolicy();
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  let appointments;
+  if (!isConnected()) {
+    const { mockAppointments } = require('./mockDb');
+    appointments = mockAppointments.filter(a =>
+      ['scheduled', 'confirmed'].includes(a.status) &&
+      !a.rescheduleRequired &&
+      new Date(a.date) >= today &&
+      (!user || (a.user && idOf(a.user) === idOf(user)))
+    );
+  } else {
+    const filter = {
+      status: { $in: ['scheduled', 'confirmed'] },
+      rescheduleRequired: { $ne: true },
+      date: { $gte: today }
+    };
+    if (user) filter.user = idOf(user);
+    appointments = await Appointment.find(filter);
+  }
+
+  const preferencesByUser = new Map();
+  for (const appointment of appointments) {
+    const key = appointment.user ? idOf(appointment.user) : `guest-${appointment._id}`;
+    if (!preferencesByUser.has(key)) {
+      preferencesByUser.set(key, await getClientPreferences(appointment));
+    }
+
+    const kept = (appointment.reminders || []).filter(isProcessed);
+    const handled = new Set(kept.map(r => `${r.type}:${new Date(r.scheduledFor).getTime()}`));
+    const planned = (await buildReminders(appointment, { policy, preferences: preferencesByUser.get(key) }))
+      .filter(r => !handled.has(`${r.type}:${r.scheduledFor.getTime()}`));
+
+    appointment.reminders = [...kept, ...planned];
+    if (isConnected()) await appointment.save();
+  }
+  return appointments.length;
+};
+
+/**
+ * Store a client's reminder preferences and re-plan their upcoming reminders.
+ * `schedule` must only name rules of the current policy; null restores the defaults.
+ */
+const updateReminderPreferences = async (user, { email, sms, schedule }) => {
+  if (Array.isArray(schedule)) {
+    const policy = await getReminderPolicy();
+    const known = new Set((policy.rules || []).map(r => r.key));
+    const unknown = schedule.filter(key => !known.has(key));
+    if (unknown.length > 0) {
+      throw requestError(400, `Unknown reminder times: ${unknown.join(', ')}`);
+    }
+  }
+
+  const changes = {};
+  if (email !== undefined) changes.email = Boolean(email);
+  if (sms !== undefined) changes.sms = Boolean(sms);
+  if (schedule !== undefined) changes.schedule = Array.isArray(schedule) ? [...new Set(schedule)] : undefined;
+
+  let preferences;
+  if (!isConnected()) {
+    const { mockUsers } = require('./mockDb');
+    const stored = mockUsers.find(u => u._id === idOf(user));
+    if (!stored) throw requestError(404, 'User not found');
+    stored.notificationPreferences = stored.notificationPreferences || {};
+    preferences = { ...preferencesOf(stored), ...changes };
+    stored.notificationPreferences.reminders = preferences;
+  } else {
+    const update = {};
+    Object.entries(changes).forEach(([field, value]) => {
+      const operator = value === undefined ? '$unset' : '$set';
+      update[operator] = { ...update[operator], [`notificationPreferences.reminders.${field}`]: value === undefined ? '' : value };
+    });
+    const updated = await User.findByIdAndUpdate(idOf(user), update, { new: true, runValidators: true })
+      .select('notificationPreferences');
+    if (!updated) throw requestError(404, 'User not found');
+    preferences = preferencesOf(toPlain(updated));
+  }
+
+  await rebuildUpcomingReminders({ user });
+  return preferences;
+};
+
+module.exports = {
+  defaultReminderPolicy,
+  validateReminderPolicy,
+  getReminderPolicy,
+  updateReminderPolicy,
+  resetReminderPolicy,
+  isQuietTime,
+  quietHoursEnd,
+  planReminders,
+  getClientPreferences,
+  buildReminders,
+  rebuildUpcomingReminders,
+  updateReminderPreferences
+};
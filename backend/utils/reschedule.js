@@ -0,0 +1,179 @@
+// Moving a single appointment to a new time. Used by the client reschedule
+// flow (POST /api/appointments/:id/reschedule) and by time changes through
+// PUT /api/appointments/:id, so every move keeps the history of previous
+// times, resets the reminders, hands the freed slot to the waitlist and tells
+// the client with an updated calendar invitation.
+
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const reminderJob = require('../jobs/reminderJob');
+const { offerFreedSlot } = require('./waitlist');
+const { buildReminders } = require('./reminderPolicy');
+const { getBlackoutsOnDay } = require('./blackouts');
+const { sendEmail } = require('./emailService');
+const { buildIcsAttachment } = require('./calendar');
+const {
+  addDays,
+  toDateKey,
+  getInterval,
+  getAvailabilitySettings,
+  getBookableSlots,
+  checkSlotAvailability,
+  findAppointmentsOnDay,
+  findConflictingAppointment
+} = require('./availability');
+
+const DEFAULT_SEARCH_DAYS = 14;
+const MAX_SEARCH_DAYS = 60;
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Bookable slots for the appointment over the coming days, grouped by day.
+ * The appointment's own booking does not block any slot, and its current time
+ * is not offered. Days without a free slot are left out.
+ * @returns {Promise<Array<{ date: string, slots: string[] }>>}
+ */
+const findAlternativeSlots = async (appointment, { from = new Date(), days = DEFAULT_SEARCH_DAYS, duration, now = new Date() } = {}) => {
+  const settings = await getAvailabilitySettings();
+  const sessionLength = duration || appointment.duration || settings.defaultDuration;
+  const firstDay = toDateKey(from);
+  const currentDay = toDateKey(appointment.date);
+  const alternatives = [];
+
+  for (let offset = 0; offset < Math.min(days, MAX_SEARCH_DAYS); offset++) {
+    const dateKey = addDays(firstDay, offset);
+    const date = new Date(dateKey);
+    const existing = (await findAppointmentsOnDay(date, { bufferMinutes: settings.bufferMinutes || 0 }))
+      .filter(a => idOf(a) !== idOf(appointment));
+    const blackouts = await getBlackoutsOnDay(date);
+    const slots = getBookableSlots(settings, date, { duration: sessionLength, existing, blackouts, now })
+      .filter(slot => dateKey !== currentDay || slot !== appointment.time);
+    if (slots.length > 0) alternatives.push({ date: dateKey, slots });
+  }
+
+  return alternatives;
+};
+
+/**
+ * Can the appointment move to the target time?
+ * @returns {Promise<{ available: boolean, reason?: 'past'|'unavailable'|'conflict', message?, conflict? }>}
+ */
+const checkRescheduleTarget = async (appointment, { date, time, duration }, now = new Date()) => {
+  const settings = await getAvailabilitySettings();
+  const candidate = {
+    date,
+    time,
+    duration: duration || appointment.duration || settings.defaultDuration,
+    excludeId: appointment._id
+  };
+
+  if (getInterval(candidate).start <= now) {
+    return { available: false, reason: 'past', message: 'New time must be in the future' };
+  }
+
+  const availability = await checkSlotAvailability(candidate, settings);
+  if (!availability.valid) {
+    return { available: false, reason: 'unavailable', message: availability.message };
+  }
+
+  const conflict = await findConflictingAppointment(candidate, settings);
+  if (conflict) {
+    return {
+      available: false,
+      reason: 'conflict',
+      message: 'Time slot is already taken',
+      conflict: { time: conflict.time, duration: conflict.duration }
+    };
+  }
+
+  return { available: true };
+};
+
+// "Randevunuz güncellendi" with the new time as an .ics update. A failed email
+// does not undo the move.
+const notifyRescheduled = async (appointment, previous) => {
+  const client = Appointment.clientOf(appointment);
+  if (!client) return;
+  try {
+    await sendEmail({
+      to: client.email,
+      subject: 'Randevunuz Güncellendi - Psikolog Onur Uslu',
+      template: 'appointmentRescheduled',
+      attachments: [buildIcsAttachment(appointment)],
+      data: {
+        name: client.name,
+        date: appointment.formattedDate || new Date(appointment.date).toLocaleDateString('tr-TR'),
+        time: appointment.time,
+        type: appointment.typeTurkish || appointment.type,
+        duration: appointment.duration,
+        previousDate: new Date(previous.date).toLocaleDateString('tr-TR'),
+        previousTime: previous.time
+      }
+    });
+  } catch (emailError) {
+    console.error('Reschedule email failed:', emailError);
+  }
+};
+
+/**
+ * Move an appointment that passed checkRescheduleTarget. The previous time is
+ * appended to `rescheduleHistory`, a blackout flag is cleared, reminders
+ * are rebuilt for the new time and the client is emailed when it changed.
+ * @returns {Promise<{ appointment, previous: { date, time, duration } }>}
+ */
+const rescheduleAppointment = async (appointment, { date, time, duration }, { changedBy, reason } = {}) => {
+  const previous = {
+    date: appointment.date,
+    time: appointment.time,
+    duration: appointment.duration
+  };
+  const historyEntry = { ...previous, changedAt: new Date(), changedBy, reason };
+  const target = {
+    date: new Date(date),
+    time,
+    duration: duration || appointment.duration
+  };
+
+  let updated;
+  if (!isConnected()) {
+    Object.assign(appointment, target, {
+      rescheduleHistory: [...(appointment.rescheduleHistory || []), historyEntry],
+      rescheduleRequired: false,
+      calendarSequence: (appointment.calendarSequence || 0) + 1,
+      updatedAt: new Date()
+    });
+    delete appointment.rescheduleReason;
+    delete appointment.blackout;
+    appointment.reminders = await buildReminders(appointment);
+    updated = appointment;
+  } else {
+    Object.assign(appointment, target, { rescheduleRequired: false });
+    appointment.rescheduleReason = undefined;
+    appointment.blackout = undefined;
+    appointment.rescheduleHistory.push(historyEntry);
+    await appointment.save();
+
+    await reminderJob.rescheduleReminders(appointment._id);
+    updated = await Appointment.findById(appointment._id).populate('user', 'name email phone');
+  }
+
+  await offerFreedSlot({ _id: appointment._id, ...previous });
+
+  const moved = toDateKey(previous.date) !== toDateKey(target.date) ||
+    previous.time !== target.time ||
+    previous.duration !== target.duration;
+  if (moved) await notifyRescheduled(updated, previous);
+
+  return { appointment: updated, previous };
+};
+
+module.exports = {
+  DEFAULT_SEARCH_DAYS,
+  MAX_SEARCH_DAYS,
+  findAlternativeSlots,
+  checkRescheduleTarget,
+  rescheduleAppointment
+};
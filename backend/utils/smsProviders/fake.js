@@ -0,0 +1,60 @@
+// In-memory provider for development and tests. Nothing leaves the process;
+// sent messages can be inspected through `messages` and their delivery
+// outcome set with `setStatus`.
+
+const messages = [];
+let nextError = null;
+
+const send = async ({ to, message }) => {
+  if (nextError) {
+    const error = new Error(nextError);
+    nextError = null;
+    throw error;
+  }
+  const entry = {
+    messageId: `fake-sms-${messages.length + 1}`,
+    to,
+    message,
+    status: 'sent',
+    error: null,
+    sentAt: new Date()
+  };
+  messages.push(entry);
+  console.log(`[fake sms] ${to}: ${message}`);
+  return { messageId: entry.messageId, status: entry.status };
+};
+
+const getStatus = async (messageId) => {
+  const entry = messages.find(m => m.messageId === messageId);
+  if (!entry) return { status: 'failed', error: 'Unknown message' };
+  return entry.error ? { status: entry.status, error: entry.error } : { status: entry.status };
+};
+
+// Simulate an operator report for a sent message
+const setStatus = (messageId, status, error = null) => {
+  const entry = messages.find(m => m.messageId === messageId);
+  if (entry) {
+    entry.status = status;
+    entry.error = error;
+  }
+};
+
+// Make the next send fail, like a rejected request at the gateway
+const failNext = (message = 'Fake SMS failure') => {
+  nextError = message;
+};
+
+const reset = () => {
+  messages.length = 0;
+  nextError = null;
+};
+
+module.exports = {
+  name: 'fake',
+  send,
+  getStatus,
+  messages,
+  setStatus,
+  failNext,
+  reset
+};
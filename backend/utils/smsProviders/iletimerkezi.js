@@ -0,0 +1,79 @@
+// İleti Merkezi JSON API (https://www.toplusmsapi.com/). Requests are signed
+// with the public key and an HMAC-SHA256 of it under the secret key.
+
+const crypto = require('crypto');
+
+const API_BASE = 'https://api.iletimerkezi.com/v1';
+
+const SUCCESS = '200';
+
+// Per-recipient report codes
+const REPORT_STATUS = {
+  110: 'sent',
+  111: 'delivered',
+  112: 'failed'
+};
+
+const authentication = () => {
+  const key = process.env.ILETIMERKEZI_KEY;
+  const secret = process.env.ILETIMERKEZI_SECRET;
+  if (!key || !secret) {
+    throw new Error('ILETIMERKEZI_KEY ve ILETIMERKEZI_SECRET tanımlı değil');
+  }
+  return {
+    key,
+    hash: crypto.createHmac('sha256', secret).update(key).digest('hex')
+  };
+};
+
+const request = async (path, order) => {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+    body: JSON.stringify({ request: { authentication: authentication(), order } })
+  });
+  const data = await response.json().catch(() => ({}));
+  const status = (data.response && data.response.status) || {};
+  if (!response.ok || String(status.code) !== SUCCESS) {
+    throw new Error(`İleti Merkezi hata ${status.code || response.status}: ${status.message || ''}`.trim());
+  }
+  return data.response;
+};
+
+const send = async ({ to, message }) => {
+  const response = await request('/send-sms/json', {
+    sender: process.env.ILETIMERKEZI_SENDER,
+    // Appointment reminders are informational, not commercial (no İYS check)
+    iys: '0',
+    message: {
+      text: message,
+      receipents: { number: [to] }
+    }
+  });
+  return { messageId: String(response.order.id), status: 'sent' };
+};
+
+const getStatus = async (messageId) => {
+  const response = await request('/get-report/json', {
+    id: messageId,
+    page: 1,
+    rowCount: 1
+  });
+  const messages = (response.order && response.order.message) || [];
+  const [first] = [].concat(messages);
+  if (!first) return { status: 'sent' };
+
+  const status = REPORT_STATUS[first.status];
+  if (!status) {
+    return { status: 'failed', error: `İleti Merkezi iletim durumu ${first.status}` };
+  }
+  return status === 'failed'
+    ? { status, error: 'İleti Merkezi: mesaj alıcıya iletilemedi' }
+    : { status };
+};
+
+module.exports = {
+  name: 'iletimerkezi',
+  send,
+  getStatus
+};
@@ -0,0 +1,79 @@
+// Netgsm HTTP API (https://www.netgsm.com.tr/dokuman/). Replies are plain
+// text: "00 <bulkid>" for an accepted message, a bare error code otherwise.
+
+const API_BASE = 'https://api.netgsm.com.tr';
+
+const SEND_ERRORS = {
+  20: 'Mesaj metni hatalı veya karakter sınırını aşıyor',
+  30: 'Geçersiz kullanıcı adı/şifre veya API erişim izni yok',
+  40: 'Mesaj başlığı (gönderici adı) sistemde tanımlı değil',
+  50: 'İYS kontrollü gönderim yapılamıyor',
+  51: 'Hesaba tanımlı İYS marka bilgisi yok',
+  70: 'Hatalı sorgulama, parametre eksik veya hatalı',
+  80: 'Gönderim sınır aşımı',
+  85: 'Mükerrer gönderim sınır aşımı'
+};
+
+// Report status codes; 0 is still waiting for the operator
+const DELIVERED = '1';
+const WAITING = '0';
+
+const credentials = () => {
+  const usercode = process.env.NETGSM_USERCODE;
+  const password = process.env.NETGSM_PASSWORD;
+  if (!usercode || !password) {
+    throw new Error('NETGSM_USERCODE ve NETGSM_PASSWORD tanımlı değil');
+  }
+  return { usercode, password };
+};
+
+const request = async (path, params) => {
+  const url = `${API_BASE}${path}?${new URLSearchParams(params).toString()}`;
+  const response = await fetch(url);
+  const text = (await response.text()).trim();
+  if (!response.ok) {
+    throw new Error(`Netgsm hata ${response.status}: ${text}`);
+  }
+  return text;
+};
+
+const send = async ({ to, message }) => {
+  const text = await request('/sms/send/get', {
+    ...credentials(),
+    gsmno: to,
+    message,
+    msgheader: process.env.NETGSM_HEADER || process.env.NETGSM_USERCODE,
+    dil: 'TR'
+  });
+
+  const [code, bulkId] = text.split(/\s+/);
+  if (code !== '00' && code !== '01' && code !== '02') {
+    throw new Error(`Netgsm hata ${code}: ${SEND_ERRORS[code] || text}`);
+  }
+  return { messageId: bulkId, status: 'sent' };
+};
+
+const getStatus = async (messageId) => {
+  const text = await request('/sms/report', {
+    ...credentials(),
+    bulkid: messageId,
+    type: 0,
+    version: 2
+  });
+
+  // One line per recipient: "<gsmno> <status> ..."; a bare code is an error
+  const [line] = text.split(/\r?\n/);
+  const fields = line.split(/\s+/);
+  if (fields.length < 2) {
+    return { status: 'failed', error: `Netgsm rapor hatası ${line}` };
+  }
+  if (fields[1] === WAITING) return { status: 'sent' };
+  if (fields[1] === DELIVERED) return { status: 'delivered' };
+  return { status: 'failed', error: `Netgsm iletim durumu ${fields[1]}` };
+};
+
+module.exports = {
+  name: 'netgsm',
+  send,
+  getStatus
+};
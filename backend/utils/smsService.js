@@ -0,0 +1,70 @@
+// SMS delivery behind a small provider interface, chosen with SMS_PROVIDER.
+// A provider exposes:
+//   name
+//   send({ to, message })   -> { messageId, status }
+//   getStatus(messageId)    -> { status: 'sent'|'delivered'|'failed', error? }
+// SMS is off when SMS_PROVIDER is not set.
+
+const providers = {
+  netgsm: require('./smsProviders/netgsm'),
+  iletimerkezi: require('./smsProviders/iletimerkezi'),
+  fake: require('./smsProviders/fake')
+};
+
+const configuredProvider = () => (process.env.SMS_PROVIDER || '').trim().toLowerCase();
+
+const isSmsEnabled = () => Boolean(providers[configuredProvider()]);
+
+// Tests never reach a real gateway, whatever SMS_PROVIDER says
+const getProvider = (name = configuredProvider()) => {
+  if (process.env.NODE_ENV === 'test') return providers.fake;
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`SMS provider '${name}' not found`);
+  }
+  return provider;
+};
+
+// Turkish mobile numbers in the international form the gateways expect (905XXXXXXXXX)
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (/^905\d{9}$/.test(digits)) return digits;
+  if (/^05\d{9}$/.test(digits)) return `9${digits}`;
+  if (/^5\d{9}$/.test(digits)) return `90${digits}`;
+  return null;
+};
+
+/**
+ * Send one SMS through the configured provider.
+ * @returns {Promise<{ provider: string, messageId: string, status: string }>}
+ */
+const sendSms = async ({ to, message }) => {
+  const number = normalizePhone(to);
+  if (!number) {
+    throw new Error(`Invalid mobile number: ${to}`);
+  }
+  const provider = getProvider();
+  try {
+    const result = await provider.send({ to: number, message });
+    console.log(`SMS sent via ${provider.name}:`, result.messageId);
+    return { provider: provider.name, ...result };
+  } catch (error) {
+    console.error('SMS sending failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Ask the provider that sent a message whether it reached the handset.
+ * @returns {Promise<{ status: string, error?: string }>}
+ */
+const checkDeliveryStatus = async ({ provider, messageId }) =>
+  getProvider(provider).getStatus(messageId);
+
+module.exports = {
+  isSmsEnabled,
+  getProvider,
+  normalizePhone,
+  sendSms,
+  checkDeliveryStatus
+};
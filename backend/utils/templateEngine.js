@@ -0,0 +1,169 @@
+// A small mustache-style template engine for the email templates.
+//
+//   {{name}}              value, HTML-escaped (dotted paths: {{client.name}})
+//   {{{name}}}            value inserted as-is; only for markup built by the
+//                         engine itself, such as the layout's body
+//   {{#if x}}..{{else}}..{{/if}}
+//                         x is false for missing values and empty lists
+//   {{#each list}}..{{/each}}
+//                         repeats for every item; {{this}} is the item, other
+//                         names are looked up on the item first
+//   {{> partial}}         another template, rendered with the same data
+//
+// Parsed templates are cached by their source, the most recently used
+// MAX_CACHED of them: the file templates stay, while edited versions and the
+// unsaved wording of previews and test sends come and go.
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*(?:(#if|#each)\s+([\w.]+)|>\s*([\w-]+)|(\/if|\/each|else)|([\w.]+))\s*\}\}/g;
+const MAX_PARTIAL_DEPTH = 10;
+const MAX_CACHED = 100;
+
+const templateError = (message) => new Error(`Template error: ${message}`);
+
+const parse = (source) => {
+  const root = { children: [] };
+  const stack = [root];
+  let current = root.children;
+  let last = 0;
+  let match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source)) !== null) {
+    if (match.index > last) current.push({ type: 'text', value: source.slice(last, match.index) });
+    last = TAG.lastIndex;
+
+    const [, rawPath, blockType, blockPath, partialName, closing, path] = match;
+    if (rawPath || path) {
+      current.push({ type: 'value', path: rawPath || path, raw: Boolean(rawPath) });
+    } else if (blockType) {
+      const block = { type: blockType.slice(1), path: blockPath, children: [], inverse: [] };
+      current.push(block);
+      stack.push(block);
+      current = block.children;
+    } else if (partialName) {
+      current.push({ type: 'partial', name: partialName });
+    } else if (closing === 'else') {
+      const block = stack[stack.length - 1];
+      if (block === root) throw templateError('{{else}} outside a block');
+      current = block.inverse;
+    } else {
+      const block = stack.pop();
+      if (block === root || `/${block.type}` !== closing) {
+        throw templateError(`unexpected {{${closing}}}`);
+      }
+      const parent = stack[stack.length - 1];
+      current = parent === root ? root.children : parent.children;
+      // Back inside the parent's else branch when the block sat there
+      if (parent !== root && parent.inverse.includes(block)) current = parent.inverse;
+    }
+  }
+  if (stack.length > 1) throw templateError(`{{#${stack[stack.length - 1].type}}} is not closed`);
+  if (last < source.length) root.children.push({ type: 'text', value: source.slice(last) });
+  return root.children;
+};
+
+// A block or partial tag alone on its line leaves no empty line behind
+const STANDALONE = /^[ \t]*(\{\{\s*(?:#(?:if|each)\s[^}]*|>[^}]*|else|\/(?:if|each))\s*\}\})[ \t]*\r?\n/gm;
+
+// A Map keeps insertion order, so a hit moves to the end and the first key is the oldest
+const cache = new Map();
+const compile = (source) => {
+  let nodes = cache.get(source);
+  if (nodes) {
+    cache.delete(source);
+  } else {
+    nodes = parse(source.replace(STANDALONE, '$1'));
+    if (cache.size >= MAX_CACHED) cache.delete(cache.keys().next().value);
+  }
+  cache.set(source, nodes);
+  return nodes;
+};
+
+const cachedTemplates = () => cache.size;
+
+// Scopes run from the innermost {{#each}} item out to the template data
+const lookup = (scopes, path) => {
+  const [head, ...rest] = path.split('.');
+  let value;
+  if (head === 'this') {
+    value = scopes[0];
+  } else {
+    const scope = scopes.find(s => s !== null && typeof s === 'object' && head in s);
+    if (!scope) return undefined;
+    value = scope[head];
+  }
+  return rest.reduce((current, key) => (current == null ? undefined : current[key]), value);
+};
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const renderNodes = (nodes, scopes, options, depth) => nodes.map(node => {
+  switch (node.type) {
+    case 'text':
+      return node.value;
+    case 'value': {
+      const value = lookup(scopes, node.path);
+      if (value == null) return '';
+      return node.raw ? String(value) : options.escape(value);
+    }
+    case 'if':
+      return renderNodes(isTruthy(lookup(scopes, node.path)) ? node.children : node.inverse, scopes, options, depth);
+    case 'each': {
+      const list = lookup(scopes, node.path);
+      if (!Array.isArray(list) || list.length === 0) return renderNodes(node.inverse, scopes, options, depth);
+      return list.map(item => renderNodes(node.children, [item, ...scopes], options, depth)).join('');
+    }
+    case 'partial': {
+      const partial = options.partials[node.name];
+      if (partial === undefined) throw templateError(`partial '${node.name}' not found`);
+      if (depth >= MAX_PARTIAL_DEPTH) throw templateError(`partial '${node.name}' nests too deep`);
+      return renderNodes(compile(partial), scopes, options, depth + 1);
+    }
+    default:
+      return '';
+  }
+}).join('');
+
+/**
+ * Render a template with the given data.
+ * @param {string} source - template source
+ * @param {object} data - values for the template
+ * @param {object} [options]
+ * @param {Object<string, string>} [options.partials] - partial sources by name
+ * @param {Function} [options.escape] - applied to {{value}}; HTML-escapes by
+ *   default, pass `String` for plain-text templates
+ * @returns {string}
+ */
+const render = (source, data = {}, { partials = {}, escape = escapeHtml } = {}) =>
+  renderNodes(compile(source), [data], { partials, escape }, 0);
+
+/**
+ * Split a `---` front matter block of `key: value` lines from a template.
+ * @returns {{ meta: object, body: string }}
+ */
+const parseFrontMatter = (source) => {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(source);
+  if (!match) return { meta: {}, body: source };
+
+  const meta = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+    const key = line.slice(0, separator).trim();
+    const value = line.slice(separator + 1).trim();
+    if (key) meta[key] = value === 'true' ? true : value === 'false' ? false : value;
+  });
+  return { meta, body: source.slice(match[0].length) };
+};
+
+module.exports = {
+  MAX_CACHED,
+  escapeHtml,
+  render,
+  parseFrontMatter,
+  cachedTemplates
+};
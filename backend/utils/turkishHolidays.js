@@ -0,0 +1,82 @@
+// Türkiye resmi tatilleri (2429 sayılı Ulusal Bayram ve Genel Tatiller Hakkında Kanun).
+// Sabit tarihli tatiller her yıl için hesaplanır. Ramazan ve Kurban Bayramı tarihleri
+// Diyanet takvimine göre yıllık olarak tutulur; yeni yıl eklerken resmi takvimle
+// karşılaştırın. Arife günleri 13:00'ten itibaren yarım gün tatildir.
+
+const { addDays } = require('./availability');
+
+const FIXED_HOLIDAYS = [
+  { key: 'yilbasi', month: 1, day: 1, title: 'Yılbaşı' },
+  { key: 'ulusal-egemenlik', month: 4, day: 23, title: 'Ulusal Egemenlik ve Çocuk Bayramı' },
+  { key: 'emek', month: 5, day: 1, title: 'Emek ve Dayanışma Günü' },
+  { key: 'genclik', month: 5, day: 19, title: 'Atatürk\'ü Anma, Gençlik ve Spor Bayramı' },
+  { key: 'demokrasi', month: 7, day: 15, title: 'Demokrasi ve Milli Birlik Günü' },
+  { key: 'zafer', month: 8, day: 30, title: 'Zafer Bayramı' },
+  { key: 'cumhuriyet-arife', month: 10, day: 28, title: 'Cumhuriyet Bayramı Arifesi', startTime: '13:00' },
+  { key: 'cumhuriyet', month: 10, day: 29, title: 'Cumhuriyet Bayramı' }
+];
+
+// İlk bayram günü; Ramazan Bayramı 3, Kurban Bayramı 4 gün sürer
+const RELIGIOUS_HOLIDAYS = {
+  2025: { ramazan: '2025-03-30', kurban: '2025-06-06' },
+  2026: { ramazan: '2026-03-20', kurban: '2026-05-27' },
+  2027: { ramazan: '2027-03-09', kurban: '2027-05-16' },
+  2028: { ramazan: '2028-02-26', kurban: '2028-05-05' }
+};
+
+const HALF_DAY_START = '13:00';
+
+const pad = (n) => n.toString().padStart(2, '0');
+
+const religiousHoliday = (year, key, title, firstDay, length) => [
+  {
+    holidayKey: `${year}-${key}-arife`,
+    title: `${title} Arifesi`,
+    startDate: addDays(firstDay, -1),
+    endDate: addDays(firstDay, -1),
+    startTime: HALF_DAY_START
+  },
+  {
+    holidayKey: `${year}-${key}`,
+    title,
+    startDate: firstDay,
+    endDate: addDays(firstDay, length - 1)
+  }
+];
+
+const isSupportedYear = (year) => Boolean(RELIGIOUS_HOLIDAYS[year]);
+
+/**
+ * Official holidays of a year as blackout definitions, sorted by date.
+ * Religious holidays are only included for years listed in RELIGIOUS_HOLIDAYS.
+ */
+const getOfficialHolidays = (year) => {
+  const holidays = FIXED_HOLIDAYS.map(h => {
+    const date = `${year}-${pad(h.month)}-${pad(h.day)}`;
+    return {
+      holidayKey: `${year}-${h.key}`,
+      title: h.title,
+      startDate: date,
+      endDate: date,
+      ...(h.startTime && { startTime: h.startTime })
+    };
+  });
+
+  const religious = RELIGIOUS_HOLIDAYS[year];
+  if (religious) {
+    holidays.push(
+      ...religiousHoliday(year, 'ramazan-bayrami', 'Ramazan Bayramı', religious.ramazan, 3),
+      ...religiousHoliday(year, 'kurban-bayrami', 'Kurban Bayramı', religious.kurban, 4)
+    );
+  }
+
+  return holidays
+    .map(h => ({ ...h, type: 'holiday', source: 'official' }))
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+};
+
+module.exports = {
+  SUPPORTED_YEARS: Object.keys(RELIGIOUS_HOLIDAYS).map(Number),
+  isSupportedYear,
+  getOfficialHolidays
+};
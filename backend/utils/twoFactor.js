@@ -0,0 +1,234 @@
+// Two-factor authentication for admin accounts. After the password, admin
+// login asks for the code of an authenticator app (TOTP) or one of the
+// one-time recovery codes handed out when two-factor was turned on.
+//
+// Without MongoDB the only admin is the one from the environment; its secret
+// is ADMIN_TOTP_SECRET and two-factor is on whenever that is set. Setting it
+// up or off from the panel needs the database.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { generateSecret, verifyCode, otpauthUrl } = require('./totp');
+
+const ISSUER = 'Psikolog Onur Uslu';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRE = '5m';
+const MOCK_ADMIN_ID = 'mock-admin-id';
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const requestError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const mockSecret = () => process.env.ADMIN_TOTP_SECRET || null;
+
+const notEnabled = () => requestError(409, 'Two-factor authentication is off');
+
+const needsDatabase = () => requestError(503,
+  'Two-factor setup needs the database; without it set ADMIN_TOTP_SECRET for the admin');
+
+const hashCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^0-9a-f]/g, ''))
+  .digest('hex');
+
+// xxxx-xxxx-xxxx-xxxx, 64 random bits each
+const newRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+  crypto.randomBytes(8).toString('hex').match(/.{4}/g).join('-'));
+
+// Login challenges are signed apart from access tokens so one can never pass for the other
+const challengeSecret = () => `${process.env.JWT_SECRET || 'fallback_secret'}:admin-2fa`;
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user) throw requestError(404, 'User not found');
+  return user;
+};
+
+/**
+ * Whether the user has to give a second factor to log in
+ */
+const isTwoFactorEnabled = (user) => {
+  if (String(user._id) === MOCK_ADMIN_ID && !isConnected()) return Boolean(mockSecret());
+  return Boolean(user.twoFactor && user.twoFactor.enabled);
+};
+
+/**
+ * Short-lived token that stands for "password checked" between the two login steps
+ */
+const issueLoginChallenge = (user) => jwt.sign(
+  { id: String(user._id), purpose: 'admin-2fa' },
+  challengeSecret(),
+  { expiresIn: CHALLENGE_EXPIRE }
+);
+
+/**
+ * @returns {string} the id of the user whose password was checked
+ */
+const readLoginChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, challengeSecret());
+    if (decoded.purpose !== 'admin-2fa') throw new Error('Wrong purpose');
+    return decoded.id;
+  } catch (error) {
+    throw requestError(401, 'The login step expired, please log in again');
+  }
+};
+
+/**
+ * Check a second factor and use it up: a code is accepted once, a recovery
+ * code is removed. Throws 401 when neither is valid.
+ * @param {string} userId
+ * @param {{ code?: string, recoveryCode?: string }} factor
+ * @returns {Promise<{ method: 'totp'|'recovery', recoveryCodesLeft?: number }>}
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }, now = new Date()) => {
+  const invalid = () => requestError(401, 'Invalid two-factor code');
+
+  if (!isConnected()) {
+    if (String(userId) !== MOCK_ADMIN_ID || !mockSecret() || !code) throw invalid();
+    const step = verifyCode(mockSecret(), code, { now });
+    const state = require('./mockDb').mockAdminTwoFactor;
+    if (step === null || step <= state.lastUsedStep) throw invalid();
+    state.lastUsedStep = step;
+    return { method: 'totp' };
+  }
+
+  const user = await loadUser(userId);
+  if (!isTwoFactorEnabled(user)) throw invalid();
+
+  if (code) {
+    const step = verifyCode(user.twoFactor.secret, code, { now });
+    if (step === null) throw invalid();
+    // The conditional update keeps two logins from using the same code
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': { $exists: false } }]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    if (result.modifiedCount === 0) throw invalid();
+    return { method: 'totp' };
+  }
+
+  if (recoveryCode) {
+    const hash = hashCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    if (result.modifiedCount === 0) throw invalid();
+    return { method: 'recovery', recoveryCodesLeft: (user.twoFactor.recoveryCodes || []).length - 1 };
+  }
+
+  throw invalid();
+};
+
+/**
+ * @returns {Promise<{ enabled: boolean, enabledAt?: Date, recoveryCodesLeft: number, managedByEnvironment?: boolean }>}
+ */
+const getTwoFactorStatus = async (userId) => {
+  if (!isConnected()) {
+    return { enabled: Boolean(mockSecret()), recoveryCodesLeft: 0, managedByEnvironment: true };
+  }
+  const { twoFactor = {} } = await loadUser(userId);
+  return {
+    enabled: Boolean(twoFactor.enabled),
+    enabledAt: twoFactor.enabledAt,
+    recoveryCodesLeft: twoFactor.enabled ? (twoFactor.recoveryCodes || []).length : 0
+  };
+};
+
+/**
+ * First half of turning two-factor on: a new secret for the authenticator app.
+ * It only takes effect once a code made from it is confirmed.
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ */
+const startTwoFactorSetup = async (userId) => {
+  if (!isConnected()) throw needsDatabase();
+  const user = await loadUser(userId);
+  if (isTwoFactorEnabled(user)) throw requestError(409, 'Two-factor authentication is already on');
+
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+  return { secret, otpauthUrl: otpauthUrl({ secret, account: user.email, issuer: ISSUER }) };
+};
+
+/**
+ * Second half: a code from the app proves it holds the secret
+ * @returns {Promise<string[]>} the recovery codes, shown this once
+ */
+const enableTwoFactor = async (userId, code, now = new Date()) => {
+  if (!isConnected()) throw needsDatabase();
+  const user = await loadUser(userId);
+  if (isTwoFactorEnabled(user)) throw requestError(409, 'Two-factor authentication is already on');
+  const secret = user.twoFactor && user.twoFactor.pendingSecret;
+  if (!secret) throw requestError(400, 'Start the two-factor setup first');
+
+  const step = verifyCode(secret, code, { now });
+  if (step === null) throw requestError(400, 'Invalid two-factor code');
+
+  const recoveryCodes = newRecoveryCodes();
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      'twoFactor.enabled': true,
+      'twoFactor.enabledAt': now,
+      'twoFactor.secret': secret,
+      'twoFactor.recoveryCodes': recoveryCodes.map(hashCode),
+      'twoFactor.lastUsedStep': step
+    },
+    $unset: { 'twoFactor.pendingSecret': '' }
+  });
+  return recoveryCodes;
+};
+
+/**
+ * Turn two-factor off; takes a current code or a recovery code
+ */
+const disableTwoFactor = async (userId, factor) => {
+  if (!isConnected()) throw needsDatabase();
+  if (!isTwoFactorEnabled(await loadUser(userId))) throw notEnabled();
+  await verifySecondFactor(userId, factor);
+  await User.updateOne({ _id: userId }, {
+    $set: { 'twoFactor.enabled': false },
+    $unset: {
+      'twoFactor.enabledAt': '',
+      'twoFactor.secret': '',
+      'twoFactor.recoveryCodes': '',
+      'twoFactor.lastUsedStep': ''
+    }
+  });
+};
+
+/**
+ * Replace all recovery codes; takes a current code
+ * @returns {Promise<string[]>}
+ */
+const regenerateRecoveryCodes = async (userId, code) => {
+  if (!isConnected()) throw needsDatabase();
+  if (!isTwoFactorEnabled(await loadUser(userId))) throw notEnabled();
+  await verifySecondFactor(userId, { code });
+  const recoveryCodes = newRecoveryCodes();
+  await User.updateOne({ _id: userId }, { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashCode) } });
+  return recoveryCodes;
+};
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  isTwoFactorEnabled,
+  issueLoginChallenge,
+  readLoginChallenge,
+  verifySecondFactor,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
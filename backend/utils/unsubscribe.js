@@ -0,0 +1,125 @@
+// Unsubscribe links of bulk emails. Every campaign or newsletter email carries
+// a signed token naming the recipient and the mailing list; the token needs no
+// database lookup and never expires, so old emails keep working.
+//
+// Mailing lists register how to check and withdraw consent:
+//   registerList(name, { isSubscribed(email), unsubscribe(email, token) })
+//
+// Besides the link in the footer, emails get List-Unsubscribe and
+// List-Unsubscribe-Post headers (RFC 8058), so mail clients can show their own
+// one-click unsubscribe button.
+
+const crypto = require('crypto');
+
+const lists = {};
+
+const secret = () => process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET || 'fallback_secret';
+
+const sign = (value) => crypto.createHmac('sha256', secret()).update(value).digest('base64url');
+
+const requestError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const registerList = (name, list) => {
+  lists[name] = list;
+};
+
+const getList = (name) => {
+  const list = lists[name];
+  if (!list) {
+    throw new Error(`Mailing list '${name}' not found`);
+  }
+  return list;
+};
+
+/**
+ * @param {{ email: string, list: string, campaign?: string }} fields
+ * @returns {string} token for the unsubscribe link
+ */
+const createUnsubscribeToken = ({ email, list, campaign }) => {
+  const payload = Buffer.from(JSON.stringify({
+    e: email.toLowerCase(),
+    l: list,
+    ...(campaign && { c: String(campaign) })
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * @returns {{ email: string, list: string, campaign?: string } | null} null
+ *   when the token is malformed or its signature does not match
+ */
+const readUnsubscribeToken = (token) => {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const { e, l, c } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (typeof e !== 'string' || typeof l !== 'string') return null;
+    return { email: e, list: l, campaign: c };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Absolute URL of an API path, for links that mail clients open directly
+const publicApiUrl = (path) => `${(process.env.API_URL || 'http://localhost:5000').replace(/\/$/, '')}${path}`;
+
+/**
+ * Link for the email footer (a page of the site) and headers for mail clients
+ */
+const unsubscribeLinks = (fields) => {
+  const token = createUnsubscribeToken(fields);
+  const oneClick = publicApiUrl(`/api/email/unsubscribe/${token}`);
+  return {
+    token,
+    url: `${process.env.FRONTEND_URL}/abonelik-iptal?token=${token}`,
+    headers: {
+      'List-Unsubscribe': `<${oneClick}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+};
+
+/**
+ * Whom a token belongs to and whether they are still on the list
+ */
+const describeToken = async (token) => {
+  const fields = readUnsubscribeToken(token);
+  if (!fields) throw requestError(404, 'Invalid unsubscribe link');
+  const subscribed = await getList(fields.list).isSubscribed(fields.email);
+  return { ...fields, subscribed };
+};
+
+/**
+ * Take the token's recipient off its list. Repeating it is harmless.
+ * @returns {Promise<{ email: string, list: string, alreadyUnsubscribed: boolean }>}
+ */
+const unsubscribe = async (token) => {
+  const fields = readUnsubscribeToken(token);
+  if (!fields) throw requestError(404, 'Invalid unsubscribe link');
+  const list = getList(fields.list);
+  const subscribed = await list.isSubscribed(fields.email);
+  if (subscribed) {
+    await list.unsubscribe(fields.email, fields);
+  }
+  return { email: fields.email, list: fields.list, campaign: fields.campaign, alreadyUnsubscribed: !subscribed };
+};
+
+module.exports = {
+  registerList,
+  getList,
+  createUnsubscribeToken,
+  readUnsubscribeToken,
+  unsubscribeLinks,
+  publicApiUrl,
+  describeToken,
+  unsubscribe
+};
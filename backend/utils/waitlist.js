@@ -0,0 +1,449 @@
+// Waitlist and slot offers. When a booked slot is freed (cancellation), the
+// first waiting client whose preferences match gets an email offer with a
+// time-limited claim link. An offer that is declined or runs out moves on to
+// the next matching client; the reminder job expires stale offers.
+// Works against MongoDB or the mock store, like the booking routes.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const SlotOffer = require('../models/SlotOffer');
+const { sendEmail } = require('./emailService');
+const { buildReminders } = require('./reminderPolicy');
+const {
+  toMinutes,
+  toDateKey,
+  getInterval,
+  getAvailabilitySettings,
+  checkSlotAvailability,
+  findConflictingAppointment
+} = require('./availability');
+
+const DEFAULT_OFFER_HOURS = 12;
+// An offer always closes this long before the session starts
+const OFFER_CUTOFF_MINUTES = 60;
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const slotKeyOf = ({ date, time }) => `${toDateKey(date)} ${time}`;
+
+const offerHours = () => parseFloat(process.env.WAITLIST_OFFER_HOURS) || DEFAULT_OFFER_HOURS;
+
+const requestError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const byQueueOrder = (a, b) => (a.position - b.position) || (new Date(a.createdAt) - new Date(b.createdAt));
+
+/**
+ * Does a slot suit the entry? Every set preference must hold; a time range
+ * only matches when the whole session fits inside it.
+ */
+const matchesEntry = (entry, { date, time, duration }) => {
+  const dateKey = toDateKey(date);
+  if (entry.fromDate && dateKey < entry.fromDate) return false;
+  if (entry.untilDate && dateKey > entry.untilDate) return false;
+
+  if (entry.preferredDays && entry.preferredDays.length > 0 &&
+      !entry.preferredDays.includes(new Date(date).getDay())) {
+    return false;
+  }
+
+  if (entry.timeRanges && entry.timeRanges.length > 0) {
+    const start = toMinutes(time);
+    const end = start + duration;
+    return entry.timeRanges.some(range => start >= toMinutes(range.start) && end <= toMinutes(range.end));
+  }
+
+  return true;
+};
+
+/**
+ * Entries still waiting, in queue order.
+ */
+const listWaitlist = async ({ status = 'waiting' } = {}) => {
+  if (!isConnected()) {
+    const { mockWaitlist } = require('./mockDb');
+    return mockWaitlist.filter(e => !status || e.status === status).sort(byQueueOrder);
+  }
+  const filter = status ? { status } : {};
+  return WaitlistEntry.find(filter)
+    .populate('user', 'name email phone')
+    .sort({ position: 1, createdAt: 1 });
+};
+
+const listUserEntries = async (userId) => {
+  if (!isConnected()) {
+    const { mockWaitlist } = require('./mockDb');
+    return mockWaitlist
+      .filter(e => idOf(e.user) === idOf(userId) && e.status !== 'removed')
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+  return WaitlistEntry.find({ user: userId, status: { $ne: 'removed' } }).sort({ createdAt: -1 });
+};
+
+const findEntryById = async (id) => {
+  if (!isConnected()) {
+    const { mockWaitlist } = require('./mockDb');
+    return mockWaitlist.find(e => e._id === id) || null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return WaitlistEntry.findById(id);
+};
+
+/**
+ * Put a client at the end of the queue.
+ */
+const addToWaitlist = async (userId, data) => {
+  const waiting = await listWaitlist();
+  const position = waiting.length > 0 ? waiting[waiting.length - 1].position + 1 : 0;
+  const fields = {
+    user: userId,
+    preferredDays: data.preferredDays || [],
+    timeRanges: (data.timeRanges || []).map(({ start, end }) => ({ start, end })),
+    fromDate: data.fromDate,
+    untilDate: data.untilDate,
+    type: data.type || 'individual',
+    duration: data.duration,
+    notes: data.notes,
+    position
+  };
+
+  if (!isConnected()) {
+    const { mockWaitlist, mockUsers } = require('./mockDb');
+    const entry = {
+      _id: `mock-wait-${Date.now()}-${mockWaitlist.length}`,
+      ...fields,
+      user: mockUsers.find(u => u._id === idOf(userId)) || userId,
+      status: 'waiting',
+      createdAt: new Date()
+    };
+    mockWaitlist.push(entry);
+    return entry;
+  }
+  return WaitlistEntry.create(fields);
+};
+
+/**
+ * Set the queue order. `order` lists waiting entry IDs from first to last;
+ * waiting entries missing from it keep their relative order after them.
+ */
+const reorderWaitlist = async (order) => {
+  const waiting = await listWaitlist();
+  const known = new Set(waiting.map(e => idOf(e)));
+  const unknown = order.filter(id => !known.has(id));
+  if (unknown.length > 0) {
+    throw requestError(400, `Unknown waitlist entries: ${unknown.join(', ')}`);
+  }
+
+  const listed = order.map(id => waiting.find(e => idOf(e) === id));
+  const rest = waiting.filter(e => !order.includes(idOf(e)));
+  const queue = [...listed, ...rest];
+
+  for (const [position, entry] of queue.entries()) {
+    if (!isConnected()) {
+      entry.position = position;
+    } else if (entry.position !== position) {
+      await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { position } });
+    }
+  }
+
+  return listWaitlist();
+};
+
+const findOffers = async (filter) => {
+  if (!isConnected()) {
+    const { mockOffers } = require('./mockDb');
+    return mockOffers.filter(o => Object.entries(filter).every(([key, value]) =>
+      (key === 'entry' ? idOf(o.entry) === idOf(value) : o[key] === value)
+    ));
+  }
+  return SlotOffer.find(filter);
+};
+
+/**
+ * Pending offers with their client, soonest expiry first.
+ */
+const listPendingOffers = async () => {
+  if (!isConnected()) {
+    return (await findOffers({ status: 'pending' })).sort((a, b) => a.expiresAt - b.expiresAt);
+  }
+  return SlotOffer.find({ status: 'pending' })
+    .populate('user', 'name email phone')
+    .sort({ expiresAt: 1 });
+};
+
+const updateOffer = async (offer, fields) => {
+  if (!isConnected()) {
+    Object.assign(offer, fields, { updatedAt: new Date() });
+    return offer;
+  }
+  Object.assign(offer, fields);
+  return offer.save();
+};
+
+const updateEntry = async (entry, fields) => {
+  if (!isConnected()) {
+    Object.assign(entry, fields, { updatedAt: new Date() });
+    return entry;
+  }
+  await WaitlistEntry.updateOne({ _id: entry._id }, { $set: fields });
+  return Object.assign(entry, fields);
+};
+
+const findUser = async (userId) => {
+  if (!isConnected()) {
+    const { mockUsers } = require('./mockDb');
+    return mockUsers.find(u => u._id === idOf(userId)) || null;
+  }
+  return User.findById(idOf(userId)).select('name email phone');
+};
+
+// Free and bookable right now for the given session length?
+const isSlotOpen = async (slot, settings) => {
+  const availability = await checkSlotAvailability(slot, settings);
+  if (!availability.valid) return false;
+  return !(await findConflictingAppointment(slot, settings));
+};
+
+const sendOfferEmail = async (offer, entry, token) => {
+  const user = await findUser(entry.user);
+  if (!user) return;
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'Bekleme Listesi: Uygun Bir Randevu Açıldı - Psikolog Onur Uslu',
+      template: 'waitlistOffer',
+      data: {
+        name: user.name,
+        date: new Date(offer.date).toLocaleDateString('tr-TR'),
+        time: offer.time,
+        duration: offer.duration,
+        expiresAt: new Date(offer.expiresAt).toLocaleString('tr-TR', { timeZone: 'Europe/Istanbul' }),
+        claimLink: `${process.env.FRONTEND_URL}/randevu-teklifi?token=${token}`
+      }
+    });
+  } catch (emailError) {
+    console.error('Waitlist offer email failed:', emailError);
+  }
+};
+
+/**
+ * Offer a free slot to the first matching waiting client who has not been
+ * offered this slot yet and has no other open offer. Does nothing while the
+ * slot already has a pending offer, or when it is too close to start.
+ * @param {{ date, time, duration? }} slot
+ * @returns {Promise<object|null>} the new offer
+ */
+const offerSlot = async (slot, { sourceAppointment, now = new Date() } = {}) => {
+  const slotKey = slotKeyOf(slot);
+  const slotStart = getInterval({ ...slot, duration: slot.duration || 0 }).start;
+  const latestExpiry = new Date(slotStart.getTime() - OFFER_CUTOFF_MINUTES * 60 * 1000);
+  if (latestExpiry <= now) return null;
+
+  const offersForSlot = await findOffers({ slotKey });
+  if (offersForSlot.some(o => o.status === 'pending' || o.status === 'claimed')) return null;
+
+  const alreadyOffered = new Set(offersForSlot.map(o => idOf(o.entry)));
+  const busy = new Set((await findOffers({ status: 'pending' })).map(o => idOf(o.entry)));
+  const settings = await getAvailabilitySettings();
+
+  for (const entry of await listWaitlist()) {
+    const id = idOf(entry);
+    if (alreadyOffered.has(id) || busy.has(id)) continue;
+
+    const candidate = {
+      date: new Date(slot.date),
+      time: slot.time,
+      duration: entry.duration || settings.defaultDuration
+    };
+    if (!matchesEntry(entry, candidate)) continue;
+    if (!(await isSlotOpen(candidate, settings))) continue;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Math.min(now.getTime() + offerHours() * 60 * 60 * 1000, latestExpiry.getTime()));
+    const fields = {
+      entry: entry._id,
+      user: entry.user && entry.user._id ? entry.user._id : entry.user,
+      date: candidate.date,
+      time: candidate.time,
+      duration: candidate.duration,
+      slotKey,
+      sourceAppointment: sourceAppointment ? sourceAppointment._id : undefined,
+      tokenHash: hashToken(token),
+      expiresAt,
+      status: 'pending'
+    };
+
+    let offer;
+    if (!isConnected()) {
+      const { mockOffers } = require('./mockDb');
+      offer = { _id: `mock-offer-${Date.now()}-${mockOffers.length}`, ...fields, createdAt: new Date() };
+      mockOffers.push(offer);
+    } else {
+      offer = await SlotOffer.create(fields);
+    }
+
+    await sendOfferEmail(offer, entry, token);
+    return offer;
+  }
+
+  return null;
+};
+
+/**
+ * Hand the slot of a cancelled appointment to the waitlist. Never throws, so
+ * a waitlist problem can not fail the cancellation itself.
+ */
+const offerFreedSlot = async (appointment) => {
+  try {
+    return await offerSlot(
+      { date: appointment.date, time: appointment.time, duration: appointment.duration },
+      { sourceAppointment: appointment }
+    );
+  } catch (error) {
+    console.error('Waitlist offer error:', error);
+    return null;
+  }
+};
+
+// Close an offer and move its slot on to the next client in the queue
+const closeAndPassOn = async (offer, status) => {
+  await updateOffer(offer, { status, respondedAt: new Date() });
+  return offerSlot(
+    { date: offer.date, time: offer.time },
+    { sourceAppointment: offer.sourceAppointment && { _id: offer.sourceAppointment } }
+  );
+};
+
+/**
+ * Look up an offer by the token from its claim link.
+ */
+const findOfferByToken = async (token) => {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  if (!isConnected()) {
+    const { mockOffers } = require('./mockDb');
+    return mockOffers.find(o => o.tokenHash === tokenHash) || null;
+  }
+  return SlotOffer.findOne({ tokenHash }).populate('user', 'name email phone');
+};
+
+// The offer must exist, be pending and not be past its deadline
+const openOfferByToken = async (token, now = new Date()) => {
+  const offer = await findOfferByToken(token);
+  if (!offer) throw requestError(404, 'Offer not found');
+  if (offer.status === 'pending' && new Date(offer.expiresAt) <= now) {
+    await closeAndPassOn(offer, 'expired');
+  }
+  if (offer.status !== 'pending') {
+    throw requestError(410, `Offer is no longer available (${offer.status})`);
+  }
+  return offer;
+};
+
+/**
+ * Book the offered slot for the client. When the slot was taken in the
+ * meantime the offer is withdrawn.
+ * @returns {Promise<{ offer, appointment }>}
+ */
+const claimOffer = async (token) => {
+  const offer = await openOfferByToken(token);
+  const entry = await findEntryById(idOf(offer.entry));
+  const slot = { date: new Date(offer.date), time: offer.time, duration: offer.duration };
+
+  if (!(await isSlotOpen(slot))) {
+    await updateOffer(offer, { status: 'withdrawn', respondedAt: new Date() });
+    throw requestError(409, 'Time slot is no longer available');
+  }
+
+  const fields = {
+    ...slot,
+    type: entry ? entry.type : 'individual',
+    notes: entry ? entry.notes : undefined
+  };
+
+  let appointment;
+  if (!isConnected()) {
+    const { mockAppointments, mockUsers } = require('./mockDb');
+    appointment = {
+      _id: `mock-app-${Date.now()}`,
+      user: mockUsers.find(u => u._id === idOf(offer.user)) || offer.user,
+      ...fields,
+      price: 0,
+      status: 'scheduled',
+      createdAt: new Date()
+    };
+    appointment.reminders = await buildReminders(appointment);
+    mockAppointments.push(appointment);
+  } else {
+    appointment = new Appointment({ user: idOf(offer.user), ...fields });
+    appointment.reminders = await buildReminders(appointment);
+    await appointment.save();
+  }
+
+  await updateOffer(offer, { status: 'claimed', respondedAt: new Date(), appointment: appointment._id });
+  if (entry) await updateEntry(entry, { status: 'booked', appointment: appointment._id });
+
+  return { offer, appointment };
+};
+
+/**
+ * Turn an offer down; the slot is offered to the next client.
+ */
+const declineOffer = async (token) => {
+  const offer = await openOfferByToken(token);
+  await closeAndPassOn(offer, 'declined');
+  return offer;
+};
+
+/**
+ * Expire every pending offer past its deadline and pass each slot on.
+ * @returns {Promise<number>} number of expired offers
+ */
+const expireOffers = async (now = new Date()) => {
+  const pending = await findOffers({ status: 'pending' });
+  const stale = pending.filter(o => new Date(o.expiresAt) <= now);
+  for (const offer of stale) {
+    await closeAndPassOn(offer, 'expired');
+  }
+  return stale.length;
+};
+
+/**
+ * Take an entry off the waitlist. Its pending offer, if any, moves on.
+ */
+const removeEntry = async (entry) => {
+  await updateEntry(entry, { status: 'removed' });
+  const pending = await findOffers({ entry: entry._id, status: 'pending' });
+  for (const offer of pending) {
+    await closeAndPassOn(offer, 'withdrawn');
+  }
+  return entry;
+};
+
+module.exports = {
+  matchesEntry,
+  listWaitlist,
+  listUserEntries,
+  findEntryById,
+  addToWaitlist,
+  reorderWaitlist,
+  listPendingOffers,
+  offerSlot,
+  offerFreedSlot,
+  findOfferByToken,
+  claimOffer,
+  declineOffer,
+  expireOffers,
+  removeEntry
+};
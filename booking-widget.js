@@ -0,0 +1,408 @@
+// ===== ONLINE RANDEVU WİDGET'I =====
+// Sayfadaki her <div data-booking-widget></div> alanına randevu akışını kurar:
+// seans türü → takvim → günün boş saatleri → iletişim bilgileri → onay ekranı.
+// Boş saatler /appointments/available-slots'tan gelir; talep üyeliksiz randevu
+// (/guest-bookings) olarak gönderilir ve danışan e-postadaki bağlantıyla onaylar.
+//
+// data-service="couple" gibi bir değer seans türünü önceden seçer (hizmet sayfaları).
+// Bağımlılıklar: api-config.js (window.API_URL) ve form-validation.js (validateField).
+
+(function () {
+    const SESSION_TYPES = [
+        { value: 'consultation', label: 'Ücretsiz Ön Görüşme', icon: 'fa-comments', duration: 30 },
+        { value: 'individual', label: 'Bireysel Terapi', icon: 'fa-user', duration: 50 },
+        { value: 'couple', label: 'Çift Terapisi', icon: 'fa-user-friends', duration: 50 },
+        { value: 'online', label: 'Online Terapi', icon: 'fa-video', duration: 50 },
+        { value: 'in-person', label: 'Yüz Yüze Terapi', icon: 'fa-couch', duration: 50 }
+    ];
+    const MONTHS = ['Ocak', 'Şubat', 'Mart', 'Nisan', 'Mayıs', 'Haziran', 'Temmuz', 'Ağustos', 'Eylül', 'Ekim', 'Kasım', 'Aralık'];
+    const WEEKDAYS = ['Pzt', 'Sal', 'Çar', 'Per', 'Cum', 'Cmt', 'Paz'];
+    // Takvimde bugünden itibaren kaç gün ileriye randevu verilir
+    const BOOKING_WINDOW_DAYS = 60;
+
+    const apiUrl = () => window.API_URL || '/api';
+
+    function escapeHtml(s) {
+        return String(s == null ? '' : s).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        }[c]));
+    }
+
+    // Yerel saatle YYYY-MM-DD (toISOString UTC'ye çevirip günü kaydırabiliyor)
+    function toDateKey(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    function startOfDay(date) {
+        const d = new Date(date);
+        d.setHours(0, 0, 0, 0);
+        return d;
+    }
+
+    function formatLongDate(dateKey) {
+        const [y, m, d] = dateKey.split('-').map(Number);
+        return new Date(y, m - 1, d).toLocaleDateString('tr-TR', {
+            weekday: 'long', day: 'numeric', month: 'long', year: 'numeric'
+        });
+    }
+
+    function createBookingWidget(root) {
+        const today = startOfDay(new Date());
+        const lastDay = new Date(today);
+        lastDay.setDate(lastDay.getDate() + BOOKING_WINDOW_DAYS);
+
+        const preset = SESSION_TYPES.find(t => t.value === root.dataset.service);
+        const state = {
+            type: preset || null,
+            month: new Date(today.getFullYear(), today.getMonth(), 1),
+            date: null,
+            time: null,
+            slots: [],
+            loadingSlots: false,
+            closedReason: ''
+        };
+
+        root.classList.add('booking-widget');
+        root.innerHTML = `
+            <div class="bw-step" data-step="type">
+                <h3 class="bw-title"><span class="bw-step-no">1</span> Seans türü</h3>
+                <div class="bw-types"></div>
+            </div>
+            <div class="bw-step" data-step="date">
+                <h3 class="bw-title"><span class="bw-step-no">2</span> Gün ve saat</h3>
+                <div class="bw-schedule">
+                    <div class="bw-calendar"></div>
+                    <div class="bw-day"></div>
+                </div>
+            </div>
+            <form class="bw-step bw-form" data-step="form" novalidate>
+                <h3 class="bw-title"><span class="bw-step-no">3</span> İletişim bilgileri</h3>
+                <p class="bw-summary"></p>
+                <div class="bw-fields">
+                    <div class="bw-field">
+                        <label>Ad Soyad</label>
+                        <input type="text" name="name" required autocomplete="name">
+                    </div>
+                    <div class="bw-field">
+                        <label>Telefon</label>
+                        <input type="tel" name="phone" required autocomplete="tel" placeholder="05XX XXX XX XX">
+                    </div>
+                    <div class="bw-field bw-field-wide">
+                        <label>E-posta</label>
+                        <input type="email" name="email" required autocomplete="email">
+                    </div>
+                    <div class="bw-field bw-field-wide">
+                        <label>Not (isteğe bağlı)</label>
+                        <textarea name="notes" rows="3" maxlength="1000"></textarea>
+                    </div>
+                    <div class="bw-field bw-field-wide bw-consent">
+                        <label>
+                            <input type="checkbox" name="kvkkConsent">
+                            <span><a href="/kvkk" target="_blank" rel="noopener">KVKK Aydınlatma Metni</a>'ni okudum,
+                                kişisel verilerimin randevu süreci için işlenmesini kabul ediyorum.</span>
+                        </label>
+                    </div>
+                </div>
+                <div class="bw-error" role="alert" hidden></div>
+                <button type="submit" class="bw-submit">Randevu Talebini Gönder</button>
+            </form>
+            <div class="bw-done" hidden></div>
+        `;
+
+        const el = (selector) => root.querySelector(selector);
+        const form = el('.bw-form');
+
+        function showError(message) {
+            const box = el('.bw-error');
+            box.textContent = message;
+            box.hidden = !message;
+        }
+
+        // ----- 1. Seans türü -----
+        function renderTypes() {
+            el('.bw-types').innerHTML = SESSION_TYPES.map(t => `
+                <button type="button" class="bw-type${state.type && state.type.value === t.value ? ' is-selected' : ''}"
+                    data-type="${t.value}">
+                    <i class="fas ${t.icon}"></i>
+                    <span>${escapeHtml(t.label)}</span>
+                    <small>${t.duration} dk</small>
+                </button>`).join('');
+        }
+
+        // ----- 2. Takvim ve gün görünümü -----
+        function renderCalendar() {
+            const year = state.month.getFullYear();
+            const month = state.month.getMonth();
+            // Pazartesi ile başlayan hafta: getDay() 0 = Pazar
+            const leadingBlanks = (new Date(year, month, 1).getDay() + 6) % 7;
+            const daysInMonth = new Date(year, month + 1, 0).getDate();
+            const canGoBack = state.month > new Date(today.getFullYear(), today.getMonth(), 1);
+            const canGoForward = new Date(year, month + 1, 1) <= lastDay;
+
+            let cells = '';
+            for (let i = 0; i < leadingBlanks; i++) cells += '<span></span>';
+            for (let day = 1; day <= daysInMonth; day++) {
+                const date = new Date(year, month, day);
+                const key = toDateKey(date);
+                const disabled = date < today || date > lastDay;
+                const classes = ['bw-date'];
+                if (key === state.date) classes.push('is-selected');
+                if (key === toDateKey(today)) classes.push('is-today');
+                cells += `<button type="button" class="${classes.join(' ')}" data-date="${key}"${disabled ? ' disabled' : ''}>${day}</button>`;
+            }
+
+            el('.bw-calendar').innerHTML = `
+                <div class="bw-calendar-head">
+                    <button type="button" class="bw-nav" data-month="-1"${canGoBack ? '' : ' disabled'} aria-label="Önceki ay">
+                        <i class="fas fa-chevron-left"></i></button>
+                    <strong>${MONTHS[month]} ${year}</strong>
+                    <button type="button" class="bw-nav" data-month="1"${canGoForward ? '' : ' disabled'} aria-label="Sonraki ay">
+                        <i class="fas fa-chevron-right"></i></button>
+                </div>
+                <div class="bw-grid">
+                    ${WEEKDAYS.map(d => `<span class="bw-weekday">${d}</span>`).join('')}
+                    ${cells}
+                </div>`;
+        }
+
+        function renderDay() {
+            const day = el('.bw-day');
+            if (!state.type) {
+                day.innerHTML = '<p class="bw-hint">Önce seans türünü seçin.</p>';
+                return;
+            }
+            if (!state.date) {
+                day.innerHTML = '<p class="bw-hint">Takvimden bir gün seçin.</p>';
+                return;
+            }
+
+            const heading = `<p class="bw-day-title">${escapeHtml(formatLongDate(state.date))}</p>`;
+            if (state.loadingSlots) {
+                day.innerHTML = `${heading}<p class="bw-hint"><i class="fas fa-spinner fa-spin"></i> Boş saatler yükleniyor...</p>`;
+                return;
+            }
+            if (state.slots.length === 0) {
+                day.innerHTML = `${heading}<p class="bw-hint">${escapeHtml(state.closedReason || 'Bu gün için boş saat kalmadı, lütfen başka bir gün seçin.')}</p>`;
+                return;
+            }
+            day.innerHTML = `${heading}<div class="bw-slots">${state.slots.map(time => `
+                <button type="button" class="bw-slot${time === state.time ? ' is-selected' : ''}" data-time="${time}">${time}</button>`).join('')}
+            </div>`;
+        }
+
+        async function loadSlots() {
+            if (!state.type || !state.date) return;
+            const requested = `${state.date}|${state.type.value}`;
+            state.loadingSlots = true;
+            state.slots = [];
+            state.time = null;
+            renderDay();
+            updateForm();
+
+            try {
+                const params = new URLSearchParams({ date: state.date, duration: state.type.duration });
+                const response = await fetch(`${apiUrl()}/appointments/available-slots?${params}`);
+                const result = await response.json();
+                // Kullanıcı bu arada başka bir gün/tür seçtiyse eski yanıtı at
+                if (requested !== `${state.date}|${state.type.value}`) return;
+                if (!response.ok) throw new Error(result.message);
+
+                const hours = result.data.workingHours || {};
+                state.slots = result.data.availableSlots || [];
+                state.closedReason = hours.closedFor
+                    ? `${hours.closedFor} nedeniyle bu gün randevu verilmiyor.`
+                    : (hours.isOpen === false ? 'Bu gün çalışılmıyor, lütfen başka bir gün seçin.' : '');
+            } catch (error) {
+                console.error('Boş saatler yüklenemedi:', error);
+                state.slots = [];
+                state.closedReason = 'Boş saatler şu anda yüklenemedi. Lütfen daha sonra tekrar deneyin veya telefonla ulaşın.';
+            } finally {
+                if (requested === `${state.date}|${state.type.value}`) {
+                    state.loadingSlots = false;
+                    renderDay();
+                }
+            }
+        }
+
+        // ----- 3. Form -----
+        function updateForm() {
+            const ready = state.type && state.date && state.time;
+            form.classList.toggle('is-disabled', !ready);
+            form.querySelectorAll('input, textarea, button').forEach(input => { input.disabled = !ready; });
+            el('.bw-summary').textContent = ready
+                ? `${state.type.label} · ${formatLongDate(state.date)} · ${state.time} (${state.type.duration} dk)`
+                : 'Devam etmek için seans türü, gün ve saat seçin.';
+        }
+
+        function validateForm() {
+            let valid = true;
+            form.querySelectorAll('input[required], textarea[required]').forEach(input => {
+                if (!validateField(input)) valid = false;
+            });
+            if (!valid) {
+                showError('Lütfen tüm zorunlu alanları doğru şekilde doldurun.');
+                return false;
+            }
+            if (!form.elements.kvkkConsent.checked) {
+                showError('Devam etmek için KVKK Aydınlatma Metni\'ni onaylamanız gerekiyor.');
+                return false;
+            }
+            showError('');
+            return true;
+        }
+
+        async function submit() {
+            if (!validateForm()) return;
+
+            const button = el('.bw-submit');
+            button.disabled = true;
+            button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Gönderiliyor...';
+
+            const payload = {
+                name: form.elements.name.value.trim(),
+                email: form.elements.email.value.trim(),
+                phone: form.elements.phone.value.replace(/\D/g, ''),
+                notes: form.elements.notes.value.trim() || undefined,
+                date: state.date,
+                time: state.time,
+                type: state.type.value,
+                duration: state.type.duration,
+                kvkkConsent: true
+            };
+
+            try {
+                const response = await fetch(`${apiUrl()}/guest-bookings`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload)
+                });
+                const result = await response.json().catch(() => ({}));
+
+                if (response.ok) {
+                    showDone(payload, result.data.booking);
+                    if (typeof trackEvent === 'function') {
+                        trackEvent('Randevu', 'randevu_talebi_gonderildi', state.type.value);
+                    }
+                    return;
+                }
+                if (response.status === 409) {
+                    showError('Üzgünüz, bu saat az önce doldu. Lütfen başka bir saat seçin.');
+                    loadSlots();
+                } else if (response.status === 429) {
+                    showError('Çok fazla deneme yapıldı. Lütfen biraz sonra tekrar deneyin.');
+                } else if (response.status === 400 && !result.errors) {
+                    // Doğrulama değil, müsaitlik hatası (tatil, çalışma saati dışı vb.)
+                    showError('Seçtiğiniz saat artık uygun değil, lütfen başka bir saat seçin.');
+                    loadSlots();
+                } else {
+                    showError('Talebiniz gönderilemedi. Lütfen bilgilerinizi kontrol edin veya telefonla ulaşın.');
+                }
+            } catch (error) {
+                console.error('Randevu talebi gönderilemedi:', error);
+                showError('Sunucuya ulaşılamadı. Lütfen tekrar deneyin veya WhatsApp üzerinden iletişime geçin.');
+            } finally {
+                button.disabled = false;
+                button.textContent = 'Randevu Talebini Gönder';
+            }
+        }
+
+        // ----- 4. Onay ekranı -----
+        function showDone(payload, booking) {
+            const expires = booking && booking.confirmationExpires
+                ? new Date(booking.confirmationExpires).toLocaleString('tr-TR', { dateStyle: 'short', timeStyle: 'short' })
+                : '';
+            root.querySelectorAll('.bw-step').forEach(step => { step.hidden = true; });
+            const done = el('.bw-done');
+            done.innerHTML = `
+                <i class="fas fa-envelope-open-text bw-done-icon"></i>
+                <h3>Neredeyse tamam!</h3>
+                <p><strong>${escapeHtml(state.type.label)}</strong><br>
+                    ${escapeHtml(formatLongDate(state.date))} · ${escapeHtml(state.time)}</p>
+                <p><strong>${escapeHtml(payload.email)}</strong> adresine bir onay bağlantısı gönderdik.
+                    Randevunuz bağlantıya tıkladığınızda kesinleşir${expires ? `; saat sizin için <strong>${escapeHtml(expires)}</strong> tarihine kadar ayrıldı` : ''}.</p>
+                <p class="bw-hint">E-posta gelmediyse spam klasörünü kontrol edin.</p>
+                <button type="button" class="bw-restart">Yeni randevu talebi</button>`;
+            done.hidden = false;
+        }
+
+        function restart() {
+            state.date = null;
+            state.time = null;
+            state.slots = [];
+            form.reset();
+            form.querySelectorAll('input, textarea').forEach(input => {
+                input.classList.remove('border-red-500', 'border-green-500');
+                const error = input.parentElement.querySelector('.field-error');
+                if (error) error.remove();
+            });
+            el('.bw-done').hidden = true;
+            root.querySelectorAll('.bw-step').forEach(step => { step.hidden = false; });
+            renderCalendar();
+            renderDay();
+            updateForm();
+        }
+
+        // ----- Olaylar (inline onclick yok; CSP uyumlu) -----
+        root.addEventListener('click', function (e) {
+            const typeBtn = e.target.closest('.bw-type');
+            if (typeBtn) {
+                state.type = SESSION_TYPES.find(t => t.value === typeBtn.dataset.type);
+                renderTypes();
+                if (state.date) loadSlots(); else renderDay();
+                updateForm();
+                return;
+            }
+
+            const navBtn = e.target.closest('.bw-nav');
+            if (navBtn && !navBtn.disabled) {
+                state.month = new Date(state.month.getFullYear(), state.month.getMonth() + Number(navBtn.dataset.month), 1);
+                renderCalendar();
+                return;
+            }
+
+            const dateBtn = e.target.closest('.bw-date');
+            if (dateBtn && !dateBtn.disabled) {
+                state.date = dateBtn.dataset.date;
+                renderCalendar();
+                loadSlots();
+                return;
+            }
+
+            const slotBtn = e.target.closest('.bw-slot');
+            if (slotBtn) {
+                state.time = slotBtn.dataset.time;
+                renderDay();
+                updateForm();
+                showError('');
+                return;
+            }
+
+            if (e.target.closest('.bw-restart')) restart();
+        });
+
+        form.addEventListener('submit', function (e) {
+            e.preventDefault();
+            submit();
+        });
+
+        form.querySelectorAll('input[required], textarea[required]').forEach(input => {
+            input.addEventListener('blur', () => validateField(input));
+        });
+
+        renderTypes();
+        renderCalendar();
+        renderDay();
+        updateForm();
+    }
+
+    function initBookingWidgets() {
+        document.querySelectorAll('[data-booking-widget]').forEach(createBookingWidget);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initBookingWidgets);
+    } else {
+        initBookingWidgets();
+    }
+})();
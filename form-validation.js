@@ -0,0 +1,74 @@
+// ===== ORTAK FORM DOĞRULAMA =====
+// İletişim formu (script.js) ve randevu widget'ı (booking-widget.js) aynı kuralları
+// kullanır. Hizmet sayfaları script.js'i yüklemediği için ayrı dosyada duruyor;
+// script.js ve booking-widget.js'ten ÖNCE yüklenmeli.
+
+function validateField(field) {
+    const value = field.value.trim();
+    const type = field.type;
+    let isValid = true;
+    let errorMessage = '';
+
+    // Remove existing validation classes and error messages
+    field.classList.remove('border-red-500', 'border-green-500');
+    const existingError = field.parentElement.querySelector('.field-error');
+    if (existingError) {
+        existingError.remove();
+    }
+
+    // Required field check
+    if (field.hasAttribute('required') && !value) {
+        isValid = false;
+        errorMessage = 'Bu alan zorunludur';
+    }
+    // Email validation
+    else if (type === 'email' && value) {
+        const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailPattern.test(value)) {
+            isValid = false;
+            errorMessage = 'Geçerli bir e-posta adresi giriniz';
+        }
+    }
+    // Phone validation
+    else if (type === 'tel' && value) {
+        const phonePattern = /^0[5][0-9]{9}$/;
+        const cleanPhone = value.replace(/\D/g, '');
+        if (!phonePattern.test(cleanPhone)) {
+            isValid = false;
+            errorMessage = 'Telefon numarası 0XXX XXX XX XX formatında olmalıdır';
+        }
+    }
+    // Name validation
+    else if (field.name === 'name' && value) {
+        const namePattern = /^[a-zA-ZğüşıöçĞÜŞİÖÇ\s]+$/;
+        if (!namePattern.test(value)) {
+            isValid = false;
+            errorMessage = 'Ad soyad sadece harf içermelidir';
+        } else if (value.length < 2) {
+            isValid = false;
+            errorMessage = 'Ad soyad en az 2 karakter olmalıdır';
+        }
+    }
+    // Message validation
+    else if (field.name === 'message' && value) {
+        if (value.length > 500) {
+            isValid = false;
+            errorMessage = 'Mesaj en fazla 500 karakter olabilir';
+        }
+    }
+
+    // Apply validation styling
+    if (value) {
+        field.classList.add(isValid ? 'border-green-500' : 'border-red-500');
+
+        // Show error message
+        if (!isValid && errorMessage) {
+            const errorDiv = document.createElement('div');
+            errorDiv.className = 'field-error text-red-500 text-sm mt-1';
+            errorDiv.textContent = errorMessage;
+            field.parentElement.appendChild(errorDiv);
+        }
+    }
+
+    return isValid;
+}
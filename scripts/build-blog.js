@@ -149,6 +149,13 @@ article p{margin:0 0 18px}article ul,article ol{margin:0 0 18px;padding-left:22p
 footer.site{border-top:1px solid var(--line);margin-top:56px;padding:28px 0;color:var(--muted);font-size:14px;text-align:center}
 .hub-head{padding:36px 0 8px}.hub-head h1{font-size:34px;margin:0 0 8px}.hub-head p{color:var(--muted);margin:0;font-size:17px}
 .hub-list{padding:24px 0 8px}
+.newsletter{border:1px solid var(--line);border-radius:14px;padding:24px;margin:40px 0;background:#fff}
+.newsletter h2{margin:0 0 6px;font-size:20px}.newsletter p{color:var(--muted);margin:0 0 14px;font-size:15px}
+.newsletter .row{display:flex;flex-wrap:wrap;gap:10px}
+.newsletter input[type=email],.newsletter select{flex:1 1 200px;padding:11px 12px;border:1px solid var(--line);border-radius:10px;font:inherit;font-size:15px}
+.newsletter button{border:0;cursor:pointer;font:inherit}
+.newsletter label.consent{display:block;font-size:13px;color:var(--muted);margin-top:12px}
+.newsletter .result{font-size:14px;margin:12px 0 0}.newsletter .result.error{color:#b91c1c}
 `;
 
 function pageShell({ title, description, canonical, head = '', body }) {
@@ -185,6 +192,63 @@ ${body}
 </html>`;
 }
 
+// Bülten abonelik formu (blog merkezi ve yazı sayfaları). Gönderim çift onaylı:
+// API adrese onay linki yollar, özetler ancak link açıldıktan sonra başlar.
+// `source` aboneliğin hangi sayfadan geldiğini kaydetmek içindir.
+function newsletterForm(source) {
+  return `
+<section class="newsletter" id="bulten">
+  <h2>Yeni yazılardan haberdar olun</h2>
+  <p>Blogda yeni bir yazı yayınlandığında e-posta ile özetini gönderelim. İstediğiniz zaman tek tıkla ayrılabilirsiniz.</p>
+  <form data-source="${esc(source)}" onsubmit="return subscribeNewsletter(this)">
+    <div class="row">
+      <input type="email" name="email" required placeholder="E-posta adresiniz" aria-label="E-posta adresiniz">
+      <select name="frequency" aria-label="Gönderim sıklığı">
+        <option value="immediate">Her yeni yazıda</option>
+        <option value="weekly" selected>Haftalık özet</option>
+        <option value="monthly">Aylık özet</option>
+      </select>
+      <button type="submit" class="btn">Abone Ol</button>
+    </div>
+    <label class="consent"><input type="checkbox" name="kvkkConsent" required> <a href="/kvkk" target="_blank">KVKK Aydınlatma Metni</a>'ni okudum; e-posta adresimin bülten gönderimi için işlenmesini kabul ediyorum.</label>
+    <p class="result" role="status" hidden></p>
+  </form>
+</section>
+<script src="/api-config.js"></script>
+<script>
+function subscribeNewsletter(form) {
+  var result = form.querySelector('.result');
+  var button = form.querySelector('button');
+  button.disabled = true;
+  fetch((window.API_URL || '/api') + '/newsletter/subscribe', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      email: form.email.value,
+      frequency: form.frequency.value,
+      kvkkConsent: form.kvkkConsent.checked,
+      source: form.getAttribute('data-source')
+    })
+  }).then(function (res) { return res.json().then(function (data) { return { ok: res.ok, data: data }; }); })
+    .then(function (r) {
+      result.hidden = false;
+      result.className = r.ok ? 'result' : 'result error';
+      result.textContent = r.ok
+        ? 'Teşekkürler! Aboneliğinizi başlatmak için e-posta adresinize gönderdiğimiz linke tıklayın.'
+        : 'Abonelik kaydedilemedi. Lütfen e-posta adresinizi kontrol edip tekrar deneyin.';
+      if (r.ok) form.reset();
+    })
+    .catch(function () {
+      result.hidden = false;
+      result.className = 'result error';
+      result.textContent = 'Bağlantı hatası. Lütfen daha sonra tekrar deneyin.';
+    })
+    .then(function () { button.disabled = false; });
+  return false;
+}
+</script>`;
+}
+
 function renderPost(post) {
   const url = `${DOMAIN}/blog/${post.slug}/`;
   const img = imageUrl(post.image);
@@ -259,6 +323,7 @@ function renderPost(post) {
       <a class="btn" href="/#iletisim">Randevu Al</a>
     </div>
   </article>
+  ${newsletterForm(post.slug)}
   ${relatedHtml}
 </div>`;
 
@@ -314,6 +379,7 @@ function renderHub() {
       <div class="body"><h3>${esc(p.title)}</h3><p>${esc(p.summary)}</p></div>
     </a>`).join('\n    ')}
   </div>
+  ${newsletterForm('blog-hub')}
 </div>`;
 
   return pageShell({
@@ -4,6 +4,9 @@
  * "gebze çift terapisi", "gebze çocuk psikoloğu" gibi aramalar tek kartlı ana
  * sayfadan daha iyi sıralanan özel sayfalar ister. Sayfalar statiktir, elle
  * commit'lenir; sitemap'e build-blog.js'teki STATIC_PAGES listesinden girer.
+ * Her sayfa, kendi seans türü (bookingType) seçili olarak online randevu
+ * widget'ını (booking-widget.js) gömer; çocuk-ergen ve aile için ilk adım
+ * ücretsiz ön görüşmedir.
  *
  * Kullanım: node scripts/build-services.js
  */
@@ -22,6 +25,7 @@ const esc = (s) => String(s)
 const SERVICES = [
   {
     slug: 'yetiskin-danismanligi',
+    bookingType: 'individual',
     name: 'Yetişkin Danışmanlığı',
     title: "Gebze Yetişkin Psikoloğu | Bireysel Terapi — Psikolog Onur Uslu",
     description: "Gebze'de yetişkinlere bireysel psikolojik danışmanlık: kaygı, depresyon, stres, özgüven. Bilişsel Davranışçı Terapi (BDT) temelli, online ve yüz yüze seans.",
@@ -45,6 +49,7 @@ const SERVICES = [
   },
   {
     slug: 'cift-terapisi',
+    bookingType: 'couple',
     name: 'Çift Danışmanlığı',
     title: "Gebze Çift Terapisi | İlişki Danışmanlığı — Onur Uslu",
     description: "Gebze'de çift terapisi: iletişim sorunları, çatışmalar ve güven kaybı. Sağlıklı, kalıcı bir ilişki için çözüm odaklı danışmanlık. Online seçeneğiyle.",
@@ -68,6 +73,7 @@ const SERVICES = [
   },
   {
     slug: 'cocuk-ergen-danismanligi',
+    bookingType: 'consultation',
     name: 'Çocuk ve Ergen Danışmanlığı',
     title: "Gebze Çocuk ve Ergen Psikoloğu | Danışmanlık — Psikolog Onur Uslu",
     description: "Gebze'de çocuk ve ergen danışmanlığı: duygusal, sosyal ve akademik zorluklar, sınav kaygısı, davranış sorunları. Aileyi de sürece dahil eden güvenli yaklaşım.",
@@ -91,6 +97,7 @@ const SERVICES = [
   },
   {
     slug: 'online-terapi',
+    bookingType: 'online',
     name: 'Çevrimiçi (Online) Danışmanlık',
     title: "Online Terapi | Görüntülü Psikolojik Danışmanlık — Psikolog Onur Uslu",
     description: "Nerede olursanız olun görüntülü görüşmeyle online terapi: kaygı, depresyon, ilişki sorunları. Gebze merkezli Psikolog Onur Uslu ile esnek saatli online seans.",
@@ -114,6 +121,7 @@ const SERVICES = [
   },
   {
     slug: 'aile-danismanligi',
+    bookingType: 'consultation',
     name: 'Aile Danışmanlığı',
     title: "Gebze Aile Danışmanlığı | Aile Terapisi — Psikolog Onur Uslu",
     description: "Gebze'de aile danışmanlığı: aile içi iletişim, ebeveyn-çocuk ilişkileri, geçiş dönemleri. Daha huzurlu bir aile dinamiği için çözüm odaklı destek.",
@@ -164,6 +172,7 @@ details summary{cursor:pointer;font-weight:600;list-style:none;display:flex;just
 details summary::after{content:"+";color:var(--primary);font-size:20px;font-weight:700}
 details[open] summary::after{content:"−"}
 details p{margin:12px 0 0;color:var(--muted)}
+.booking{border:1px solid var(--line);border-radius:14px;padding:24px;margin:0 0 18px}
 .related{border-top:1px solid var(--line);margin-top:48px;padding-top:28px}
 .related h2{font-size:18px;margin:0 0 16px}
 .related ul{padding-left:22px}.related li{margin:8px 0}
@@ -233,9 +242,13 @@ function renderService(svc) {
     <h2>Süreç nasıl işler?</h2>
     <p>İlk adım ücretsiz bir ön görüşmedir: ihtiyacınızı dinler, sürecin size uygun olup olmadığını birlikte değerlendiririz. Devamında değerlendirme görüşmesiyle hedefleri netleştirir, görüşme sıklığını birlikte planlarız. Seanslar Gebze'deki ofisimde yüz yüze ya da görüntülü görüşmeyle online yapılabilir; tüm görüşmeler meslek etiği ve KVKK çerçevesinde gizlilikle yürütülür.</p>
 
+    <h2 id="randevu">Online Randevu</h2>
+    <p>Takvimden size uyan boş saati seçin; randevunuz e-postanıza gelen bağlantıyı onayladığınızda kesinleşir.</p>
+    <div class="booking" data-booking-widget data-service="${svc.bookingType}"></div>
+
     <div class="cta">
       <h2>Randevu ve Ücretsiz Ön Görüşme</h2>
-      <p>İlk adımı atmak için hazırsanız, size yardımcı olmaktan memnuniyet duyarım.</p>
+      <p>Telefonla ya da WhatsApp üzerinden de ulaşabilirsiniz; size yardımcı olmaktan memnuniyet duyarım.</p>
       <a class="btn" href="tel:${PHONE_TEL}">📞 ${PHONE_DISPLAY}</a>
       <a class="btn ghost" href="https://wa.me/${PHONE_TEL.replace('+', '')}">WhatsApp ile yazın</a>
       <a class="btn ghost" href="/#iletisim">İletişim formu</a>
@@ -282,6 +295,8 @@ function renderService(svc) {
 <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
 <link rel="stylesheet" href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap">
 ${schemas(svc)}
+<link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
+<link rel="stylesheet" href="/booking-widget.css">
 <style>${CSS}</style>
 </head>
 <body>
@@ -294,6 +309,9 @@ ${body}
   <p>Psikolog Onur Uslu &middot; Gebze, Kocaeli &middot; <a href="tel:${PHONE_TEL}">${PHONE_DISPLAY}</a></p>
   <p>&copy; ${new Date().getFullYear()} Tüm hakları saklıdır. &middot; <a href="/kvkk">KVKK</a> &middot; <a href="/gizlilik-politikasi">Gizlilik</a></p>
 </div></footer>
+<script src="/api-config.js"></script>
+<script src="/form-validation.js" defer></script>
+<script src="/booking-widget.js" defer></script>
 </body>
 </html>
 `;
@@ -11,7 +11,8 @@ module.exports = {
     './index.html',
     './404.html',
     './*.html',
-    './script.js'
+    './script.js',
+    './form-validation.js'
   ],
   theme: {
     extend: {